@@ -12,6 +12,13 @@ const endpoints = [
 
 const timeout = 15000;
 
+// Protected endpoints need an owner credential: an API key (API_KEYS entry with role owner)
+// or a Bearer token.
+const headers = {
+  ...(process.env.HEALTH_CHECK_API_KEY && { 'X-API-Key': process.env.HEALTH_CHECK_API_KEY }),
+  ...(process.env.HEALTH_CHECK_TOKEN && { Authorization: `Bearer ${process.env.HEALTH_CHECK_TOKEN}` }),
+};
+
 (async () => {
   console.log(`Health check base: ${BASE}`);
   let failed = false;
@@ -20,7 +27,7 @@ const timeout = 15000;
     const url = `${BASE}${path}`;
     process.stdout.write(`Checking ${url} ... `);
     try {
-      const res = await axios.get(url, { timeout });
+      const res = await axios.get(url, { timeout, headers });
       console.log(`OK (${res.status})`);
     } catch (err) {
       failed = true;
@@ -0,0 +1,7 @@
+// Mints a token for AUTH_VERIFIER=local. Usage: node scripts/issue-local-token.js <uid> <role> [hours]
+require('dotenv').config();
+const { createLocalToken } = require('../src/services/auth.service');
+
+const [uid = 'local-user', role = 'owner', hours = '12'] = process.argv.slice(2);
+
+console.log(createLocalToken({ uid, role }, { expiresInSeconds: Number(hours) * 3600 }));
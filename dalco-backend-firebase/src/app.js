@@ -0,0 +1,189 @@
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const morgan = require('morgan');
+const swaggerUi = require('swagger-ui-express');
+const logger = require('./utils/logger');
+
+// Initialize Firebase
+const { db } = require('./config/firebase');
+
+const { limitByIp } = require('./middleware/rateLimit');
+const { markRouteBase, recordHttpMetrics } = require('./middleware/metrics');
+const { assignRequestId } = require('./middleware/requestId');
+const { validate } = require('./middleware/validate');
+const systemSchemas = require('./schemas/system.schemas');
+const { buildOpenApiDocument } = require('./schemas/openapi');
+
+const API_PREFIX = '/api';
+
+// Builds the Express app without listening or starting background workers, so
+// tests (and other hosts) can mount it. server.js does both for `npm start`.
+const createApp = () => {
+  const app = express();
+
+  // ==================== MIDDLEWARE ====================
+
+  // First, so every log line for the request (access log included) carries its ID
+  app.use(assignRequestId);
+
+  // Security
+  app.use(helmet());
+
+  // CORS
+  const corsOptions = {
+    origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
+    credentials: true,
+    optionsSuccessStatus: 200
+  };
+  app.use(cors(corsOptions));
+
+  // Behind a proxy or load balancer, trust it so `req.ip` is the real caller
+  // (e.g. TRUST_PROXY=1 for one hop, or true).
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+  }
+
+  // Request counts and latency per route, including rate-limited requests.
+  app.use(recordHttpMetrics);
+
+  // Rate limiting per client IP. Channel webhooks arrive from the platforms' own
+  // IPs and are limited per sender in the conversation pipeline instead; health
+  // checks and metrics scrapes are exempt.
+  const unlimitedPaths = ['/health', '/metrics'];
+  app.use('/api', (req, res, next) => (
+    req.path.startsWith('/webhooks') || unlimitedPaths.includes(req.path) ? next() : limitByIp(req, res, next)
+  ));
+
+  // Body parsing (raw body kept for webhook signature checks)
+  app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Compression
+  app.use(compression());
+
+  // Access log, through the logger so lines are redacted and carry the request ID
+  app.use(morgan(process.env.NODE_ENV === 'development' ? 'dev' : 'combined', {
+    stream: { write: message => logger.info(message.trim()) }
+  }));
+
+  const publicDir = path.join(__dirname, '../public');
+  app.use('/dashboard', express.static(publicDir));
+  app.get('/dashboard', (req, res) => {
+    res.sendFile(path.join(publicDir, 'dashboard.html'));
+  });
+
+  // ==================== ROUTES ====================
+
+  // Welcome route
+  app.get('/', (req, res) => {
+    res.json({
+      success: true,
+      message: 'Welcome to DalCo API - Data-Link Co-pilot',
+      version: '1.0.0',
+      database: 'Firebase Firestore',
+      documentation: `${req.protocol}://${req.get('host')}/api/docs`,
+      status: 'running',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Health check
+  app.get('/api/health', validate(systemSchemas.getHealth), async (req, res) => {
+    try {
+      // Test Firestore connection
+      await db.collection('_health').doc('check').set({ 
+        timestamp: new Date(),
+        status: 'healthy' 
+      });
+
+      res.json({
+        success: true,
+        status: 'healthy',
+        services: {
+          api: 'running',
+          firestore: 'connected',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error(`Health check failed: ${error.message}`);
+      res.status(503).json({
+        success: false,
+        status: 'unhealthy',
+        error: error.message
+      });
+    }
+  });
+
+  // Mounted under API_PREFIX; the same table feeds the OpenAPI document.
+  const routes = [
+    { path: '/system', router: require('./routes/system.routes'), tag: 'system' },
+    { path: '/metrics', router: require('./routes/metrics.routes'), tag: 'system' },
+    { path: '/auth', router: require('./routes/auth.routes'), tag: 'auth' },
+    { path: '/messages', router: require('./routes/messages.routes'), tag: 'messages' },
+    { path: '/inbox', router: require('./routes/inbox.routes'), tag: 'inbox' },
+    { path: '/orders', router: require('./routes/orders.routes'), tag: 'orders' },
+    { path: '/leads', router: require('./routes/leads.routes'), tag: 'leads' },
+    { path: '/customers', router: require('./routes/customers.routes'), tag: 'customers' },
+    { path: '/analytics', router: require('./routes/analytics.routes'), tag: 'analytics' },
+    { path: '/events', router: require('./routes/events.routes'), tag: 'analytics' },
+    { path: '/exports', router: require('./routes/exports.routes'), tag: 'exports' },
+    { path: '/outbox', router: require('./routes/outbox.routes'), tag: 'outbox' },
+    { path: '/blocklist', router: require('./routes/blocklist.routes'), tag: 'blocklist' },
+    { path: '/webhooks', router: require('./routes/webhooks.routes'), tag: 'webhooks' },
+  ];
+
+  routes.forEach(({ path: routePath, router }) => app.use(`${API_PREFIX}${routePath}`, markRouteBase, router));
+
+  // ==================== API DOCUMENTATION ====================
+  // Generated from the route specs in src/schemas, which also validate requests.
+  const openApiDocument = buildOpenApiDocument({ app, prefix: API_PREFIX, routes });
+
+  app.get('/api/docs.json', (req, res) => res.json(openApiDocument));
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument, {
+    customCss: '.swagger-ui .topbar { display: none }',
+    customSiteTitle: 'DalCo API Documentation'
+  }));
+
+  // ==================== ERROR HANDLING ====================
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Route not found',
+      path: req.path,
+      method: req.method
+    });
+  });
+
+  // Global error handler
+  app.use((err, req, res, next) => {
+    logger.error(`Error: ${err.message}`);
+    logger.error(`Stack: ${err.stack}`);
+
+    const statusCode = err.statusCode || 500;
+
+    res.status(statusCode).json({
+      success: false,
+      error: err.message || 'Server Error',
+      ...(err.details && { details: err.details }),
+      ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    });
+  });
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,51 @@
+// Role -> permissions granted. Roles come from Firebase custom claims
+// (`role` or `roles`) or from the role attached to an API key.
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  staff: [
+    'messages:write',
+    'inbox:read',
+    'inbox:write',
+    'orders:read',
+    'orders:write',
+    'leads:read',
+    'leads:write',
+    'customers:read',
+    'customers:write',
+    'analytics:read',
+    'analytics:insights',
+    'exports:read',
+    'outbox:read',
+    'blocklist:read',
+    'blocklist:write',
+    'system:read',
+  ],
+  viewer: [
+    'orders:read',
+    'leads:read',
+    'customers:read',
+    'analytics:read',
+    'system:read',
+  ],
+  // Webhook shims and other channel callers using an API key.
+  channel: [
+    'messages:write',
+  ],
+  // Prometheus and other scrapers of /api/metrics.
+  monitor: [
+    'metrics:read',
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (roles = [], permission) => roles.some((role) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+});
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+};
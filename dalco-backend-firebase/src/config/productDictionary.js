@@ -0,0 +1,50 @@
+// Bahasa Melayu / English vocabulary for product matching. Keys are the canonical
+// terms used in the inventory; values are what customers actually type. Multi-word
+// aliases are fine ("baju t", "merah jambu"). Everything is matched lower-case with
+// hyphens treated as spaces, so "baju-T" and "baju t" are the same alias.
+const PRODUCT_SYNONYMS = {
+  tshirt: ['t-shirt', 't shirt', 'tshirt', 'tee', 'tees', 'baju t', 'baju tshirt', 'kemeja t', 'baju kemeja t'],
+  polo: ['polo', 'baju polo', 'kemeja polo', 'baju berkolar'],
+  hoodie: ['hoodie', 'hoody', 'hudi', 'baju hoodie', 'sweater bertopi'],
+  shirt: ['shirt', 'kemeja'],
+  cotton: ['cotton', 'kapas'],
+};
+
+const COLOR_SYNONYMS = {
+  blue: ['blue', 'biru'],
+  navy: ['navy', 'biru gelap', 'biru tua'],
+  black: ['black', 'hitam'],
+  white: ['white', 'putih'],
+  red: ['red', 'merah'],
+  pink: ['pink', 'merah jambu'],
+  green: ['green', 'hijau'],
+  yellow: ['yellow', 'kuning'],
+  grey: ['grey', 'gray', 'kelabu'],
+  purple: ['purple', 'ungu'],
+  orange: ['orange', 'oren', 'jingga'],
+  brown: ['brown', 'coklat', 'perang'],
+};
+
+const SIZE_SYNONYMS = {
+  XS: ['xs', 'extra small'],
+  S: ['s', 'small', 'kecil'],
+  M: ['m', 'medium', 'sederhana'],
+  L: ['l', 'large', 'besar'],
+  XL: ['xl', 'extra large'],
+  XXL: ['xxl', '2xl'],
+};
+
+// Words that carry no product meaning in stock/order messages.
+const STOP_WORDS = [
+  'ada', 'tak', 'tidak', 'stok', 'stock', 'nak', 'mahu', 'order', 'tempah', 'beli', 'saya', 'untuk',
+  'yang', 'ke', 'lagi', 'boleh', 'berapa', 'dalam', 'warna', 'saiz', 'size', 'colour', 'color',
+  'unit', 'units', 'pcs', 'pieces', 'piece', 'helai', 'of', 'the', 'any', 'do', 'you', 'have',
+  'is', 'are', 'there', 'available', 'availability', 'in', 'check', 'semak', 'please', 'tolong',
+];
+
+module.exports = {
+  PRODUCT_SYNONYMS,
+  COLOR_SYNONYMS,
+  SIZE_SYNONYMS,
+  STOP_WORDS,
+};
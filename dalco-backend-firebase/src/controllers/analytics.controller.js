@@ -1,28 +1,37 @@
 const logger = require('../utils/logger');
-const { getDashboardMetrics } = require('../services/googleSheets.service');
+const { getSalesOverview } = require('../services/analytics.service');
 const { analyzeSalesTrends } = require('../services/jamai.service');
 
+const pickRange = (source = {}) => ({
+  from: source.from,
+  to: source.to,
+  granularity: source.granularity,
+});
+
 const getOverview = async (req, res, next) => {
   try {
-    const metrics = await getDashboardMetrics();
+    const overview = await getSalesOverview(pickRange(req.query));
     return res.json({
       success: true,
-      data: metrics,
+      data: overview,
     });
   } catch (error) {
-    logger.error(`Failed to load dashboard: ${error.message}`);
+    if (!error.statusCode) {
+      logger.error(`Failed to load dashboard: ${error.message}`);
+    }
     return next(error);
   }
 };
 
 const generateInsights = async (req, res, next) => {
   try {
-    const metrics = req.body?.metrics || await getDashboardMetrics();
-    const insights = await analyzeSalesTrends(metrics);
+    const metrics = req.body?.metrics || await getSalesOverview(pickRange({ ...req.query, ...req.body }));
+    const { insights, source } = await analyzeSalesTrends(metrics, { locale: req.body?.locale || req.query.locale });
 
     return res.json({
       success: true,
       insights,
+      source,
     });
   } catch (error) {
     return next(error);
@@ -33,4 +42,3 @@ module.exports = {
   getOverview,
   generateInsights,
 };
-
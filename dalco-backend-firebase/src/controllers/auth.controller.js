@@ -1,15 +1,42 @@
-const { auth } = require('../config/firebase');
+const { verifyIdToken, getVerifierName, getRolesFromClaims } = require('../services/auth.service');
 
 const verifyFirebaseToken = async (req, res, next) => {
   try {
     const { idToken } = req.body;
 
-    if (!idToken) {
-      return res.status(400).json({ success: false, error: 'idToken required' });
+    const decoded = await verifyIdToken(idToken);
+    return res.json({ success: true, user: decoded, roles: getRolesFromClaims(decoded) });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const getCurrentUser = (req, res) => res.json({
+  success: true,
+  user: {
+    type: req.auth.type,
+    id: req.auth.id,
+    roles: req.auth.roles,
+  },
+});
+
+// Stores the role as a Firebase custom claim; it applies once the user's ID token refreshes.
+const setUserRole = async (req, res, next) => {
+  try {
+    const { uid, role } = req.body;
+
+    if (getVerifierName() !== 'firebase') {
+      return res.status(400).json({
+        success: false,
+        error: 'Roles can only be assigned with AUTH_VERIFIER=firebase',
+      });
     }
 
-    const decoded = await auth.verifyIdToken(idToken);
-    return res.json({ success: true, user: decoded });
+    const { auth } = require('../config/firebase');
+    const user = await auth.getUser(uid);
+    await auth.setCustomUserClaims(uid, { ...user.customClaims, role });
+
+    return res.json({ success: true, uid, role });
   } catch (error) {
     return next(error);
   }
@@ -17,5 +44,6 @@ const verifyFirebaseToken = async (req, res, next) => {
 
 module.exports = {
   verifyFirebaseToken,
+  getCurrentUser,
+  setUserRole,
 };
-
@@ -0,0 +1,37 @@
+const rateLimitService = require('../services/rateLimit.service');
+
+const listBlocklist = async (req, res, next) => {
+  try {
+    const entries = await rateLimitService.listBlocklist();
+
+    return res.json({ success: true, data: entries });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const addToBlocklist = async (req, res, next) => {
+  try {
+    const entry = await rateLimitService.addToBlocklist(req.body, { by: req.auth?.id });
+
+    return res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const removeFromBlocklist = async (req, res, next) => {
+  try {
+    await rateLimitService.removeFromBlocklist(req.params.id);
+
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  listBlocklist,
+  addToBlocklist,
+  removeFromBlocklist,
+};
@@ -0,0 +1,52 @@
+const customersService = require('../services/customers.service');
+
+const listCustomers = async (req, res, next) => {
+  try {
+    const { customers, nextCursor } = await customersService.listCustomers(req.query);
+
+    return res.json({ success: true, data: customers, nextCursor });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const getCustomer = async (req, res, next) => {
+  try {
+    const customer = await customersService.getCustomer(req.params.id);
+
+    return res.json({ success: true, data: customer });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const updateCustomer = async (req, res, next) => {
+  try {
+    const { preferredLanguage } = req.body;
+
+    const customer = await customersService.setPreferredLanguage(req.params.id, preferredLanguage, { by: req.auth?.id });
+
+    return res.json({ success: true, data: customer });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const mergeCustomers = async (req, res, next) => {
+  try {
+    const { sourceId } = req.body;
+
+    const customer = await customersService.mergeCustomers(req.params.id, sourceId, { by: req.auth?.id });
+
+    return res.json({ success: true, data: customer });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  mergeCustomers,
+};
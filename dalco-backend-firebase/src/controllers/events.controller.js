@@ -0,0 +1,58 @@
+const logger = require('../utils/logger');
+const { numberFromEnv } = require('../utils/env');
+const { subscribe, getTodayTotals } = require('../services/liveEvents.service');
+
+// Proxies commonly drop connections idle for 30-60 seconds.
+const HEARTBEAT_MS = numberFromEnv('LIVE_EVENTS_HEARTBEAT_SECONDS', 25, { allowZero: false }) * 1000;
+// How long browsers wait before reconnecting after the stream drops.
+const RETRY_MS = 3000;
+
+const toLastEventId = (req) => {
+  const raw = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const value = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isInteger(value) && value >= 0 ? value : undefined;
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`${id === undefined ? '' : `id: ${id}\n`}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const streamEvents = async (req, res, next) => {
+  try {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      // no-transform keeps the compression middleware from buffering events.
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const unsubscribe = subscribe((event) => writeEvent(res, event), { lastEventId: toLastEventId(req) });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    let closed = false;
+    res.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    // Sent without an ID so a reconnect does not skip the events it missed.
+    try {
+      const totals = await getTodayTotals();
+      if (!closed) {
+        writeEvent(res, { type: 'totals', data: totals });
+      }
+    } catch (error) {
+      logger.warn(`Failed to load live totals: ${error.message}`);
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamEvents,
+};
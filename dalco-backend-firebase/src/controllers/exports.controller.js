@@ -0,0 +1,54 @@
+const logger = require('../utils/logger');
+const { openExport } = require('../services/exports.service');
+const { EXPORT_FORMATS, createExportWriter } = require('../utils/exportWriters');
+const { createHttpError } = require('../utils/httpError');
+
+// GET /api/exports/:type?format=csv|xlsx&from=&to=&... streams the file row by row.
+const createExportHandler = (type) => async (req, res, next) => {
+  let rows;
+
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw createHttpError(400, `Unsupported export format "${format}"`, { supported: EXPORT_FORMATS });
+    }
+
+    const source = openExport(type, req.query);
+    ({ rows } = source);
+
+    // Read the first record before any header goes out, so query errors
+    // (e.g. a missing Firestore index) still get a JSON error response.
+    let result = await rows.next();
+    const writer = createExportWriter(res, format, source);
+    let count = 0;
+
+    while (!result.done) {
+      await writer.writeRow(result.value);
+      count += 1;
+      result = await rows.next();
+    }
+    await writer.end();
+
+    logger.info(`Exported ${count} ${type} rows as ${format} for ${req.auth?.id || 'unknown'}`);
+    return undefined;
+  } catch (error) {
+    await rows?.return();
+
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return next(error);
+    }
+
+    // Headers are out: cut the download short rather than hand over a file
+    // that looks complete.
+    logger.error(`Export of ${type} failed mid-stream: ${error.message}`);
+    res.destroy(error);
+    return undefined;
+  }
+};
+
+module.exports = {
+  exportOrders: createExportHandler('orders'),
+  exportMessages: createExportHandler('messages'),
+  exportLeads: createExportHandler('leads'),
+};
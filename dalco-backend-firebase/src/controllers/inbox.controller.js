@@ -0,0 +1,75 @@
+const inboxService = require('../services/inbox.service');
+const { sendManualReply } = require('../services/channels');
+
+const listThreads = async (req, res, next) => {
+  try {
+    const threads = await inboxService.listThreads(req.query);
+
+    return res.json({ success: true, data: threads });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const getThread = async (req, res, next) => {
+  try {
+    const thread = await inboxService.getThread(req.params.threadId, req.query);
+
+    return res.json({ success: true, data: thread });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const takeOverThread = async (req, res, next) => {
+  try {
+    const conversation = await inboxService.takeOverConversation(req.params.threadId, {
+      by: req.auth?.id,
+      note: req.body?.note,
+    });
+
+    return res.json({ success: true, data: conversation });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const releaseThread = async (req, res, next) => {
+  try {
+    const conversation = await inboxService.releaseConversation(req.params.threadId, {
+      by: req.auth?.id,
+      note: req.body?.note,
+    });
+
+    return res.json({ success: true, data: conversation });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const replyToThread = async (req, res, next) => {
+  try {
+    const { messageId, providerMessageId, conversation } = await sendManualReply(
+      req.params.threadId,
+      req.body.message,
+      { by: req.auth?.id },
+    );
+
+    return res.status(201).json({
+      success: true,
+      messageId,
+      providerMessageId,
+      conversation,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  listThreads,
+  getThread,
+  takeOverThread,
+  releaseThread,
+  replyToThread,
+};
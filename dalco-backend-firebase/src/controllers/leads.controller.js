@@ -1,47 +1,63 @@
-const { FieldValue } = require('firebase-admin/firestore');
-const { db } = require('../config/firebase');
+const leadsService = require('../services/leads.service');
 
 const listLeads = async (req, res, next) => {
   try {
-    const snapshot = await db
-      .collection('messages')
-      .where('intent', '==', 'order')
-      .orderBy('createdAt', 'desc')
-      .limit(10)
-      .get();
-
-    const leads = snapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
-
-    return res.json({ success: true, data: leads });
+    const { leads, nextCursor } = await leadsService.listLeads(req.query);
+
+    return res.json({ success: true, data: leads, nextCursor });
   } catch (error) {
     return next(error);
   }
 };
 
-const createLead = async (req, res, next) => {
+const getLead = async (req, res, next) => {
   try {
-    const payload = {
-      ...req.body,
-      createdAt: FieldValue.serverTimestamp(),
-      status: 'new',
-    };
+    const lead = await leadsService.getLead(req.params.id);
+
+    return res.json({ success: true, data: lead });
+  } catch (error) {
+    return next(error);
+  }
+};
 
-    const ref = await db.collection('leads').add(payload);
+const createLead = async (req, res, next) => {
+  try {
+    const lead = await leadsService.createLead(req.body, { by: req.auth?.id });
 
     return res.status(201).json({
       success: true,
-      id: ref.id,
+      id: lead.id,
+      data: lead,
     });
   } catch (error) {
     return next(error);
   }
 };
 
+const updateLead = async (req, res, next) => {
+  try {
+    const lead = await leadsService.updateLead(req.params.id, req.body, { by: req.auth?.id });
+
+    return res.json({ success: true, data: lead });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const deleteLead = async (req, res, next) => {
+  try {
+    await leadsService.deleteLead(req.params.id);
+
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 module.exports = {
   listLeads,
+  getLead,
   createLead,
+  updateLead,
+  deleteLead,
 };
-
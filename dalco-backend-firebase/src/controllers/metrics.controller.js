@@ -0,0 +1,13 @@
+const { CONTENT_TYPE, renderMetrics } = require('../utils/metrics');
+
+const getMetrics = (req, res, next) => {
+  try {
+    res.set('Content-Type', CONTENT_TYPE).send(renderMetrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMetrics,
+};
@@ -0,0 +1,74 @@
+const ordersService = require('../services/orders.service');
+
+const listOrders = async (req, res, next) => {
+  try {
+    const { orders, nextCursor } = await ordersService.listOrders(req.query);
+
+    return res.json({ success: true, data: orders, nextCursor });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const getOrder = async (req, res, next) => {
+  try {
+    const order = await ordersService.getOrder(req.params.id);
+
+    return res.json({ success: true, data: order });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const createOrder = async (req, res, next) => {
+  try {
+    const order = await ordersService.createOrder(req.body, { by: req.auth?.id });
+
+    return res.status(201).json({
+      success: true,
+      id: order.id,
+      data: order,
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const updateOrder = async (req, res, next) => {
+  try {
+    const order = await ordersService.updateOrder(req.params.id, req.body);
+
+    return res.json({ success: true, data: order });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const changeOrderStatus = async (req, res, next) => {
+  try {
+    const order = await ordersService.changeOrderStatus(req.params.id, req.body, { by: req.auth?.id });
+
+    return res.json({ success: true, data: order });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const deleteOrder = async (req, res, next) => {
+  try {
+    await ordersService.deleteOrder(req.params.id);
+
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  listOrders,
+  getOrder,
+  createOrder,
+  updateOrder,
+  changeOrderStatus,
+  deleteOrder,
+};
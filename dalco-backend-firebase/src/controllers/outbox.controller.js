@@ -0,0 +1,48 @@
+const outboxService = require('../services/outbox.service');
+
+const listOutbox = async (req, res, next) => {
+  try {
+    const { entries, nextCursor } = await outboxService.listOutbox(req.query);
+
+    return res.json({ success: true, data: entries, nextCursor });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const getOutboxEntry = async (req, res, next) => {
+  try {
+    const entry = await outboxService.getOutboxEntry(req.params.id);
+
+    return res.json({ success: true, data: entry });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const replayOutboxEntry = async (req, res, next) => {
+  try {
+    const entry = await outboxService.replayOutboxEntry(req.params.id, { by: req.auth?.id });
+
+    return res.json({ success: true, data: entry });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+const replayDeadLetters = async (req, res, next) => {
+  try {
+    const { replayed } = await outboxService.replayDeadLetters({ by: req.auth?.id });
+
+    return res.json({ success: true, replayed });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  listOutbox,
+  getOutboxEntry,
+  replayOutboxEntry,
+  replayDeadLetters,
+};
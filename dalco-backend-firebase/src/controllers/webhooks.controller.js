@@ -0,0 +1,37 @@
+const logger = require('../utils/logger');
+const { processWebhookPayload } = require('../services/channels');
+
+// Meta calls this once when a webhook is registered and expects hub.challenge back.
+const verifyMetaWebhook = (tokenEnvVar) => (req, res) => {
+  const {
+    'hub.mode': mode,
+    'hub.verify_token': token,
+    'hub.challenge': challenge,
+  } = req.query;
+
+  if (mode === 'subscribe' && token && token === process.env[tokenEnvVar]) {
+    return res.status(200).send(challenge);
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Webhook verification failed',
+  });
+};
+
+// Acknowledges immediately (providers retry slow deliveries) and processes afterwards.
+const receiveChannelWebhook = (channelName) => (req, res) => {
+  res.sendStatus(200);
+
+  processWebhookPayload(channelName, req.body).catch((error) => {
+    logger.error(`${channelName} webhook processing failed: ${error.message}`);
+  });
+};
+
+module.exports = {
+  verifyWhatsAppWebhook: verifyMetaWebhook('WHATSAPP_VERIFY_TOKEN'),
+  receiveWhatsAppWebhook: receiveChannelWebhook('whatsapp'),
+  verifyInstagramWebhook: verifyMetaWebhook('INSTAGRAM_VERIFY_TOKEN'),
+  receiveInstagramWebhook: receiveChannelWebhook('instagram'),
+  receiveEmailWebhook: receiveChannelWebhook('email'),
+};
@@ -0,0 +1,73 @@
+const logger = require('../utils/logger');
+const { hasPermission } = require('../config/permissions');
+const {
+  verifyIdToken,
+  getRolesFromClaims,
+  verifyApiKey,
+} = require('../services/auth.service');
+
+// Identifies the caller from `Authorization: Bearer <Firebase ID token>` or
+// `X-API-Key`, and attaches `req.auth = { type, id, roles, claims }`.
+const authenticate = async (req, res, next) => {
+  const apiKey = req.get('X-API-Key');
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (apiKey) {
+    const keyOwner = verifyApiKey(apiKey);
+    if (!keyOwner) {
+      return res.status(401).json({ success: false, error: 'Invalid API key' });
+    }
+
+    req.auth = { type: 'apiKey', id: keyOwner.name, roles: keyOwner.roles };
+    return next();
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const claims = await verifyIdToken(token);
+    req.auth = {
+      type: 'user',
+      id: claims.uid || claims.sub,
+      roles: getRolesFromClaims(claims),
+      claims,
+    };
+    return next();
+  } catch (error) {
+    logger.warn(`Token verification failed: ${error.message}`);
+    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+  }
+};
+
+// `permission` may be a function of the request for routes whose requirement
+// depends on the input (e.g. `?deep=true`). It is kept on the middleware for
+// the OpenAPI document.
+const authorize = (permission) => {
+  const middleware = (req, res, next) => {
+    const required = typeof permission === 'function' ? permission(req) : permission;
+
+    if (!req.auth) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    if (!hasPermission(req.auth.roles, required)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        required,
+      });
+    }
+
+    return next();
+  };
+
+  middleware.permission = permission;
+  return middleware;
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+};
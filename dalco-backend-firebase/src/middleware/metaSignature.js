@@ -0,0 +1,30 @@
+const logger = require('../utils/logger');
+const { isValidMetaSignature } = require('../utils/metaSignature');
+
+// Rejects Meta webhook deliveries whose X-Hub-Signature-256 does not match the
+// app secret held in `secretEnvVar`. Relies on `req.rawBody`, captured by the
+// JSON body parser in app.js.
+const verifyMetaSignature = (secretEnvVar) => (req, res, next) => {
+  const appSecret = process.env[secretEnvVar];
+
+  if (!appSecret) {
+    logger.error(`${secretEnvVar} missing; rejecting webhook delivery`);
+    return res.status(503).json({
+      success: false,
+      error: 'Webhook not configured',
+    });
+  }
+
+  if (!isValidMetaSignature(req.rawBody, req.get('X-Hub-Signature-256'), appSecret)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature',
+    });
+  }
+
+  return next();
+};
+
+module.exports = {
+  verifyMetaSignature,
+};
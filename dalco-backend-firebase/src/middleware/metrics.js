@@ -0,0 +1,49 @@
+const { createCounter, createHistogram } = require('../utils/metrics');
+
+const httpRequests = createCounter({
+  name: 'dalco_http_requests_total',
+  help: 'HTTP requests handled, by method, route pattern and status code.',
+  labelNames: ['method', 'route', 'status'],
+});
+
+const httpDuration = createHistogram({
+  name: 'dalco_http_request_duration_seconds',
+  help: 'Time to respond to HTTP requests, by method and route pattern.',
+  labelNames: ['method', 'route'],
+});
+
+// The matched route pattern (e.g. /api/leads/:id) rather than the path, so IDs
+// do not each start a series. Requests no route handled (404s) share one label;
+// static files and mounted apps (the dashboard, Swagger UI) use their mount path.
+const routeLabel = (req, res) => {
+  const base = res.locals.routeBase ?? req.baseUrl;
+  if (req.route) {
+    // A router's own '/' is its mount path (/api/leads, not /api/leads/).
+    return `${base}${req.route.path === '/' ? '' : req.route.path}` || '/';
+  }
+  return base || 'unmatched';
+};
+
+// Mounted in front of a router to remember its mount path: Express resets
+// `req.baseUrl` when an error leaves the router, before the response is sent.
+const markRouteBase = (req, res, next) => {
+  res.locals.routeBase = req.baseUrl;
+  next();
+};
+
+const recordHttpMetrics = (req, res, next) => {
+  const end = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req, res) };
+    end(labels);
+    httpRequests.inc({ ...labels, status: res.statusCode });
+  });
+
+  next();
+};
+
+module.exports = {
+  markRouteBase,
+  recordHttpMetrics,
+};
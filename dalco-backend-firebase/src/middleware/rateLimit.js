@@ -0,0 +1,63 @@
+const { consume, isBlocked } = require('../services/rateLimit.service');
+
+const setLimitHeaders = (res, result) => {
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.retryAfterSeconds));
+};
+
+// Counts the request against `bucket` for the identity returned by `identify`
+// and answers 429 (with Retry-After) once the limit is reached. Identities on
+// the blocklist (as `blockType`) get 403.
+const limitRequests = ({ bucket, blockType, identify }) => {
+  const middleware = async (req, res, next) => {
+    const identity = identify(req);
+
+    if (!identity) {
+      return next();
+    }
+
+    if (await isBlocked(blockType, identity)) {
+      return res.status(403).json({ success: false, error: 'Access blocked' });
+    }
+
+    const result = await consume(bucket, identity);
+    if (result.limit) {
+      setLimitHeaders(res, result);
+    }
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        retryAfter: result.retryAfterSeconds,
+      });
+    }
+
+    return next();
+  };
+
+  // Read by the OpenAPI document (429 responses).
+  middleware.rateLimit = bucket;
+  return middleware;
+};
+
+// Per client IP. Set TRUST_PROXY behind a load balancer so `req.ip` is the caller.
+const limitByIp = limitRequests({
+  bucket: 'ip',
+  blockType: 'ip',
+  identify: (req) => req.ip,
+});
+
+// Per API key or signed-in user; use after `authenticate`.
+const limitByClient = (bucket = 'client') => limitRequests({
+  bucket,
+  blockType: 'client',
+  identify: (req) => req.auth?.id,
+});
+
+module.exports = {
+  limitByIp,
+  limitByClient,
+};
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// An ID set by a proxy or the caller is kept so logs line up across hops;
+// anything else is replaced rather than written to the logs.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID (`req.id`, echoed in X-Request-Id) and runs the
+// rest of the chain in its context, so log lines carry it.
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  assignRequestId,
+};
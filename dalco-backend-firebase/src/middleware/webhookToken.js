@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Compares in constant time, so response timing does not reveal how much of a
+// guessed token was right. Only the length can leak.
+const tokensMatch = (provided, expected) => {
+  if (typeof provided !== 'string') {
+    return false;
+  }
+
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+
+  return providedBuffer.length === expectedBuffer.length
+    && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+// Authenticates callers that cannot sign payloads (e.g. SMTP relays posting parsed
+// MIME) with a shared token sent as `X-Webhook-Token` or `?token=`.
+const verifyWebhookToken = (tokenEnvVar) => (req, res, next) => {
+  const expected = process.env[tokenEnvVar];
+  const provided = req.get('X-Webhook-Token') || req.query.token;
+
+  if (!expected || !tokensMatch(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook token',
+    });
+  }
+
+  return next();
+};
+
+module.exports = {
+  verifyWebhookToken,
+};
@@ -3,11 +3,22 @@ const {
   getOverview,
   generateInsights,
 } = require('../controllers/analytics.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { limitByClient } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/analytics.schemas');
 
 const router = express.Router();
 
-router.get('/overview', getOverview);
-router.post('/insights', generateInsights);
+router.use(authenticate);
 
-module.exports = router;
+router.get('/overview', authorize('analytics:read'), validate(schemas.getOverview), getOverview);
+router.post(
+  '/insights',
+  authorize('analytics:insights'),
+  limitByClient('insights'),
+  validate(schemas.generateInsights),
+  generateInsights,
+);
 
+module.exports = router;
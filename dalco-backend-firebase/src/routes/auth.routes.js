@@ -1,9 +1,17 @@
 const express = require('express');
-const { verifyFirebaseToken } = require('../controllers/auth.controller');
+const {
+  verifyFirebaseToken,
+  getCurrentUser,
+  setUserRole,
+} = require('../controllers/auth.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth.schemas');
 
 const router = express.Router();
 
-router.post('/verify', verifyFirebaseToken);
+router.post('/verify', validate(schemas.verifyFirebaseToken), verifyFirebaseToken);
+router.get('/me', authenticate, validate(schemas.getCurrentUser), getCurrentUser);
+router.post('/roles', authenticate, authorize('users:manage'), validate(schemas.setUserRole), setUserRole);
 
 module.exports = router;
-
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  listBlocklist,
+  addToBlocklist,
+  removeFromBlocklist,
+} = require('../controllers/blocklist.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/blocklist.schemas');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', authorize('blocklist:read'), validate(schemas.listBlocklist), listBlocklist);
+router.post('/', authorize('blocklist:write'), validate(schemas.addToBlocklist), addToBlocklist);
+router.delete('/:id', authorize('blocklist:write'), validate(schemas.removeFromBlocklist), removeFromBlocklist);
+
+module.exports = router;
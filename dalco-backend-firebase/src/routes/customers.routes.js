@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  mergeCustomers,
+} = require('../controllers/customers.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/customers.schemas');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', authorize('customers:read'), validate(schemas.listCustomers), listCustomers);
+router.get('/:id', authorize('customers:read'), validate(schemas.getCustomer), getCustomer);
+router.patch('/:id', authorize('customers:write'), validate(schemas.updateCustomer), updateCustomer);
+router.post('/:id/merge', authorize('customers:write'), validate(schemas.mergeCustomers), mergeCustomers);
+
+module.exports = router;
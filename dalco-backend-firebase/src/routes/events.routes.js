@@ -0,0 +1,13 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/events.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/events.schemas');
+
+const router = express.Router();
+
+// EventSource cannot set headers, so the dashboard reads the stream with fetch
+// to send its token like any other request.
+router.get('/', authenticate, authorize('analytics:read'), validate(schemas.streamEvents), streamEvents);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+  exportOrders,
+  exportMessages,
+  exportLeads,
+} = require('../controllers/exports.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/exports.schemas');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/orders', authorize('exports:read'), validate(schemas.exportOrders), exportOrders);
+router.get('/messages', authorize('exports:read'), validate(schemas.exportMessages), exportMessages);
+router.get('/leads', authorize('exports:read'), validate(schemas.exportLeads), exportLeads);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  listThreads,
+  getThread,
+  takeOverThread,
+  releaseThread,
+  replyToThread,
+} = require('../controllers/inbox.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/inbox.schemas');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', authorize('inbox:read'), validate(schemas.listThreads), listThreads);
+router.get('/:threadId', authorize('inbox:read'), validate(schemas.getThread), getThread);
+router.post('/:threadId/takeover', authorize('inbox:write'), validate(schemas.takeOverThread), takeOverThread);
+router.post('/:threadId/release', authorize('inbox:write'), validate(schemas.releaseThread), releaseThread);
+router.post('/:threadId/messages', authorize('inbox:write'), validate(schemas.replyToThread), replyToThread);
+
+module.exports = router;
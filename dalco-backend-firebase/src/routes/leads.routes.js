@@ -1,10 +1,23 @@
 const express = require('express');
-const { listLeads, createLead } = require('../controllers/leads.controller');
+const {
+  listLeads,
+  getLead,
+  createLead,
+  updateLead,
+  deleteLead,
+} = require('../controllers/leads.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/leads.schemas');
 
 const router = express.Router();
 
-router.get('/', listLeads);
-router.post('/', createLead);
+router.use(authenticate);
 
-module.exports = router;
+router.get('/', authorize('leads:read'), validate(schemas.listLeads), listLeads);
+router.post('/', authorize('leads:write'), validate(schemas.createLead), createLead);
+router.get('/:id', authorize('leads:read'), validate(schemas.getLead), getLead);
+router.patch('/:id', authorize('leads:write'), validate(schemas.updateLead), updateLead);
+router.delete('/:id', authorize('leads:delete'), validate(schemas.deleteLead), deleteLead);
 
+module.exports = router;
@@ -1,9 +1,19 @@
 const express = require('express');
 const { processWhatsAppMessage } = require('../controllers/messages.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { limitByClient } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/messages.schemas');
 
 const router = express.Router();
 
-router.post('/whatsapp', processWhatsAppMessage);
+router.post(
+  '/whatsapp',
+  authenticate,
+  authorize('messages:write'),
+  limitByClient(),
+  validate(schemas.processWhatsAppMessage),
+  processWhatsAppMessage,
+);
 
 module.exports = router;
-
@@ -0,0 +1,13 @@
+const express = require('express');
+const { getMetrics } = require('../controllers/metrics.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/metrics.schemas');
+
+const router = express.Router();
+
+// Scrapers authenticate like any other client, e.g. with an API key holding the
+// `monitor` role in X-API-Key.
+router.get('/', authenticate, authorize('metrics:read'), validate(schemas.getMetrics), getMetrics);
+
+module.exports = router;
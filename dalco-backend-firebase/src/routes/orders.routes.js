@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  listOrders,
+  getOrder,
+  createOrder,
+  updateOrder,
+  changeOrderStatus,
+  deleteOrder,
+} = require('../controllers/orders.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/orders.schemas');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', authorize('orders:read'), validate(schemas.listOrders), listOrders);
+router.post('/', authorize('orders:write'), validate(schemas.createOrder), createOrder);
+router.get('/:id', authorize('orders:read'), validate(schemas.getOrder), getOrder);
+router.patch('/:id', authorize('orders:write'), validate(schemas.updateOrder), updateOrder);
+router.post('/:id/status', authorize('orders:write'), validate(schemas.changeOrderStatus), changeOrderStatus);
+router.delete('/:id', authorize('orders:delete'), validate(schemas.deleteOrder), deleteOrder);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const {
+  listOutbox,
+  getOutboxEntry,
+  replayOutboxEntry,
+  replayDeadLetters,
+} = require('../controllers/outbox.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/outbox.schemas');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', authorize('outbox:read'), validate(schemas.listOutbox), listOutbox);
+router.post('/replay', authorize('outbox:replay'), validate(schemas.replayDeadLetters), replayDeadLetters);
+router.get('/:id', authorize('outbox:read'), validate(schemas.getOutboxEntry), getOutboxEntry);
+router.post('/:id/replay', authorize('outbox:replay'), validate(schemas.replayOutboxEntry), replayOutboxEntry);
+
+module.exports = router;
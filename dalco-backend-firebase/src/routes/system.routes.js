@@ -1,9 +1,18 @@
 const express = require('express');
 const { getStatus } = require('../controllers/system.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/system.schemas');
 
 const router = express.Router();
 
-router.get('/status', getStatus);
+// Deep checks write to Firestore and call external services, so owners only.
+router.get(
+  '/status',
+  authenticate,
+  authorize((req) => (req.query.deep === 'true' ? 'system:deep' : 'system:read')),
+  validate(schemas.getStatus),
+  getStatus,
+);
 
 module.exports = router;
-
@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  verifyWhatsAppWebhook,
+  receiveWhatsAppWebhook,
+  verifyInstagramWebhook,
+  receiveInstagramWebhook,
+  receiveEmailWebhook,
+} = require('../controllers/webhooks.controller');
+const { verifyMetaSignature } = require('../middleware/metaSignature');
+const { verifyWebhookToken } = require('../middleware/webhookToken');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/webhooks.schemas');
+
+const router = express.Router();
+
+router.get('/whatsapp', validate(schemas.verifyWhatsAppWebhook), verifyWhatsAppWebhook);
+router.post(
+  '/whatsapp',
+  verifyMetaSignature('WHATSAPP_APP_SECRET'),
+  validate(schemas.receiveWhatsAppWebhook),
+  receiveWhatsAppWebhook,
+);
+
+router.get('/instagram', validate(schemas.verifyInstagramWebhook), verifyInstagramWebhook);
+router.post(
+  '/instagram',
+  verifyMetaSignature('INSTAGRAM_APP_SECRET'),
+  validate(schemas.receiveInstagramWebhook),
+  receiveInstagramWebhook,
+);
+
+router.post(
+  '/email',
+  verifyWebhookToken('EMAIL_WEBHOOK_TOKEN'),
+  validate(schemas.receiveEmailWebhook),
+  receiveEmailWebhook,
+);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const { GRANULARITIES } = require('../services/analytics.service');
+const {
+  ref,
+  dateParam,
+  ok,
+  dataResponse,
+} = require('./common');
+
+const rangeFields = {
+  from: dateParam('First day of the range (default: 30 days before `to`)'),
+  to: dateParam('Last day of the range, inclusive (default: today)'),
+  granularity: { type: 'string', enum: GRANULARITIES, description: 'Period size (default: day)' },
+};
+
+const totals = {
+  type: 'object',
+  properties: {
+    revenue: { type: 'number' },
+    units: { type: 'number' },
+    orders: { type: 'integer' },
+    averageOrderValue: { type: 'number' },
+  },
+};
+
+const productRanking = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      item: { type: 'string' },
+      revenue: { type: 'number' },
+      units: { type: 'number' },
+      orders: { type: 'integer' },
+      revenueShare: { type: 'number', description: 'Percent of revenue' },
+      unitShare: { type: 'number', description: 'Percent of units' },
+    },
+  },
+};
+
+const components = {
+  SalesOverview: {
+    type: 'object',
+    properties: {
+      range: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time', description: 'Exclusive end' },
+          granularity: { type: 'string', enum: GRANULARITIES },
+          previousFrom: { type: 'string', format: 'date-time', description: 'Start of the comparison period' },
+        },
+      },
+      totals,
+      previous: totals,
+      change: {
+        type: 'object',
+        description: 'Percent change against the previous period of the same length (null without data)',
+        additionalProperties: { type: 'number', nullable: true },
+      },
+      series: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            period: { type: 'string', example: '2025-01-06' },
+            start: { type: 'string', format: 'date-time' },
+            ...totals.properties,
+          },
+        },
+      },
+      topProducts: {
+        type: 'object',
+        properties: {
+          byRevenue: productRanking,
+          byUnits: productRanking,
+        },
+      },
+      unpricedItems: { type: 'array', items: { type: 'string' } },
+      undatedRows: { type: 'integer' },
+      totalOrders: { type: 'integer', deprecated: true, description: 'Same as totals.orders' },
+      topProduct: { type: 'string', nullable: true, deprecated: true },
+      topProductShare: { type: 'number', deprecated: true, description: 'Percent of units' },
+      lastOrders: { type: 'array', items: { type: 'object', additionalProperties: true }, deprecated: true },
+    },
+  },
+};
+
+const getOverview = {
+  summary: 'Sales overview for a date range',
+  description: 'Revenue, units, orders and average order value per period, top products and change '
+    + 'against the previous period. Ranges are capped at 366 periods.',
+  query: {
+    type: 'object',
+    properties: rangeFields,
+  },
+  responses: {
+    200: dataResponse('Overview', ref('SalesOverview')),
+  },
+};
+
+const generateInsights = {
+  summary: 'AI trend summary from JamAI Base',
+  description: 'Summarises `metrics` when given, otherwise the sales overview for the range '
+    + '(from the query string or the body).',
+  query: {
+    type: 'object',
+    properties: {
+      ...rangeFields,
+      locale: { type: 'string', maxLength: 10 },
+    },
+  },
+  body: {
+    type: 'object',
+    properties: {
+      ...rangeFields,
+      locale: { type: 'string', maxLength: 10, description: 'Language of the summary' },
+      metrics: { type: 'object', additionalProperties: true, description: 'Metrics to summarise instead' },
+    },
+    additionalProperties: false,
+  },
+  responses: {
+    200: ok('Insight text', {
+      insights: { type: 'string' },
+      source: { type: 'string', enum: ['jamai', 'fallback'], description: 'Whether JamAI Base wrote the text' },
+    }),
+  },
+};
+
+module.exports = {
+  components,
+  getOverview,
+  generateInsights,
+};
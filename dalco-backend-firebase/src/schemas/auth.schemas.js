@@ -0,0 +1,65 @@
+const { ROLES } = require('../config/permissions');
+const { ok } = require('./common');
+
+const roles = { type: 'array', items: { type: 'string', enum: ROLES } };
+
+const verifyFirebaseToken = {
+  summary: 'Verify a Firebase ID token',
+  body: {
+    type: 'object',
+    properties: {
+      idToken: { type: 'string', minLength: 1 },
+    },
+    required: ['idToken'],
+    additionalProperties: false,
+  },
+  responses: {
+    200: ok('Decoded token', {
+      user: { type: 'object', additionalProperties: true, description: 'Decoded token claims' },
+      roles,
+    }),
+  },
+};
+
+const getCurrentUser = {
+  summary: 'Current caller and roles',
+  responses: {
+    200: ok('Caller', {
+      user: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['user', 'apiKey'] },
+          id: { type: 'string' },
+          roles,
+        },
+      },
+    }),
+  },
+};
+
+const setUserRole = {
+  summary: 'Assign a role',
+  description: 'Stored as a Firebase custom claim; applies once the user\'s ID token refreshes. '
+    + 'Only available with AUTH_VERIFIER=firebase.',
+  body: {
+    type: 'object',
+    properties: {
+      uid: { type: 'string', minLength: 1 },
+      role: { type: 'string', enum: ROLES },
+    },
+    required: ['uid', 'role'],
+    additionalProperties: false,
+  },
+  responses: {
+    200: ok('Role assigned', {
+      uid: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+    }),
+  },
+};
+
+module.exports = {
+  verifyFirebaseToken,
+  getCurrentUser,
+  setUserRole,
+};
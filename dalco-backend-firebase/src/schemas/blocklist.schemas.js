@@ -0,0 +1,71 @@
+const { BLOCK_TYPES } = require('../services/rateLimit.service');
+const {
+  ref,
+  timestamp,
+  idParams,
+  ok,
+  dataResponse,
+  errorResponse,
+} = require('./common');
+
+const components = {
+  BlocklistEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'sender:60123456789' },
+      type: { type: 'string', enum: BLOCK_TYPES },
+      value: { type: 'string' },
+      reason: { type: 'string', nullable: true },
+      expiresAt: timestamp('Null blocks until removed'),
+      createdBy: { type: 'string', nullable: true },
+      createdAt: timestamp(),
+      active: { type: 'boolean', description: 'False once expired' },
+    },
+  },
+};
+
+const listBlocklist = {
+  summary: 'Blocked senders, clients and IPs',
+  responses: {
+    200: dataResponse('Blocklist', { type: 'array', items: ref('BlocklistEntry') }),
+  },
+};
+
+const addToBlocklist = {
+  summary: 'Block a sender, API client or IP',
+  description: 'Blocking the same value again replaces the entry.',
+  body: {
+    type: 'object',
+    properties: {
+      type: {
+        type: 'string',
+        enum: BLOCK_TYPES,
+        description: 'sender: customer address on a channel; client: API key name or user ID; ip: client IP',
+      },
+      value: { type: 'string', minLength: 1, maxLength: 320 },
+      reason: { type: 'string', maxLength: 500 },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+    },
+    required: ['type', 'value'],
+    additionalProperties: false,
+  },
+  responses: {
+    201: dataResponse('Blocklist entry', ref('BlocklistEntry')),
+  },
+};
+
+const removeFromBlocklist = {
+  summary: 'Unblock',
+  params: idParams('Blocklist entry ID'),
+  responses: {
+    200: ok('Removed'),
+    404: errorResponse('Blocklist entry not found'),
+  },
+};
+
+module.exports = {
+  components,
+  listBlocklist,
+  addToBlocklist,
+  removeFromBlocklist,
+};
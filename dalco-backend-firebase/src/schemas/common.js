@@ -0,0 +1,94 @@
+// Building blocks for route specs. A spec is `{ summary, description, params,
+// query, body, responses }`: params/query/body are object schemas checked by
+// middleware/validate.js, and `responses` maps a status code to
+// `{ description, schema }` (JSON) or `{ description, content }` (other types).
+// Named response schemas go in each module's `components`.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const timestamp = (description) => ({
+  type: 'string',
+  format: 'date-time',
+  nullable: true,
+  ...(description && { description }),
+});
+
+// Date filters take a local day (YYYY-MM-DD) or a full ISO 8601 date-time.
+const dateParam = (description) => ({ type: 'string', format: 'date-time', description });
+
+const idParams = (description) => ({
+  type: 'object',
+  properties: {
+    id: { type: 'string', description },
+  },
+  required: ['id'],
+});
+
+const pageParams = {
+  limit: { type: 'integer', minimum: 1, description: 'Page size (default 20, capped at 100)' },
+  cursor: { type: 'string', description: '`nextCursor` from the previous page' },
+};
+
+const successBody = (properties = {}) => ({
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    ...properties,
+  },
+  required: ['success'],
+});
+
+const ok = (description, properties) => ({ description, schema: successBody(properties) });
+
+const dataResponse = (description, schema) => ok(description, { data: schema });
+
+const pageResponse = (description, schema) => ok(description, {
+  data: { type: 'array', items: schema },
+  nextCursor: { type: 'string', nullable: true, description: 'Pass as `cursor` for the next page' },
+});
+
+const errorResponse = (description) => ({ description, schema: ref('Error') });
+
+const components = {
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      details: { description: 'Extra context, e.g. the allowed values' },
+    },
+    required: ['success', 'error'],
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', enum: ['Invalid request'] },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['params', 'query', 'body'] },
+            path: { type: 'string', example: 'phoneNumber' },
+            message: { type: 'string', example: 'is required' },
+          },
+        },
+      },
+    },
+    required: ['success', 'error', 'details'],
+  },
+};
+
+module.exports = {
+  components,
+  ref,
+  timestamp,
+  dateParam,
+  idParams,
+  pageParams,
+  ok,
+  dataResponse,
+  pageResponse,
+  errorResponse,
+};
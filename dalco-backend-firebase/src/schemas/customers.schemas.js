@@ -0,0 +1,125 @@
+const {
+  ref,
+  timestamp,
+  idParams,
+  pageParams,
+  dataResponse,
+  pageResponse,
+  errorResponse,
+} = require('./common');
+
+const components = {
+  Customer: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Phone number for WhatsApp; "email:..." or "instagram:..." otherwise' },
+      name: { type: 'string', nullable: true },
+      phone: { type: 'string', nullable: true },
+      email: { type: 'string', nullable: true },
+      identities: { type: 'array', items: { type: 'string' }, example: ['whatsapp:+60123456789'] },
+      addresses: { type: 'array', items: { type: 'string' }, description: 'Most recent first, up to 5' },
+      preferredLanguage: { type: 'string', nullable: true, example: 'ms' },
+      languagePinned: { type: 'boolean' },
+      orders: {
+        type: 'array',
+        description: 'Latest 50 orders',
+        items: {
+          type: 'object',
+          properties: {
+            orderId: { type: 'string' },
+            at: timestamp(),
+            units: { type: 'number' },
+            amount: { type: 'number' },
+          },
+        },
+      },
+      orderCount: { type: 'integer' },
+      lifetimeValue: { type: 'number' },
+      mergedFrom: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            at: timestamp(),
+            by: { type: 'string' },
+          },
+        },
+      },
+      firstSeenAt: timestamp(),
+      lastSeenAt: timestamp(),
+      lastOrderAt: timestamp(),
+    },
+  },
+};
+
+const listCustomers = {
+  summary: 'List customer profiles, or search them',
+  description: 'Without `q`, pages through profiles by most recent contact.',
+  query: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', description: 'Matches name, phone, email or address' },
+      ...pageParams,
+    },
+  },
+  responses: {
+    200: pageResponse('Customers', ref('Customer')),
+  },
+};
+
+const getCustomer = {
+  summary: 'Customer profile with addresses and order history',
+  params: idParams('Customer ID'),
+  responses: {
+    200: dataResponse('Customer', ref('Customer')),
+    404: errorResponse('Customer not found'),
+  },
+};
+
+const updateCustomer = {
+  summary: 'Pin or unpin the reply language',
+  params: idParams('Customer ID'),
+  body: {
+    type: 'object',
+    properties: {
+      preferredLanguage: {
+        type: 'string',
+        nullable: true,
+        description: 'A supported locale to pin, or null to go back to detection',
+      },
+    },
+    required: ['preferredLanguage'],
+    additionalProperties: false,
+  },
+  responses: {
+    200: dataResponse('Updated customer', ref('Customer')),
+    404: errorResponse('Customer not found'),
+  },
+};
+
+const mergeCustomers = {
+  summary: 'Merge a duplicate profile into this one',
+  description: 'Identities, addresses and order history move to this profile; the source is deleted.',
+  params: idParams('Customer ID to keep'),
+  body: {
+    type: 'object',
+    properties: {
+      sourceId: { type: 'string', minLength: 1, description: 'Customer ID to merge and delete' },
+    },
+    required: ['sourceId'],
+    additionalProperties: false,
+  },
+  responses: {
+    200: dataResponse('Merged customer', ref('Customer')),
+    404: errorResponse('Customer not found'),
+  },
+};
+
+module.exports = {
+  components,
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  mergeCustomers,
+};
@@ -0,0 +1,32 @@
+const { LIVE_EVENT_TYPES } = require('../services/liveEvents.service');
+
+const streamEvents = {
+  summary: 'Live dashboard events',
+  description: 'A Server-Sent Events stream of `order` (a confirmed order, as its order log rows), '
+    + '`message` (an inbound customer message) and `totals` (today\'s revenue, units, orders and '
+    + 'average order value) events, each with a JSON `data` line. Today\'s totals are sent on connect. '
+    + 'Clients reconnecting with a `Last-Event-ID` header (or `lastEventId`) first receive the recent '
+    + 'events they missed. Comment lines keep idle connections open.',
+  query: {
+    type: 'object',
+    properties: {
+      lastEventId: {
+        type: 'integer',
+        minimum: 0,
+        description: 'Replay events after this ID, for clients that cannot send Last-Event-ID',
+      },
+    },
+  },
+  responses: {
+    200: {
+      description: `Event stream (${LIVE_EVENT_TYPES.join(', ')})`,
+      content: {
+        'text/event-stream': { schema: { type: 'string' } },
+      },
+    },
+  },
+};
+
+module.exports = {
+  streamEvents,
+};
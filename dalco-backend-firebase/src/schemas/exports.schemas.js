@@ -0,0 +1,66 @@
+const { LEAD_STATUSES } = require('../services/leads.service');
+const { ORDER_STATUSES } = require('../services/orders.service');
+const { EXPORT_FORMATS } = require('../utils/exportWriters');
+const { dateParam } = require('./common');
+
+const exportQuery = (filters) => ({
+  type: 'object',
+  properties: {
+    format: { type: 'string', enum: EXPORT_FORMATS, description: 'File format (default: csv)' },
+    from: dateParam('Created (orders: timestamp) on or after this local day'),
+    to: dateParam('Created (orders: timestamp) up to the end of this local day'),
+    ...filters,
+  },
+});
+
+const fileResponses = {
+  200: {
+    description: 'The file, streamed row by row',
+    content: {
+      'text/csv': { schema: { type: 'string', format: 'binary' } },
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+        schema: { type: 'string', format: 'binary' },
+      },
+    },
+  },
+};
+
+const exportSpec = (summary) => ({
+  summary,
+  description: 'Other filters are rejected with 400 listing the supported ones. Filtering by a field '
+    + 'and a date range needs a composite index in Firestore.',
+  responses: fileResponses,
+});
+
+const exportOrders = {
+  ...exportSpec('Download order rows'),
+  query: exportQuery({
+    status: { type: 'string', enum: ORDER_STATUSES },
+  }),
+};
+
+const exportMessages = {
+  ...exportSpec('Download the message log'),
+  query: exportQuery({
+    status: { type: 'string' },
+    channel: { type: 'string' },
+    direction: { type: 'string', enum: ['inbound', 'outbound'] },
+    intent: { type: 'string' },
+    threadId: { type: 'string' },
+  }),
+};
+
+const exportLeads = {
+  ...exportSpec('Download leads'),
+  query: exportQuery({
+    status: { type: 'string', enum: LEAD_STATUSES },
+    channel: { type: 'string' },
+    assignedTo: { type: 'string' },
+  }),
+};
+
+module.exports = {
+  exportOrders,
+  exportMessages,
+  exportLeads,
+};
@@ -0,0 +1,181 @@
+const { CHANNELS } = require('../services/channels');
+const { CONVERSATION_MODES, HANDOFF_REASONS } = require('../services/inbox.service');
+const {
+  ref,
+  timestamp,
+  ok,
+  dataResponse,
+  errorResponse,
+} = require('./common');
+
+const threadParams = {
+  type: 'object',
+  properties: {
+    threadId: { type: 'string', minLength: 3, description: '`<channel>:<customer address>`, URL-encoded' },
+  },
+  required: ['threadId'],
+};
+
+const noteBody = {
+  type: 'object',
+  properties: {
+    note: { type: 'string', maxLength: 1000, description: 'Recorded in the handoff history' },
+  },
+  additionalProperties: false,
+};
+
+const messageSummary = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    direction: { type: 'string', enum: ['inbound', 'outbound'] },
+    content: { type: 'string' },
+    intent: { type: 'string', nullable: true },
+    status: { type: 'string', nullable: true },
+    createdAt: timestamp(),
+  },
+};
+
+const threadFields = {
+  threadId: { type: 'string', example: 'whatsapp:60123456789' },
+  channel: { type: 'string', example: 'whatsapp' },
+  address: { type: 'string', description: 'Phone number, Instagram ID or email address' },
+  mode: { type: 'string', enum: CONVERSATION_MODES, description: '`human` while staff hold the conversation' },
+  assignedTo: { type: 'string', nullable: true, description: 'Staff member holding it' },
+  reason: { type: 'string', enum: HANDOFF_REASONS, nullable: true, description: 'Why the mode last changed' },
+  modeChangedAt: timestamp(),
+  lastMessage: { ...messageSummary, nullable: true },
+  awaitingReply: { type: 'boolean', description: 'The customer wrote last' },
+};
+
+const components = {
+  InboxThread: {
+    type: 'object',
+    properties: threadFields,
+  },
+  InboxThreadDetail: {
+    type: 'object',
+    properties: {
+      ...threadFields,
+      history: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', enum: CONVERSATION_MODES },
+            to: { type: 'string', enum: CONVERSATION_MODES },
+            at: timestamp(),
+            by: { type: 'string', description: 'Staff member, or `bot` for automatic escalation' },
+            reason: { type: 'string', enum: HANDOFF_REASONS },
+            note: { type: 'string' },
+          },
+        },
+      },
+      messages: {
+        type: 'array',
+        description: 'Oldest first',
+        items: { type: 'object', additionalProperties: true },
+      },
+    },
+  },
+  Conversation: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      threadId: threadFields.threadId,
+      channel: threadFields.channel,
+      address: threadFields.address,
+      mode: threadFields.mode,
+      assignedTo: threadFields.assignedTo,
+      reason: threadFields.reason,
+      modeChangedAt: timestamp(),
+    },
+  },
+};
+
+const listThreads = {
+  summary: 'Conversation inbox',
+  description: 'One entry per customer thread, newest activity first. Threads come from the most recent '
+    + '`INBOX_SCAN_LIMIT` messages, plus every thread staff currently hold.',
+  query: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: CONVERSATION_MODES },
+      channel: { type: 'string', enum: Object.keys(CHANNELS) },
+      limit: { type: 'integer', minimum: 1, description: 'Number of threads (default 20, capped at 100)' },
+    },
+  },
+  responses: {
+    200: ok('Threads', { data: { type: 'array', items: ref('InboxThread') } }),
+  },
+};
+
+const getThread = {
+  summary: 'One conversation with its messages and handoff history',
+  params: threadParams,
+  query: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, description: 'Latest messages to return (default 50, capped at 200)' },
+    },
+  },
+  responses: {
+    200: dataResponse('Thread', ref('InboxThreadDetail')),
+    404: errorResponse('Conversation not found'),
+  },
+};
+
+const takeOverThread = {
+  summary: 'Take a conversation over from the bot',
+  description: 'The bot stops replying to this customer until the conversation is handed back. Taking over a '
+    + 'conversation another staff member holds assigns it to you.',
+  params: threadParams,
+  body: noteBody,
+  responses: {
+    200: dataResponse('Conversation', ref('Conversation')),
+    404: errorResponse('Conversation not found'),
+  },
+};
+
+const releaseThread = {
+  summary: 'Hand a conversation back to the bot',
+  params: threadParams,
+  body: noteBody,
+  responses: {
+    200: dataResponse('Conversation', ref('Conversation')),
+    404: errorResponse('Conversation not found'),
+  },
+};
+
+const replyToThread = {
+  summary: 'Send a manual reply',
+  description: 'Delivered through the channel the customer wrote on and logged in `messages` with intent '
+    + '`manual`. A conversation the bot holds is taken over first.',
+  params: threadParams,
+  body: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: 4096 },
+    },
+    required: ['message'],
+    additionalProperties: false,
+  },
+  responses: {
+    201: ok('Sent', {
+      messageId: { type: 'string', nullable: true, description: 'Logged outbound message' },
+      providerMessageId: { type: 'string' },
+      conversation: ref('Conversation'),
+    }),
+    404: errorResponse('Conversation not found'),
+    502: errorResponse('The channel did not accept the reply'),
+  },
+};
+
+module.exports = {
+  components,
+  listThreads,
+  getThread,
+  takeOverThread,
+  releaseThread,
+  replyToThread,
+};
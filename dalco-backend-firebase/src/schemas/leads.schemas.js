@@ -0,0 +1,138 @@
+const { LEAD_STATUSES } = require('../services/leads.service');
+const {
+  ref,
+  timestamp,
+  dateParam,
+  idParams,
+  pageParams,
+  ok,
+  dataResponse,
+  pageResponse,
+  errorResponse,
+} = require('./common');
+
+const leadFields = {
+  customerName: { type: 'string', maxLength: 200 },
+  phone: { type: 'string', maxLength: 50 },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  channel: { type: 'string', maxLength: 50, example: 'whatsapp' },
+  assignedTo: { type: 'string', nullable: true, description: 'User ID of the staff member following up' },
+  notes: { type: 'string', nullable: true, maxLength: 5000 },
+  score: { type: 'number', minimum: 0 },
+};
+
+const components = {
+  Lead: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ...leadFields,
+      customerName: { type: 'string', nullable: true },
+      threadId: { type: 'string', description: 'Set on leads opened by the bot', example: 'whatsapp:+60123456789' },
+      source: { type: 'string', example: 'conversation' },
+      sourceMessageId: { type: 'string', nullable: true },
+      status: { type: 'string', enum: LEAD_STATUSES },
+      statusHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', nullable: true },
+            to: { type: 'string' },
+            at: timestamp(),
+            by: { type: 'string' },
+            note: { type: 'string' },
+          },
+        },
+      },
+      lastIntent: { type: 'string' },
+      lastMessageAt: timestamp(),
+      orderIds: { type: 'array', items: { type: 'string' } },
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+    },
+  },
+};
+
+const listLeads = {
+  summary: 'List leads',
+  description: 'Newest first. Combining filters needs matching composite indexes in Firestore.',
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: LEAD_STATUSES },
+      channel: { type: 'string' },
+      assignedTo: { type: 'string' },
+      from: dateParam('Created on or after'),
+      to: dateParam('Created on or before'),
+      ...pageParams,
+    },
+  },
+  responses: {
+    200: pageResponse('Leads', ref('Lead')),
+  },
+};
+
+const createLead = {
+  summary: 'Register a lead manually',
+  description: 'At least one of customerName, phone or email is required.',
+  body: {
+    type: 'object',
+    properties: {
+      ...leadFields,
+      source: { type: 'string', maxLength: 50, description: 'Defaults to "manual"' },
+    },
+    additionalProperties: false,
+  },
+  responses: {
+    201: ok('Created lead', { id: { type: 'string' }, data: ref('Lead') }),
+  },
+};
+
+const getLead = {
+  summary: 'Lead details with status history',
+  params: idParams('Lead ID'),
+  responses: {
+    200: dataResponse('Lead', ref('Lead')),
+    404: errorResponse('Lead not found'),
+  },
+};
+
+const updateLead = {
+  summary: 'Update fields, assign, or move the lead\'s status',
+  description: 'Statuses move new -> contacted -> quoted -> won, or to lost from any open status.',
+  params: idParams('Lead ID'),
+  body: {
+    type: 'object',
+    properties: {
+      ...leadFields,
+      status: { type: 'string', enum: LEAD_STATUSES },
+      note: { type: 'string', maxLength: 1000, description: 'Recorded with the status change' },
+    },
+    additionalProperties: false,
+    minProperties: 1,
+  },
+  responses: {
+    200: dataResponse('Updated lead', ref('Lead')),
+    404: errorResponse('Lead not found'),
+    409: errorResponse('Status change not allowed from the current status'),
+  },
+};
+
+const deleteLead = {
+  summary: 'Delete a lead',
+  params: idParams('Lead ID'),
+  responses: {
+    200: ok('Deleted'),
+    404: errorResponse('Lead not found'),
+  },
+};
+
+module.exports = {
+  components,
+  listLeads,
+  createLead,
+  getLead,
+  updateLead,
+  deleteLead,
+};
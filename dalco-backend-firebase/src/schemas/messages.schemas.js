@@ -0,0 +1,76 @@
+const { CHANNELS } = require('../services/channels');
+const { FALLBACK_REASONS } = require('../services/jamai.service');
+const { ref, errorResponse } = require('./common');
+
+const components = {
+  AiSource: {
+    type: 'object',
+    description: 'Whether JamAI Base or a local fallback produced each step of the reply',
+    properties: {
+      source: {
+        type: 'string',
+        enum: ['jamai', 'fallback', 'none'],
+        description: '`fallback` when any step fell back; `none` when no AI step was needed',
+      },
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            step: { type: 'string', enum: ['intent', 'faq', 'inventory', 'order'] },
+            source: { type: 'string', enum: ['jamai', 'fallback'] },
+            fallbackReason: { type: 'string', enum: FALLBACK_REASONS },
+          },
+        },
+      },
+    },
+  },
+  InboundReply: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      intent: { type: 'string', example: 'inventory' },
+      reply: { type: 'string', nullable: true, description: 'Null when the sender is blocked or throttled, or staff hold the conversation' },
+      locale: { type: 'string', nullable: true, example: 'ms' },
+      metadata: { type: 'object', additionalProperties: true },
+      ai: ref('AiSource'),
+      duplicate: { type: 'boolean', description: 'True when this delivery was already processed' },
+    },
+  },
+};
+
+const processWhatsAppMessage = {
+  summary: 'Simulate an inbound customer message',
+  description: 'Runs the full conversation pipeline and returns the reply instead of sending it.',
+  body: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', minLength: 1, maxLength: 4096 },
+      phoneNumber: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 320,
+        description: 'Sender address: phone number, Instagram ID or email',
+      },
+      displayName: { type: 'string', maxLength: 200 },
+      channel: { type: 'string', enum: Object.keys(CHANNELS), description: 'Defaults to whatsapp' },
+      locale: { type: 'string', maxLength: 10, description: 'Force the reply language' },
+      messageId: { type: 'string', maxLength: 500, description: 'Provider message ID, used to drop redeliveries' },
+      timestamp: {
+        anyOf: [{ type: 'string', maxLength: 50 }, { type: 'number' }],
+        description: 'Provider timestamp, used to tell repeats apart when there is no messageId',
+      },
+    },
+    required: ['message', 'phoneNumber'],
+    additionalProperties: false,
+  },
+  responses: {
+    200: { description: 'Reply', schema: ref('InboundReply') },
+    409: errorResponse('The same delivery is still being processed'),
+  },
+};
+
+module.exports = {
+  components,
+  processWhatsAppMessage,
+};
@@ -0,0 +1,18 @@
+const getMetrics = {
+  summary: 'Prometheus metrics',
+  description: 'Counters and histograms in the Prometheus text format: HTTP requests per route, messages '
+    + 'per channel and intent, orders created, JamAI Base and Google Sheets calls, and failed Firestore '
+    + 'message writes. Counts start from zero when the process starts.',
+  responses: {
+    200: {
+      description: 'Prometheus text exposition format 0.0.4',
+      content: {
+        'text/plain': { schema: { type: 'string' } },
+      },
+    },
+  },
+};
+
+module.exports = {
+  getMetrics,
+};
@@ -0,0 +1,153 @@
+const { version } = require('../../package.json');
+const { authenticate } = require('../middleware/auth');
+const { ref, errorResponse } = require('./common');
+
+// Modules contributing named schemas to `components.schemas`.
+const COMPONENT_MODULES = [
+  require('./common'),
+  require('./leads.schemas'),
+  require('./customers.schemas'),
+  require('./messages.schemas'),
+  require('./inbox.schemas'),
+  require('./orders.schemas'),
+  require('./analytics.schemas'),
+  require('./outbox.schemas'),
+  require('./blocklist.schemas'),
+];
+
+const toOpenApiPath = (path) => path.replace(/\/$/, '').replace(/:(\w+)/g, '{$1}');
+
+const toParameters = (schema, location) => Object.entries(schema?.properties || {})
+  .map(([name, { description, ...memberSchema }]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(description && { description }),
+    schema: memberSchema,
+  }));
+
+const toResponses = (responses = {}) => Object.fromEntries(
+  Object.entries(responses).map(([status, { description, schema, content }]) => [status, {
+    description,
+    ...((schema || content) && {
+      content: content || { 'application/json': { schema } },
+    }),
+  }]),
+);
+
+const describePermission = (permission) => {
+  if (!permission) {
+    return null;
+  }
+  return typeof permission === 'function'
+    ? 'The required permission depends on the request (see above).'
+    : `Requires the \`${permission}\` permission.`;
+};
+
+// One operation from the middleware on a route: the spec from validate(), the
+// permission from authorize() and the bucket from the rate limiters.
+const describeRoute = ({ handles, authenticated, tag }) => {
+  const spec = handles.find((handle) => handle.spec)?.spec || {};
+  const permission = handles.find((handle) => handle.permission)?.permission;
+  const rateLimited = handles.some((handle) => handle.rateLimit);
+  const controller = handles[handles.length - 1];
+  const description = [spec.description, describePermission(permission)].filter(Boolean).join('\n\n');
+
+  const responses = {
+    ...toResponses(spec.responses),
+    ...((spec.params || spec.query || spec.body) && {
+      400: { description: 'Invalid request', content: { 'application/json': { schema: ref('ValidationError') } } },
+    }),
+    ...(authenticated && toResponses({ 401: errorResponse('Missing or invalid credentials') })),
+    ...(permission && toResponses({ 403: errorResponse('Insufficient permissions') })),
+    ...(rateLimited && toResponses({ 429: errorResponse('Too many requests; see the Retry-After header') })),
+  };
+
+  return {
+    tags: [tag],
+    summary: spec.summary,
+    ...(description && { description }),
+    ...(controller.name && { operationId: controller.name }),
+    ...(typeof permission === 'string' && { 'x-permission': permission }),
+    parameters: [
+      ...toParameters(spec.params, 'path'),
+      ...toParameters(spec.query, 'query'),
+    ],
+    ...(spec.body && {
+      requestBody: {
+        required: Boolean(spec.body.required?.length || spec.body.minProperties),
+        content: { 'application/json': { schema: spec.body } },
+      },
+    }),
+    responses,
+    security: authenticated ? [{ bearerAuth: [] }, { apiKeyAuth: [] }] : [],
+  };
+};
+
+// Routes registered on `router`, with whether `router.use(authenticate)` or the
+// route itself requires a caller. Set `documentedOnly` for routers mixing API
+// and non-API routes (the app itself).
+const collectRoutes = (router, prefix, { documentedOnly = false } = {}) => {
+  let routerAuthenticated = false;
+
+  return router.stack.flatMap((layer) => {
+    if (!layer.route) {
+      routerAuthenticated = routerAuthenticated || layer.handle === authenticate;
+      return [];
+    }
+
+    const handles = layer.route.stack.map(({ handle }) => handle);
+    if (documentedOnly && !handles.some((handle) => handle.spec)) {
+      return [];
+    }
+
+    return Object.keys(layer.route.methods).map((method) => ({
+      method,
+      path: toOpenApiPath(`${prefix}${layer.route.path}`),
+      handles,
+      authenticated: routerAuthenticated || handles.includes(authenticate),
+    }));
+  });
+};
+
+// Builds the OpenAPI 3.0 document from the mounted routers (`routes` is the
+// `{ path, router, tag }` table app.js mounts) plus the app's own routes
+// that carry a spec, so the docs always match what is served.
+const buildOpenApiDocument = ({ app, prefix, routes }) => {
+  const paths = {};
+  const operations = [
+    ...collectRoutes(app.router, '', { documentedOnly: true }).map((route) => ({ ...route, tag: 'system' })),
+    ...routes.flatMap(({ path, router, tag }) => (
+      collectRoutes(router, `${prefix}${path}`).map((route) => ({ ...route, tag }))
+    )),
+  ];
+
+  operations.forEach(({ method, path, ...route }) => {
+    paths[path] = paths[path] || {};
+    paths[path][method] = describeRoute(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'DalCo API',
+      version,
+      description: 'Data-Link Co-pilot: customer messaging, leads, orders and sales analytics for SMEs. '
+        + 'Every /api route except webhooks and health is also rate limited per client IP (429).',
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(operations.map(({ tag }) => tag))].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      schemas: Object.assign({}, ...COMPONENT_MODULES.map((schemas) => schemas.components)),
+    },
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+};
@@ -0,0 +1,214 @@
+const { ORDER_STATUSES } = require('../services/orders.service');
+const {
+  ref,
+  timestamp,
+  dateParam,
+  idParams,
+  pageParams,
+  ok,
+  dataResponse,
+  pageResponse,
+  errorResponse,
+} = require('./common');
+
+const orderFields = {
+  customerName: { type: 'string', maxLength: 200 },
+  phoneNumber: { type: 'string', maxLength: 254, description: 'The customer\'s address on the channel' },
+  deliveryAddress: { type: 'string', maxLength: 1000 },
+  notes: { type: 'string', maxLength: 5000 },
+};
+
+const attributes = {
+  type: 'object',
+  properties: {
+    color: { type: 'string', nullable: true },
+    size: { type: 'string', nullable: true },
+  },
+};
+
+const lineItemInput = {
+  type: 'object',
+  properties: {
+    sku: { type: 'string', maxLength: 100, description: 'Pins the exact variant' },
+    itemName: { type: 'string', maxLength: 200, description: 'Matched against the catalogue when no SKU is given' },
+    attributes,
+    quantity: { type: 'integer', minimum: 1 },
+  },
+  required: ['quantity'],
+  additionalProperties: false,
+};
+
+const lineItems = {
+  type: 'array',
+  items: lineItemInput,
+  minItems: 1,
+  maxItems: 50,
+};
+
+const components = {
+  Order: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Same as orderId' },
+      orderId: { type: 'string', example: 'ORD-00042' },
+      orderNumber: { type: 'integer', example: 42 },
+      status: { type: 'string', enum: ORDER_STATUSES },
+      ...orderFields,
+      channel: { type: 'string', nullable: true, example: 'whatsapp' },
+      threadId: { type: 'string', nullable: true, example: 'whatsapp:60123456789' },
+      source: { type: 'string', enum: ['conversation', 'manual'] },
+      sourceMessageIds: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Inbound `messages` the order was built from',
+      },
+      lineItems: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            itemName: { type: 'string' },
+            sku: { type: 'string' },
+            attributes,
+            quantity: { type: 'integer' },
+            unitPrice: { type: 'number' },
+          },
+        },
+      },
+      totals: {
+        type: 'object',
+        properties: {
+          units: { type: 'integer' },
+          amount: { type: 'number', description: 'RM, at the prices when the order was placed' },
+        },
+      },
+      stockCommitted: { type: 'boolean', description: 'The order\'s stock is out of the inventory' },
+      statusHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', nullable: true },
+            to: { type: 'string' },
+            at: timestamp(),
+            by: { type: 'string' },
+            note: { type: 'string' },
+          },
+        },
+      },
+      confirmedAt: timestamp(),
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+    },
+  },
+};
+
+const listOrders = {
+  summary: 'List orders',
+  description: 'Newest first. Combining filters needs matching composite indexes in Firestore.',
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ORDER_STATUSES },
+      channel: { type: 'string' },
+      phoneNumber: { type: 'string' },
+      from: dateParam('Created on or after'),
+      to: dateParam('Created on or before'),
+      ...pageParams,
+    },
+  },
+  responses: {
+    200: pageResponse('Orders', ref('Order')),
+  },
+};
+
+const createOrder = {
+  summary: 'Register an order taken outside the bot',
+  description: 'The order starts `pending` and takes its stock when confirmed. Each line item needs a SKU or an item name the catalogue knows.',
+  body: {
+    type: 'object',
+    properties: {
+      ...orderFields,
+      channel: { type: 'string', maxLength: 50, example: 'whatsapp' },
+      sourceMessageIds: { type: 'array', items: { type: 'string' }, maxItems: 50 },
+      lineItems,
+    },
+    required: ['customerName', 'lineItems'],
+    additionalProperties: false,
+  },
+  responses: {
+    201: ok('Created order', { id: { type: 'string' }, data: ref('Order') }),
+  },
+};
+
+const getOrder = {
+  summary: 'Order details with status history',
+  params: idParams('Order ID'),
+  responses: {
+    200: dataResponse('Order', ref('Order')),
+    404: errorResponse('Order not found'),
+  },
+};
+
+const updateOrder = {
+  summary: 'Edit a pending order',
+  description: 'Once confirmed, the order is in the order log and only its status changes.',
+  params: idParams('Order ID'),
+  body: {
+    type: 'object',
+    properties: {
+      ...orderFields,
+      lineItems,
+    },
+    additionalProperties: false,
+    minProperties: 1,
+  },
+  responses: {
+    200: dataResponse('Updated order', ref('Order')),
+    404: errorResponse('Order not found'),
+    409: errorResponse('The order is no longer pending'),
+  },
+};
+
+const changeOrderStatus = {
+  summary: 'Move the order to its next status',
+  description: [
+    'Statuses move pending -> confirmed -> packed -> shipped -> delivered; orders can be cancelled until they ship.',
+    'Confirming takes the stock, cancelling puts it back, and the order log (sheet) follows each change.',
+  ].join(' '),
+  params: idParams('Order ID'),
+  body: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ORDER_STATUSES },
+      note: { type: 'string', maxLength: 1000, description: 'Recorded with the status change' },
+    },
+    required: ['status'],
+    additionalProperties: false,
+  },
+  responses: {
+    200: dataResponse('Updated order', ref('Order')),
+    404: errorResponse('Order not found'),
+    409: errorResponse('Status change not allowed, or not enough stock to confirm'),
+  },
+};
+
+const deleteOrder = {
+  summary: 'Delete a pending or cancelled order',
+  params: idParams('Order ID'),
+  responses: {
+    200: ok('Deleted'),
+    404: errorResponse('Order not found'),
+    409: errorResponse('The order is neither pending nor cancelled'),
+  },
+};
+
+module.exports = {
+  components,
+  listOrders,
+  createOrder,
+  getOrder,
+  updateOrder,
+  changeOrderStatus,
+  deleteOrder,
+};
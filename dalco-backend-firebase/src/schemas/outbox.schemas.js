@@ -0,0 +1,84 @@
+const { OUTBOX_STATUSES } = require('../services/outbox.service');
+const {
+  ref,
+  timestamp,
+  idParams,
+  pageParams,
+  ok,
+  dataResponse,
+  pageResponse,
+  errorResponse,
+} = require('./common');
+
+const components = {
+  OutboxEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'order-ORD-LX2A9K' },
+      type: { type: 'string', example: 'appendOrder' },
+      payload: { type: 'object', additionalProperties: true },
+      status: { type: 'string', enum: OUTBOX_STATUSES },
+      attempts: { type: 'integer' },
+      nextAttemptAt: timestamp(),
+      lastError: { type: 'string', nullable: true },
+      lockedUntil: timestamp('Set while a worker holds the entry'),
+      result: { type: 'object', nullable: true, additionalProperties: true },
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+      completedAt: timestamp(),
+      deadAt: timestamp(),
+      replayedAt: timestamp(),
+      replayedBy: { type: 'string', nullable: true },
+    },
+  },
+};
+
+const listOutbox = {
+  summary: 'List queued Sheets writes',
+  description: 'Newest first. `?status=dead` lists the writes that gave up.',
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: OUTBOX_STATUSES },
+      ...pageParams,
+    },
+  },
+  responses: {
+    200: pageResponse('Outbox entries', ref('OutboxEntry')),
+  },
+};
+
+const getOutboxEntry = {
+  summary: 'One outbox entry with its last error',
+  params: idParams('Outbox entry ID'),
+  responses: {
+    200: dataResponse('Outbox entry', ref('OutboxEntry')),
+    404: errorResponse('Outbox entry not found'),
+  },
+};
+
+const replayOutboxEntry = {
+  summary: 'Retry a dead entry',
+  description: 'Queues the entry again with a fresh attempt budget.',
+  params: idParams('Outbox entry ID'),
+  responses: {
+    200: dataResponse('Requeued entry', ref('OutboxEntry')),
+    404: errorResponse('Outbox entry not found'),
+    409: errorResponse('The entry is not dead or pending'),
+  },
+};
+
+const replayDeadLetters = {
+  summary: 'Retry every dead entry',
+  responses: {
+    200: ok('Requeued entries', { replayed: { type: 'array', items: { type: 'string' } } }),
+  },
+};
+
+module.exports = {
+  components,
+  listOutbox,
+  getOutboxEntry,
+  replayOutboxEntry,
+  replayDeadLetters,
+};
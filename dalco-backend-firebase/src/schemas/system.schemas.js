@@ -0,0 +1,53 @@
+const { ok } = require('./common');
+
+const getStatus = {
+  summary: 'Configuration report, cache and JamAI Base stats',
+  description: 'With `deep=true` (requires `system:deep`, owners only) also tests Firestore, JamAI Base '
+    + 'and the data store, which writes to Firestore and calls external services.',
+  query: {
+    type: 'object',
+    properties: {
+      deep: { type: 'string', enum: ['true', 'false'] },
+    },
+  },
+  responses: {
+    200: ok('Status report', {
+      config: { type: 'object', additionalProperties: true },
+      cache: { type: 'object', additionalProperties: true },
+      jamai: {
+        type: 'object',
+        description: 'Circuit breaker state, per-table calls, retries, latency and fallbacks, and the reply '
+          + 'fallback rate since the process started',
+        additionalProperties: true,
+      },
+      deepChecks: { type: 'object', nullable: true, additionalProperties: true },
+    }),
+  },
+};
+
+const getHealth = {
+  summary: 'Liveness check',
+  description: 'Writes to Firestore to confirm the connection.',
+  responses: {
+    200: ok('Healthy', {
+      status: { type: 'string', enum: ['healthy'] },
+      services: { type: 'object', additionalProperties: true },
+    }),
+    503: {
+      description: 'Firestore unreachable',
+      schema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          status: { type: 'string', enum: ['unhealthy'] },
+          error: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  getStatus,
+  getHealth,
+};
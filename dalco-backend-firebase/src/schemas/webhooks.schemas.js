@@ -0,0 +1,87 @@
+const { errorResponse } = require('./common');
+
+// Provider payloads are only checked for their outer shape: platforms add
+// fields over time and a rejected delivery is retried until they give up.
+const metaPayload = {
+  type: 'object',
+  properties: {
+    object: { type: 'string', example: 'whatsapp_business_account' },
+    entry: { type: 'array', items: { type: 'object', additionalProperties: true } },
+  },
+  additionalProperties: true,
+};
+
+const acknowledged = {
+  200: {
+    description: 'Received; messages are processed after the acknowledgement',
+    content: { 'text/plain': { schema: { type: 'string', example: 'OK' } } },
+  },
+};
+
+const verifyMetaWebhook = (platform, tokenEnvVar) => ({
+  summary: `${platform} webhook verification challenge`,
+  description: `Called by Meta when the webhook is registered; \`hub.verify_token\` must equal ${tokenEnvVar}.`,
+  query: {
+    type: 'object',
+    properties: {
+      'hub.mode': { type: 'string', example: 'subscribe' },
+      'hub.verify_token': { type: 'string' },
+      'hub.challenge': { type: 'string' },
+    },
+  },
+  responses: {
+    200: {
+      description: 'The challenge, echoed back',
+      content: { 'text/plain': { schema: { type: 'string' } } },
+    },
+    403: errorResponse('Wrong mode or token'),
+  },
+});
+
+const receiveMetaWebhook = (platform, secretEnvVar) => ({
+  summary: `${platform} webhook`,
+  description: `Signed with \`X-Hub-Signature-256\` (HMAC-SHA256 of the raw body with ${secretEnvVar}). `
+    + 'Replies are sent back through the platform API.',
+  body: metaPayload,
+  responses: {
+    ...acknowledged,
+    401: errorResponse('Missing or invalid signature'),
+  },
+});
+
+const emailMessage = {
+  type: 'object',
+  properties: {
+    from: { type: 'string', example: 'Siti <siti@example.com>' },
+    subject: { type: 'string' },
+    text: { type: 'string' },
+    html: { type: 'string' },
+    messageId: { type: 'string' },
+  },
+  additionalProperties: true,
+};
+
+const receiveEmailWebhook = {
+  summary: 'Inbound email from an SMTP relay',
+  description: 'One parsed email, or `{ "emails": [...] }`. Authenticated with the `X-Webhook-Token` header '
+    + '(EMAIL_WEBHOOK_TOKEN). Replies go out by email.',
+  body: {
+    ...emailMessage,
+    properties: {
+      ...emailMessage.properties,
+      emails: { type: 'array', items: emailMessage },
+    },
+  },
+  responses: {
+    ...acknowledged,
+    401: errorResponse('Missing or invalid token'),
+  },
+};
+
+module.exports = {
+  verifyWhatsAppWebhook: verifyMetaWebhook('WhatsApp Cloud API', 'WHATSAPP_VERIFY_TOKEN'),
+  receiveWhatsAppWebhook: receiveMetaWebhook('WhatsApp Cloud API', 'WHATSAPP_APP_SECRET'),
+  verifyInstagramWebhook: verifyMetaWebhook('Instagram Messaging', 'INSTAGRAM_VERIFY_TOKEN'),
+  receiveInstagramWebhook: receiveMetaWebhook('Instagram Messaging', 'INSTAGRAM_APP_SECRET'),
+  receiveEmailWebhook,
+};
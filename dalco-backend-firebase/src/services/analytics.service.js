@@ -0,0 +1,258 @@
+const { createHttpError } = require('../utils/httpError');
+const { localParts, localMidnight, parseBoundary } = require('../utils/localTime');
+const { readOrderLines, readInventory, isSale } = require('./inventory.service');
+const { matchProduct } = require('./productMatch.service');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_GRANULARITY = 'day';
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_PERIODS = 366;
+const TOP_PRODUCTS = 5;
+const RECENT_ORDERS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfPeriod = (ms, granularity) => {
+  const { year, month, day, weekday } = localParts(ms);
+
+  if (granularity === 'month') {
+    return localMidnight(year, month, 1);
+  }
+  if (granularity === 'week') {
+    // ISO weeks start on Monday.
+    return localMidnight(year, month, day - ((weekday + 6) % 7));
+  }
+  return localMidnight(year, month, day);
+};
+
+const nextPeriod = (start, granularity) => {
+  const { year, month, day } = localParts(start);
+
+  if (granularity === 'month') {
+    return localMidnight(year, month + 1, 1);
+  }
+  return localMidnight(year, month, day + (granularity === 'week' ? 7 : 1));
+};
+
+const periodLabel = (start, granularity) => {
+  const { year, month, day } = localParts(start);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return granularity === 'month'
+    ? `${year}-${pad(month + 1)}`
+    : `${year}-${pad(month + 1)}-${pad(day)}`;
+};
+
+// Resolves the query into a half-open [start, end) window; defaults to the
+// last 30 local days including today.
+const resolveRange = ({ from, to, granularity = DEFAULT_GRANULARITY } = {}) => {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw createHttpError(400, `Unknown granularity "${granularity}"`, { allowed: GRANULARITIES });
+  }
+
+  const end = to
+    ? parseBoundary(to, 'to', { endOfDay: true })
+    : startOfPeriod(Date.now(), 'day') + DAY_MS;
+  const start = from
+    ? parseBoundary(from, 'from')
+    : end - DEFAULT_RANGE_DAYS * DAY_MS;
+
+  if (start >= end) {
+    throw createHttpError(400, '"from" must be before "to"');
+  }
+
+  return { start, end, granularity };
+};
+
+const buildPeriods = ({ start, end, granularity }) => {
+  const periods = [];
+
+  for (let cursor = startOfPeriod(start, granularity); cursor < end; cursor = nextPeriod(cursor, granularity)) {
+    if (periods.length === MAX_PERIODS) {
+      throw createHttpError(400, `Range spans more than ${MAX_PERIODS} periods; use a larger granularity`);
+    }
+    periods.push({
+      period: periodLabel(cursor, granularity),
+      start: new Date(cursor).toISOString(),
+      startMs: cursor,
+      revenue: 0,
+      units: 0,
+      orderIds: new Set(),
+    });
+  }
+
+  return periods;
+};
+
+// Line items keep the price they were ordered at; items stored without one
+// fall back to today's Inventory price: the average price of the variants with
+// that name. Free-text names ("t-shirt biru") resolve to the closest product.
+// Unknown items keep their name and count towards units but not revenue.
+const createProductLookup = (inventory) => {
+  const byName = {};
+  inventory.forEach(({ name, price }) => {
+    const key = name.trim().toLowerCase();
+    byName[key] = byName[key] || { name, prices: [] };
+    if (price > 0) {
+      byName[key].prices.push(price);
+    }
+  });
+
+  const resolved = new Map();
+
+  return (itemName = '') => {
+    const key = itemName.trim().toLowerCase();
+
+    if (!resolved.has(key)) {
+      const matched = byName[key] || (key && matchProduct(inventory, { itemName }).item);
+      const product = matched && byName[matched.name.trim().toLowerCase()];
+      const { prices = [] } = product || {};
+
+      resolved.set(key, {
+        name: product?.name || itemName || 'Unknown',
+        price: prices.length ? prices.reduce((sum, price) => sum + price, 0) / prices.length : 0,
+      });
+    }
+
+    return resolved.get(key);
+  };
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const percentChange = (current, previous) => (
+  previous ? round(((current - previous) / previous) * 100, 1) : null
+);
+
+const createTotals = () => ({ revenue: 0, units: 0, orderIds: new Set() });
+
+const addRow = (totals, { orderId, quantity }, revenue) => {
+  totals.revenue += revenue;
+  totals.units += quantity;
+  totals.orderIds.add(orderId);
+};
+
+const summarise = ({ revenue, units, orderIds }) => ({
+  revenue: round(revenue),
+  units,
+  orders: orderIds.size,
+  averageOrderValue: orderIds.size ? round(revenue / orderIds.size) : 0,
+});
+
+const rankProducts = (products, totals, key) => Object.values(products)
+  .sort((a, b) => b[key] - a[key] || b.units - a.units)
+  .slice(0, TOP_PRODUCTS)
+  .map((product) => ({
+    item: product.item,
+    revenue: round(product.revenue),
+    units: product.units,
+    orders: product.orderIds.size,
+    revenueShare: totals.revenue ? round((product.revenue / totals.revenue) * 100, 1) : 0,
+    unitShare: totals.units ? round((product.units / totals.units) * 100, 1) : 0,
+  }));
+
+// Sales for `from`..`to` bucketed by day, week or month, compared with the
+// window of the same length just before it. Reads confirmed orders from the
+// `orders` collection by `confirmedAt`, one row per line item; an order counts
+// once per period however many items it has; cancelled orders are left out.
+// `totalOrders`, `topProduct`, `topProductShare` (% of units) and `lastOrders`
+// keep the original dashboard fields for existing clients and the insights
+// prompt.
+const getSalesOverview = async (params = {}) => {
+  const range = resolveRange(params);
+  const periods = buildPeriods(range);
+  const previousStart = range.start - (range.end - range.start);
+
+  const [orders, inventory] = await Promise.all([
+    readOrderLines({ start: previousStart, end: range.end }),
+    readInventory(),
+  ]);
+  const lookupProduct = createProductLookup(inventory);
+
+  const current = createTotals();
+  const previous = createTotals();
+  const products = {};
+  const unpriced = new Set();
+  const inWindow = [];
+  let undatedRows = 0;
+
+  orders.filter(isSale).forEach((row) => {
+    const at = Date.parse(row.timestamp);
+    if (Number.isNaN(at)) {
+      undatedRows += 1;
+      return;
+    }
+    if (at < previousStart || at >= range.end) {
+      return;
+    }
+
+    const product = lookupProduct(row.item);
+    const { name } = product;
+    const price = row.unitPrice || product.price;
+    const revenue = row.quantity * price;
+
+    if (at < range.start) {
+      addRow(previous, row, revenue);
+      return;
+    }
+
+    if (!price) {
+      unpriced.add(name);
+    }
+
+    addRow(current, row, revenue);
+    inWindow.push({ ...row, at });
+
+    const period = periods.find(({ startMs }, index) => (
+      at >= startMs && (index === periods.length - 1 || at < periods[index + 1].startMs)
+    ));
+    addRow(period, row, revenue);
+
+    products[name] = products[name] || { item: name, ...createTotals() };
+    addRow(products[name], row, revenue);
+  });
+
+  const totals = summarise(current);
+  const previousTotals = summarise(previous);
+  const byUnits = rankProducts(products, current, 'units');
+
+  return {
+    range: {
+      from: new Date(range.start).toISOString(),
+      to: new Date(range.end).toISOString(),
+      granularity: range.granularity,
+      previousFrom: new Date(previousStart).toISOString(),
+    },
+    totals,
+    previous: previousTotals,
+    change: {
+      revenue: percentChange(totals.revenue, previousTotals.revenue),
+      units: percentChange(totals.units, previousTotals.units),
+      orders: percentChange(totals.orders, previousTotals.orders),
+      averageOrderValue: percentChange(totals.averageOrderValue, previousTotals.averageOrderValue),
+    },
+    series: periods.map(({ period, start, ...bucket }) => ({
+      period,
+      start,
+      ...summarise(bucket),
+    })),
+    topProducts: {
+      byRevenue: rankProducts(products, current, 'revenue'),
+      byUnits,
+    },
+    unpricedItems: [...unpriced],
+    undatedRows,
+    totalOrders: totals.orders,
+    topProduct: byUnits[0]?.item || null,
+    topProductShare: byUnits[0]?.unitShare || 0,
+    lastOrders: inWindow
+      .sort((a, b) => a.at - b.at)
+      .slice(-RECENT_ORDERS)
+      .map(({ at, ...row }) => row),
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  getSalesOverview,
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions');
+
+// AUTH_VERIFIER=firebase (default) verifies Firebase ID tokens; set
+// FIREBASE_AUTH_EMULATOR_HOST to run against the Auth emulator. AUTH_VERIFIER=local
+// accepts HS256 tokens signed with LOCAL_AUTH_SECRET, for tests and offline dev.
+const getVerifierName = () => (process.env.AUTH_VERIFIER || 'firebase').trim().toLowerCase();
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const signLocal = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const getLocalSecret = () => {
+  const secret = process.env.LOCAL_AUTH_SECRET;
+  if (!secret) {
+    throw new Error('LOCAL_AUTH_SECRET missing');
+  }
+  return secret;
+};
+
+const createLocalToken = (claims, { expiresInSeconds = 3600 } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat: now, exp: now + expiresInSeconds, ...claims }));
+
+  return `${header}.${payload}.${signLocal(`${header}.${payload}`, getLocalSecret())}`;
+};
+
+const verifyLocalToken = (token) => {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!header || !payload || !signature) {
+    throw new Error('Malformed token');
+  }
+
+  const expected = Buffer.from(signLocal(`${header}.${payload}`, getLocalSecret()));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (decoded.exp && decoded.exp * 1000 < Date.now()) {
+    throw new Error('Token expired');
+  }
+
+  return decoded;
+};
+
+const verifyIdToken = async (idToken) => {
+  if (getVerifierName() === 'local') {
+    return verifyLocalToken(idToken);
+  }
+
+  const { auth } = require('../config/firebase');
+  return auth.verifyIdToken(idToken);
+};
+
+const getRolesFromClaims = (claims = {}) => {
+  const roles = Array.isArray(claims.roles) ? claims.roles : [claims.role];
+  return roles.filter((role) => ROLES.includes(role));
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+// API_KEYS="name:key:role,name:key:role" - e.g. a channel shim or CI job.
+const parseApiKeys = () => (process.env.API_KEYS || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .map((entry) => {
+    const [name, key, role = 'channel'] = entry.split(':');
+    return { name, hash: key ? hashKey(key) : null, role };
+  })
+  .filter(({ hash }) => hash);
+
+const verifyApiKey = (apiKey) => {
+  if (!apiKey) {
+    return null;
+  }
+
+  const providedHash = hashKey(apiKey);
+  const match = parseApiKeys().find(({ hash }) => crypto.timingSafeEqual(hash, providedHash));
+
+  return match ? { name: match.name, roles: [match.role] } : null;
+};
+
+module.exports = {
+  getVerifierName,
+  createLocalToken,
+  verifyIdToken,
+  getRolesFromClaims,
+  verifyApiKey,
+};
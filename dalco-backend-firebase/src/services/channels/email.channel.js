@@ -0,0 +1,324 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('../../utils/logger');
+const { createLogSender } = require('./logSender');
+
+const {
+  EMAIL_SENDER = 'smtp',
+  EMAIL_FROM,
+  SMTP_HOST,
+  SMTP_PORT = '587',
+  SMTP_USER,
+  SMTP_PASS,
+  EMAIL_OUTBOX_DIR = 'data/mail/outbox',
+} = process.env;
+
+const resolvePath = (dirPath) => (
+  path.isAbsolute(dirPath) ? dirPath : path.resolve(process.cwd(), dirPath)
+);
+
+// "Siti Aminah <siti@example.com>" -> { address, name }
+const parseAddress = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    return { address: value.address || value.email, name: value.name };
+  }
+
+  const match = value.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (match) {
+    return { address: match[2].trim().toLowerCase(), name: match[1].trim() || undefined };
+  }
+
+  return { address: value.trim().toLowerCase() };
+};
+
+// Drops the quoted history mail clients append under a reply.
+const stripQuotedReply = (text = '') => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const cutAt = lines.findIndex((line) => (
+    /^On .+wrote:$/i.test(line.trim())
+    || /^Pada .+menulis:$/i.test(line.trim())
+    || /^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim())
+  ));
+  const kept = cutAt === -1 ? lines : lines.slice(0, cutAt);
+
+  return kept.filter((line) => !line.startsWith('>')).join('\n').trim();
+};
+
+const htmlToText = (html = '') => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/p>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Normalises a parsed email into an inbound message. Accepts our own shape
+// ({ from, subject, text, messageId }) as well as the field names common SMTP
+// relays post (Mailgun `body-plain`/`stripped-text`, SendGrid `headers`, ...).
+const toInboundMessage = (email = {}) => {
+  const sender = parseAddress(email.from || email.sender || email.From);
+  const body = email.text
+    || email['stripped-text']
+    || email['body-plain']
+    || email.plain
+    || htmlToText(email.html || email['body-html']);
+  const messageId = email.messageId
+    || email['Message-Id']
+    || email['message-id']
+    || email.headers?.['message-id'];
+
+  return {
+    id: messageId,
+    from: sender.address,
+    displayName: sender.name,
+    type: 'email',
+    text: stripQuotedReply(body) || email.subject || undefined,
+    timestamp: email.date || email.timestamp,
+    context: {
+      subject: email.subject || email.Subject || '',
+      messageId,
+      references: email.references || email.References,
+    },
+  };
+};
+
+const parseWebhookPayload = (payload = {}) => {
+  const emails = Array.isArray(payload.emails) ? payload.emails : [payload];
+
+  return {
+    messages: emails.map(toInboundMessage).filter((message) => message.from),
+    statuses: [],
+  };
+};
+
+// Returns the raw bytes; `=C3=A9` is one UTF-8 character, not two.
+const decodeQuotedPrintable = (text) => Buffer.concat(text
+  .replace(/=\r?\n/g, '')
+  .split(/(=[0-9A-F]{2})/i)
+  .map((chunk) => (/^=[0-9A-F]{2}$/i.test(chunk)
+    ? Buffer.from([parseInt(chunk.slice(1), 16)])
+    : Buffer.from(chunk, 'utf8'))));
+
+// Decodes a part's bytes in the charset its Content-Type names (UTF-8 when it
+// names none, or one Node does not know).
+const decodeCharset = (bytes, contentType = '') => {
+  const charset = contentType.match(/charset="?([^";\s]+)"?/i)?.[1] || 'utf-8';
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (error) {
+    logger.warn(`Email charset "${charset}" not supported (${error.message}); decoding as UTF-8`);
+    return bytes.toString('utf8');
+  }
+};
+
+const splitHeaders = (raw) => {
+  const normalised = raw.replace(/\r\n/g, '\n');
+  const separator = normalised.indexOf('\n\n');
+  const headerBlock = separator === -1 ? normalised : normalised.slice(0, separator);
+  const body = separator === -1 ? '' : normalised.slice(separator + 2);
+
+  const headers = {};
+  headerBlock.replace(/\n[ \t]+/g, ' ').split('\n').forEach((line) => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  });
+
+  return { headers, body };
+};
+
+const decodePart = ({ headers, body }) => {
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+
+  if (encoding === 'base64') {
+    return decodeCharset(Buffer.from(body.replace(/\s+/g, ''), 'base64'), headers['content-type']);
+  }
+
+  if (encoding === 'quoted-printable') {
+    return decodeCharset(decodeQuotedPrintable(body), headers['content-type']);
+  }
+
+  return body;
+};
+
+// Extracts the text/plain body, falling back to text/html, from a MIME entity.
+const extractText = (entity) => {
+  const contentType = entity.headers['content-type'] || 'text/plain';
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = entity.body
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter((part) => !part.startsWith('--'))
+      .map((part) => splitHeaders(part.replace(/^\n/, '')));
+
+    const texts = parts.map((part) => ({
+      type: part.headers['content-type'] || 'text/plain',
+      text: extractText(part),
+    }));
+
+    const plain = texts.find(({ type, text }) => /^text\/plain/i.test(type) && text);
+    const anyText = texts.find(({ text }) => text);
+    return plain?.text || anyText?.text || '';
+  }
+
+  if (/^text\/html/i.test(contentType)) {
+    return htmlToText(decodePart(entity));
+  }
+
+  return /^text\//i.test(contentType) ? decodePart(entity) : '';
+};
+
+// Minimal RFC 822 reader for .eml files dropped into the local mailbox.
+const parseRawEmail = (raw) => {
+  const entity = splitHeaders(raw);
+
+  return {
+    from: entity.headers.from,
+    subject: entity.headers.subject,
+    messageId: entity.headers['message-id'],
+    references: entity.headers.references,
+    date: entity.headers.date,
+    text: extractText(entity).trim(),
+  };
+};
+
+const readMailboxFile = async (filePath) => {
+  const content = await fs.readFile(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : parseRawEmail(content);
+};
+
+// Polls a local mailbox directory for .eml/.json files, hands each parsed message
+// to `handleMessages` and moves the file into processed/, or into failed/ when
+// it cannot be read or `handleMessages` throws.
+const startMailboxPoller = ({ inboxDir, intervalMs = 30000, handleMessages }) => {
+  const inbox = resolvePath(inboxDir);
+  let running = false;
+
+  const archive = async (fileName, folder) => {
+    const targetDir = path.join(inbox, folder);
+    await fs.mkdir(targetDir, { recursive: true });
+    await fs.rename(path.join(inbox, fileName), path.join(targetDir, fileName));
+  };
+
+  const poll = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      const entries = await fs.readdir(inbox, { withFileTypes: true });
+      const files = entries
+        .filter((entry) => entry.isFile() && /\.(eml|json)$/i.test(entry.name))
+        .map((entry) => entry.name)
+        .sort();
+
+      for (const fileName of files) {
+        try {
+          const email = await readMailboxFile(path.join(inbox, fileName));
+          await handleMessages(parseWebhookPayload(email).messages);
+          await archive(fileName, 'processed');
+        } catch (error) {
+          logger.error(`Mailbox file ${fileName} failed: ${error.message}`);
+          await archive(fileName, 'failed').catch(() => {});
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Mailbox poll failed: ${error.message}`);
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(poll, intervalMs);
+  timer.unref();
+  logger.info(`Polling mailbox ${inbox} every ${Math.round(intervalMs / 1000)}s`);
+
+  return {
+    poll,
+    stop: () => clearInterval(timer),
+  };
+};
+
+const buildReplyMail = (to, body, context = {}) => {
+  const subject = context.subject || 'DalCo';
+
+  return {
+    from: EMAIL_FROM,
+    to,
+    subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+    text: body,
+    ...(context.messageId && {
+      inReplyTo: context.messageId,
+      references: [context.references, context.messageId].filter(Boolean).join(' '),
+    }),
+  };
+};
+
+const createTransportSender = (name, transport, deliver) => ({
+  name,
+  sendText: async (to, body, context) => {
+    const info = await transport.sendMail(buildReplyMail(to, body, context));
+    if (deliver) {
+      await deliver(info);
+    }
+    return { providerMessageId: info.messageId };
+  },
+});
+
+const createSmtpSender = ({
+  host = SMTP_HOST,
+  port = Number(SMTP_PORT),
+  user = SMTP_USER,
+  pass = SMTP_PASS,
+} = {}) => createTransportSender('smtp', nodemailer.createTransport({
+  host,
+  port,
+  secure: port === 465,
+  ...(user && { auth: { user, pass } }),
+}));
+
+// Writes each reply as an .eml file, the outbound half of the local mailbox.
+const createDirectorySender = ({ outboxDir = EMAIL_OUTBOX_DIR } = {}) => {
+  const outbox = resolvePath(outboxDir);
+
+  return createTransportSender(
+    'directory',
+    nodemailer.createTransport({ streamTransport: true, buffer: true }),
+    async (info) => {
+      await fs.mkdir(outbox, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-z0-9.@-]/gi, '')}.eml`;
+      await fs.writeFile(path.join(outbox, fileName), info.message);
+    },
+  );
+};
+
+const SENDERS = {
+  smtp: createSmtpSender,
+  directory: createDirectorySender,
+  log: () => createLogSender('email'),
+};
+
+const createSender = () => (SENDERS[EMAIL_SENDER] || createSmtpSender)();
+
+module.exports = {
+  name: 'email',
+  parseWebhookPayload,
+  parseRawEmail,
+  startMailboxPoller,
+  createSmtpSender,
+  createDirectorySender,
+  createSender,
+};
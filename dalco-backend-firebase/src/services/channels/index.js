@@ -0,0 +1,216 @@
+const logger = require('../../utils/logger');
+const { createHttpError } = require('../../utils/httpError');
+const { numberFromEnv } = require('../../utils/env');
+const {
+  handleInboundMessage,
+  logMessage,
+  updateMessage,
+  updateMessageStatusByProviderId,
+} = require('../conversation.service');
+const { getPreferredLanguage } = require('../customers.service');
+const { parseThreadId, getLatestInbound, takeOverConversation } = require('../inbox.service');
+const { translate, resolveReplyLocale } = require('../language.service');
+const whatsapp = require('./whatsapp.channel');
+const instagram = require('./instagram.channel');
+const email = require('./email.channel');
+
+// Every channel adapter exposes:
+//   parseWebhookPayload(payload) -> { messages, statuses }
+//   createSender() -> { name, sendText(to, body, context) -> { providerMessageId } }
+// Inbound messages are normalised to { id, from, displayName, type, text, context }.
+const CHANNELS = {
+  whatsapp,
+  instagram,
+  email,
+};
+
+const senders = {};
+
+const getChannel = (channelName) => {
+  const channel = CHANNELS[channelName];
+  if (!channel) {
+    throw new Error(`Unknown channel "${channelName}"`);
+  }
+  return channel;
+};
+
+const getChannelSender = (channelName) => {
+  if (!senders[channelName]) {
+    senders[channelName] = getChannel(channelName).createSender();
+  }
+  return senders[channelName];
+};
+
+// Swaps a channel's outbound sender, e.g. for a mock in tests.
+const setChannelSender = (channelName, sender) => {
+  getChannel(channelName);
+  senders[channelName] = sender;
+};
+
+// Sends a reply back through the channel the conversation came from and records
+// the provider's message ID (or the failure) on the logged outbound message.
+const deliverReply = async (channelName, { to, reply, context, outboundMessageId }) => {
+  const sender = getChannelSender(channelName);
+
+  try {
+    const { providerMessageId } = await sender.sendText(to, reply, context);
+    await updateMessage(outboundMessageId, { providerMessageId, sender: sender.name });
+    return { delivered: true, providerMessageId };
+  } catch (error) {
+    logger.error(`${channelName} send to ${to} failed: ${error.message}`);
+    await updateMessage(outboundMessageId, { status: 'failed', error: error.message });
+    return { delivered: false, error: error.message };
+  }
+};
+
+const replyToMessage = async (channelName, message) => {
+  if (!message.text) {
+    const locale = resolveReplyLocale({ preferred: await getPreferredLanguage(channelName, message.from) });
+    const reply = translate(locale, 'channel.unsupported');
+    const outboundMessageId = await logMessage({
+      channel: channelName,
+      direction: 'outbound',
+      to: message.from,
+      threadId: `${channelName}:${message.from}`,
+      content: reply,
+      locale,
+      intent: 'unsupported',
+      metadata: { type: message.type },
+      status: 'sent',
+    });
+
+    return deliverReply(channelName, {
+      to: message.from,
+      reply,
+      context: message.context,
+      outboundMessageId,
+    });
+  }
+
+  const { reply, outboundMessageId, duplicate } = await handleInboundMessage({
+    message: message.text,
+    phoneNumber: message.from,
+    displayName: message.displayName,
+    channel: channelName,
+    providerMessageId: message.id,
+    timestamp: message.timestamp,
+    context: message.context,
+  });
+
+  // A redelivered webhook was already answered the first time, and blocked or
+  // already-warned throttled senders get no reply.
+  if (duplicate || !reply) {
+    return { delivered: false, duplicate: Boolean(duplicate) };
+  }
+
+  return deliverReply(channelName, {
+    to: message.from,
+    reply,
+    context: message.context,
+    outboundMessageId,
+  });
+};
+
+// Sends a staff member's reply into a conversation through the channel it came
+// from, taking the conversation over from the bot first (a thread another staff
+// member holds stays theirs). Logged like bot replies, with intent `manual` and
+// `sentBy`. Throws 502 when the channel refuses it; the message stays logged as failed.
+const sendManualReply = async (threadId, text, { by } = {}) => {
+  const { channel, address } = parseThreadId(threadId);
+  if (!CHANNELS[channel]) {
+    throw createHttpError(404, 'Conversation not found');
+  }
+
+  const latestInbound = await getLatestInbound(threadId);
+  const conversation = await takeOverConversation(threadId, { by, reassign: false });
+
+  const outboundMessageId = await logMessage({
+    channel,
+    direction: 'outbound',
+    to: address,
+    threadId,
+    content: text,
+    intent: 'manual',
+    status: 'sent',
+    sentBy: by || null,
+  });
+
+  const delivery = await deliverReply(channel, {
+    to: address,
+    reply: text,
+    context: latestInbound.channelContext,
+    outboundMessageId,
+  });
+  if (!delivery.delivered) {
+    throw createHttpError(502, `Reply not delivered: ${delivery.error}`, { messageId: outboundMessageId });
+  }
+
+  return {
+    messageId: outboundMessageId,
+    providerMessageId: delivery.providerMessageId,
+    conversation,
+  };
+};
+
+// Answers every inbound message in order. Failures are logged per message so
+// one bad message does not block the rest of the batch; the errors are
+// returned for callers that keep failed input aside (the mailbox).
+const processInboundMessages = async (channelName, messages) => {
+  const errors = [];
+
+  for (const message of messages) {
+    try {
+      await replyToMessage(channelName, message);
+    } catch (error) {
+      logger.error(`${channelName} message ${message.id} failed: ${error.message}`);
+      errors.push(error);
+    }
+  }
+
+  return errors;
+};
+
+// Parses one verified webhook delivery, answers its messages and applies any
+// delivery receipts to the logged outbound messages.
+const processWebhookPayload = async (channelName, payload) => {
+  const { messages, statuses } = getChannel(channelName).parseWebhookPayload(payload);
+
+  await processInboundMessages(channelName, messages);
+  await Promise.all(statuses.map((status) => updateMessageStatusByProviderId(status.id, status.status, {
+    ...(status.errors && { deliveryErrors: status.errors }),
+  })));
+
+  return { messages: messages.length, statuses: statuses.length };
+};
+
+// Starts background inbound sources that are not webhooks (the local mailbox).
+const startChannelPollers = () => {
+  if (!process.env.EMAIL_INBOX_DIR) {
+    return [];
+  }
+
+  return [
+    email.startMailboxPoller({
+      inboxDir: process.env.EMAIL_INBOX_DIR,
+      intervalMs: numberFromEnv('EMAIL_POLL_INTERVAL_SECONDS', 30, { allowZero: false }) * 1000,
+      // A file with a failed message goes to failed/ rather than processed/.
+      handleMessages: async (messages) => {
+        const [error] = await processInboundMessages('email', messages);
+        if (error) {
+          throw error;
+        }
+      },
+    }),
+  ];
+};
+
+module.exports = {
+  CHANNELS,
+  getChannelSender,
+  setChannelSender,
+  deliverReply,
+  sendManualReply,
+  processInboundMessages,
+  processWebhookPayload,
+  startChannelPollers,
+};
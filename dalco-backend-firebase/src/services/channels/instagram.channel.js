@@ -0,0 +1,91 @@
+const axios = require('axios');
+const { createLogSender } = require('./logSender');
+
+const {
+  INSTAGRAM_API_BASE_URL = 'https://graph.facebook.com/v20.0',
+  INSTAGRAM_ACCESS_TOKEN,
+  INSTAGRAM_ACCOUNT_ID,
+  INSTAGRAM_SENDER = 'graph',
+} = process.env;
+
+const extractMessageText = (event) => {
+  if (event.postback) {
+    return event.postback.title;
+  }
+
+  return event.message?.text;
+};
+
+// Flattens Instagram Messaging `entry[].messaging[]` events into inbound messages.
+// Echoes of our own replies and read/reaction events are skipped.
+const parseWebhookPayload = (payload = {}) => {
+  const messages = [];
+
+  (payload.entry || []).forEach((entry) => {
+    (entry.messaging || []).forEach((event) => {
+      if (!event.message && !event.postback) {
+        return;
+      }
+
+      if (event.message?.is_echo) {
+        return;
+      }
+
+      messages.push({
+        id: event.message?.mid || event.postback?.mid,
+        from: event.sender?.id,
+        displayName: undefined,
+        type: event.postback ? 'postback' : (event.message.attachments ? 'attachment' : 'text'),
+        text: extractMessageText(event),
+        replyId: event.message?.quick_reply?.payload || event.postback?.payload,
+        timestamp: event.timestamp,
+        context: { accountId: event.recipient?.id || entry.id },
+      });
+    });
+  });
+
+  return { messages, statuses: [] };
+};
+
+// Sends through the Graph API `/{ig-account-id}/messages` endpoint. Point
+// `baseURL` at a local mock server to exercise the round trip in tests.
+const createGraphApiSender = ({
+  baseURL = INSTAGRAM_API_BASE_URL,
+  accessToken = INSTAGRAM_ACCESS_TOKEN,
+  accountId = INSTAGRAM_ACCOUNT_ID,
+} = {}) => {
+  const client = axios.create({
+    baseURL,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken || ''}`,
+    },
+    timeout: 15000,
+  });
+
+  return {
+    name: 'graph',
+    sendText: async (to, body, context = {}) => {
+      const { data } = await client.post(`/${context.accountId || accountId || 'me'}/messages`, {
+        recipient: { id: to },
+        message: { text: body },
+      });
+
+      return { providerMessageId: data?.message_id };
+    },
+  };
+};
+
+const SENDERS = {
+  graph: createGraphApiSender,
+  log: () => createLogSender('instagram'),
+};
+
+const createSender = () => (SENDERS[INSTAGRAM_SENDER] || createGraphApiSender)();
+
+module.exports = {
+  name: 'instagram',
+  parseWebhookPayload,
+  createGraphApiSender,
+  createSender,
+};
@@ -0,0 +1,16 @@
+const logger = require('../../utils/logger');
+
+// Dev sender shared by every channel: logs replies instead of delivering them.
+// Replies can hold names, phone numbers and addresses, so only their length is
+// logged; the text is in the API response and the `messages` log.
+const createLogSender = (channelName) => ({
+  name: 'log',
+  sendText: async (to, body) => {
+    logger.info(`[${channelName}:log] -> ${to} (${body.length} characters)`);
+    return { providerMessageId: `log-${Date.now()}` };
+  },
+});
+
+module.exports = {
+  createLogSender,
+};
@@ -0,0 +1,114 @@
+const axios = require('axios');
+const { createLogSender } = require('./logSender');
+
+const {
+  WHATSAPP_API_BASE_URL = 'https://graph.facebook.com/v20.0',
+  WHATSAPP_ACCESS_TOKEN,
+  WHATSAPP_PHONE_NUMBER_ID,
+  WHATSAPP_SENDER = 'cloud',
+} = process.env;
+
+const extractMessageText = (message) => {
+  switch (message.type) {
+    case 'text':
+      return message.text?.body;
+    case 'interactive':
+      return message.interactive?.button_reply?.title
+        || message.interactive?.list_reply?.title;
+    case 'button':
+      return message.button?.text;
+    default:
+      return undefined;
+  }
+};
+
+// Flattens Meta's `entry[].changes[].value` envelope into inbound messages and
+// delivery statuses. Message types without text (images, stickers, ...) are kept
+// with `text: undefined` so callers can decide how to answer them.
+const parseWebhookPayload = (payload = {}) => {
+  const messages = [];
+  const statuses = [];
+
+  (payload.entry || []).forEach((entry) => {
+    (entry.changes || []).forEach(({ value = {} }) => {
+      const contacts = value.contacts || [];
+
+      (value.messages || []).forEach((message) => {
+        const contact = contacts.find(({ wa_id: waId }) => waId === message.from);
+
+        messages.push({
+          id: message.id,
+          from: message.from,
+          displayName: contact?.profile?.name,
+          type: message.type,
+          text: extractMessageText(message),
+          replyId: message.interactive?.button_reply?.id || message.interactive?.list_reply?.id,
+          timestamp: message.timestamp,
+          context: { phoneNumberId: value.metadata?.phone_number_id },
+        });
+      });
+
+      (value.statuses || []).forEach((status) => {
+        statuses.push({
+          id: status.id,
+          status: status.status,
+          recipientId: status.recipient_id,
+          timestamp: status.timestamp,
+          errors: status.errors,
+        });
+      });
+    });
+  });
+
+  return { messages, statuses };
+};
+
+// Sends through the Cloud API `/{phone-number-id}/messages` endpoint. Point
+// `baseURL` at a local mock server to exercise the full webhook round trip.
+const createCloudApiSender = ({
+  baseURL = WHATSAPP_API_BASE_URL,
+  accessToken = WHATSAPP_ACCESS_TOKEN,
+  phoneNumberId = WHATSAPP_PHONE_NUMBER_ID,
+} = {}) => {
+  const client = axios.create({
+    baseURL,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken || ''}`,
+    },
+    timeout: 15000,
+  });
+
+  return {
+    name: 'cloud',
+    sendText: async (to, body) => {
+      if (!phoneNumberId) {
+        throw new Error('WHATSAPP_PHONE_NUMBER_ID missing');
+      }
+
+      const { data } = await client.post(`/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'text',
+        text: { preview_url: false, body },
+      });
+
+      return { providerMessageId: data?.messages?.[0]?.id };
+    },
+  };
+};
+
+const SENDERS = {
+  cloud: createCloudApiSender,
+  log: () => createLogSender('whatsapp'),
+};
+
+const createSender = () => (SENDERS[WHATSAPP_SENDER] || createCloudApiSender)();
+
+module.exports = {
+  name: 'whatsapp',
+  parseWebhookPayload,
+  createCloudApiSender,
+  createSender,
+};
@@ -0,0 +1,703 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const logger = require('../utils/logger');
+const { createCounter } = require('../utils/metrics');
+const { db } = require('../config/firebase');
+const {
+  detectIntent,
+  answerFaq,
+  extractInventoryQuery,
+  extractOrderDetails,
+  recordReplySource,
+} = require('./jamai.service');
+const { recordConversationOrder } = require('./orders.service');
+const { publishMessage } = require('./liveEvents.service');
+const { processOnce } = require('./inboundDedup.service');
+const {
+  checkStockAvailability,
+  reserveOrderStock,
+  releaseReservations,
+  commitOrderStock,
+  restockOrder,
+} = require('./stock.service');
+const {
+  getSession,
+  saveSession,
+  clearSession,
+  getMissingFields,
+  isAffirmative,
+  isNegative,
+} = require('./session.service');
+const { upsertLeadFromConversation } = require('./leads.service');
+const {
+  touchCustomer,
+  prefillOrder,
+  recordCustomerOrder,
+  getPreferredLanguage,
+} = require('./customers.service');
+const { checkSender } = require('./rateLimit.service');
+const {
+  isHumanRequest,
+  isLowConfidence,
+  getConversationMode,
+  escalateConversation,
+} = require('./inbox.service');
+const { refineProductQuery } = require('./productMatch.service');
+const {
+  isSupportedLocale,
+  createTranslator,
+  detectLanguage,
+  resolveReplyLocale,
+} = require('./language.service');
+
+const MESSAGES_COLLECTION = 'messages';
+
+// Intents that signal purchase interest and open (or touch) a lead for the thread.
+const LEAD_INTENTS = ['order', 'inventory'];
+
+const messagesProcessed = createCounter({
+  name: 'dalco_messages_processed_total',
+  help: 'Inbound customer messages processed (redeliveries excluded), by channel and intent.',
+  labelNames: ['channel', 'intent'],
+});
+
+const ordersCreated = createCounter({
+  name: 'dalco_orders_created_total',
+  help: 'Orders confirmed through the conversation pipeline, by channel.',
+  labelNames: ['channel'],
+});
+
+// Message logging is best-effort, so failures only show up here and in the logs.
+const firestoreWriteFailures = createCounter({
+  name: 'dalco_firestore_write_failures_total',
+  help: 'Failed Firestore writes to the message log, by operation (log_message, update_message).',
+  labelNames: ['operation'],
+});
+
+// Returns the Firestore ID of the logged message, or null if logging failed.
+const logMessage = async (payload) => {
+  try {
+    const ref = await db.collection(MESSAGES_COLLECTION).add({
+      ...payload,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return ref.id;
+  } catch (error) {
+    firestoreWriteFailures.inc({ operation: 'log_message' });
+    logger.warn(`Failed to log message: ${error.message}`);
+    return null;
+  }
+};
+
+const updateMessage = async (messageId, changes) => {
+  if (!messageId) {
+    return;
+  }
+
+  try {
+    await db.collection(MESSAGES_COLLECTION).doc(messageId).update({
+      ...changes,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    firestoreWriteFailures.inc({ operation: 'update_message' });
+    logger.warn(`Failed to update message ${messageId}: ${error.message}`);
+  }
+};
+
+// Applies provider delivery receipts (sent, delivered, read, failed) to the
+// outbound message that carried the provider message ID.
+const updateMessageStatusByProviderId = async (providerMessageId, status, details = {}) => {
+  try {
+    const snapshot = await db
+      .collection(MESSAGES_COLLECTION)
+      .where('providerMessageId', '==', providerMessageId)
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      return false;
+    }
+
+    await updateMessage(snapshot.docs[0].id, { status, ...details });
+    return true;
+  } catch (error) {
+    logger.warn(`Failed to update status for ${providerMessageId}: ${error.message}`);
+    return false;
+  }
+};
+
+const formatLineItem = (lineItem, t) => {
+  const attributes = [lineItem.attributes?.color, lineItem.attributes?.size].filter(Boolean);
+  const itemName = lineItem.itemName || t('product.fallbackName');
+  const label = attributes.length ? `${itemName} (${attributes.join(', ')})` : itemName;
+  const stockNote = lineItem.requestedQuantity
+    ? t('order.limitedStock', { requestedQuantity: lineItem.requestedQuantity })
+    : '';
+
+  return `${t('order.lineItem', { label, quantity: lineItem.quantity })}${stockNote}`;
+};
+
+const formatProductLabel = (item) => {
+  const variant = [item.color, item.size].filter(Boolean).join(', ');
+  return variant ? `${item.name} (${variant})` : item.name;
+};
+
+const formatProductOption = (item, t) => t('product.option', { label: formatProductLabel(item), stock: item.stock });
+
+// Unique in-stock alternatives suggested for the rejected line items.
+const collectAlternatives = (lineItems = []) => [
+  ...new Map(lineItems.flatMap(({ alternatives = [] }) => alternatives).map((item) => [item.sku, item])).values(),
+].slice(0, 3);
+
+const formatAlternatives = (alternatives, t) => (
+  alternatives.length
+    ? [t('inventory.alternativesTitle'), ...alternatives.map((item) => formatProductOption(item, t))]
+    : []
+);
+
+const formatOrderTotal = (lineItems, t) => {
+  const units = lineItems.reduce((sum, { quantity }) => sum + (Number(quantity) || 0), 0);
+  const priced = lineItems.every(({ unitPrice }) => Number(unitPrice) > 0);
+
+  if (!priced) {
+    return t('order.total', { units });
+  }
+
+  const amount = lineItems.reduce((sum, { quantity, unitPrice }) => sum + quantity * unitPrice, 0);
+  return t('order.totalWithAmount', { units, amount: amount.toFixed(2) });
+};
+
+const formatOrderSummary = (order, rejectedItems, t) => [
+  t('order.summaryTitle'),
+  t('order.summaryName', { customerName: order.customerName }),
+  t('order.summaryItems'),
+  ...order.lineItems.map((lineItem) => formatLineItem(lineItem, t)),
+  formatOrderTotal(order.lineItems, t),
+  ...(rejectedItems.length
+    ? [
+      t('order.summaryRejected'),
+      ...rejectedItems.map((lineItem) => formatLineItem(lineItem, t)),
+      ...formatAlternatives(collectAlternatives(rejectedItems), t),
+    ]
+    : []),
+  t('order.summaryAddress', { deliveryAddress: order.deliveryAddress }),
+  t('order.confirmPrompt'),
+].join('\n');
+
+// Inbound messages that shaped the draft; the stored order keeps them.
+const withSourceMessage = (order, messageId) => (
+  messageId ? { ...order, sourceMessageIds: [...(order.sourceMessageIds || []), messageId] } : order
+);
+
+const fillMissingField = (order, field, message) => {
+  if (field === 'quantity') {
+    const quantity = Number(message.match(/\d+/)?.[0]);
+    if (!quantity) {
+      return order;
+    }
+
+    const lineItems = order.lineItems?.length ? order.lineItems : [{}];
+    const index = lineItems.findIndex((lineItem) => !(Number(lineItem.quantity) > 0));
+
+    return {
+      ...order,
+      lineItems: lineItems.map((lineItem, i) => (i === index ? { ...lineItem, quantity } : lineItem)),
+    };
+  }
+
+  return { ...order, [field]: message.trim() };
+};
+
+const continueOrderDraft = async (session, order, t) => {
+  const missingFields = getMissingFields(order);
+
+  if (missingFields.length) {
+    await saveSession({
+      ...session,
+      state: 'collecting',
+      orderDraft: order,
+      missingFields,
+    });
+
+    return {
+      reply: t(`followUp.${missingFields[0]}`),
+      metadata: { order, missingFields },
+    };
+  }
+
+  const { lineItems, rejectedItems } = await reserveOrderStock(session.phoneNumber, order.lineItems);
+
+  if (!lineItems.length) {
+    await clearSession(session.phoneNumber);
+
+    const alternatives = collectAlternatives(rejectedItems);
+
+    return {
+      reply: [
+        t('order.allRejected'),
+        ...(alternatives.length
+          ? [...formatAlternatives(alternatives, t), t('order.retryWithAlternatives')]
+          : [t('inventory.suggestOthers')]),
+      ].join('\n'),
+      metadata: { order, rejectedItems, alternatives },
+    };
+  }
+
+  const reservedOrder = { ...order, lineItems };
+
+  await saveSession({
+    ...session,
+    state: 'awaiting_confirmation',
+    orderDraft: reservedOrder,
+    missingFields: [],
+  });
+
+  return {
+    reply: formatOrderSummary(reservedOrder, rejectedItems, t),
+    metadata: { order: reservedOrder, rejectedItems, awaitingConfirmation: true },
+  };
+};
+
+const confirmOrder = async (session, { channel, messageId, t }) => {
+  const order = withSourceMessage(session.orderDraft, messageId);
+
+  const { committed, shortages } = await commitOrderStock(session.phoneNumber, order.lineItems);
+
+  if (!committed) {
+    await releaseReservations(session.phoneNumber);
+    await clearSession(session.phoneNumber);
+
+    return {
+      reply: t('order.reservationExpired'),
+      metadata: { order, shortages, confirmed: false },
+    };
+  }
+
+  // The order is stored with its order log (sheet) write queued in the outbox,
+  // so a Sheets outage delays the row instead of losing the order; only a
+  // failed store gives the stock back.
+  let stored;
+  try {
+    stored = await recordConversationOrder(order, { channel });
+  } catch (error) {
+    await restockOrder(order.lineItems);
+    throw error;
+  }
+  const { orderId, orderNumber } = stored;
+
+  await clearSession(session.phoneNumber);
+
+  return {
+    reply: [
+      t('order.confirmed', { customerName: order.customerName, orderId }),
+      ...order.lineItems.map((lineItem) => formatLineItem(lineItem, t)),
+      formatOrderTotal(order.lineItems, t),
+      t('order.deliveryFollowUp'),
+    ].join('\n'),
+    metadata: { order: { ...order, orderId, orderNumber }, confirmed: true },
+  };
+};
+
+const cancelOrderDraft = async (session, t) => {
+  await releaseReservations(session.phoneNumber);
+  await clearSession(session.phoneNumber);
+
+  return {
+    reply: t('order.cancelled'),
+    metadata: { order: session.orderDraft, cancelled: true },
+  };
+};
+
+// Resolves replies that belong to an ongoing conversation (follow-up answers,
+// confirmations). Returns null when the message should go through intent detection.
+const handleSessionReply = async (session, {
+  message,
+  messageId,
+  channel,
+  phoneNumber,
+  displayName,
+  customer,
+  t,
+}) => {
+  if (session.state === 'awaiting_confirmation') {
+    if (isAffirmative(message)) {
+      return confirmOrder(session, { channel, messageId, t });
+    }
+
+    if (isNegative(message)) {
+      return cancelOrderDraft(session, t);
+    }
+
+    // Anything but a clear yes or no (e.g. "ok but change the size") asks again.
+    return {
+      reply: [t('order.notConfirmed'), formatOrderSummary(session.orderDraft, [], t)].join('\n'),
+      metadata: { order: session.orderDraft, awaitingConfirmation: true },
+    };
+  }
+
+  if (session.state === 'collecting') {
+    if (isNegative(message)) {
+      return cancelOrderDraft(session, t);
+    }
+
+    const [field] = session.missingFields;
+    const order = fillMissingField(session.orderDraft, field, message);
+    return continueOrderDraft(session, withSourceMessage(order, messageId), t);
+  }
+
+  const lastQuery = session.lastInventoryQuery;
+
+  if (lastQuery && isAffirmative(message)) {
+    return continueOrderDraft({ ...session, lastInventoryQuery: null }, prefillOrder({
+      customerName: displayName || '',
+      phoneNumber,
+      lineItems: [
+        {
+          itemName: lastQuery.item.name,
+          sku: lastQuery.item.sku,
+          quantity: lastQuery.query.quantity,
+        },
+      ],
+      deliveryAddress: '',
+      notes: '',
+      sourceMessageIds: messageId ? [messageId] : [],
+    }, customer, { displayName }), t);
+  }
+
+  return null;
+};
+
+const formatInventoryReply = (query, availability, t) => {
+  if (availability.ambiguous) {
+    return [
+      t('inventory.choices', { itemName: query.itemName || t('product.fallbackName') }),
+      ...availability.candidates.map((item) => formatProductOption(item, t)),
+      t('inventory.chooseVariant'),
+    ].join('\n');
+  }
+
+  if (availability.available) {
+    return t('inventory.available', {
+      quantity: query.quantity,
+      label: formatProductLabel(availability.item),
+      remainingStock: availability.remainingStock,
+    });
+  }
+
+  return [
+    availability.item
+      ? t('inventory.insufficient', {
+        label: formatProductLabel(availability.item),
+        remainingStock: availability.remainingStock,
+      })
+      : t('inventory.notFound'),
+    ...(availability.alternatives.length
+      ? [...formatAlternatives(availability.alternatives, t), t('inventory.alternativesPrompt')]
+      : [t('inventory.suggestOthers')]),
+  ].join('\n');
+};
+
+// Where a reply's AI steps came from: 'jamai' when JamAI Base answered every
+// step, 'fallback' when any step used the local fallback, 'none' without AI steps.
+const summariseAiSteps = (steps) => {
+  if (!steps.length) {
+    return 'none';
+  }
+  return steps.some(({ source }) => source === 'fallback') ? 'fallback' : 'jamai';
+};
+
+// Blocked senders get no reply; throttled senders get one polite notice per
+// window. Neither reaches intent detection, JamAI or the data store.
+const respondToLimitedSender = async ({
+  channel,
+  phoneNumber,
+  threadId,
+  message,
+  locale,
+  gate,
+}) => {
+  const metadata = {
+    rateLimited: gate.reason,
+    ...(gate.retryAfterSeconds && { retryAfterSeconds: gate.retryAfterSeconds }),
+  };
+
+  if (gate.reason !== 'throttled' || !gate.firstRejected) {
+    return {
+      intent: gate.reason,
+      reply: null,
+      locale: null,
+      metadata,
+      outboundMessageId: null,
+    };
+  }
+
+  const replyLocale = resolveReplyLocale({
+    requested: locale,
+    detected: detectLanguage(message),
+    preferred: await getPreferredLanguage(channel, phoneNumber),
+  });
+  const reply = createTranslator(replyLocale)('rateLimit.throttled', {
+    minutes: Math.ceil(gate.retryAfterSeconds / 60),
+  });
+
+  const outboundMessageId = await logMessage({
+    channel,
+    direction: 'outbound',
+    to: phoneNumber,
+    threadId,
+    content: reply,
+    locale: replyLocale,
+    intent: 'throttled',
+    metadata,
+    status: 'sent',
+  });
+
+  return {
+    intent: 'throttled',
+    reply,
+    locale: replyLocale,
+    metadata,
+    outboundMessageId,
+  };
+};
+
+// While staff hold a conversation the bot only logs what the customer sends.
+const holdForStaff = (conversation) => ({
+  intent: 'handoff',
+  reply: null,
+  locale: null,
+  metadata: {
+    handoff: { mode: 'human', reason: conversation.reason, assignedTo: conversation.assignedTo || null },
+  },
+  ai: { source: 'none', steps: [] },
+  outboundMessageId: null,
+});
+
+const processInboundMessage = async ({
+  message,
+  phoneNumber,
+  displayName,
+  channel = 'whatsapp',
+  locale,
+  providerMessageId,
+  context,
+}) => {
+  const threadId = `${channel}:${phoneNumber}`;
+
+  const gate = await checkSender(channel, phoneNumber);
+  if (!gate.allowed) {
+    return respondToLimitedSender({
+      channel,
+      phoneNumber,
+      threadId,
+      message,
+      locale,
+      gate,
+    });
+  }
+
+  const language = detectLanguage(message);
+
+  const inboundMessageId = await logMessage({
+    channel,
+    direction: 'inbound',
+    from: phoneNumber,
+    threadId,
+    content: message,
+    language,
+    status: 'received',
+    ...(providerMessageId && { providerMessageId }),
+    ...(context && { channelContext: context }),
+  });
+  if (inboundMessageId) {
+    publishMessage({
+      id: inboundMessageId,
+      channel,
+      from: phoneNumber,
+      threadId,
+      content: message,
+      language,
+    });
+  }
+
+  const customer = await touchCustomer({
+    channel,
+    phoneNumber,
+    displayName,
+    language: isSupportedLocale(language) ? language : undefined,
+  });
+  const replyLocale = resolveReplyLocale({
+    requested: locale,
+    detected: language,
+    preferred: customer?.preferredLanguage,
+    pinned: customer?.languagePinned,
+  });
+  const t = createTranslator(replyLocale);
+
+  const conversation = await getConversationMode(threadId);
+  if (conversation?.mode === 'human') {
+    return holdForStaff(conversation);
+  }
+
+  const session = await getSession(phoneNumber);
+
+  if (session.expired) {
+    await releaseReservations(phoneNumber);
+  }
+
+  // Asking for a person wins over an order in progress; the draft stays for staff.
+  let handoffReason = isHumanRequest(message) ? 'customer_request' : null;
+  const sessionReply = handoffReason ? null : await handleSessionReply(session, {
+    message,
+    messageId: inboundMessageId,
+    channel,
+    phoneNumber,
+    displayName,
+    customer,
+    t,
+  });
+
+  const aiSteps = [];
+  const recordStep = (step, { source, fallbackReason }) => {
+    aiSteps.push({ step, source, ...(fallbackReason && { fallbackReason }) });
+  };
+
+  let intent = 'order';
+  if (!sessionReply && !handoffReason) {
+    const detected = await detectIntent(message);
+    recordStep('intent', detected);
+    ({ intent } = detected);
+    if (isLowConfidence(detected.confidence)) {
+      handoffReason = 'low_confidence';
+    }
+  }
+  if (handoffReason) {
+    intent = 'handoff';
+  }
+  // After a list of choices, "hitam L" picks a variant of the earlier stock query.
+  const refinedQuery = intent === 'general' && session.inventoryChoice
+    ? refineProductQuery(session.inventoryChoice, message)
+    : null;
+  if (refinedQuery) {
+    intent = 'inventory';
+  }
+  let reply;
+  let metadata = {};
+
+  if (sessionReply) {
+    ({ reply, metadata } = sessionReply);
+  } else if (handoffReason) {
+    await escalateConversation(threadId, handoffReason);
+    reply = t('handoff.connecting');
+    metadata = { handoff: { mode: 'human', reason: handoffReason, assignedTo: null } };
+  } else if (intent === 'faq') {
+    const faq = await answerFaq(message, { locale: replyLocale });
+    recordStep('faq', faq);
+    reply = faq.answer;
+  } else if (intent === 'inventory') {
+    let query = refinedQuery;
+    if (!query) {
+      const extracted = await extractInventoryQuery(message);
+      recordStep('inventory', extracted);
+      ({ query } = extracted);
+    }
+    const availability = await checkStockAvailability(query, { phoneNumber });
+
+    metadata = { query, availability };
+
+    await saveSession({
+      ...session,
+      lastInventoryQuery: availability.available && !availability.ambiguous
+        ? { query, item: availability.item }
+        : null,
+      inventoryChoice: availability.ambiguous || availability.alternatives.length ? query : null,
+    });
+
+    reply = formatInventoryReply(query, availability, t);
+  } else if (intent === 'order') {
+    const extracted = await extractOrderDetails({
+      message,
+      phoneNumber,
+      displayName,
+    });
+    recordStep('order', extracted);
+    const { order } = extracted;
+
+    const draft = withSourceMessage(prefillOrder(order, customer, { displayName }), inboundMessageId);
+    ({ reply, metadata } = await continueOrderDraft(session, draft, t));
+  } else {
+    reply = t('greeting');
+  }
+
+  if (metadata.confirmed) {
+    ordersCreated.inc({ channel });
+    await recordCustomerOrder({ channel, phoneNumber, order: metadata.order });
+  }
+
+  const leadId = LEAD_INTENTS.includes(intent)
+    ? await upsertLeadFromConversation({
+      channel,
+      phoneNumber,
+      displayName,
+      intent,
+      messageId: inboundMessageId,
+      orderId: metadata.confirmed ? metadata.order?.orderId : undefined,
+    })
+    : null;
+
+  const ai = { source: summariseAiSteps(aiSteps), steps: aiSteps };
+  recordReplySource(ai.source);
+
+  const outboundMessageId = await logMessage({
+    channel,
+    direction: 'outbound',
+    to: phoneNumber,
+    threadId,
+    content: reply,
+    locale: replyLocale,
+    intent,
+    metadata,
+    aiSource: ai.source,
+    aiSteps,
+    status: 'sent',
+    ...(leadId && { leadId }),
+  });
+
+  return {
+    intent,
+    reply,
+    locale: replyLocale,
+    metadata,
+    ai,
+    outboundMessageId,
+  };
+};
+
+// Runs one inbound customer message through the session, intent, FAQ, inventory
+// and order pipeline. Logs both directions to `messages` and returns the reply;
+// delivering it is left to the caller's channel.
+// `phoneNumber` is the customer's address on the channel: a phone number for
+// WhatsApp, the Instagram-scoped user ID, or an email address.
+// Replies use the language the message is written in, falling back to the
+// customer's preferred language; pass `locale` to force one.
+// `ai` tells whether JamAI Base or a local fallback produced each step.
+// Asking for a person, or an intent scored below HANDOFF_MIN_CONFIDENCE, hands
+// the thread to staff (intent `handoff`); until it is handed back, messages are
+// only logged and the reply is null.
+// Redeliveries (same `providerMessageId`, or same sender, text and `timestamp`)
+// return the first reply with `duplicate: true` and change nothing.
+const handleInboundMessage = ({ channel = 'whatsapp', ...params }) => {
+  const request = { channel, ...params };
+  return processOnce(request, async () => {
+    const result = await processInboundMessage(request);
+    messagesProcessed.inc({ channel, intent: result.intent });
+    return result;
+  });
+};
+
+module.exports = {
+  handleInboundMessage,
+  logMessage,
+  updateMessage,
+  updateMessageStatusByProviderId,
+};
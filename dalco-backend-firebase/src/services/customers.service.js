@@ -0,0 +1,371 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const logger = require('../utils/logger');
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+const { serializeDoc, toPageSize, readPage } = require('../utils/firestore');
+const { getMissingFields } = require('./session.service');
+const { isSupportedLocale, getSupportedLocales } = require('./language.service');
+
+const CUSTOMERS_COLLECTION = 'customers';
+
+const MAX_ADDRESSES = 5;
+const MAX_ORDER_HISTORY = 50;
+// Free-text search scans the most recently seen profiles only.
+const SEARCH_SCAN_LIMIT = 500;
+
+const normalisePhone = (value = '') => {
+  const digits = String(value).replace(/\D/g, '');
+  return digits ? `+${digits}` : '';
+};
+
+// A customer is reachable through one or more channel identities, e.g.
+// "whatsapp:+60123456789" or "email:siti@example.com".
+const toIdentity = (channel, address) => (
+  channel === 'whatsapp'
+    ? `whatsapp:${normalisePhone(address)}`
+    : `${channel}:${String(address).trim().toLowerCase()}`
+);
+
+// WhatsApp customers are keyed by phone number; other channels by their identity.
+const customerDocId = (channel, address) => (
+  channel === 'whatsapp'
+    ? normalisePhone(address)
+    : toIdentity(channel, address).replace(/\//g, '_')
+);
+
+const orderAmount = (lineItems = []) => lineItems.reduce(
+  (sum, { quantity, unitPrice }) => sum + (Number(quantity) || 0) * (Number(unitPrice) || 0),
+  0,
+);
+
+const orderUnits = (lineItems = []) => lineItems.reduce(
+  (sum, { quantity }) => sum + (Number(quantity) || 0),
+  0,
+);
+
+// Most recent first, without duplicates (case/whitespace-insensitive).
+const mergeAddresses = (...lists) => {
+  const seen = new Set();
+
+  return lists.flat().filter((address) => {
+    const key = address?.toString().trim().replace(/\s+/g, ' ').toLowerCase();
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_ADDRESSES);
+};
+
+const findCustomerRef = async (identity) => {
+  const snapshot = await db
+    .collection(CUSTOMERS_COLLECTION)
+    .where('identities', 'array-contains', identity)
+    .limit(1)
+    .get();
+
+  return snapshot.empty ? null : snapshot.docs[0].ref;
+};
+
+const getCustomerRef = async (channel, address) => (
+  await findCustomerRef(toIdentity(channel, address))
+  || db.collection(CUSTOMERS_COLLECTION).doc(customerDocId(channel, address))
+);
+
+const contactFields = (channel, address) => {
+  if (channel === 'whatsapp') {
+    return { phone: normalisePhone(address) };
+  }
+  return channel === 'email' ? { email: String(address).trim().toLowerCase() } : {};
+};
+
+// Records contact from a conversation and returns the profile, creating it on
+// first contact. `language` is the language detected in the message; it becomes
+// the preferred language unless staff pinned one. Never throws: the message
+// pipeline carries on without a profile.
+const touchCustomer = async ({
+  channel,
+  phoneNumber,
+  displayName,
+  language,
+}) => {
+  try {
+    const ref = await getCustomerRef(channel, phoneNumber);
+
+    const customer = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+
+      if (snapshot.exists) {
+        const existing = snapshot.data();
+        const changes = {
+          lastSeenAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+          ...(!existing.name && displayName && { name: displayName }),
+          ...(language && !existing.languagePinned && { preferredLanguage: language }),
+        };
+
+        transaction.update(ref, changes);
+        return { ...existing, ...changes };
+      }
+
+      const created = {
+        name: displayName || null,
+        ...contactFields(channel, phoneNumber),
+        identities: [toIdentity(channel, phoneNumber)],
+        addresses: [],
+        preferredLanguage: language || null,
+        orders: [],
+        orderCount: 0,
+        lifetimeValue: 0,
+        firstSeenAt: FieldValue.serverTimestamp(),
+        lastSeenAt: FieldValue.serverTimestamp(),
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      };
+
+      transaction.set(ref, created);
+      return created;
+    });
+
+    return { id: ref.id, ...customer };
+  } catch (error) {
+    logger.warn(`Failed to load customer profile for ${channel}:${phoneNumber}: ${error.message}`);
+    return null;
+  }
+};
+
+// Fills the name and delivery address of an order draft from the customer's
+// profile. The profile name also replaces the channel display name, since it is
+// the name the customer gave on a previous order.
+const prefillOrder = (order, customer, { displayName } = {}) => {
+  if (!customer) {
+    return order;
+  }
+
+  const missing = getMissingFields(order);
+  const [lastAddress] = customer.addresses || [];
+  const useProfileName = customer.name
+    && (missing.includes('customerName') || order.customerName === displayName);
+
+  return {
+    ...order,
+    ...(useProfileName && { customerName: customer.name }),
+    ...(missing.includes('deliveryAddress') && lastAddress && { deliveryAddress: lastAddress }),
+  };
+};
+
+// Adds a confirmed order to the profile: name and address move to the front,
+// the order joins the history and lifetime value grows by its amount. An order
+// already in the history is not counted twice.
+const recordCustomerOrder = async ({ channel, phoneNumber, order }) => {
+  try {
+    const ref = await getCustomerRef(channel, phoneNumber);
+    const amount = orderAmount(order.lineItems);
+
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const existing = snapshot.exists ? snapshot.data() : {};
+      if ((existing.orders || []).some(({ orderId }) => orderId === order.orderId)) {
+        return;
+      }
+
+      transaction.set(ref, {
+        ...contactFields(channel, phoneNumber),
+        identities: [...new Set([...(existing.identities || []), toIdentity(channel, phoneNumber)])],
+        name: order.customerName || existing.name || null,
+        addresses: mergeAddresses([order.deliveryAddress], existing.addresses || []),
+        orders: [
+          {
+            orderId: order.orderId,
+            at: new Date(),
+            units: orderUnits(order.lineItems),
+            amount,
+          },
+          ...(existing.orders || []),
+        ].slice(0, MAX_ORDER_HISTORY),
+        orderCount: (existing.orderCount || 0) + 1,
+        lifetimeValue: (existing.lifetimeValue || 0) + amount,
+        lastOrderAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(!snapshot.exists && { createdAt: FieldValue.serverTimestamp() }),
+      }, { merge: true });
+    });
+  } catch (error) {
+    logger.warn(`Failed to record order ${order.orderId} on customer profile: ${error.message}`);
+  }
+};
+
+// Takes a cancelled order back out of the profile's order count and lifetime
+// value. Its history entry stays, marked `cancelled`; an order no longer in the
+// history (beyond MAX_ORDER_HISTORY) is left alone. Never throws, like
+// recordCustomerOrder.
+const cancelCustomerOrder = async ({ channel, phoneNumber, orderId }) => {
+  try {
+    const ref = await findCustomerRef(toIdentity(channel, phoneNumber));
+    if (!ref) {
+      return;
+    }
+
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const existing = snapshot.exists ? snapshot.data() : {};
+      const entry = (existing.orders || []).find((recorded) => recorded.orderId === orderId);
+      if (!entry || entry.cancelled) {
+        return;
+      }
+
+      transaction.update(ref, {
+        orders: existing.orders.map((recorded) => (recorded === entry ? { ...recorded, cancelled: true } : recorded)),
+        orderCount: Math.max((existing.orderCount || 0) - 1, 0),
+        lifetimeValue: Math.max((existing.lifetimeValue || 0) - entry.amount, 0),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+  } catch (error) {
+    logger.warn(`Failed to take cancelled order ${orderId} off the customer profile: ${error.message}`);
+  }
+};
+
+// Read-only lookup for replies sent outside the message pipeline.
+const getPreferredLanguage = async (channel, address) => {
+  try {
+    const ref = await findCustomerRef(toIdentity(channel, address));
+    const snapshot = ref && await ref.get();
+    return snapshot?.exists ? snapshot.data().preferredLanguage || null : null;
+  } catch (error) {
+    logger.warn(`Failed to read language preference for ${channel}:${address}: ${error.message}`);
+    return null;
+  }
+};
+
+const matchesSearch = (customer, term) => {
+  const phoneTerm = term.replace(/\D/g, '');
+
+  return [customer.name, customer.email, ...(customer.addresses || [])]
+    .some((value) => value?.toLowerCase().includes(term))
+    || (phoneTerm.length >= 4 && (customer.phone || '').includes(phoneTerm));
+};
+
+// Without `q`, pages through profiles by most recent contact. With `q`, matches
+// name, email, phone or address against the latest SEARCH_SCAN_LIMIT profiles.
+const listCustomers = async ({ q, limit, cursor } = {}) => {
+  const collection = db.collection(CUSTOMERS_COLLECTION);
+
+  if (q) {
+    const term = q.toString().trim().toLowerCase();
+    const snapshot = await collection.orderBy('lastSeenAt', 'desc').limit(SEARCH_SCAN_LIMIT).get();
+
+    return {
+      customers: snapshot.docs
+        .map(serializeDoc)
+        .filter((customer) => matchesSearch(customer, term))
+        .slice(0, toPageSize(limit)),
+      nextCursor: null,
+    };
+  }
+
+  const { items, nextCursor } = await readPage(collection.orderBy('lastSeenAt', 'desc'), { collection, limit, cursor });
+  return { customers: items, nextCursor };
+};
+
+const getCustomer = async (id) => {
+  const snapshot = await db.collection(CUSTOMERS_COLLECTION).doc(id).get();
+  if (!snapshot.exists) {
+    throw createHttpError(404, 'Customer not found');
+  }
+  return serializeDoc(snapshot);
+};
+
+// Staff-set language preference. A pinned language is no longer replaced by the
+// language detected in messages; `null` unpins it.
+const setPreferredLanguage = async (id, preferredLanguage, { by } = {}) => {
+  if (preferredLanguage !== null && !isSupportedLocale(preferredLanguage)) {
+    throw createHttpError(400, `Unsupported language "${preferredLanguage}"`, {
+      supported: getSupportedLocales(),
+    });
+  }
+
+  const ref = db.collection(CUSTOMERS_COLLECTION).doc(id);
+  const snapshot = await ref.get();
+  if (!snapshot.exists) {
+    throw createHttpError(404, 'Customer not found');
+  }
+
+  await ref.update({
+    ...(preferredLanguage !== null && { preferredLanguage }),
+    languagePinned: preferredLanguage !== null,
+    ...(by && { languagePinnedBy: by }),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return getCustomer(id);
+};
+
+const earliest = (a, b) => {
+  const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value).getTime());
+  if (!a || !b) {
+    return a || b || null;
+  }
+  return toMillis(a) <= toMillis(b) ? a : b;
+};
+
+// Folds a duplicate profile into `targetId` and deletes it. The target keeps its
+// own name/contact details where set; identities, addresses and orders combine.
+const mergeCustomers = async (targetId, sourceId, { by } = {}) => {
+  if (!sourceId || sourceId === targetId) {
+    throw createHttpError(400, 'sourceId must name a different customer');
+  }
+
+  const targetRef = db.collection(CUSTOMERS_COLLECTION).doc(targetId);
+  const sourceRef = db.collection(CUSTOMERS_COLLECTION).doc(sourceId);
+
+  await db.runTransaction(async (transaction) => {
+    const [targetSnapshot, sourceSnapshot] = await Promise.all([
+      transaction.get(targetRef),
+      transaction.get(sourceRef),
+    ]);
+
+    if (!targetSnapshot.exists || !sourceSnapshot.exists) {
+      throw createHttpError(404, 'Customer not found');
+    }
+
+    const target = targetSnapshot.data();
+    const source = sourceSnapshot.data();
+    const orders = [...(target.orders || []), ...(source.orders || [])]
+      .sort((a, b) => new Date(b.at?.toDate?.() || b.at) - new Date(a.at?.toDate?.() || a.at))
+      .slice(0, MAX_ORDER_HISTORY);
+
+    transaction.update(targetRef, {
+      name: target.name || source.name || null,
+      phone: target.phone || source.phone || null,
+      email: target.email || source.email || null,
+      preferredLanguage: target.preferredLanguage || source.preferredLanguage || null,
+      identities: [...new Set([...(target.identities || []), ...(source.identities || [])])],
+      addresses: mergeAddresses(target.addresses || [], source.addresses || []),
+      orders,
+      orderCount: (target.orderCount || 0) + (source.orderCount || 0),
+      lifetimeValue: (target.lifetimeValue || 0) + (source.lifetimeValue || 0),
+      firstSeenAt: earliest(target.firstSeenAt, source.firstSeenAt),
+      mergedFrom: [
+        ...(target.mergedFrom || []),
+        { id: sourceId, at: new Date(), ...(by && { by }) },
+      ],
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    transaction.delete(sourceRef);
+  });
+
+  return getCustomer(targetId);
+};
+
+module.exports = {
+  touchCustomer,
+  prefillOrder,
+  recordCustomerOrder,
+  cancelCustomerOrder,
+  getPreferredLanguage,
+  listCustomers,
+  getCustomer,
+  setPreferredLanguage,
+  mergeCustomers,
+};
@@ -0,0 +1,121 @@
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+const { iterateQuery, serializeDoc } = require('../utils/firestore');
+const { parseBoundary } = require('../utils/localTime');
+const { iterateOrderLines } = require('./inventory.service');
+const { LEAD_STATUSES } = require('./leads.service');
+const { ORDER_STATUSES } = require('./orders.service');
+
+// Column order of each export. Orders follow the order log rows (one per line
+// item); messages and leads follow their Firestore documents (see README).
+const ORDER_COLUMNS = ['timestamp', 'orderId', 'customerName', 'phone', 'item', 'quantity', 'address', 'notes', 'status'];
+
+const MESSAGE_COLUMNS = [
+  'id', 'createdAt', 'channel', 'threadId', 'direction', 'from', 'to', 'intent', 'aiSource', 'language', 'locale',
+  'status', 'error', 'content', 'providerMessageId', 'leadId', 'updatedAt',
+];
+
+const LEAD_COLUMNS = [
+  'id', 'createdAt', 'updatedAt', 'status', 'customerName', 'phone', 'email', 'channel', 'threadId',
+  'assignedTo', 'score', 'source', 'lastIntent', 'lastMessageAt', 'orderIds', 'notes',
+];
+
+// Query parameters that filter an export; each export accepts a subset.
+const FILTER_PARAMS = ['from', 'to', 'status', 'channel', 'direction', 'intent', 'threadId', 'assignedTo'];
+
+const resolveRange = ({ from, to }) => ({
+  start: from ? parseBoundary(from, 'from') : undefined,
+  end: to ? parseBoundary(to, 'to', { endOfDay: true }) : undefined,
+});
+
+// Confirmed orders from the `orders` collection, paged like the collections
+// below; `from`/`to` filter on `confirmedAt` (the row timestamp).
+const orderRows = (filters) => iterateOrderLines({ ...resolveRange(filters), status: filters.status });
+
+// Streams a collection oldest first in pages; equality filters plus a createdAt
+// range need a composite index per combination (see README).
+const collectionRows = (collection, equalityFilters) => async function* rows(filters) {
+  const { start, end } = resolveRange(filters);
+  let query = db.collection(collection);
+
+  equalityFilters
+    .filter((field) => filters[field])
+    .forEach((field) => {
+      query = query.where(field, '==', filters[field]);
+    });
+
+  if (start !== undefined) {
+    query = query.where('createdAt', '>=', new Date(start));
+  }
+  if (end !== undefined) {
+    query = query.where('createdAt', '<', new Date(end));
+  }
+
+  for await (const doc of iterateQuery(query.orderBy('createdAt'))) {
+    yield serializeDoc(doc);
+  }
+};
+
+const EXPORTS = {
+  orders: {
+    columns: ORDER_COLUMNS,
+    filters: ['from', 'to', 'status'],
+    rows: orderRows,
+    validate: ({ status }) => {
+      if (status && !ORDER_STATUSES.includes(status)) {
+        throw createHttpError(400, `Unknown order status "${status}"`, { allowed: ORDER_STATUSES });
+      }
+    },
+  },
+  messages: {
+    columns: MESSAGE_COLUMNS,
+    filters: ['from', 'to', 'status', 'channel', 'direction', 'intent', 'threadId'],
+    rows: collectionRows('messages', ['status', 'channel', 'direction', 'intent', 'threadId']),
+  },
+  leads: {
+    columns: LEAD_COLUMNS,
+    filters: ['from', 'to', 'status', 'channel', 'assignedTo'],
+    rows: collectionRows('leads', ['status', 'channel', 'assignedTo']),
+    validate: ({ status }) => {
+      if (status && !LEAD_STATUSES.includes(status)) {
+        throw createHttpError(400, `Unknown lead status "${status}"`, { allowed: LEAD_STATUSES });
+      }
+    },
+  },
+};
+
+const EXPORT_TYPES = Object.keys(EXPORTS);
+
+// Validates the filters and returns `{ name, columns, rows }`, where `rows` is
+// an async iterator over the matching records. Nothing is read until it is iterated.
+const openExport = (type, query = {}) => {
+  const definition = EXPORTS[type];
+  if (!definition) {
+    throw createHttpError(404, `Unknown export "${type}"`, { supported: EXPORT_TYPES });
+  }
+
+  const unsupported = FILTER_PARAMS.filter((param) => query[param] && !definition.filters.includes(param));
+  if (unsupported.length) {
+    throw createHttpError(400, `The ${type} export cannot be filtered by ${unsupported.join(', ')}`, {
+      supported: definition.filters,
+    });
+  }
+
+  const filters = Object.fromEntries(definition.filters.map((param) => [param, query[param]]));
+  const { start, end } = resolveRange(filters);
+  if (start !== undefined && end !== undefined && start >= end) {
+    throw createHttpError(400, '"from" must be before "to"');
+  }
+  definition.validate?.(filters);
+
+  return {
+    name: type,
+    columns: definition.columns,
+    rows: definition.rows(filters),
+  };
+};
+
+module.exports = {
+  EXPORT_TYPES,
+  openExport,
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { numberFromEnv } = require('../utils/env');
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+
+const DEDUP_COLLECTION = 'inboundReceipts';
+
+// How long a delivery is remembered: long enough to cover platform redelivery
+// (about a day on WhatsApp).
+const RECEIPT_TTL_MS = numberFromEnv('INBOUND_DEDUP_TTL_HOURS', 24, { allowZero: false }) * 60 * 60 * 1000;
+
+// A receipt stuck in `processing` longer than this (crashed process) can be reclaimed.
+const PROCESSING_LEASE_MS = 60 * 1000;
+const IN_FLIGHT_WAIT_MS = 10 * 1000;
+const IN_FLIGHT_POLL_MS = 500;
+
+const toMillis = (value) => (value?.toDate ? value.toDate() : new Date(value)).getTime();
+
+const hash = (parts) => crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+
+// Identifies a delivery by the provider message ID when there is one, otherwise
+// by a fingerprint of sender, text and the platform timestamp. Returns null when
+// there is neither: identical text from the same sender is then a new message,
+// since customers repeat "ya" or "ok" from one turn to the next.
+const getInboundKey = ({
+  channel,
+  phoneNumber,
+  message,
+  providerMessageId,
+  timestamp,
+}) => {
+  if (providerMessageId) {
+    return { id: `${channel}-${hash([channel, providerMessageId])}`, ttlMs: RECEIPT_TTL_MS };
+  }
+
+  if (!timestamp) {
+    return null;
+  }
+
+  const text = message.trim().toLowerCase().replace(/\s+/g, ' ');
+  return { id: `${channel}-${hash([channel, phoneNumber, text, timestamp])}`, ttlMs: RECEIPT_TTL_MS };
+};
+
+// Records the delivery as in progress. Returns `{ duplicate: false }` for a new
+// delivery, or the original response for a repeat.
+const claimInbound = async (key, details) => {
+  const ref = db.collection(DEDUP_COLLECTION).doc(key.id);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const receipt = snapshot.exists ? snapshot.data() : null;
+    const now = Date.now();
+
+    if (receipt && toMillis(receipt.expiresAt) > now) {
+      if (receipt.status === 'completed') {
+        return { duplicate: true, response: receipt.response };
+      }
+      if (toMillis(receipt.lockedUntil) > now) {
+        return { duplicate: true, inFlight: true };
+      }
+    }
+
+    transaction.set(ref, {
+      ...details,
+      status: 'processing',
+      lockedUntil: new Date(now + PROCESSING_LEASE_MS),
+      expiresAt: new Date(now + key.ttlMs),
+      createdAt: new Date(now),
+    });
+    return { duplicate: false };
+  });
+};
+
+// Stores the reply so repeats get the same answer. Firestore rejects undefined
+// values, so the response is stored as plain JSON.
+const completeInbound = (key, response) => db.collection(DEDUP_COLLECTION).doc(key.id).update({
+  status: 'completed',
+  response: JSON.parse(JSON.stringify(response)),
+  lockedUntil: null,
+  completedAt: new Date(),
+});
+
+// Forgets a delivery that failed, so the platform's retry is processed again.
+const releaseInbound = (key) => db.collection(DEDUP_COLLECTION).doc(key.id).delete();
+
+const waitForResponse = async (key) => {
+  const ref = db.collection(DEDUP_COLLECTION).doc(key.id);
+  const deadline = Date.now() + IN_FLIGHT_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, IN_FLIGHT_POLL_MS));
+    const snapshot = await ref.get();
+    const receipt = snapshot.exists ? snapshot.data() : null;
+
+    if (!receipt || receipt.status !== 'processing') {
+      return receipt?.response || null;
+    }
+  }
+
+  return null;
+};
+
+// Runs `handler` once per delivery. A repeat returns the first response with
+// `duplicate: true`; a repeat that arrives while the first is still running
+// waits for it briefly. If Firestore is unavailable the message is processed
+// anyway, since a missed reply is worse than a rare duplicate. Messages with
+// neither a provider ID nor a timestamp are always processed.
+const processOnce = async (details, handler) => {
+  const key = getInboundKey(details);
+  if (!key) {
+    return handler();
+  }
+
+  let claim;
+
+  try {
+    claim = await claimInbound(key, {
+      channel: details.channel,
+      from: details.phoneNumber,
+      ...(details.providerMessageId && { providerMessageId: details.providerMessageId }),
+    });
+  } catch (error) {
+    logger.warn(`Inbound dedup unavailable, processing anyway: ${error.message}`);
+    return handler();
+  }
+
+  if (claim.duplicate) {
+    const response = claim.response || await waitForResponse(key);
+    if (!response) {
+      throw createHttpError(409, 'This message is already being processed');
+    }
+    logger.info(`Duplicate ${details.channel} delivery from ${details.phoneNumber}; returning the original reply`);
+    return { ...response, duplicate: true };
+  }
+
+  let response;
+  try {
+    response = await handler();
+  } catch (error) {
+    await releaseInbound(key).catch(() => {});
+    throw error;
+  }
+
+  await completeInbound(key, response)
+    .catch((error) => logger.warn(`Failed to store reply for dedup: ${error.message}`));
+  return response;
+};
+
+module.exports = {
+  getInboundKey,
+  processOnce,
+};
@@ -0,0 +1,264 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const logger = require('../utils/logger');
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+const { numberFromEnv } = require('../utils/env');
+const { serializeDoc, toPageSize } = require('../utils/firestore');
+const { createCounter } = require('../utils/metrics');
+const { publishHandoff } = require('./liveEvents.service');
+
+const CONVERSATIONS_COLLECTION = 'conversations';
+const MESSAGES_COLLECTION = 'messages';
+
+// `bot`: the pipeline answers. `human`: staff answer from the inbox and the
+// bot stays quiet until the conversation is handed back.
+const CONVERSATION_MODES = ['bot', 'human'];
+
+// Why a conversation went to staff (or back to the bot).
+const HANDOFF_REASONS = ['customer_request', 'low_confidence', 'staff', 'released'];
+
+// Intent scores (0-1) below this hand the conversation to staff; 0 turns it off.
+const MIN_INTENT_CONFIDENCE = numberFromEnv('HANDOFF_MIN_CONFIDENCE', 0.5);
+// The inbox groups the most recent messages only.
+const INBOX_SCAN_LIMIT = numberFromEnv('INBOX_SCAN_LIMIT', 500, { allowZero: false });
+
+const DEFAULT_THREAD_MESSAGES = 50;
+const MAX_THREAD_MESSAGES = 200;
+
+// "Can I talk to a real person?", "nak cakap dengan orang/admin", "customer service".
+const HUMAN_REQUEST_PATTERN = new RegExp([
+  String.raw`\b(human|real person|live (agent|chat)|customer (service|support))\b`,
+  String.raw`\b(talk|speak|chat)\s+(to|with)\s+(a |an |the )?(person|someone|staff|agent|admin|manager)\b`,
+  String.raw`\b(cakap|bercakap|sembang|hubungi)\s+(dengan\s+)?(orang|staf|admin|manusia|pekerja)\b`,
+  String.raw`\b(orang sebenar|khidmat pelanggan)\b`,
+].join('|'), 'i');
+
+const handoffs = createCounter({
+  name: 'dalco_handoffs_total',
+  help: 'Conversations passed to staff, by channel and reason (customer_request, low_confidence, staff).',
+  labelNames: ['channel', 'reason'],
+});
+
+const isHumanRequest = (message = '') => HUMAN_REQUEST_PATTERN.test(message);
+
+// `confidence` is undefined when the intent came from the keyword fallback.
+const isLowConfidence = (confidence) => (
+  MIN_INTENT_CONFIDENCE > 0 && Number.isFinite(confidence) && confidence < MIN_INTENT_CONFIDENCE
+);
+
+// Thread IDs are `<channel>:<customer address>`; addresses may hold colons.
+const parseThreadId = (threadId = '') => {
+  const separator = threadId.indexOf(':');
+  return separator > 0
+    ? { channel: threadId.slice(0, separator), address: threadId.slice(separator + 1) }
+    : { channel: null, address: null };
+};
+
+const conversationRef = (threadId) => db.collection(CONVERSATIONS_COLLECTION).doc(threadId.replace(/\//g, '_'));
+
+// Handoff state for the pipeline. Failures are logged and the bot carries on.
+const getConversationMode = async (threadId) => {
+  try {
+    const snapshot = await conversationRef(threadId).get();
+    return snapshot.exists ? snapshot.data() : null;
+  } catch (error) {
+    logger.warn(`Failed to load conversation ${threadId}: ${error.message}`);
+    return null;
+  }
+};
+
+const historyEntry = (from, to, { by, reason, note }) => ({
+  from,
+  to,
+  at: new Date(),
+  ...(by && { by }),
+  ...(reason && { reason }),
+  ...(note && { note }),
+});
+
+// Moves the conversation to `mode`, recording who did it and why. Taking over
+// a conversation another staff member holds reassigns it unless `reassign` is
+// false. Returns the conversation; unchanged when nothing was to change.
+const setConversationMode = async (threadId, mode, {
+  by,
+  reason,
+  note,
+  reassign = true,
+} = {}) => {
+  const ref = conversationRef(threadId);
+  const { channel, address } = parseThreadId(threadId);
+  let changed = null;
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const current = snapshot.exists ? snapshot.data() : { mode: 'bot', history: [] };
+    const assignedTo = mode === 'human' && by !== 'bot' ? by || null : null;
+    if (current.mode === mode && (mode === 'bot' || !reassign || current.assignedTo === assignedTo)) {
+      return;
+    }
+
+    changed = {
+      threadId,
+      channel,
+      address,
+      mode,
+      assignedTo,
+      reason,
+      modeChangedAt: new Date(),
+      history: [...(current.history || []), historyEntry(current.mode, mode, { by, reason, note })],
+      updatedAt: FieldValue.serverTimestamp(),
+      ...(!snapshot.exists && { createdAt: FieldValue.serverTimestamp() }),
+    };
+    transaction.set(ref, changed, { merge: true });
+  });
+
+  if (changed) {
+    if (mode === 'human') {
+      handoffs.inc({ channel, reason });
+    }
+    publishHandoff(changed);
+    logger.info(`Conversation ${threadId} moved to ${mode} (${reason})`);
+  }
+
+  return serializeDoc(await ref.get());
+};
+
+// Called from the pipeline when the customer asks for a person or the intent
+// is unclear.
+const escalateConversation = (threadId, reason) => setConversationMode(threadId, 'human', {
+  by: 'bot',
+  reason,
+  reassign: false,
+});
+
+// Newest first; `direction` keeps inbound or outbound messages only.
+const threadMessages = async (threadId, limit, { direction } = {}) => {
+  let query = db.collection(MESSAGES_COLLECTION).where('threadId', '==', threadId);
+  if (direction) {
+    query = query.where('direction', '==', direction);
+  }
+
+  const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+  return snapshot.docs.map(serializeDoc);
+};
+
+const summariseMessage = ({
+  id,
+  direction,
+  content,
+  intent,
+  status,
+  createdAt,
+}) => ({
+  id,
+  direction,
+  content,
+  intent: intent || null,
+  status: status || null,
+  createdAt,
+});
+
+const summariseThread = (threadId, lastMessage, conversation) => ({
+  threadId,
+  ...parseThreadId(threadId),
+  mode: conversation?.mode || 'bot',
+  assignedTo: conversation?.assignedTo || null,
+  reason: conversation?.reason || null,
+  modeChangedAt: conversation?.modeChangedAt || null,
+  lastMessage: lastMessage ? summariseMessage(lastMessage) : null,
+  // The customer wrote last, so someone owes them an answer.
+  awaitingReply: lastMessage?.direction === 'inbound',
+});
+
+// One entry per conversation thread in the last INBOX_SCAN_LIMIT messages,
+// newest activity first, plus any thread staff hold that is older than that.
+// Filters: mode, channel.
+const listThreads = async ({ mode, channel, limit } = {}) => {
+  const pageSize = toPageSize(limit);
+
+  const [recent, held] = await Promise.all([
+    db.collection(MESSAGES_COLLECTION).orderBy('createdAt', 'desc').limit(INBOX_SCAN_LIMIT).get(),
+    db.collection(CONVERSATIONS_COLLECTION).where('mode', '==', 'human').get(),
+  ]);
+
+  const lastMessages = new Map();
+  recent.docs.map(serializeDoc).forEach((message) => {
+    if (message.threadId && !lastMessages.has(message.threadId)) {
+      lastMessages.set(message.threadId, message);
+    }
+  });
+
+  const conversations = new Map(held.docs.map(serializeDoc).map((entry) => [entry.threadId, entry]));
+  await Promise.all([...conversations.keys()]
+    .filter((threadId) => !lastMessages.has(threadId))
+    .map(async (threadId) => {
+      const [last] = await threadMessages(threadId, 1);
+      lastMessages.set(threadId, last);
+    }));
+
+  return [...lastMessages]
+    .map(([threadId, last]) => summariseThread(threadId, last, conversations.get(threadId)))
+    .filter((thread) => (!mode || thread.mode === mode) && (!channel || thread.channel === channel))
+    .sort((a, b) => (b.lastMessage?.createdAt || '').localeCompare(a.lastMessage?.createdAt || ''))
+    .slice(0, pageSize);
+};
+
+// The thread's handoff state and its latest messages, oldest first.
+const getThread = async (threadId, { limit } = {}) => {
+  const count = Math.min(Number(limit) || DEFAULT_THREAD_MESSAGES, MAX_THREAD_MESSAGES);
+  const [messages, snapshot] = await Promise.all([
+    threadMessages(threadId, count),
+    conversationRef(threadId).get(),
+  ]);
+
+  if (!messages.length && !snapshot.exists) {
+    throw createHttpError(404, 'Conversation not found');
+  }
+
+  const conversation = snapshot.exists ? serializeDoc(snapshot) : null;
+  return {
+    ...summariseThread(threadId, messages[0], conversation),
+    history: conversation?.history || [],
+    messages: messages.reverse(),
+  };
+};
+
+// The latest inbound message of a thread, for replying through its channel.
+// Throws 404 for threads the customer never wrote in.
+const getLatestInbound = async (threadId) => {
+  const [inbound] = await threadMessages(threadId, 1, { direction: 'inbound' });
+  if (!inbound) {
+    throw createHttpError(404, 'Conversation not found');
+  }
+  return inbound;
+};
+
+const takeOverConversation = async (threadId, { by, note, reassign } = {}) => {
+  await getLatestInbound(threadId);
+  return setConversationMode(threadId, 'human', {
+    by,
+    reason: 'staff',
+    note,
+    reassign,
+  });
+};
+
+const releaseConversation = async (threadId, { by, note } = {}) => {
+  await getLatestInbound(threadId);
+  return setConversationMode(threadId, 'bot', { by, reason: 'released', note });
+};
+
+module.exports = {
+  CONVERSATION_MODES,
+  HANDOFF_REASONS,
+  isHumanRequest,
+  isLowConfidence,
+  parseThreadId,
+  getConversationMode,
+  escalateConversation,
+  listThreads,
+  getThread,
+  getLatestInbound,
+  takeOverConversation,
+  releaseConversation,
+};
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { numberFromEnv } = require('../utils/env');
+const { db } = require('../config/firebase');
+const { iterateQuery, toIsoString } = require('../utils/firestore');
+const { createTtlCache } = require('../utils/ttlCache');
+const { getDataStore } = require('./stores');
+const { matchProduct } = require('./productMatch.service');
+
+const ORDERS_COLLECTION = 'orders';
+
+// Store reads are cached per process (set a TTL to 0 to disable). Writes made
+// through this module invalidate the matching cache; edits made directly in the
+// sheet show up once the TTL passes.
+const staleMs = numberFromEnv('CACHE_STALE_SECONDS', 120) * 1000;
+const inventoryCache = createTtlCache({
+  name: 'inventory',
+  ttlMs: numberFromEnv('INVENTORY_CACHE_TTL_SECONDS', 30) * 1000,
+  staleMs,
+});
+const ordersCache = createTtlCache({
+  name: 'orders',
+  ttlMs: numberFromEnv('ORDERS_CACHE_TTL_SECONDS', 60) * 1000,
+  staleMs,
+});
+
+// Pass `fresh: true` where a stale stock figure is not acceptable (committing stock).
+const readInventory = async ({ fresh = false } = {}) => {
+  if (fresh) {
+    inventoryCache.invalidate('all');
+  }
+  return inventoryCache.get('all', () => getDataStore().readInventory());
+};
+
+// Applies a stock delta to the SKU and returns the new stock; throws if the stock
+// would go below zero. Callers hold the SKU's write lease (stock.service), as not
+// every store offers an atomic update.
+const adjustInventoryStock = async (sku, delta) => {
+  try {
+    return await getDataStore().adjustInventoryStock(sku, delta);
+  } finally {
+    inventoryCache.invalidate();
+  }
+};
+
+const readOrders = async ({ fresh = false } = {}) => {
+  if (fresh) {
+    ordersCache.invalidate('all');
+  }
+  return ordersCache.get('all', () => getDataStore().readOrders());
+};
+
+// Whether rows for the order are already in the store (used before retrying a
+// write). Reporting reads the `orders` collection instead; see iterateOrderLines.
+const hasOrder = async (orderId) => (
+  (await readOrders({ fresh: true })).some((row) => row.orderId === orderId)
+);
+
+const getCacheStats = () => ({
+  inventory: inventoryCache.stats(),
+  orders: ordersCache.stats(),
+});
+
+// `inventory` may be passed in pre-adjusted (e.g. net of reservations).
+const checkInventoryAvailability = async (query, inventory) => (
+  matchProduct(inventory || await readInventory(), query)
+);
+
+// Checks every line item against a single inventory read. Matched items take the
+// catalogue name, colour and size, and gain the SKU, unit price and availability;
+// items that cannot be covered carry in-stock `alternatives`.
+const checkOrderAvailability = async (lineItems = [], inventory) => {
+  const stockList = inventory || await readInventory();
+
+  return lineItems.map((lineItem) => {
+    // A known SKU (e.g. picked during a stock check) pins the exact variant.
+    const known = lineItem.sku && stockList.find((entry) => entry.sku === lineItem.sku);
+    const query = known
+      ? { ...lineItem, itemName: known.name, attributes: { color: known.color, size: known.size } }
+      : lineItem;
+    const { item, available, alternatives } = matchProduct(stockList, query);
+
+    return {
+      ...lineItem,
+      ...(item && {
+        itemName: item.name,
+        attributes: { ...lineItem.attributes, color: item.color, size: item.size },
+      }),
+      sku: item?.sku || lineItem.sku,
+      unitPrice: item?.price ?? lineItem.unitPrice,
+      available,
+      remainingStock: item?.stock ?? 0,
+      ...(alternatives.length && { alternatives }),
+    };
+  });
+};
+
+// Fallback for rows written without an order record (orders from the `orders`
+// collection carry their own ID). The random part keeps two orders placed in the
+// same millisecond from sharing rows.
+const generateOrderId = () => `ORD-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+// One order row per line item; rows share the order ID. Rows are stamped with
+// `confirmedAt` when given, so a delayed (outbox) write keeps the order time.
+// Orders queued before statuses existed were all confirmed.
+const toOrderRows = (order) => {
+  const timestamp = order.confirmedAt || new Date().toISOString();
+  const orderId = order.orderId || generateOrderId();
+
+  return (order.lineItems || []).map((lineItem) => ({
+    timestamp,
+    customerName: order.customerName,
+    phone: order.phoneNumber,
+    item: lineItem.itemName,
+    quantity: lineItem.quantity,
+    address: order.deliveryAddress,
+    notes: order.notes || '',
+    orderId,
+    status: order.status || 'confirmed',
+  }));
+};
+
+// Cancelled orders stay in the order log, marked in the status column, but no
+// longer count as sales.
+const isSale = ({ status }) => status !== 'cancelled';
+
+// Yields every confirmed order in the `orders` collection (the source of truth;
+// the Orders sheet only mirrors it), oldest first, as order log rows that also
+// carry the line item's `unitPrice`. `start`/`end` (ms, end exclusive) bound
+// `confirmedAt`; `status` keeps orders in that status only (needs a composite
+// index). Pending orders have no `confirmedAt` and are skipped.
+async function* iterateOrderLines({ start, end, status } = {}) {
+  let query = db.collection(ORDERS_COLLECTION);
+
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+
+  if (start !== undefined) {
+    query = query.where('confirmedAt', '>=', new Date(start));
+  }
+  if (end !== undefined) {
+    query = query.where('confirmedAt', '<', new Date(end));
+  }
+
+  for await (const doc of iterateQuery(query.orderBy('confirmedAt'))) {
+    const order = doc.data();
+    if (order.confirmedAt) {
+      const lineItems = order.lineItems || [];
+      yield* toOrderRows({ ...order, confirmedAt: toIsoString(order.confirmedAt) })
+        .map((row, index) => ({ ...row, unitPrice: Number(lineItems[index].unitPrice) || 0 }));
+    }
+  }
+}
+
+const readOrderLines = async (range) => {
+  const rows = [];
+  for await (const row of iterateOrderLines(range)) {
+    rows.push(row);
+  }
+  return rows;
+};
+
+const appendOrder = async (order) => {
+  const store = getDataStore();
+  const orderId = order.orderId || generateOrderId();
+  const rows = toOrderRows({ ...order, orderId });
+
+  try {
+    await store.appendOrderRows(rows);
+  } finally {
+    ordersCache.invalidate();
+  }
+
+  logger.info(`Order ${orderId} (${rows.length} items) logged to ${store.name}`);
+
+  return { orderId, rowCount: rows.length };
+};
+
+// Mirrors an order's status onto its rows. Throws when the rows are not in the
+// store yet, so an outbox retry can try again once they are.
+const updateOrderStatus = async (orderId, status) => {
+  const store = getDataStore();
+  let rowCount;
+
+  try {
+    rowCount = await store.updateOrderStatus(orderId, status);
+  } finally {
+    ordersCache.invalidate();
+  }
+
+  if (!rowCount) {
+    throw new Error(`Order ${orderId} not found in ${store.name}`);
+  }
+  logger.info(`Order ${orderId} marked ${status} in ${store.name}`);
+
+  return { orderId, status, rowCount };
+};
+
+const getDashboardMetrics = async () => {
+  try {
+    const orders = (await readOrderLines()).filter(isSale);
+    // Rows are line items; an order counts once.
+    const totalOrders = new Set(orders.map(({ orderId }) => orderId)).size;
+    const itemCounts = {};
+
+    orders.forEach(({ item, quantity }) => {
+      itemCounts[item] = (itemCounts[item] || 0) + quantity;
+    });
+
+    const totalUnits = Object.values(itemCounts).reduce((sum, units) => sum + units, 0);
+    const topProduct = Object.entries(itemCounts).sort((a, b) => b[1] - a[1])[0];
+    const topProductName = topProduct ? topProduct[0] : null;
+    // Share of units sold, not of orders (an order can hold many units).
+    const topProductShare = topProduct ? Math.round((topProduct[1] / Math.max(1, totalUnits)) * 100) : 0;
+
+    return {
+      totalOrders,
+      topProduct: topProductName,
+      topProductShare,
+      lastOrders: orders.slice(-5),
+    };
+  } catch (error) {
+    logger.error(`getDashboardMetrics failed: ${error.message}`);
+    // Return safe fallback so callers (API) don't 500
+    return {
+      totalOrders: 0,
+      topProduct: null,
+      topProductShare: 0,
+      lastOrders: [],
+    };
+  }
+};
+
+module.exports = {
+  readInventory,
+  adjustInventoryStock,
+  checkInventoryAvailability,
+  checkOrderAvailability,
+  generateOrderId,
+  toOrderRows,
+  isSale,
+  appendOrder,
+  updateOrderStatus,
+  readOrders,
+  hasOrder,
+  iterateOrderLines,
+  readOrderLines,
+  getDashboardMetrics,
+  getCacheStats,
+};
+
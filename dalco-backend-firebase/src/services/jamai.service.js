@@ -1,45 +1,215 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { numberFromEnv } = require('../utils/env');
+const { CIRCUIT_STATES, createCircuitBreaker } = require('../utils/circuitBreaker');
+const { createCounter, createGauge, createHistogram } = require('../utils/metrics');
+const { parseProductQuery } = require('./productMatch.service');
+const { DEFAULT_LOCALE, translate } = require('./language.service');
 
 const JAMAI_BASE_URL = process.env.JAMAI_BASE_URL || 'https://api.jamaibase.com/v1';
 
+const TIMEOUT_MS = numberFromEnv('JAMAI_TIMEOUT_MS', 15000, { allowZero: false });
+// Retries after the first attempt, for network errors, timeouts, 429 and 5xx.
+const MAX_RETRIES = numberFromEnv('JAMAI_MAX_RETRIES', 2);
+const RETRY_BASE_MS = numberFromEnv('JAMAI_RETRY_BASE_MS', 250);
+const RETRY_MAX_MS = numberFromEnv('JAMAI_RETRY_MAX_MS', 2000);
+
+// The tables the app calls, by the name used in stats and reply tags.
+const TABLES = {
+  intent: { type: 'action', env: 'JAMAI_INTENT_ACTION_TABLE_ID' },
+  faq: { type: 'knowledge', env: 'JAMAI_FAQ_KNOWLEDGE_TABLE_ID' },
+  inventory: { type: 'action', env: 'JAMAI_INVENTORY_ACTION_TABLE_ID' },
+  order: { type: 'action', env: 'JAMAI_ORDER_ACTION_TABLE_ID' },
+  analytics: { type: 'generative', env: 'JAMAI_ANALYTICS_GENERATIVE_TABLE_ID' },
+};
+
+// Why a call was answered locally instead of by JamAI Base.
+const FALLBACK_REASONS = ['not_configured', 'circuit_open', 'error', 'empty'];
+
 const jamaibaseClient = axios.create({
   baseURL: JAMAI_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
     Authorization: `Bearer ${process.env.JAMAI_API_KEY || ''}`,
   },
-  timeout: 15000,
+  timeout: TIMEOUT_MS,
+});
+
+// No response (network error, timeout), rate limited or a server error. Other
+// 4xx answers (e.g. an unknown table) will not change on retry.
+const isTransient = (error) => {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+// Shared by every table: when JamAI Base is down, all of them are.
+const breaker = createCircuitBreaker({
+  name: 'jamai',
+  failureThreshold: numberFromEnv('JAMAI_BREAKER_THRESHOLD', 5, { allowZero: false }),
+  cooldownMs: numberFromEnv('JAMAI_BREAKER_COOLDOWN_SECONDS', 30) * 1000,
+  isFailure: isTransient,
+});
+
+const createTableStats = () => ({
+  calls: 0,
+  successes: 0,
+  failures: 0,
+  retries: 0,
+  shortCircuited: 0,
+  fallbacks: Object.fromEntries(FALLBACK_REASONS.map((reason) => [reason, 0])),
+  latency: { count: 0, totalMs: 0, maxMs: 0, lastMs: null },
+  lastError: null,
+  lastErrorAt: null,
+});
+
+const tableStats = Object.fromEntries(Object.keys(TABLES).map((table) => [table, createTableStats()]));
+const replySources = { jamai: 0, fallback: 0, none: 0 };
+
+// The same counts for Prometheus; `table` is 'other' for calls made outside TABLES.
+const metrics = {
+  requests: createCounter({
+    name: 'dalco_jamai_requests_total',
+    help: 'JamAI Base table invocations, by table and outcome (success, error, short_circuited).',
+    labelNames: ['table', 'outcome'],
+  }),
+  duration: createHistogram({
+    name: 'dalco_jamai_request_duration_seconds',
+    help: 'Time per HTTP attempt to JamAI Base, by table.',
+    labelNames: ['table'],
+  }),
+  retries: createCounter({
+    name: 'dalco_jamai_retries_total',
+    help: 'Attempts retried after a transient JamAI Base error, by table.',
+    labelNames: ['table'],
+  }),
+  fallbacks: createCounter({
+    name: 'dalco_jamai_fallbacks_total',
+    help: 'Answers produced by the local fallback instead of JamAI Base, by table and reason.',
+    labelNames: ['table', 'reason'],
+  }),
+  replies: createCounter({
+    name: 'dalco_replies_total',
+    help: 'Customer replies by where their AI steps came from (jamai, fallback, none).',
+    labelNames: ['source'],
+  }),
+};
+
+createGauge({
+  name: 'dalco_jamai_circuit_state',
+  help: 'JamAI Base circuit breaker state: 1 for the current state, 0 for the others.',
+  labelNames: ['state'],
+  collect: (gauge) => {
+    const { state } = breaker.stats();
+    CIRCUIT_STATES.forEach((name) => gauge.set({ state: name }, name === state ? 1 : 0));
+  },
 });
 
-const invokeTable = async (tableType, tableId, payload) => {
+const recordLatency = (stats, ms, table) => {
+  metrics.duration.observe({ table }, ms / 1000);
+  stats.latency.count += 1;
+  stats.latency.totalMs += ms;
+  stats.latency.maxMs = Math.max(stats.latency.maxMs, ms);
+  stats.latency.lastMs = ms;
+};
+
+// Full jitter: a random wait up to base * 2^retry, so clients retrying after a
+// blip do not all come back at once.
+const retryDelay = (retry) => Math.round(Math.random() * Math.min(RETRY_BASE_MS * 2 ** retry, RETRY_MAX_MS));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const postWithRetries = async (endpoint, payload, stats, table) => {
+  for (let attempt = 0; ; attempt += 1) {
+    const startedAt = Date.now();
+    try {
+      const { data } = await jamaibaseClient.post(endpoint, payload);
+      recordLatency(stats, Date.now() - startedAt, table);
+      return data;
+    } catch (error) {
+      recordLatency(stats, Date.now() - startedAt, table);
+      if (attempt >= MAX_RETRIES || !isTransient(error)) {
+        throw error;
+      }
+      stats.retries += 1;
+      metrics.retries.inc({ table });
+      logger.warn(`JamAI Base ${endpoint} attempt ${attempt + 1} failed (${error.message}); retrying`);
+      await sleep(retryDelay(attempt));
+    }
+  }
+};
+
+// Invokes a table through the circuit breaker, retrying transient errors.
+// `table` names the stats entry (one of TABLES).
+const invokeTable = async (tableType, tableId, payload, { table } = {}) => {
   if (!tableId) {
     throw new Error(`Missing JamAI Base ${tableType} table ID`);
   }
 
+  const stats = tableStats[table] || createTableStats();
+  const label = tableStats[table] ? table : 'other';
+  stats.calls += 1;
+
   try {
     const endpoint = `/tables/${tableType}/${tableId}/invoke`;
-    const { data } = await jamaibaseClient.post(endpoint, payload);
+    const data = await breaker.run(() => postWithRetries(endpoint, payload, stats, label));
+    stats.successes += 1;
+    metrics.requests.inc({ table: label, outcome: 'success' });
     return data;
   } catch (error) {
-    logger.error(`JamAI Base ${tableType} invocation failed: ${error.message}`);
+    if (error.code === 'CIRCUIT_OPEN') {
+      stats.shortCircuited += 1;
+      metrics.requests.inc({ table: label, outcome: 'short_circuited' });
+    } else {
+      stats.failures += 1;
+      metrics.requests.inc({ table: label, outcome: 'error' });
+      stats.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      stats.lastErrorAt = new Date().toISOString();
+      logger.error(`JamAI Base ${tableType} invocation failed: ${error.message}`);
+    }
     throw error;
   }
 };
 
-const detectIntent = async (message) => {
-  if (!process.env.JAMAI_INTENT_ACTION_TABLE_ID) {
-    return fallbackIntent(message);
-  }
+// Calls `table` and returns `{ value, source: 'jamai' }` with the field picked
+// from its answer, or `{ value, source: 'fallback', fallbackReason }` with the
+// local fallback when the table is not configured, unreachable or answers nothing.
+const callTable = async (table, payload, { pick, fallback }) => {
+  const { type, env } = TABLES[table];
+  const tableId = process.env[env];
+  let fallbackReason = 'not_configured';
 
-  try {
-    const data = await invokeTable('action', process.env.JAMAI_INTENT_ACTION_TABLE_ID, {
-      input: { message },
-    });
-    return data?.intent || fallbackIntent(message);
-  } catch (error) {
-    return fallbackIntent(message);
+  if (tableId) {
+    try {
+      const value = pick(await invokeTable(type, tableId, payload, { table }));
+      if (value) {
+        return { value, source: 'jamai' };
+      }
+      fallbackReason = 'empty';
+    } catch (error) {
+      fallbackReason = error.code === 'CIRCUIT_OPEN' ? 'circuit_open' : 'error';
+    }
   }
+
+  tableStats[table].fallbacks[fallbackReason] += 1;
+  metrics.fallbacks.inc({ table, reason: fallbackReason });
+  return { value: fallback(), source: 'fallback', fallbackReason };
+};
+
+// The results below carry `source` ('jamai' or 'fallback') and, for fallbacks,
+// `fallbackReason` (one of FALLBACK_REASONS).
+// `confidence` (0-1) is passed on when the intent table has that column; the
+// keyword fallback has none.
+const detectIntent = async (message) => {
+  const { value, ...tag } = await callTable('intent', { input: { message } }, {
+    pick: (data) => data?.intent && { intent: data.intent, ...pickConfidence(data.confidence) },
+    fallback: () => ({ intent: fallbackIntent(message) }),
+  });
+  return { ...value, ...tag };
+};
+
+const pickConfidence = (raw) => {
+  const confidence = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+  return Number.isFinite(confidence) ? { confidence } : {};
 };
 
 const fallbackIntent = (message) => {
@@ -60,123 +230,164 @@ const fallbackIntent = (message) => {
   return 'general';
 };
 
-const answerFaq = async (query) => {
-  if (!process.env.JAMAI_FAQ_KNOWLEDGE_TABLE_ID) {
-    return fallbackFaq(query);
-  }
-
-  try {
-    const data = await invokeTable('knowledge', process.env.JAMAI_FAQ_KNOWLEDGE_TABLE_ID, {
-      query,
-      options: {
-        language: 'ms-en',
-      },
-    });
-
-    return data?.answer || fallbackFaq(query);
-  } catch (error) {
-    return fallbackFaq(query);
-  }
+const answerFaq = async (query, { locale = DEFAULT_LOCALE } = {}) => {
+  const { value: answer, ...tag } = await callTable('faq', { query, options: { language: locale } }, {
+    pick: (data) => data?.answer,
+    fallback: () => fallbackFaq(query, locale),
+  });
+  return { answer, ...tag };
 };
 
-const fallbackFaq = (query) => (
-  `Maaf, saya tidak jumpa maklumat tepat untuk soalan "${query}". ` +
-  'Boleh saya bantu dengan stok atau buat pesanan?'
-);
+const fallbackFaq = (query, locale) => translate(locale, 'faq.notFound', { query });
 
 const extractInventoryQuery = async (message) => {
-  if (!process.env.JAMAI_INVENTORY_ACTION_TABLE_ID) {
-    return fallbackInventoryExtraction(message);
-  }
-
-  try {
-    const data = await invokeTable('action', process.env.JAMAI_INVENTORY_ACTION_TABLE_ID, {
-      input: { message },
-    });
-
-    return data?.inventoryRequest || fallbackInventoryExtraction(message);
-  } catch (error) {
-    return fallbackInventoryExtraction(message);
-  }
+  const { value: query, ...tag } = await callTable('inventory', { input: { message } }, {
+    pick: (data) => data?.inventoryRequest,
+    fallback: () => fallbackInventoryExtraction(message),
+  });
+  return { query, ...tag };
 };
 
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
 const fallbackInventoryExtraction = (message) => {
-  const regex = /(\d+)\s*(pcs|pieces|unit|units)?\s*(?:of)?\s*([a-z0-9\s\-]+)/i;
-  const match = message.match(regex);
+  const { nameText, color, size } = parseProductQuery(message);
 
   return {
-    itemName: match ? match[3].trim() : 't-shirt',
-    quantity: match ? Number(match[1]) : 1,
+    itemName: nameText,
+    quantity: Number(message.match(/\b(\d+)\b/)?.[1]) || 1,
     attributes: {
-      color: message.toLowerCase().includes('blue') ? 'Blue' : undefined,
-      size: message.toLowerCase().match(/(xs|s|m|l|xl|xxl)/i)?.[0]?.toUpperCase(),
+      color: color ? capitalize(color) : undefined,
+      size,
     },
   };
 };
 
 const extractOrderDetails = async (payload) => {
-  if (!process.env.JAMAI_ORDER_ACTION_TABLE_ID) {
-    return fallbackOrderExtraction(payload);
-  }
-
-  try {
-    const data = await invokeTable('action', process.env.JAMAI_ORDER_ACTION_TABLE_ID, {
-      input: payload,
-    });
-    return data?.order || fallbackOrderExtraction(payload);
-  } catch (error) {
-    return fallbackOrderExtraction(payload);
-  }
+  const { value: order, ...tag } = await callTable('order', { input: payload }, {
+    pick: (data) => data?.order,
+    fallback: () => fallbackOrderExtraction(payload),
+  });
+  return { order, ...tag };
 };
 
-const fallbackOrderExtraction = ({ message, phoneNumber, displayName }) => ({
-  customerName: displayName || 'WhatsApp Customer',
-  phoneNumber,
-  lineItems: [
-    {
-      itemName: 'Bulk T-Shirt',
-      quantity: message.match(/\d+/) ? Number(message.match(/\d+/)[0]) : 10,
-      remarks: message,
-    },
-  ],
-  deliveryAddress: 'To be confirmed',
-  notes: message,
-});
+const DEFAULT_ORDER_ITEM = 'T-Shirt';
 
-const analyzeSalesTrends = async (dataset) => {
-  if (!process.env.JAMAI_ANALYTICS_GENERATIVE_TABLE_ID) {
-    return fallbackAnalytics(dataset);
-  }
+// Parses "50 blue M, 30 black L" style messages into one line item per segment.
+// A product name given in one segment carries over to the following ones.
+const parseLineItems = (message) => {
+  const segments = message
+    .split(/,|;|\n|&|\bdan\b|\band\b/i)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
 
-  try {
-    const data = await invokeTable('generative', process.env.JAMAI_ANALYTICS_GENERATIVE_TABLE_ID, {
-      input: {
-        prompt: 'Analyze SME sales trends',
-        data: dataset,
+  let lastItemName = DEFAULT_ORDER_ITEM;
+
+  return segments.reduce((lineItems, segment) => {
+    const match = segment.match(/(\d+)\s*(.*)$/);
+    if (!match) {
+      return lineItems;
+    }
+
+    // Colours and sizes are read in either language ("biru", "besar").
+    const { nameText, color, size } = parseProductQuery(match[2]);
+
+    if (nameText) {
+      lastItemName = nameText.split(' ').map(capitalize).join(' ');
+    }
+
+    lineItems.push({
+      itemName: lastItemName,
+      quantity: Number(match[1]),
+      attributes: {
+        color: color ? capitalize(color) : undefined,
+        size,
       },
+      remarks: segment,
     });
 
-    return data?.insights || fallbackAnalytics(dataset);
-  } catch (error) {
-    return fallbackAnalytics(dataset);
-  }
+    return lineItems;
+  }, []);
+};
+
+const fallbackOrderExtraction = ({ message, phoneNumber, displayName }) => {
+  const lineItems = parseLineItems(message);
+
+  return {
+    customerName: displayName || 'WhatsApp Customer',
+    phoneNumber,
+    lineItems: lineItems.length
+      ? lineItems
+      : [{ itemName: DEFAULT_ORDER_ITEM, quantity: null, remarks: message }],
+    deliveryAddress: 'To be confirmed',
+    notes: message,
+  };
+};
+
+const analyzeSalesTrends = async (dataset, { locale = DEFAULT_LOCALE } = {}) => {
+  const payload = {
+    input: {
+      prompt: 'Analyze SME sales trends',
+      data: dataset,
+      language: locale,
+    },
+  };
+  const { value: insights, ...tag } = await callTable('analytics', payload, {
+    pick: (data) => data?.insights,
+    fallback: () => fallbackAnalytics(dataset, locale),
+  });
+  return { insights, ...tag };
 };
 
-const fallbackAnalytics = (dataset = {}) => {
+const fallbackAnalytics = (dataset = {}, locale = DEFAULT_LOCALE) => {
   const { totalOrders = 0, topProduct = 'Blue T-Shirt', topProductShare = 0 } = dataset;
 
   return [
-    `Jumlah pesanan mingguan: ${totalOrders}.`,
-    `${topProduct} menyumbang ${topProductShare}% daripada jualan.`,
-    'Cadangan: tambah stok warna paling laris dan jalankan promosi hujung minggu.',
+    translate(locale, 'analytics.totalOrders', { totalOrders }),
+    translate(locale, 'analytics.topProduct', { topProduct, topProductShare }),
+    translate(locale, 'analytics.recommendation'),
   ].join(' ');
 };
 
+// Counts a customer reply by where its AI steps came from: 'jamai' when every
+// step was answered by JamAI Base, 'fallback' when any fell back, 'none' when
+// the reply needed no AI step (e.g. an order confirmation).
+const recordReplySource = (source) => {
+  replySources[source] += 1;
+  metrics.replies.inc({ source });
+};
+
+const getJamaiStats = () => {
+  const { jamai, fallback } = replySources;
+
+  return {
+    circuit: breaker.stats(),
+    tables: Object.fromEntries(Object.entries(tableStats).map(([table, stats]) => [table, {
+      tableType: TABLES[table].type,
+      configured: Boolean(process.env[TABLES[table].env]),
+      ...stats,
+      fallbacks: { ...stats.fallbacks },
+      latency: {
+        ...stats.latency,
+        averageMs: stats.latency.count ? Math.round(stats.latency.totalMs / stats.latency.count) : null,
+      },
+    }])),
+    replies: {
+      ...replySources,
+      fallbackRate: jamai + fallback ? Number((fallback / (jamai + fallback)).toFixed(3)) : null,
+    },
+  };
+};
+
 module.exports = {
+  TABLES,
+  FALLBACK_REASONS,
+  invokeTable,
   detectIntent,
   answerFaq,
   extractInventoryQuery,
   extractOrderDetails,
   analyzeSalesTrends,
+  recordReplySource,
+  getJamaiStats,
 };
-
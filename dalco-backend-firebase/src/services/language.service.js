@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'ms';
+
+// Built-in catalogues ship in src/locales. LOCALES_DIR may point at another
+// directory of <locale>.json files (e.g. zh.json, ta.json) that add languages or
+// override individual templates without touching the code.
+const CATALOGUE_DIRS = [
+  path.join(__dirname, '../locales'),
+  process.env.LOCALES_DIR && path.resolve(process.cwd(), process.env.LOCALES_DIR),
+].filter(Boolean);
+
+let catalogues;
+
+const loadCatalogues = () => {
+  const loaded = {};
+
+  CATALOGUE_DIRS.forEach((dir) => {
+    if (!fs.existsSync(dir)) {
+      logger.warn(`Locale directory ${dir} not found`);
+      return;
+    }
+
+    fs.readdirSync(dir)
+      .filter((file) => file.endsWith('.json'))
+      .forEach((file) => {
+        const locale = path.basename(file, '.json');
+        try {
+          const templates = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          loaded[locale] = { ...loaded[locale], ...templates };
+        } catch (error) {
+          logger.error(`Failed to load locale ${file}: ${error.message}`);
+        }
+      });
+  });
+
+  return loaded;
+};
+
+const getCatalogues = () => {
+  if (!catalogues) {
+    catalogues = loadCatalogues();
+    logger.info(`Reply locales: ${Object.keys(catalogues).join(', ')}`);
+  }
+  return catalogues;
+};
+
+const getSupportedLocales = () => Object.keys(getCatalogues());
+
+const isSupportedLocale = (locale) => Boolean(locale) && getSupportedLocales().includes(locale);
+
+// Looks `key` up in the locale, then the default locale, and fills {{name}}
+// placeholders from `vars`. Unknown keys come back as the key itself.
+const translate = (locale, key, vars = {}) => {
+  const all = getCatalogues();
+  const template = all[locale]?.[key] ?? all[DEFAULT_LOCALE]?.[key] ?? key;
+
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    vars[name] === undefined || vars[name] === null ? '' : String(vars[name])
+  ));
+};
+
+const createTranslator = (locale) => (key, vars) => translate(locale, key, vars);
+
+const MALAY_WORDS = new Set([
+  'saya', 'aku', 'kami', 'kita', 'anda', 'awak', 'nak', 'mahu', 'hendak', 'ada', 'tak', 'tidak', 'boleh',
+  'berapa', 'harga', 'stok', 'untuk', 'dengan', 'yang', 'ini', 'itu', 'dan', 'tolong', 'terima', 'kasih',
+  'baju', 'warna', 'saiz', 'pesanan', 'tempah', 'beli', 'alamat', 'lagi', 'sudah', 'dah', 'belum', 'bila',
+  'mana', 'apa', 'kenapa', 'sila', 'hantar', 'helai', 'biru', 'hitam', 'putih', 'merah', 'kuning', 'hijau',
+  'kelabu', 'besar', 'kecil', 'ya', 'betul', 'batal', 'jangan', 'pun', 'juga', 'tu', 'ni', 'encik', 'puan',
+]);
+
+const ENGLISH_WORDS = new Set([
+  'i', 'you', 'we', 'my', 'your', 'do', 'does', 'have', 'has', 'is', 'are', 'the', 'an', 'please', 'want',
+  'would', 'like', 'can', 'could', 'how', 'much', 'many', 'what', 'when', 'where', 'stock', 'available',
+  'price', 'need', 'any', 'thanks', 'thank', 'yes', 'no', 'size', 'colour', 'color', 'blue', 'black',
+  'white', 'red', 'small', 'medium', 'large', 'deliver', 'delivery', 'address', 'send', 'buy', 'of', 'for',
+  'with', 'and', 'in', 'got', 'cancel', 'confirm', 'hello', 'hi',
+]);
+
+// Colloquial particles that mark Manglish when they appear alongside English.
+const MANGLISH_PARTICLES = new Set(['lah', 'leh', 'lor', 'meh', 'ah', 'mah', 'liao', 'boss', 'bos']);
+
+// Ratio above which a message using both languages counts as mixed.
+const MIXED_RATIO = 0.34;
+
+// Classifies a message as 'ms', 'en', 'mixed' (BM/English/Manglish), 'zh' or
+// 'ta' (by script), or 'unknown' when there are too few clues (e.g. "ok",
+// an address, a number), in which case the customer's preference applies.
+const detectLanguage = (message = '') => {
+  if (/\p{Script=Han}/u.test(message)) {
+    return 'zh';
+  }
+  if (/\p{Script=Tamil}/u.test(message)) {
+    return 'ta';
+  }
+
+  const words = message.toLowerCase().match(/[a-z]+/g) || [];
+  const malay = words.filter((word) => MALAY_WORDS.has(word)).length;
+  const english = words.filter((word) => ENGLISH_WORDS.has(word)).length;
+  const particles = words.filter((word) => MANGLISH_PARTICLES.has(word)).length;
+
+  if (english && particles) {
+    return 'mixed';
+  }
+
+  if (malay + english < 2) {
+    return 'unknown';
+  }
+
+  if (Math.min(malay, english) / Math.max(malay, english) >= MIXED_RATIO) {
+    return 'mixed';
+  }
+
+  return malay > english ? 'ms' : 'en';
+};
+
+// Picks the reply locale: an explicit request, a preference pinned by staff, the
+// detected language when templates exist for it, the customer's last known
+// language, then DEFAULT_LOCALE.
+const resolveReplyLocale = ({
+  requested,
+  detected,
+  preferred,
+  pinned = false,
+} = {}) => (
+  [requested, pinned && preferred, detected, preferred].find(isSupportedLocale) || DEFAULT_LOCALE
+);
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getSupportedLocales,
+  isSupportedLocale,
+  translate,
+  createTranslator,
+  detectLanguage,
+  resolveReplyLocale,
+};
@@ -0,0 +1,225 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const logger = require('../utils/logger');
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+const { serializeDoc, readPage } = require('../utils/firestore');
+
+const LEADS_COLLECTION = 'leads';
+
+const LEAD_STATUSES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+
+// Allowed next statuses; won and lost are final.
+const STATUS_TRANSITIONS = {
+  new: ['contacted', 'lost'],
+  contacted: ['quoted', 'lost'],
+  quoted: ['won', 'lost'],
+  won: [],
+  lost: [],
+};
+
+const OPEN_STATUSES = ['new', 'contacted', 'quoted'];
+
+const EDITABLE_FIELDS = ['customerName', 'phone', 'email', 'channel', 'assignedTo', 'notes', 'score'];
+
+
+const pickEditable = (payload = {}) => Object.fromEntries(
+  EDITABLE_FIELDS
+    .filter((field) => payload[field] !== undefined)
+    .map((field) => [field, payload[field]]),
+);
+
+const parseDate = (value, name) => {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createHttpError(400, `Invalid ${name} date`);
+  }
+  return date;
+};
+
+// Filters: status, channel, assignedTo, from/to (createdAt). Combining filters
+// needs matching composite indexes in Firestore (see README).
+const listLeads = async ({
+  status,
+  channel,
+  assignedTo,
+  from,
+  to,
+  limit,
+  cursor,
+} = {}) => {
+  let query = db.collection(LEADS_COLLECTION);
+
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+  if (channel) {
+    query = query.where('channel', '==', channel);
+  }
+  if (assignedTo) {
+    query = query.where('assignedTo', '==', assignedTo);
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate) {
+    query = query.where('createdAt', '>=', fromDate);
+  }
+  if (toDate) {
+    query = query.where('createdAt', '<=', toDate);
+  }
+
+  const { items, nextCursor } = await readPage(query.orderBy('createdAt', 'desc'), {
+    collection: db.collection(LEADS_COLLECTION),
+    limit,
+    cursor,
+  });
+  return { leads: items, nextCursor };
+};
+
+const getLeadDoc = async (id) => {
+  const snapshot = await db.collection(LEADS_COLLECTION).doc(id).get();
+  if (!snapshot.exists) {
+    throw createHttpError(404, 'Lead not found');
+  }
+  return snapshot;
+};
+
+const getLead = async (id) => serializeDoc(await getLeadDoc(id));
+
+const historyEntry = (from, to, { by, note } = {}) => ({
+  from,
+  to,
+  at: new Date(),
+  ...(by && { by }),
+  ...(note && { note }),
+});
+
+const createLead = async (payload, { by } = {}) => {
+  const fields = pickEditable(payload);
+
+  if (!fields.customerName && !fields.phone && !fields.email) {
+    throw createHttpError(400, 'customerName, phone or email is required');
+  }
+
+  const ref = await db.collection(LEADS_COLLECTION).add({
+    ...fields,
+    source: payload.source || 'manual',
+    status: 'new',
+    statusHistory: [historyEntry(null, 'new', { by })],
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return serializeDoc(await ref.get());
+};
+
+// Updates editable fields and, when `status` is given, applies a validated
+// status transition recorded in `statusHistory`.
+const updateLead = async (id, payload = {}, { by } = {}) => {
+  const ref = db.collection(LEADS_COLLECTION).doc(id);
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      throw createHttpError(404, 'Lead not found');
+    }
+
+    const lead = snapshot.data();
+    const changes = pickEditable(payload);
+
+    if (payload.status && payload.status !== lead.status) {
+      if (!LEAD_STATUSES.includes(payload.status)) {
+        throw createHttpError(400, `Unknown status "${payload.status}"`);
+      }
+
+      const allowed = STATUS_TRANSITIONS[lead.status] || [];
+      if (!allowed.includes(payload.status)) {
+        throw createHttpError(409, `Cannot move lead from ${lead.status} to ${payload.status}`, { allowed });
+      }
+
+      changes.status = payload.status;
+      changes.statusHistory = [
+        ...(lead.statusHistory || []),
+        historyEntry(lead.status, payload.status, { by, note: payload.note }),
+      ];
+    }
+
+    transaction.update(ref, {
+      ...changes,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+
+  return getLead(id);
+};
+
+const deleteLead = async (id) => {
+  const snapshot = await getLeadDoc(id);
+  await snapshot.ref.delete();
+};
+
+// Called from the message pipeline for purchase-related intents: keeps one open
+// lead per conversation thread, creating it on first contact.
+const upsertLeadFromConversation = async ({
+  channel,
+  phoneNumber,
+  displayName,
+  intent,
+  messageId,
+  orderId,
+}) => {
+  const threadId = `${channel}:${phoneNumber}`;
+
+  try {
+    const snapshot = await db
+      .collection(LEADS_COLLECTION)
+      .where('threadId', '==', threadId)
+      .where('status', 'in', OPEN_STATUSES)
+      .limit(1)
+      .get();
+
+    const activity = {
+      lastIntent: intent,
+      lastMessageAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      ...(orderId && { orderIds: FieldValue.arrayUnion(orderId) }),
+    };
+
+    if (!snapshot.empty) {
+      await snapshot.docs[0].ref.update(activity);
+      return snapshot.docs[0].id;
+    }
+
+    const ref = await db.collection(LEADS_COLLECTION).add({
+      customerName: displayName || null,
+      ...(channel === 'email' ? { email: phoneNumber } : { phone: phoneNumber }),
+      channel,
+      threadId,
+      source: 'conversation',
+      sourceMessageId: messageId || null,
+      status: 'new',
+      statusHistory: [historyEntry(null, 'new', { by: 'bot' })],
+      createdAt: FieldValue.serverTimestamp(),
+      ...activity,
+    });
+
+    return ref.id;
+  } catch (error) {
+    logger.warn(`Failed to upsert lead for ${threadId}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  LEAD_STATUSES,
+  STATUS_TRANSITIONS,
+  listLeads,
+  getLead,
+  createLead,
+  updateLead,
+  deleteLead,
+  upsertLeadFromConversation,
+};
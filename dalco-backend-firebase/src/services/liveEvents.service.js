@@ -0,0 +1,196 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { numberFromEnv } = require('../utils/env');
+const { db } = require('../config/firebase');
+const { localParts } = require('../utils/localTime');
+const { toOrderRows } = require('./inventory.service');
+const { getSalesOverview } = require('./analytics.service');
+
+// Events pushed to dashboards over /api/events:
+//   order   - a confirmed order, as the rows it adds to the order log
+//   message - an inbound customer message
+//   totals  - today's revenue, units, orders and AOV after an order changes
+//   handoff - a conversation passed to staff or handed back to the bot
+const LIVE_EVENT_TYPES = ['order', 'message', 'totals', 'handoff'];
+
+// Recent events kept for clients that reconnect with Last-Event-ID.
+const BUFFER_SIZE = numberFromEnv('LIVE_EVENTS_BUFFER', 100);
+// Orders stored close together share one totals refresh.
+const TOTALS_DELAY_MS = numberFromEnv('LIVE_EVENTS_TOTALS_DELAY_MS', 1000);
+// Keys of orders and messages already published; see `publish`.
+const SEEN_KEYS_LIMIT = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const recent = [];
+const seenKeys = new Set();
+let lastEventId = 0;
+
+// Publishes an event to every subscriber. With `key`, an event already
+// published under that key is dropped: the pipeline and the Firestore
+// listeners both report orders and messages handled by this instance.
+const publish = (type, data, { key } = {}) => {
+  if (key) {
+    if (seenKeys.has(key)) {
+      return null;
+    }
+    seenKeys.add(key);
+    if (seenKeys.size > SEEN_KEYS_LIMIT) {
+      seenKeys.delete(seenKeys.values().next().value);
+    }
+  }
+
+  lastEventId += 1;
+  const event = { id: lastEventId, type, data };
+  recent.push(event);
+  if (recent.length > BUFFER_SIZE) {
+    recent.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+};
+
+// Calls `listener(event)` for every event from now on, first replaying the
+// buffered events after `lastEventId` when given. An ID from before a restart
+// (higher than any issued since) replays the whole buffer. Returns the
+// unsubscribe function.
+const subscribe = (listener, { lastEventId: after } = {}) => {
+  if (Number.isInteger(after)) {
+    const from = after > lastEventId ? 0 : after;
+    recent.filter(({ id }) => id > from).forEach(listener);
+  }
+
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value ?? Date.now()));
+
+// `order` is the confirmed order as queued for the order log (with `orderId`
+// and `confirmedAt`).
+const publishOrder = (order) => publish('order', {
+  orderId: order.orderId,
+  rows: toOrderRows(order).map(({ timestamp, orderId, customerName, phone, item, quantity }) => ({
+    timestamp,
+    orderId,
+    customerName,
+    phone,
+    item,
+    quantity,
+  })),
+}, { key: `order:${order.orderId}` });
+
+// `message` is an inbound `messages` entry with its document ID.
+const publishMessage = (message) => publish('message', {
+  id: message.id,
+  channel: message.channel,
+  from: message.from,
+  threadId: message.threadId,
+  content: message.content,
+  language: message.language || null,
+  createdAt: toDate(message.createdAt).toISOString(),
+}, { key: `message:${message.id}` });
+
+// `conversation` is a `conversations` entry; `modeChangedAt` tells changes apart.
+const publishHandoff = (conversation) => {
+  const changedAt = toDate(conversation.modeChangedAt);
+  return publish('handoff', {
+    threadId: conversation.threadId,
+    channel: conversation.channel,
+    mode: conversation.mode,
+    reason: conversation.reason || null,
+    assignedTo: conversation.assignedTo || null,
+    changedAt: changedAt.toISOString(),
+  }, { key: `handoff:${conversation.threadId}:${changedAt.getTime()}` });
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Today's totals in the shop's local time.
+const getTodayTotals = async () => {
+  const { year, month, day } = localParts(Date.now());
+  const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+  const { totals } = await getSalesOverview({ from: date, to: date });
+  return { date, ...totals };
+};
+
+let totalsTimer = null;
+
+// Publishes today's totals after TOTALS_DELAY_MS, once however often it is
+// called in the meantime. Call once an order is stored or changes status.
+const scheduleTotalsUpdate = () => {
+  if (totalsTimer) {
+    return;
+  }
+  totalsTimer = setTimeout(async () => {
+    totalsTimer = null;
+    try {
+      publish('totals', await getTodayTotals());
+    } catch (error) {
+      logger.warn(`Failed to refresh live totals: ${error.message}`);
+    }
+  }, TOTALS_DELAY_MS);
+  totalsTimer.unref?.();
+};
+
+const listen = (name, query, onChange) => query.onSnapshot(
+  (snapshot) => snapshot.docChanges().forEach(onChange),
+  (error) => logger.error(`Live events listener on ${name} stopped: ${error.message}`),
+);
+
+// Follows Firestore so dashboards connected to this instance also see orders
+// and messages handled by other instances. Only changes from now on are
+// reported. Returns a function that stops the listeners.
+const startLiveEventListeners = () => {
+  const since = new Date();
+
+  const stopMessages = listen('messages', db.collection('messages').where('createdAt', '>=', since), ({ type, doc }) => {
+    const message = doc.data();
+    if (type === 'added' && message.direction === 'inbound') {
+      publishMessage({ id: doc.id, ...message });
+    }
+  });
+
+  // Every confirmed order or status change stores an outbox entry with it, so a
+  // new entry means the totals (read from `orders`) have moved.
+  const stopOrders = listen('outbox', db.collection('outbox').where('updatedAt', '>=', since), ({ type, doc }) => {
+    const entry = doc.data();
+    if (!['appendOrder', 'syncOrderStatus'].includes(entry.type)) {
+      return;
+    }
+    // A retry of an older entry also enters the query; only new orders are announced.
+    if (entry.type === 'appendOrder' && type === 'added' && toDate(entry.createdAt) >= since) {
+      publishOrder(entry.payload);
+    }
+    if (type === 'added') {
+      scheduleTotalsUpdate();
+    }
+  });
+
+  const stopHandoffs = listen('conversations', db.collection('conversations').where('modeChangedAt', '>=', since), ({ type, doc }) => {
+    if (type !== 'removed') {
+      publishHandoff(doc.data());
+    }
+  });
+
+  logger.info('Live events following Firestore (messages, outbox, conversations)');
+  return () => {
+    stopMessages();
+    stopOrders();
+    stopHandoffs();
+  };
+};
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  publish,
+  subscribe,
+  publishOrder,
+  publishMessage,
+  publishHandoff,
+  getTodayTotals,
+  scheduleTotalsUpdate,
+  startLiveEventListeners,
+};
@@ -0,0 +1,368 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const logger = require('../utils/logger');
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+const { serializeDoc, toIsoString, readPage } = require('../utils/firestore');
+const { checkOrderAvailability } = require('./inventory.service');
+const { commitOrderStock, restockOrder } = require('./stock.service');
+const { kick, enqueueOrderWrite, enqueueOrderStatusSync } = require('./outbox.service');
+const { publishOrder, scheduleTotalsUpdate } = require('./liveEvents.service');
+const { recordCustomerOrder, cancelCustomerOrder } = require('./customers.service');
+
+const ORDERS_COLLECTION = 'orders';
+const COUNTERS_COLLECTION = 'counters';
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'packed', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next statuses; delivered and cancelled are final. Stock leaves the
+// inventory when an order is confirmed and goes back if it is cancelled.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+// Orders that never reached the order log, or left it cancelled. A cancelled
+// order waits until its stock is back (`stockCommitted` cleared).
+const DELETABLE_STATUSES = ['pending', 'cancelled'];
+
+const EDITABLE_FIELDS = ['customerName', 'phoneNumber', 'deliveryAddress', 'notes'];
+
+
+const pickEditable = (payload = {}) => Object.fromEntries(
+  EDITABLE_FIELDS
+    .filter((field) => payload[field] !== undefined)
+    .map((field) => [field, payload[field]]),
+);
+
+// Order numbers count up from 1; the order ID is the number as customers see it.
+const formatOrderId = (orderNumber) => `ORD-${String(orderNumber).padStart(5, '0')}`;
+
+const toLineItem = ({
+  itemName,
+  sku,
+  attributes,
+  quantity,
+  unitPrice,
+}) => ({
+  itemName: itemName || null,
+  sku: sku || null,
+  attributes: { color: attributes?.color || null, size: attributes?.size || null },
+  quantity: Number(quantity) || 0,
+  unitPrice: Number(unitPrice) || 0,
+});
+
+const summariseLineItems = (lineItems) => ({
+  units: lineItems.reduce((sum, { quantity }) => sum + quantity, 0),
+  amount: Number(lineItems.reduce((sum, { quantity, unitPrice }) => sum + quantity * unitPrice, 0).toFixed(2)),
+});
+
+// Line items entered by staff are matched against the catalogue for their SKU
+// and price; a SKU pins the exact variant.
+const resolveLineItems = async (lineItems = []) => {
+  const matched = await checkOrderAvailability(lineItems);
+  const unknown = matched.filter(({ sku }) => !sku).map(({ itemName }) => itemName || null);
+
+  if (unknown.length) {
+    throw createHttpError(400, 'Unknown items', { items: unknown });
+  }
+  return matched.map(toLineItem);
+};
+
+const historyEntry = (from, to, { by, note } = {}) => ({
+  from,
+  to,
+  at: new Date(),
+  ...(by && { by }),
+  ...(note && { note }),
+});
+
+// The order as written to the order log (the sheet) by the outbox.
+const toLogEntry = (order) => ({
+  orderId: order.orderId,
+  customerName: order.customerName,
+  phoneNumber: order.phoneNumber,
+  deliveryAddress: order.deliveryAddress,
+  notes: order.notes || '',
+  lineItems: order.lineItems,
+  confirmedAt: toIsoString(order.confirmedAt),
+  status: order.status,
+});
+
+// Orders from a channel count on that customer's profile once confirmed.
+// Conversation orders are added by the message pipeline as they are confirmed.
+const updateCustomerProfile = async (order, previous) => {
+  if (!order.channel || !order.phoneNumber) {
+    return;
+  }
+  const customer = { channel: order.channel, phoneNumber: order.phoneNumber };
+
+  if (order.status === 'confirmed') {
+    await recordCustomerOrder({ ...customer, order });
+  } else if (order.status === 'cancelled' && previous.confirmedAt) {
+    await cancelCustomerOrder({ ...customer, orderId: order.orderId });
+  }
+};
+
+const assertTransition = (from, to) => {
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  if (!allowed.includes(to)) {
+    throw createHttpError(409, `Cannot move order from ${from} to ${to}`, { allowed });
+  }
+};
+
+const getOrderDoc = async (id) => {
+  const snapshot = await db.collection(ORDERS_COLLECTION).doc(id).get();
+  if (!snapshot.exists) {
+    throw createHttpError(404, 'Order not found');
+  }
+  return snapshot;
+};
+
+const getOrder = async (id) => serializeDoc(await getOrderDoc(id));
+
+// Takes the next order number and stores the order. A confirmed order is
+// queued for the order log in the same transaction, so it cannot be stored
+// without its sheet rows following.
+const insertOrder = async (fields, { by, status }) => {
+  const counterRef = db.collection(COUNTERS_COLLECTION).doc(ORDERS_COLLECTION);
+  const confirmed = status === 'confirmed';
+  let order;
+
+  await db.runTransaction(async (transaction) => {
+    const counter = await transaction.get(counterRef);
+    const orderNumber = (counter.exists ? counter.data().lastNumber : 0) + 1;
+    const orderId = formatOrderId(orderNumber);
+
+    order = {
+      ...fields,
+      orderId,
+      orderNumber,
+      status,
+      totals: summariseLineItems(fields.lineItems),
+      statusHistory: [historyEntry(null, status, { by })],
+      confirmedAt: confirmed ? new Date() : null,
+    };
+
+    if (confirmed) {
+      await enqueueOrderWrite(toLogEntry(order), { transaction });
+    }
+    transaction.set(counterRef, { lastNumber: orderNumber, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+    transaction.set(db.collection(ORDERS_COLLECTION).doc(orderId), {
+      ...order,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+
+  if (confirmed) {
+    kick();
+    publishOrder(toLogEntry(order));
+    scheduleTotalsUpdate();
+  }
+  logger.info(`Order ${order.orderId} created (${status})`);
+
+  return getOrder(order.orderId);
+};
+
+// Stores an order the customer confirmed in a conversation; its stock is
+// already committed. `sourceMessageIds` are the inbound messages behind it.
+const recordConversationOrder = (order, { channel }) => insertOrder({
+  ...pickEditable(order),
+  notes: order.notes || '',
+  lineItems: (order.lineItems || []).map(toLineItem),
+  channel,
+  threadId: `${channel}:${order.phoneNumber}`,
+  source: 'conversation',
+  sourceMessageIds: order.sourceMessageIds || [],
+  stockCommitted: true,
+}, { by: 'bot', status: 'confirmed' });
+
+// Registers an order taken outside the bot. It starts pending and takes its
+// stock when confirmed.
+const createOrder = async (payload = {}, { by } = {}) => {
+  const lineItems = await resolveLineItems(payload.lineItems);
+  const channel = payload.channel || null;
+
+  return insertOrder({
+    notes: '',
+    ...pickEditable(payload),
+    lineItems,
+    channel,
+    threadId: channel && payload.phoneNumber ? `${channel}:${payload.phoneNumber}` : null,
+    source: 'manual',
+    sourceMessageIds: payload.sourceMessageIds || [],
+    stockCommitted: false,
+  }, { by, status: 'pending' });
+};
+
+// Filters: status, channel, phoneNumber, from/to (createdAt). Combining filters
+// needs matching composite indexes in Firestore (see README).
+const listOrders = async ({
+  status,
+  channel,
+  phoneNumber,
+  from,
+  to,
+  limit,
+  cursor,
+} = {}) => {
+  let query = db.collection(ORDERS_COLLECTION);
+
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+  if (channel) {
+    query = query.where('channel', '==', channel);
+  }
+  if (phoneNumber) {
+    query = query.where('phoneNumber', '==', phoneNumber);
+  }
+
+  [['from', from, '>='], ['to', to, '<=']].forEach(([name, value, operator]) => {
+    if (!value) {
+      return;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw createHttpError(400, `Invalid ${name} date`);
+    }
+    query = query.where('createdAt', operator, date);
+  });
+
+  const { items, nextCursor } = await readPage(query.orderBy('createdAt', 'desc'), {
+    collection: db.collection(ORDERS_COLLECTION),
+    limit,
+    cursor,
+  });
+  return { orders: items, nextCursor };
+};
+
+// Details and line items can change until the order is confirmed; after that
+// the order log has them and only the status moves.
+const updateOrder = async (id, payload = {}) => {
+  const ref = db.collection(ORDERS_COLLECTION).doc(id);
+  const lineItems = payload.lineItems && await resolveLineItems(payload.lineItems);
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      throw createHttpError(404, 'Order not found');
+    }
+
+    const order = snapshot.data();
+    if (order.status !== 'pending') {
+      throw createHttpError(409, `Cannot edit an order that is ${order.status}`);
+    }
+
+    transaction.update(ref, {
+      ...pickEditable(payload),
+      ...(lineItems && { lineItems, totals: summariseLineItems(lineItems) }),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+
+  return getOrder(id);
+};
+
+// Moves the order along its lifecycle, recorded in `statusHistory`, and keeps
+// the order log in step: confirming adds the order's rows, later changes
+// update their status. Confirming a pending order takes its stock (409 when
+// there is not enough). Cancelling queues the taken stock's return in the
+// outbox with the status change; `stockCommitted` stays set until it is back.
+// The customer profile follows: a confirmed order is added to it and a
+// cancelled one taken off.
+const changeOrderStatus = async (id, { status, note } = {}, { by } = {}) => {
+  const ref = db.collection(ORDERS_COLLECTION).doc(id);
+  const current = (await getOrderDoc(id)).data();
+  assertTransition(current.status, status);
+
+  const takesStock = status === 'confirmed' && !current.stockCommitted;
+  if (takesStock) {
+    const { committed, shortages } = await commitOrderStock(`order:${id}`, current.lineItems);
+    if (!committed) {
+      throw createHttpError(409, 'Not enough stock to confirm the order', { shortages });
+    }
+  }
+
+  let previous;
+  let updated;
+  try {
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) {
+        throw createHttpError(404, 'Order not found');
+      }
+
+      previous = snapshot.data();
+      assertTransition(previous.status, status);
+
+      const changes = {
+        status,
+        statusHistory: [...(previous.statusHistory || []), historyEntry(previous.status, status, { by, note })],
+        ...(status === 'confirmed' && { confirmedAt: new Date(), stockCommitted: true }),
+      };
+      updated = { ...previous, ...changes };
+
+      if (status === 'confirmed') {
+        await enqueueOrderWrite(toLogEntry(updated), { transaction });
+      } else if (previous.confirmedAt) {
+        await enqueueOrderStatusSync(id, changes.statusHistory.length, {
+          restock: status === 'cancelled' && Boolean(previous.stockCommitted),
+          transaction,
+        });
+      }
+      transaction.update(ref, { ...changes, updatedAt: FieldValue.serverTimestamp() });
+    });
+  } catch (error) {
+    if (takesStock) {
+      await restockOrder(current.lineItems);
+    }
+    throw error;
+  }
+
+  kick();
+  if (status === 'confirmed') {
+    publishOrder(toLogEntry(updated));
+  }
+  scheduleTotalsUpdate();
+  await updateCustomerProfile(updated, previous);
+  logger.info(`Order ${id} moved from ${previous.status} to ${status}`);
+
+  return getOrder(id);
+};
+
+const deleteOrder = async (id) => {
+  const ref = db.collection(ORDERS_COLLECTION).doc(id);
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      throw createHttpError(404, 'Order not found');
+    }
+
+    const { status, stockCommitted } = snapshot.data();
+    if (!DELETABLE_STATUSES.includes(status)) {
+      throw createHttpError(409, `Cannot delete an order that is ${status}; cancel it first`);
+    }
+    if (stockCommitted) {
+      throw createHttpError(409, 'Cannot delete the order until its stock is back in the inventory; try again shortly');
+    }
+    transaction.delete(ref);
+  });
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  listOrders,
+  getOrder,
+  createOrder,
+  recordConversationOrder,
+  updateOrder,
+  changeOrderStatus,
+  deleteOrder,
+};
@@ -0,0 +1,355 @@
+const logger = require('../utils/logger');
+const { numberFromEnv } = require('../utils/env');
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+const { serializeDoc, readPage } = require('../utils/firestore');
+const { appendOrder, hasOrder, updateOrderStatus } = require('./inventory.service');
+const { restockOrder } = require('./stock.service');
+
+const OUTBOX_COLLECTION = 'outbox';
+const ORDERS_COLLECTION = 'orders';
+
+const OUTBOX_STATUSES = ['pending', 'processing', 'done', 'dead'];
+
+const MAX_ATTEMPTS = numberFromEnv('OUTBOX_MAX_ATTEMPTS', 8, { allowZero: false });
+const BACKOFF_BASE_MS = numberFromEnv('OUTBOX_BACKOFF_BASE_SECONDS', 30) * 1000;
+const BACKOFF_MAX_MS = numberFromEnv('OUTBOX_BACKOFF_MAX_SECONDS', 3600) * 1000;
+// A claimed entry not finished within the lease (e.g. the process died) is retried.
+const LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+// Side effects that must survive an outage of the downstream system. Each
+// handler gets the stored payload and the attempt number (1-based) and must be
+// safe to repeat: a write can succeed after the call timed out.
+const HANDLERS = {
+  appendOrder: async (order, { attempt }) => {
+    if (attempt > 1 && await hasOrder(order.orderId)) {
+      return { orderId: order.orderId, alreadyWritten: true };
+    }
+    return appendOrder(order);
+  },
+  // Writes the order's current status rather than the one it was queued with,
+  // so entries that run late or out of order still leave the latest status.
+  syncOrderStatus: async ({ orderId }) => {
+    const snapshot = await db.collection(ORDERS_COLLECTION).doc(orderId).get();
+    if (!snapshot.exists) {
+      return { orderId, deleted: true };
+    }
+    return updateOrderStatus(orderId, snapshot.data().status);
+  },
+  // Returns a cancelled order's stock to the inventory. `restockStartedAt` is
+  // set before the stock moves and `stockCommitted` cleared once it is back. A
+  // repeat that finds the marker does not know whether the stock landed (the
+  // process died or the update failed), so it only finishes the order: a
+  // missed restock can be corrected by hand, a doubled one goes unnoticed.
+  restockOrder: async ({ orderId }) => {
+    const ref = db.collection(ORDERS_COLLECTION).doc(orderId);
+    const order = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const current = snapshot.data();
+      if (!current?.stockCommitted || current.status !== 'cancelled') {
+        return null;
+      }
+      if (!current.restockStartedAt) {
+        transaction.update(ref, { restockStartedAt: new Date() });
+      }
+      return current;
+    });
+
+    if (!order) {
+      return { orderId, restocked: false };
+    }
+    if (order.restockStartedAt) {
+      logger.warn(`Restock of order ${orderId} was interrupted; not returning its stock again`);
+    } else {
+      try {
+        await restockOrder(order.lineItems);
+      } catch (error) {
+        // Nothing was returned (partial writes are undone), so the retry starts over.
+        await ref.update({ restockStartedAt: null });
+        throw error;
+      }
+    }
+
+    await ref.update({ stockCommitted: false, updatedAt: new Date() });
+    return { orderId, restocked: !order.restockStartedAt };
+  },
+};
+
+// 30s, 1m, 2m, 4m ... capped, with up to 20% jitter so retries after an
+// outage don't all land at once.
+const backoffDelay = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+let kickScheduled = false;
+
+// Processes due entries soon, without waiting for the next poll.
+const kick = () => {
+  if (kickScheduled) {
+    return;
+  }
+  kickScheduled = true;
+  setImmediate(() => {
+    kickScheduled = false;
+    processOutbox().catch((error) => logger.error(`Outbox run failed: ${error.message}`));
+  });
+};
+
+// Stores side effects to run in the background, each `{ type, payload, id }`.
+// `id` makes enqueueing idempotent (an existing entry is left alone). Pass
+// `transaction` to store the entries with the caller's own writes; it reads, so
+// call it before the transaction writes anything, and call `kick()` once it has
+// committed. Firestore rejects undefined values, so payloads are stored as plain JSON.
+const enqueueAll = async (entries, { transaction } = {}) => {
+  entries.forEach(({ type }) => {
+    if (!HANDLERS[type]) {
+      throw new Error(`Unknown outbox type "${type}"`);
+    }
+  });
+
+  const refs = entries.map(({ id }) => (
+    id ? db.collection(OUTBOX_COLLECTION).doc(id) : db.collection(OUTBOX_COLLECTION).doc()
+  ));
+  const now = new Date();
+
+  const store = async (writer) => {
+    const existing = await Promise.all(refs.map((ref) => writer.get(ref)));
+    entries.forEach(({ type, payload }, index) => {
+      if (existing[index].exists) {
+        return;
+      }
+      writer.set(refs[index], {
+        type,
+        payload: JSON.parse(JSON.stringify(payload)),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+      });
+    });
+  };
+
+  if (transaction) {
+    await store(transaction);
+    return refs.map(({ id }) => id);
+  }
+
+  await db.runTransaction(store);
+  kick();
+  return refs.map(({ id }) => id);
+};
+
+const enqueue = async (type, payload, { id, transaction } = {}) => {
+  const [entryId] = await enqueueAll([{ type, payload, id }], { transaction });
+  return entryId;
+};
+
+const enqueueOrderWrite = (order, options) => enqueue('appendOrder', order, { id: `order-${order.orderId}`, ...options });
+
+// `change` tells the entries for one order apart, e.g. its status history length.
+// With `restock`, the order's stock is returned as well (a cancelled order).
+const enqueueOrderStatusSync = (orderId, change, { restock = false, transaction } = {}) => enqueueAll([
+  { type: 'syncOrderStatus', payload: { orderId }, id: `order-${orderId}-status-${change}` },
+  ...(restock ? [{ type: 'restockOrder', payload: { orderId }, id: `order-${orderId}-restock` }] : []),
+], { transaction });
+
+// Moves a due entry to `processing` unless another run got there first.
+const claim = (ref) => db.runTransaction(async (transaction) => {
+  const snapshot = await transaction.get(ref);
+  const entry = snapshot.data();
+  const now = Date.now();
+  const due = (value) => new Date(value?.toDate ? value.toDate() : value).getTime() <= now;
+
+  const claimable = entry && (
+    (entry.status === 'pending' && due(entry.nextAttemptAt))
+    || (entry.status === 'processing' && due(entry.lockedUntil))
+  );
+  if (!claimable) {
+    return null;
+  }
+
+  const attempts = (entry.attempts || 0) + 1;
+  transaction.update(ref, {
+    status: 'processing',
+    attempts,
+    lockedUntil: new Date(now + LEASE_MS),
+    updatedAt: new Date(now),
+  });
+  return { ...entry, attempts };
+});
+
+const runEntry = async (ref) => {
+  const entry = await claim(ref);
+  if (!entry) {
+    return null;
+  }
+
+  try {
+    const result = await HANDLERS[entry.type](entry.payload, { attempt: entry.attempts });
+    await ref.update({
+      status: 'done',
+      result: JSON.parse(JSON.stringify(result ?? null)),
+      lastError: null,
+      lockedUntil: null,
+      completedAt: new Date(),
+      updatedAt: new Date(),
+    });
+    return 'done';
+  } catch (error) {
+    const dead = entry.attempts >= MAX_ATTEMPTS;
+    await ref.update({
+      status: dead ? 'dead' : 'pending',
+      lastError: error.message,
+      lockedUntil: null,
+      ...(dead
+        ? { deadAt: new Date() }
+        : { nextAttemptAt: new Date(Date.now() + backoffDelay(entry.attempts)) }),
+      updatedAt: new Date(),
+    });
+
+    if (dead) {
+      logger.error(`Outbox ${ref.id} (${entry.type}) dead after ${entry.attempts} attempts: ${error.message}`);
+    } else {
+      logger.warn(`Outbox ${ref.id} (${entry.type}) attempt ${entry.attempts} failed: ${error.message}`);
+    }
+    return dead ? 'dead' : 'retry';
+  }
+};
+
+let running = false;
+
+// Runs every due entry, plus `processing` entries whose lease ran out. One run
+// at a time per process; claims keep several instances from doubling up.
+// Needs a composite index on `status ASC, nextAttemptAt ASC`.
+const processOutbox = async ({ limit = BATCH_SIZE } = {}) => {
+  if (running) {
+    return { skipped: true };
+  }
+
+  running = true;
+  const counts = { done: 0, retry: 0, dead: 0 };
+
+  try {
+    const now = new Date();
+    const [due, stale] = await Promise.all([
+      db.collection(OUTBOX_COLLECTION)
+        .where('status', '==', 'pending')
+        .where('nextAttemptAt', '<=', now)
+        .orderBy('nextAttemptAt')
+        .limit(limit)
+        .get(),
+      db.collection(OUTBOX_COLLECTION)
+        .where('status', '==', 'processing')
+        .where('lockedUntil', '<=', now)
+        .limit(limit)
+        .get(),
+    ]);
+
+    for (const doc of [...due.docs, ...stale.docs]) {
+      const outcome = await runEntry(doc.ref);
+      if (outcome) {
+        counts[outcome] += 1;
+      }
+    }
+
+    return counts;
+  } finally {
+    running = false;
+  }
+};
+
+const startOutboxWorker = ({ intervalMs = 15000 } = {}) => {
+  const timer = setInterval(kick, intervalMs);
+  timer.unref();
+  kick();
+  logger.info(`Outbox worker polling every ${Math.round(intervalMs / 1000)}s`);
+
+  return {
+    stop: () => clearInterval(timer),
+  };
+};
+
+const listOutbox = async ({ status, limit, cursor } = {}) => {
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    throw createHttpError(400, `Unknown outbox status "${status}"`, { allowed: OUTBOX_STATUSES });
+  }
+
+  let query = db.collection(OUTBOX_COLLECTION);
+
+  if (status) {
+    query = query.where('status', '==', status);
+  }
+  const { items, nextCursor } = await readPage(query.orderBy('createdAt', 'desc'), {
+    collection: db.collection(OUTBOX_COLLECTION),
+    limit,
+    cursor,
+  });
+  return { entries: items, nextCursor };
+};
+
+const getOutboxEntry = async (id) => {
+  const snapshot = await db.collection(OUTBOX_COLLECTION).doc(id).get();
+  if (!snapshot.exists) {
+    throw createHttpError(404, 'Outbox entry not found');
+  }
+  return serializeDoc(snapshot);
+};
+
+// Puts a dead (or waiting) entry back in the queue with a fresh attempt budget.
+const replayOutboxEntry = async (id, { by } = {}) => {
+  const ref = db.collection(OUTBOX_COLLECTION).doc(id);
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      throw createHttpError(404, 'Outbox entry not found');
+    }
+
+    const { status } = snapshot.data();
+    if (!['dead', 'pending'].includes(status)) {
+      throw createHttpError(409, `Cannot replay an entry that is ${status}`);
+    }
+
+    transaction.update(ref, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      replayedAt: new Date(),
+      replayedBy: by || null,
+      updatedAt: new Date(),
+    });
+  });
+
+  kick();
+  return getOutboxEntry(id);
+};
+
+// Replays every dead entry, e.g. once Google Sheets is reachable again.
+const replayDeadLetters = async ({ by } = {}) => {
+  const snapshot = await db.collection(OUTBOX_COLLECTION).where('status', '==', 'dead').get();
+
+  for (const doc of snapshot.docs) {
+    await replayOutboxEntry(doc.id, { by });
+  }
+
+  return { replayed: snapshot.docs.map(({ id }) => id) };
+};
+
+module.exports = {
+  OUTBOX_STATUSES,
+  kick,
+  enqueue,
+  enqueueAll,
+  enqueueOrderWrite,
+  enqueueOrderStatusSync,
+  processOutbox,
+  startOutboxWorker,
+  listOutbox,
+  getOutboxEntry,
+  replayOutboxEntry,
+  replayDeadLetters,
+};
@@ -0,0 +1,268 @@
+const {
+  PRODUCT_SYNONYMS,
+  COLOR_SYNONYMS,
+  SIZE_SYNONYMS,
+  STOP_WORDS,
+} = require('../config/productDictionary');
+
+const MAX_CANDIDATES = 5;
+const MAX_ALTERNATIVES = 3;
+// Candidates scoring within this margin of the best match count as equally good.
+const TIE_MARGIN = 0.05;
+const MIN_TOKEN_SIMILARITY = 0.7;
+
+const PRODUCT_TERMS = new Set(Object.keys(PRODUCT_SYNONYMS));
+
+const splitWords = (text = '') => text
+  .toString()
+  .toLowerCase()
+  .replace(/[-_/]/g, ' ')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Longest aliases first so "biru gelap" wins over "biru".
+const ALIASES = [
+  ...Object.entries(PRODUCT_SYNONYMS).flatMap(([value, aliases]) => (
+    aliases.map((alias) => ({ type: 'product', value, words: splitWords(alias) }))
+  )),
+  ...Object.entries(COLOR_SYNONYMS).flatMap(([value, aliases]) => (
+    aliases.map((alias) => ({ type: 'color', value, words: splitWords(alias) }))
+  )),
+  ...Object.entries(SIZE_SYNONYMS).flatMap(([value, aliases]) => (
+    aliases.map((alias) => ({ type: 'size', value, words: splitWords(alias) }))
+  )),
+].sort((a, b) => b.words.length - a.words.length);
+
+const matchAliasAt = (words, index) => ALIASES.find((alias) => (
+  alias.words.every((word, offset) => words[index + offset] === word)
+));
+
+// Turns free text into typed tokens: product terms, colours and sizes resolved
+// through the dictionary, other words kept as-is. Numbers and stop words are dropped.
+const tokenize = (text) => {
+  const words = splitWords(text);
+  const tokens = [];
+
+  for (let index = 0; index < words.length;) {
+    const alias = matchAliasAt(words, index);
+
+    if (alias) {
+      tokens.push({ type: alias.type, value: alias.value, raw: words.slice(index, index + alias.words.length).join(' ') });
+      index += alias.words.length;
+    } else {
+      const word = words[index];
+      if (!/^\d+$/.test(word) && !STOP_WORDS.includes(word)) {
+        tokens.push({ type: 'word', value: word, raw: word });
+      }
+      index += 1;
+    }
+  }
+
+  return tokens;
+};
+
+const normalizeColor = (value) => {
+  const token = value && tokenize(value).find(({ type }) => type === 'color');
+  return token ? token.value : value?.toString().trim().toLowerCase() || undefined;
+};
+
+const normalizeSize = (value) => {
+  const token = value && tokenize(value).find(({ type }) => type === 'size');
+  return token ? token.value : value?.toString().trim().toUpperCase() || undefined;
+};
+
+// Splits a product phrase into name terms, colour and size, e.g.
+// "baju-T biru M" -> { nameTokens: ['tshirt'], nameText: 'baju t', color: 'blue', size: 'M' }.
+const parseProductQuery = (text) => {
+  const tokens = tokenize(text);
+  const nameTokens = tokens.filter(({ type }) => type === 'product' || type === 'word');
+
+  return {
+    nameTokens: nameTokens.map(({ value }) => value),
+    nameText: nameTokens.map(({ raw }) => raw).join(' '),
+    color: tokens.find(({ type }) => type === 'color')?.value,
+    size: tokens.find(({ type }) => type === 'size')?.value,
+  };
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// 1 for identical terms, less for prefixes and small typos ("hodie", "tshrt"), 0 otherwise.
+// Two different dictionary terms never match, however alike ("tshirt" vs "shirt").
+const tokenSimilarity = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+
+  if (PRODUCT_TERMS.has(a) && PRODUCT_TERMS.has(b)) {
+    return 0;
+  }
+
+  const shorter = Math.min(a.length, b.length);
+  if (shorter < 4) {
+    return 0;
+  }
+
+  if (a.startsWith(b) || b.startsWith(a)) {
+    return 0.9;
+  }
+
+  const allowed = shorter >= 7 ? 2 : 1;
+  const distance = levenshtein(a, b);
+  return distance <= allowed ? 1 - distance / Math.max(a.length, b.length) : 0;
+};
+
+// Half for how much of the query is recognised, half for how much of the product
+// name it covers, so "tshirt" matches "Cotton T-Shirt" but "cotton tshirt" beats it.
+const scoreName = (queryTokens, itemTokens) => {
+  if (!queryTokens.length || !itemTokens.length) {
+    return 0;
+  }
+
+  const best = queryTokens.map((token) => Math.max(...itemTokens.map((itemToken) => tokenSimilarity(token, itemToken))));
+  const matched = best.filter((similarity) => similarity >= MIN_TOKEN_SIMILARITY);
+
+  if (!matched.length) {
+    return 0;
+  }
+
+  const covered = itemTokens.filter((itemToken) => (
+    queryTokens.some((token) => tokenSimilarity(token, itemToken) >= MIN_TOKEN_SIMILARITY)
+  ));
+
+  const queryCoverage = matched.reduce((sum, similarity) => sum + similarity, 0) / queryTokens.length;
+  return Number((0.5 * queryCoverage + 0.5 * (covered.length / itemTokens.length)).toFixed(3));
+};
+
+const describeItem = (item) => parseProductQuery(item.name).nameTokens;
+
+const toCandidate = ({ item, score }) => ({
+  sku: item.sku,
+  name: item.name,
+  color: item.color,
+  size: item.size,
+  stock: item.stock,
+  price: item.price,
+  score,
+});
+
+const byRank = (quantity) => (a, b) => (
+  b.score - a.score
+  || Number(b.item.stock >= quantity) - Number(a.item.stock >= quantity)
+  || b.item.stock - a.item.stock
+);
+
+// Other variants of the matched product (or of the best-named products when
+// nothing matched) that can cover the quantity; same colour, then same size first.
+const findAlternatives = (scored, { match, color, size, quantity }) => {
+  const named = scored.filter(({ score }) => score > 0);
+  const bestScore = Math.max(0, ...named.map(({ score }) => score));
+  const productKey = match && describeItem(match.item).join(' ');
+  const pool = match
+    ? scored.filter(({ item }) => describeItem(item).join(' ') === productKey)
+    : named.filter(({ score }) => score >= bestScore - TIE_MARGIN);
+
+  const rank = ({ item }) => (
+    (normalizeColor(item.color) === (color || normalizeColor(match?.item.color)) ? 2 : 0)
+    + (normalizeSize(item.size) === (size || normalizeSize(match?.item.size)) ? 1 : 0)
+  );
+
+  return pool
+    .filter(({ item }) => item.sku !== match?.item.sku && item.stock >= quantity)
+    .sort((a, b) => rank(b) - rank(a) || b.item.stock - a.item.stock)
+    .slice(0, MAX_ALTERNATIVES)
+    .map(toCandidate);
+};
+
+// Matches `{ itemName, attributes: { color, size }, quantity }` against the
+// inventory. Returns the best in-stock match, the ranked `candidates` when the
+// query fits several products equally well (`ambiguous`), and in-stock
+// `alternatives` when the match is short or missing.
+const matchProduct = (inventory = [], { itemName = '', attributes = {}, quantity = 1 } = {}) => {
+  const parsed = parseProductQuery(itemName);
+  const color = normalizeColor(attributes.color) || parsed.color;
+  const size = normalizeSize(attributes.size) || parsed.size;
+  const needed = Number(quantity) || 1;
+
+  if (!parsed.nameTokens.length && !color && !size) {
+    return { available: false, candidates: [], alternatives: [] };
+  }
+
+  const scored = inventory.map((item) => ({
+    item,
+    // Colour/size-only queries ("ada biru saiz M?") treat every product as a name match.
+    score: parsed.nameTokens.length ? scoreName(parsed.nameTokens, describeItem(item)) : 1,
+  }));
+
+  const exact = scored
+    .filter(({ item, score }) => (
+      score > 0
+      && (!color || normalizeColor(item.color) === color)
+      && (!size || normalizeSize(item.size) === size)
+    ))
+    .sort(byRank(needed));
+
+  const tied = exact.filter(({ score }) => score >= (exact[0]?.score || 0) - TIE_MARGIN);
+  const match = tied.find(({ item }) => item.stock >= needed) || exact[0];
+  const available = Boolean(match) && match.item.stock >= needed;
+
+  return {
+    available,
+    ...(match && { item: match.item, remainingStock: match.item.stock }),
+    ambiguous: tied.length > 1,
+    candidates: tied.length > 1 ? tied.slice(0, MAX_CANDIDATES).map(toCandidate) : [],
+    alternatives: available ? [] : findAlternatives(scored, {
+      match,
+      color,
+      size,
+      quantity: needed,
+    }),
+  };
+};
+
+// Applies a follow-up such as "hitam L" or "yang besar" to an earlier stock
+// query. Returns null when the message names no colour or size.
+const refineProductQuery = (query, message) => {
+  const { nameText, color, size } = parseProductQuery(message);
+
+  if (!color && !size) {
+    return null;
+  }
+
+  return {
+    ...query,
+    itemName: nameText || query.itemName,
+    quantity: Number(message.match(/\b(\d+)\b/)?.[1]) || query.quantity,
+    attributes: {
+      ...query.attributes,
+      ...(color && { color }),
+      ...(size && { size }),
+    },
+  };
+};
+
+module.exports = {
+  tokenize,
+  normalizeColor,
+  normalizeSize,
+  parseProductQuery,
+  refineProductQuery,
+  matchProduct,
+};
@@ -0,0 +1,165 @@
+const logger = require('../utils/logger');
+const { db } = require('../config/firebase');
+const { createHttpError } = require('../utils/httpError');
+const { createTtlCache } = require('../utils/ttlCache');
+const { serializeDoc } = require('../utils/firestore');
+const { getRateLimitStore } = require('./rateLimitStores');
+
+const BLOCKLIST_COLLECTION = 'blocklist';
+
+// What a block applies to: a customer address on a channel (phone number,
+// Instagram ID, email), an API key name or user ID, or a client IP.
+const BLOCK_TYPES = ['sender', 'client', 'ip'];
+
+// "<max>/<seconds>", e.g. "20/60" for 20 hits a minute; "off" (or 0) disables.
+const parseLimit = (value, fallback) => {
+  const [max, seconds] = (value || fallback).split('/').map(Number);
+
+  if (!max || !seconds) {
+    return null;
+  }
+  return { max, windowMs: seconds * 1000 };
+};
+
+const LIMITS = {
+  // Inbound customer messages per sender, on every channel.
+  sender: parseLimit(process.env.RATE_LIMIT_SENDER, '20/60'),
+  // API requests per client IP (webhooks excluded; they come from the platforms' IPs).
+  ip: parseLimit(process.env.RATE_LIMIT_IP, '120/60'),
+  // Messages posted per API key or signed-in user.
+  client: parseLimit(process.env.RATE_LIMIT_CLIENT, '300/60'),
+  // Generative insight runs per API key or user.
+  insights: parseLimit(process.env.RATE_LIMIT_INSIGHTS, '10/3600'),
+};
+
+// Counts a hit for `identity` in the bucket. `firstRejected` marks the first
+// hit over the limit in the current window (used to answer a customer once).
+// Counter store errors let the hit through rather than lock everyone out.
+const consume = async (bucket, identity) => {
+  const limit = LIMITS[bucket];
+
+  if (!limit || !identity) {
+    return { allowed: true };
+  }
+
+  try {
+    const { count, resetAt } = await getRateLimitStore().increment(`${bucket}:${identity}`, limit.windowMs);
+
+    return {
+      allowed: count <= limit.max,
+      firstRejected: count === limit.max + 1,
+      limit: limit.max,
+      remaining: Math.max(0, limit.max - count),
+      resetAt,
+      retryAfterSeconds: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+    };
+  } catch (error) {
+    logger.warn(`Rate limit check for ${bucket} failed, allowing: ${error.message}`);
+    return { allowed: true };
+  }
+};
+
+const blockId = (type, value) => `${type}:${encodeURIComponent(value)}`;
+
+const isActive = (entry) => !entry.expiresAt || new Date(entry.expiresAt).getTime() > Date.now();
+
+// The blocklist is read on every inbound message and API call, so it is cached
+// briefly; changes made through this module clear the cache.
+const blocklistCache = createTtlCache({ name: 'blocklist', ttlMs: 30 * 1000, staleMs: 60 * 1000 });
+
+const readBlocklist = () => blocklistCache.get('all', async () => {
+  const snapshot = await db.collection(BLOCKLIST_COLLECTION).get();
+  return snapshot.docs.map(serializeDoc);
+});
+
+const isBlocked = async (type, value) => {
+  if (!value) {
+    return false;
+  }
+
+  try {
+    const id = blockId(type, value);
+    return (await readBlocklist()).some((entry) => entry.id === id && isActive(entry));
+  } catch (error) {
+    logger.warn(`Blocklist check failed, allowing: ${error.message}`);
+    return false;
+  }
+};
+
+const listBlocklist = async () => {
+  const entries = await readBlocklist();
+  return entries.map((entry) => ({ ...entry, active: isActive(entry) }));
+};
+
+const addToBlocklist = async ({
+  type,
+  value,
+  reason,
+  expiresAt,
+} = {}, { by } = {}) => {
+  if (!BLOCK_TYPES.includes(type)) {
+    throw createHttpError(400, `type must be one of: ${BLOCK_TYPES.join(', ')}`, { allowed: BLOCK_TYPES });
+  }
+  if (!value || typeof value !== 'string') {
+    throw createHttpError(400, 'value is required');
+  }
+
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && Number.isNaN(expires.getTime())) {
+    throw createHttpError(400, 'Invalid expiresAt date');
+  }
+
+  const ref = db.collection(BLOCKLIST_COLLECTION).doc(blockId(type, value.trim()));
+  await ref.set({
+    type,
+    value: value.trim(),
+    reason: reason || null,
+    expiresAt: expires,
+    createdBy: by || null,
+    createdAt: new Date(),
+  });
+  blocklistCache.invalidate();
+
+  logger.info(`Blocked ${type} ${value.trim()}${reason ? ` (${reason})` : ''}`);
+  return serializeDoc(await ref.get());
+};
+
+const removeFromBlocklist = async (id) => {
+  const ref = db.collection(BLOCKLIST_COLLECTION).doc(id);
+  const snapshot = await ref.get();
+
+  if (!snapshot.exists) {
+    throw createHttpError(404, 'Blocklist entry not found');
+  }
+
+  await ref.delete();
+  blocklistCache.invalidate();
+};
+
+// Gate for inbound customer messages: blocked senders are dropped, senders
+// over RATE_LIMIT_SENDER are throttled.
+const checkSender = async (channel, address) => {
+  if (await isBlocked('sender', address)) {
+    return { allowed: false, reason: 'blocked' };
+  }
+
+  const result = await consume('sender', `${channel}:${address}`);
+  if (!result.allowed) {
+    if (result.firstRejected) {
+      logger.warn(`Throttling ${channel} sender ${address} for ${result.retryAfterSeconds}s`);
+    }
+    return { ...result, reason: 'throttled' };
+  }
+
+  return result;
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  consume,
+  isBlocked,
+  checkSender,
+  listBlocklist,
+  addToBlocklist,
+  removeFromBlocklist,
+};
@@ -0,0 +1,27 @@
+const { db } = require('../../config/firebase');
+
+const COUNTERS_COLLECTION = 'rateLimits';
+
+// One document per key and window, counted in a transaction so instances
+// agree. Enable a Firestore TTL policy on `expiresAt` to purge old windows.
+const increment = async (key, windowMs) => {
+  const now = Date.now();
+  const windowStart = now - (now % windowMs);
+  const resetAt = windowStart + windowMs;
+  const ref = db.collection(COUNTERS_COLLECTION).doc(`${encodeURIComponent(key)}:${windowStart}`);
+
+  const count = await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const next = (snapshot.exists ? snapshot.data().count : 0) + 1;
+
+    transaction.set(ref, { key, count: next, expiresAt: new Date(resetAt) });
+    return next;
+  });
+
+  return { count, resetAt };
+};
+
+module.exports = {
+  name: 'firestore',
+  increment,
+};
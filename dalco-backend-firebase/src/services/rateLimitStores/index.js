@@ -0,0 +1,38 @@
+const logger = require('../../utils/logger');
+
+// Counter stores for rate limiting share one interface:
+//   increment(key, windowMs) -> { count, resetAt }
+// counting hits in fixed windows. `memory` suits a single instance; use
+// `firestore` when several instances must share the counts.
+const STORES = {
+  memory: () => require('./memory.store'),
+  firestore: () => require('./firestore.store'),
+};
+
+const DEFAULT_STORE = 'memory';
+
+let activeStore;
+
+const getRateLimitStoreName = () => (process.env.RATE_LIMIT_STORE || DEFAULT_STORE).trim().toLowerCase();
+
+const getRateLimitStore = () => {
+  if (activeStore) {
+    return activeStore;
+  }
+
+  const name = getRateLimitStoreName();
+  const loadStore = STORES[name];
+
+  if (!loadStore) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  activeStore = loadStore();
+  logger.info(`Rate limit store: ${activeStore.name}`);
+  return activeStore;
+};
+
+module.exports = {
+  getRateLimitStore,
+  getRateLimitStoreName,
+};
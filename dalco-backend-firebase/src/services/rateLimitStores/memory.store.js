@@ -0,0 +1,38 @@
+// Per-process counters. Expired windows are swept every PRUNE_EVERY increments
+// so idle keys don't accumulate.
+const PRUNE_EVERY = 1000;
+
+const windows = new Map();
+let increments = 0;
+
+const prune = (now) => {
+  windows.forEach((entry, key) => {
+    if (entry.resetAt <= now) {
+      windows.delete(key);
+    }
+  });
+};
+
+const increment = async (key, windowMs) => {
+  const now = Date.now();
+  let entry = windows.get(key);
+
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now - (now % windowMs) + windowMs };
+    windows.set(key, entry);
+  }
+
+  entry.count += 1;
+
+  increments += 1;
+  if (increments % PRUNE_EVERY === 0) {
+    prune(now);
+  }
+
+  return { count: entry.count, resetAt: entry.resetAt };
+};
+
+module.exports = {
+  name: 'memory',
+  increment,
+};
@@ -0,0 +1,104 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const logger = require('../utils/logger');
+const { numberFromEnv } = require('../utils/env');
+const { db } = require('../config/firebase');
+
+const SESSIONS_COLLECTION = 'sessions';
+const SESSION_IDLE_TIMEOUT_MINUTES = numberFromEnv('SESSION_IDLE_TIMEOUT_MINUTES', 30, { allowZero: false });
+
+const ORDER_FIELDS = ['customerName', 'deliveryAddress', 'quantity'];
+
+const PLACEHOLDER_VALUES = {
+  customerName: ['WhatsApp Customer'],
+  deliveryAddress: ['To be confirmed'],
+};
+
+// Whole-message matches only: "ok tapi tukar saiz L" is not a yes. Trailing
+// particles and politeness ("ya lah", "yes please", "ok, tq") are allowed.
+const AFFIRMATIVE_PATTERN = /^(ya|yes|y|ok|okay|boleh|setuju|sah|confirm|teruskan|betul|yup|yep)([\s,]+(ya|yes|ok|okay|boleh|confirm|betul|lah|la|je|please|pls|sure|thanks|tq))*[\s.!]*$/i;
+const NEGATIVE_PATTERN = /^(tak|tidak|no|n|x|batal|cancel|jangan)(\s+(nak|jadi|mahu|lah))?[\s.!]*$/i;
+
+const createEmptySession = (phoneNumber) => ({
+  phoneNumber,
+  state: 'idle',
+  lastInventoryQuery: null,
+  inventoryChoice: null,
+  orderDraft: null,
+  missingFields: [],
+});
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value && new Date(value));
+
+const isExpired = (session, now = new Date()) => {
+  const expiresAt = toDate(session?.expiresAt);
+  return Boolean(expiresAt) && expiresAt.getTime() <= now.getTime();
+};
+
+const getSession = async (phoneNumber) => {
+  try {
+    const snapshot = await db.collection(SESSIONS_COLLECTION).doc(phoneNumber).get();
+
+    if (!snapshot.exists) {
+      return createEmptySession(phoneNumber);
+    }
+
+    const session = snapshot.data();
+
+    if (isExpired(session)) {
+      await snapshot.ref.delete();
+      return { ...createEmptySession(phoneNumber), expired: true };
+    }
+
+    return { ...createEmptySession(phoneNumber), ...session };
+  } catch (error) {
+    logger.warn(`Failed to load session: ${error.message}`);
+    return createEmptySession(phoneNumber);
+  }
+};
+
+const saveSession = async (session) => {
+  const expiresAt = new Date(Date.now() + SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000);
+  const { expired, ...data } = session;
+
+  try {
+    await db.collection(SESSIONS_COLLECTION).doc(session.phoneNumber).set({
+      ...data,
+      expiresAt,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    logger.warn(`Failed to save session: ${error.message}`);
+  }
+};
+
+const clearSession = async (phoneNumber) => {
+  try {
+    await db.collection(SESSIONS_COLLECTION).doc(phoneNumber).delete();
+  } catch (error) {
+    logger.warn(`Failed to clear session: ${error.message}`);
+  }
+};
+
+const getMissingFields = (draft = {}) => ORDER_FIELDS.filter((field) => {
+  if (field === 'quantity') {
+    const lineItems = draft.lineItems || [];
+    return !lineItems.length || lineItems.some(({ quantity }) => !(Number(quantity) > 0));
+  }
+
+  const value = draft[field]?.toString().trim();
+  return !value || (PLACEHOLDER_VALUES[field] || []).includes(value);
+});
+
+const isAffirmative = (message = '') => AFFIRMATIVE_PATTERN.test(message.trim());
+
+const isNegative = (message = '') => NEGATIVE_PATTERN.test(message.trim());
+
+module.exports = {
+  SESSION_IDLE_TIMEOUT_MINUTES,
+  getSession,
+  saveSession,
+  clearSession,
+  getMissingFields,
+  isAffirmative,
+  isNegative,
+};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { db } = require('../config/firebase');
+const {
+  readInventory,
+  adjustInventoryStock,
+  checkInventoryAvailability,
+  checkOrderAvailability,
+} = require('./inventory.service');
+const { SESSION_IDLE_TIMEOUT_MINUTES } = require('./session.service');
+
+// One document per SKU: { sku, holds: { [phoneNumber]: { quantity, expiresAt } }, lease? }.
+// Holds are only changed inside Firestore transactions so concurrent messages,
+// even across instances, can never reserve more than the inventory stock.
+const RESERVATIONS_COLLECTION = 'stockReservations';
+
+// Changing stock in the store takes a short write lease on the SKU documents; a
+// lease left by a crashed instance runs out after WRITE_LEASE_MS.
+const WRITE_LEASE_MS = 30 * 1000;
+const LEASE_WAIT_MS = 10 * 1000;
+const LEASE_RETRY_MS = 100;
+
+const holdExpiry = () => new Date(Date.now() + SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000);
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value).getTime());
+
+const activeHolds = (holds = {}, now = Date.now()) => Object.fromEntries(
+  Object.entries(holds).filter(([, hold]) => toMillis(hold.expiresAt) > now),
+);
+
+const sumHolds = (holds, excludePhoneNumber) => Object.entries(holds)
+  .filter(([phoneNumber]) => phoneNumber !== excludePhoneNumber)
+  .reduce((sum, [, hold]) => sum + (Number(hold.quantity) || 0), 0);
+
+const getReservedQuantities = async (excludePhoneNumber) => {
+  const snapshot = await db.collection(RESERVATIONS_COLLECTION).get();
+
+  return snapshot.docs.reduce((reserved, doc) => {
+    const { sku, holds } = doc.data();
+    return { ...reserved, [sku]: sumHolds(activeHolds(holds), excludePhoneNumber) };
+  }, {});
+};
+
+// Inventory with every item's stock reduced by other customers' active holds.
+const getAvailableInventory = async ({ excludePhoneNumber } = {}) => {
+  const [inventory, reserved] = await Promise.all([
+    readInventory(),
+    getReservedQuantities(excludePhoneNumber).catch((error) => {
+      logger.warn(`Failed to read stock reservations: ${error.message}`);
+      return {};
+    }),
+  ]);
+
+  return inventory.map((item) => ({
+    ...item,
+    stock: Math.max(0, item.stock - (reserved[item.sku] || 0)),
+  }));
+};
+
+const checkStockAvailability = async (query, { phoneNumber } = {}) => (
+  checkInventoryAvailability(query, await getAvailableInventory({ excludePhoneNumber: phoneNumber }))
+);
+
+const groupBySku = (lineItems) => lineItems.reduce((groups, lineItem) => {
+  if (lineItem.sku) {
+    groups[lineItem.sku] = (groups[lineItem.sku] || 0) + (Number(lineItem.quantity) || 0);
+  }
+  return groups;
+}, {});
+
+// Sets (or clears) this customer's hold on a SKU, capped at what other holds leave over.
+// Returns the quantity actually held.
+const holdSku = async (sku, phoneNumber, requested, stock) => {
+  const ref = db.collection(RESERVATIONS_COLLECTION).doc(sku);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const { holds: stored, lease } = snapshot.data() || {};
+    const holds = activeHolds(stored);
+    const available = Math.max(0, stock - sumHolds(holds, phoneNumber));
+    const quantity = Math.min(requested, available);
+
+    if (quantity > 0) {
+      holds[phoneNumber] = { quantity, expiresAt: holdExpiry() };
+    } else {
+      delete holds[phoneNumber];
+    }
+
+    transaction.set(ref, { sku, holds, ...(lease && { lease }) });
+    return quantity;
+  });
+};
+
+const releaseSku = async (sku, phoneNumber) => {
+  const ref = db.collection(RESERVATIONS_COLLECTION).doc(sku);
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      return;
+    }
+
+    const { holds: stored, lease } = snapshot.data();
+    const holds = activeHolds(stored);
+    delete holds[phoneNumber];
+    transaction.set(ref, { sku, holds, ...(lease && { lease }) });
+  });
+};
+
+// Reserves stock for every line item. Items that can only be partly covered are
+// reduced to the reserved quantity (keeping `requestedQuantity`); items with no
+// stock at all are returned in `rejectedItems`.
+const reserveOrderStock = async (phoneNumber, lineItems = []) => {
+  await releaseReservations(phoneNumber);
+
+  const inventory = await readInventory();
+  const matchedItems = await checkOrderAvailability(lineItems, inventory);
+  const requested = groupBySku(matchedItems);
+  const held = {};
+
+  for (const [sku, quantity] of Object.entries(requested)) {
+    const item = inventory.find((entry) => entry.sku === sku);
+    held[sku] = await holdSku(sku, phoneNumber, quantity, item?.stock || 0);
+  }
+
+  const reservedItems = [];
+  const rejectedItems = [];
+
+  matchedItems.forEach((lineItem) => {
+    const requestedQuantity = Number(lineItem.quantity) || 0;
+    const quantity = Math.min(requestedQuantity, held[lineItem.sku] || 0);
+
+    if (quantity <= 0) {
+      rejectedItems.push({ ...lineItem, available: false });
+      return;
+    }
+
+    held[lineItem.sku] -= quantity;
+    reservedItems.push({
+      ...lineItem,
+      quantity,
+      available: true,
+      ...(quantity < requestedQuantity && { requestedQuantity }),
+    });
+  });
+
+  return { lineItems: reservedItems, rejectedItems };
+};
+
+const releaseReservations = async (phoneNumber) => {
+  try {
+    const snapshot = await db.collection(RESERVATIONS_COLLECTION).get();
+    const skus = snapshot.docs
+      .filter((doc) => doc.data().holds?.[phoneNumber])
+      .map((doc) => doc.data().sku);
+
+    await Promise.all(skus.map((sku) => releaseSku(sku, phoneNumber)));
+  } catch (error) {
+    logger.warn(`Failed to release stock reservations: ${error.message}`);
+  }
+};
+
+// Takes the write lease on every SKU in one transaction, so one writer at a time
+// (across instances) changes their stock in the store. The store is read inside
+// the transaction, after the lease documents: a lease is only released once its
+// writes landed, so the read always sees them. `check(inventory, holdsBySku)`
+// may return a reason not to take the lease, which is passed back.
+const acquireLease = async (skus, leaseId, check = () => null) => {
+  const refs = skus.map((sku) => db.collection(RESERVATIONS_COLLECTION).doc(sku));
+  const deadline = Date.now() + LEASE_WAIT_MS;
+
+  for (;;) {
+    const outcome = await db.runTransaction(async (transaction) => {
+      const snapshots = await Promise.all(refs.map((ref) => transaction.get(ref)));
+      const now = Date.now();
+
+      if (snapshots.some((snapshot) => toMillis(snapshot.data()?.lease?.expiresAt) > now)) {
+        return { busy: true };
+      }
+
+      const inventory = await readInventory({ fresh: true });
+      const holdsBySku = Object.fromEntries(snapshots.map((snapshot, index) => (
+        [skus[index], activeHolds(snapshot.data()?.holds, now)]
+      )));
+
+      const rejection = check(inventory, holdsBySku);
+      if (rejection) {
+        return { rejection };
+      }
+
+      const lease = { id: leaseId, expiresAt: new Date(now + WRITE_LEASE_MS) };
+      refs.forEach((ref, index) => {
+        transaction.set(ref, { sku: skus[index], holds: holdsBySku[skus[index]], lease });
+      });
+      return {};
+    });
+
+    if (!outcome.busy) {
+      return outcome.rejection;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Stock for ${skus.join(', ')} is being updated; try again`);
+    }
+    await new Promise((resolve) => { setTimeout(resolve, LEASE_RETRY_MS); });
+  }
+};
+
+// Drops the lease, and the holder's holds once their stock is out of the inventory.
+const releaseLease = async (skus, leaseId, { dropHoldsOf } = {}) => {
+  const refs = skus.map((sku) => db.collection(RESERVATIONS_COLLECTION).doc(sku));
+
+  await db.runTransaction(async (transaction) => {
+    const snapshots = await Promise.all(refs.map((ref) => transaction.get(ref)));
+
+    snapshots.forEach((snapshot, index) => {
+      const { holds, lease } = snapshot.data() || {};
+      const remaining = activeHolds(holds);
+      if (dropHoldsOf) {
+        delete remaining[dropHoldsOf];
+      }
+      transaction.set(refs[index], {
+        sku: skus[index],
+        holds: remaining,
+        ...(lease && lease.id !== leaseId && { lease }),
+      });
+    });
+  });
+};
+
+// Applies every delta to the store, undoing the ones already applied if one
+// fails, so the SKUs move together or not at all.
+const applyStockDeltas = async (deltas) => {
+  const applied = [];
+
+  try {
+    for (const [sku, delta] of Object.entries(deltas)) {
+      await adjustInventoryStock(sku, delta);
+      applied.push([sku, delta]);
+    }
+  } catch (error) {
+    for (const [sku, delta] of applied.reverse()) {
+      await adjustInventoryStock(sku, -delta).catch((undoError) => {
+        logger.error(`Failed to undo stock change ${delta} on ${sku}: ${undoError.message}`);
+      });
+    }
+    throw error;
+  }
+};
+
+// Runs `deltas` against the store under the write lease. Returns the check's
+// rejection instead when there is one.
+const writeStock = async (deltas, { check, holder } = {}) => {
+  const skus = Object.keys(deltas).sort();
+  if (!skus.length) {
+    return null;
+  }
+
+  const leaseId = crypto.randomUUID();
+  const rejection = await acquireLease(skus, leaseId, check);
+  if (rejection) {
+    return rejection;
+  }
+
+  try {
+    await applyStockDeltas(deltas);
+  } catch (error) {
+    await releaseLease(skus, leaseId);
+    throw error;
+  }
+  await releaseLease(skus, leaseId, { dropHoldsOf: holder });
+  return null;
+};
+
+// Decrements inventory stock for a confirmed order. The stock is re-checked
+// against the store and other customers' holds in the transaction that takes the
+// write lease (the customer's own hold may have expired), and every SKU is
+// decremented or none is. `holder` is the phone number (or order key) holding the
+// stock; its holds are dropped once the stock is out.
+const commitOrderStock = async (holder, lineItems = []) => {
+  const requested = groupBySku(lineItems);
+
+  const shortages = await writeStock(
+    Object.fromEntries(Object.entries(requested).map(([sku, quantity]) => [sku, -quantity])),
+    {
+      holder,
+      check: (inventory, holdsBySku) => {
+        const short = Object.entries(requested)
+          .map(([sku, quantity]) => {
+            const stock = inventory.find((entry) => entry.sku === sku)?.stock || 0;
+            const available = Math.max(0, stock - sumHolds(holdsBySku[sku], holder));
+            return { sku, requested: quantity, available };
+          })
+          .filter(({ requested: quantity, available }) => available < quantity);
+
+        return short.length ? short : null;
+      },
+    },
+  );
+
+  return shortages ? { committed: false, shortages } : { committed: true, shortages: [] };
+};
+
+// Puts stock back into inventory, e.g. when an order is cancelled or fails to record.
+const restockOrder = async (lineItems = []) => {
+  await writeStock(groupBySku(lineItems));
+};
+
+module.exports = {
+  getAvailableInventory,
+  checkStockAvailability,
+  reserveOrderStock,
+  releaseReservations,
+  commitOrderStock,
+  restockOrder,
+};
@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parseCsv, toCsv } = require('../../utils/csv');
+
+// Local backend for development and CI. Each file is read and rewritten whole,
+// so it is meant for small datasets and a single process.
+const resolvePath = (filePath) => (
+  path.isAbsolute(filePath) ? filePath : path.resolve(process.cwd(), filePath)
+);
+
+const INVENTORY_PATH = resolvePath(process.env.FILE_STORE_INVENTORY_PATH || 'data/inventory.json');
+const ORDERS_PATH = resolvePath(process.env.FILE_STORE_ORDERS_PATH || 'data/orders.json');
+const SEED_INVENTORY_PATH = path.join(__dirname, '../../../data/seed/inventory.json');
+
+const INVENTORY_COLUMNS = ['sku', 'name', 'color', 'size', 'stock', 'price'];
+const ORDER_COLUMNS = ['timestamp', 'customerName', 'phone', 'item', 'quantity', 'address', 'notes', 'orderId', 'status'];
+
+const isCsv = (filePath) => path.extname(filePath).toLowerCase() === '.csv';
+
+let writeQueue = Promise.resolve();
+
+// Serialises writes so concurrent requests never interleave read-modify-write cycles.
+const enqueueWrite = (task) => {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+const readRecords = async (filePath) => {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (isCsv(filePath)) {
+    return parseCsv(content);
+  }
+
+  return content.trim() ? JSON.parse(content) : [];
+};
+
+const writeRecords = async (filePath, columns, records) => {
+  const content = isCsv(filePath)
+    ? `${toCsv(columns, records)}\n`
+    : `${JSON.stringify(records, null, 2)}\n`;
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+};
+
+const normaliseInventory = (records) => records.map((record) => ({
+  sku: record.sku,
+  name: record.name || '',
+  color: record.color || '',
+  size: record.size || '',
+  stock: Number(record.stock) || 0,
+  price: Number(record.price) || 0,
+}));
+
+// Seeds the inventory file from data/seed on first use.
+const loadInventory = async () => {
+  const records = await readRecords(INVENTORY_PATH);
+  if (records) {
+    return normaliseInventory(records);
+  }
+
+  const seed = normaliseInventory(JSON.parse(await fs.readFile(SEED_INVENTORY_PATH, 'utf8')));
+  await writeRecords(INVENTORY_PATH, INVENTORY_COLUMNS, seed);
+  return seed;
+};
+
+const readInventory = () => loadInventory();
+
+const adjustInventoryStock = (sku, delta) => enqueueWrite(async () => {
+  const inventory = await loadInventory();
+  const item = inventory.find((entry) => entry.sku === sku);
+
+  if (!item) {
+    throw new Error(`SKU ${sku} not found in inventory`);
+  }
+
+  if (item.stock + delta < 0) {
+    throw new Error(`SKU ${sku} has ${item.stock} in stock; cannot take ${-delta}`);
+  }
+
+  item.stock += delta;
+  await writeRecords(INVENTORY_PATH, INVENTORY_COLUMNS, inventory);
+  return item.stock;
+});
+
+const readOrders = async () => {
+  const records = (await readRecords(ORDERS_PATH)) || [];
+
+  return records.map((record) => ({
+    ...record,
+    orderId: record.orderId || record.timestamp,
+    quantity: Number(record.quantity) || 0,
+    status: record.status || '',
+  }));
+};
+
+const appendOrderRows = (rows) => enqueueWrite(async () => {
+  const records = (await readRecords(ORDERS_PATH)) || [];
+  await writeRecords(ORDERS_PATH, ORDER_COLUMNS, [...records, ...rows]);
+});
+
+const updateOrderStatus = (orderId, status) => enqueueWrite(async () => {
+  const records = (await readRecords(ORDERS_PATH)) || [];
+  const matched = records.filter((record) => record.orderId === orderId);
+
+  matched.forEach((record) => {
+    record.status = status;
+  });
+  if (matched.length) {
+    await writeRecords(ORDERS_PATH, ORDER_COLUMNS, records);
+  }
+  return matched.length;
+});
+
+module.exports = {
+  name: 'file',
+  readInventory,
+  adjustInventoryStock,
+  appendOrderRows,
+  readOrders,
+  updateOrderStatus,
+};
@@ -0,0 +1,81 @@
+const { db } = require('../../config/firebase');
+
+const INVENTORY_COLLECTION = process.env.FIRESTORE_INVENTORY_COLLECTION || 'inventory';
+const ORDER_LINES_COLLECTION = process.env.FIRESTORE_ORDER_LINES_COLLECTION || 'orderLines';
+
+// Inventory documents are keyed by SKU so stock updates can run in a transaction.
+const readInventory = async () => {
+  const snapshot = await db.collection(INVENTORY_COLLECTION).get();
+
+  return snapshot.docs.map((doc) => {
+    const { sku, name, color, size, stock, price } = doc.data();
+
+    return {
+      sku: sku || doc.id,
+      name: name || '',
+      color: color || '',
+      size: size || '',
+      stock: Number(stock) || 0,
+      price: Number(price) || 0,
+    };
+  });
+};
+
+const adjustInventoryStock = async (sku, delta) => {
+  const ref = db.collection(INVENTORY_COLLECTION).doc(sku);
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+
+    if (!snapshot.exists) {
+      throw new Error(`SKU ${sku} not found in inventory`);
+    }
+
+    const stock = (Number(snapshot.data().stock) || 0) + delta;
+    if (stock < 0) {
+      throw new Error(`SKU ${sku} has ${stock - delta} in stock; cannot take ${-delta}`);
+    }
+    transaction.update(ref, { stock });
+    return stock;
+  });
+};
+
+const appendOrderRows = async (rows) => {
+  const batch = db.batch();
+  const collection = db.collection(ORDER_LINES_COLLECTION);
+
+  rows.forEach((row) => batch.set(collection.doc(), row));
+  await batch.commit();
+};
+
+const readOrders = async () => {
+  const snapshot = await db.collection(ORDER_LINES_COLLECTION).orderBy('timestamp').get();
+
+  return snapshot.docs.map((doc) => {
+    const row = doc.data();
+    return {
+      ...row,
+      orderId: row.orderId || row.timestamp,
+      quantity: Number(row.quantity) || 0,
+      status: row.status || '',
+    };
+  });
+};
+
+const updateOrderStatus = async (orderId, status) => {
+  const snapshot = await db.collection(ORDER_LINES_COLLECTION).where('orderId', '==', orderId).get();
+  const batch = db.batch();
+
+  snapshot.docs.forEach((doc) => batch.update(doc.ref, { status }));
+  await batch.commit();
+  return snapshot.size;
+};
+
+module.exports = {
+  name: 'firestore',
+  readInventory,
+  adjustInventoryStock,
+  appendOrderRows,
+  readOrders,
+  updateOrderStatus,
+};
@@ -0,0 +1,221 @@
+const { google } = require('googleapis');
+const logger = require('../../utils/logger');
+const { createCounter, createHistogram } = require('../../utils/metrics');
+
+const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+const {
+  GOOGLE_SERVICE_ACCOUNT_EMAIL,
+  GOOGLE_PRIVATE_KEY,
+  GOOGLE_SHEETS_SPREADSHEET_ID,
+  GOOGLE_SHEETS_INVENTORY_RANGE = 'Inventory!A2:F',
+  GOOGLE_SHEETS_ORDER_RANGE = 'Orders!A2:I',
+} = process.env;
+
+// Stock is the fifth column (SKU, name, colour, size, stock, price).
+const STOCK_COLUMN_OFFSET = 4;
+// The order ID is the eighth column and the order status the ninth.
+const ORDER_ID_COLUMN_OFFSET = 7;
+const STATUS_COLUMN_OFFSET = 8;
+
+const parseRange = (range) => {
+  const [sheetName, cells = 'A2'] = range.split('!');
+  const [, startColumn = 'A', startRow = '1'] = cells.match(/^([A-Z]+)(\d*)/) || [];
+
+  return {
+    sheetName,
+    startColumn,
+    startRow: Number(startRow) || 1,
+  };
+};
+
+let clientPromise;
+
+const createSheetsClient = async () => {
+  if (!GOOGLE_SERVICE_ACCOUNT_EMAIL || !GOOGLE_PRIVATE_KEY || !GOOGLE_SHEETS_SPREADSHEET_ID) {
+    throw new Error('Google Sheets env vars missing');
+  }
+
+  // Sanitize private key: some .env formats include surrounding quotes — remove them.
+  let privateKeyRaw = GOOGLE_PRIVATE_KEY;
+  if (privateKeyRaw.startsWith('"') && privateKeyRaw.endsWith('"')) {
+    privateKeyRaw = privateKeyRaw.slice(1, -1);
+  }
+
+  const privateKey = privateKeyRaw.replace(/\\n/g, '\n');
+
+  const auth = new google.auth.JWT(
+    GOOGLE_SERVICE_ACCOUNT_EMAIL,
+    undefined,
+    privateKey,
+    SCOPES,
+  );
+
+  await auth.authorize();
+  logger.debug('Google Sheets client authorised');
+  return google.sheets({ version: 'v4', auth });
+};
+
+// One authorised client per process; the JWT client refreshes its own access
+// token. A failed authorisation is not cached so the next call retries.
+const getSheetsClient = () => {
+  if (!clientPromise) {
+    clientPromise = createSheetsClient().catch((error) => {
+      clientPromise = undefined;
+      throw error;
+    });
+  }
+  return clientPromise;
+};
+
+const sheetsRequests = createCounter({
+  name: 'dalco_sheets_requests_total',
+  help: 'Google Sheets API calls, by method, sheet and outcome (success, error).',
+  labelNames: ['method', 'sheet', 'outcome'],
+});
+
+const sheetsDuration = createHistogram({
+  name: 'dalco_sheets_request_duration_seconds',
+  help: 'Time per Google Sheets API call, by method and sheet.',
+  labelNames: ['method', 'sheet'],
+});
+
+// Calls `spreadsheets.values[method]` on the configured spreadsheet and records
+// it. A failed authorisation counts as a failed call.
+const callValues = async (method, request) => {
+  const labels = { method, sheet: parseRange(request.range).sheetName };
+  const end = sheetsDuration.startTimer(labels);
+
+  try {
+    const sheets = await getSheetsClient();
+    const response = await sheets.spreadsheets.values[method]({
+      spreadsheetId: GOOGLE_SHEETS_SPREADSHEET_ID,
+      ...request,
+    });
+    sheetsRequests.inc({ ...labels, outcome: 'success' });
+    return response;
+  } catch (error) {
+    sheetsRequests.inc({ ...labels, outcome: 'error' });
+    throw error;
+  } finally {
+    end();
+  }
+};
+
+const readInventory = async () => {
+  const response = await callValues('get', { range: GOOGLE_SHEETS_INVENTORY_RANGE });
+
+  const rows = response.data.values || [];
+  const { startRow } = parseRange(GOOGLE_SHEETS_INVENTORY_RANGE);
+
+  return rows.map(([sku, name, color, size, stock, price], index) => ({
+    sku,
+    name,
+    color,
+    size,
+    stock: Number(stock) || 0,
+    price: Number(price) || 0,
+    rowNumber: startRow + index,
+  }));
+};
+
+// Applies a stock delta to the Inventory row holding the SKU and returns the new stock.
+// Callers must serialise calls per SKU; the Sheets API has no compare-and-set.
+const adjustInventoryStock = async (sku, delta) => {
+  const inventory = await readInventory();
+  const item = inventory.find((entry) => entry.sku === sku);
+
+  if (!item) {
+    throw new Error(`SKU ${sku} not found in inventory`);
+  }
+
+  const stock = item.stock + delta;
+  if (stock < 0) {
+    throw new Error(`SKU ${sku} has ${item.stock} in stock; cannot take ${-delta}`);
+  }
+  const { sheetName, startColumn } = parseRange(GOOGLE_SHEETS_INVENTORY_RANGE);
+  const stockColumn = String.fromCharCode(startColumn.charCodeAt(0) + STOCK_COLUMN_OFFSET);
+
+  await callValues('update', {
+    range: `${sheetName}!${stockColumn}${item.rowNumber}`,
+    valueInputOption: 'USER_ENTERED',
+    requestBody: {
+      values: [[stock]],
+    },
+  });
+
+  return stock;
+};
+
+// RAW, because names, addresses and notes are the customer's own text: with
+// USER_ENTERED, a note starting with `=` would run as a formula in the sheet.
+const appendOrderRows = async (rows) => {
+  await callValues('append', {
+    range: GOOGLE_SHEETS_ORDER_RANGE,
+    valueInputOption: 'RAW',
+    requestBody: {
+      values: rows.map((row) => [
+        row.timestamp,
+        row.customerName,
+        row.phone,
+        row.item,
+        row.quantity,
+        row.address,
+        row.notes,
+        row.orderId,
+        row.status,
+      ]),
+    },
+  });
+};
+
+const readOrderValues = async () => {
+  const response = await callValues('get', { range: GOOGLE_SHEETS_ORDER_RANGE });
+  return response.data.values || [];
+};
+
+const readOrders = async () => {
+  const rows = await readOrderValues();
+  return rows.map(([timestamp, customerName, phone, item, quantity, address, notes, orderId, status]) => ({
+    orderId: orderId || timestamp,
+    timestamp,
+    customerName,
+    phone,
+    item,
+    quantity: Number(quantity) || 0,
+    address,
+    notes,
+    status: status || '',
+  }));
+};
+
+// Writes the status cell of every row of the order; returns how many rows it found.
+const updateOrderStatus = async (orderId, status) => {
+  const rows = await readOrderValues();
+  const { sheetName, startColumn, startRow } = parseRange(GOOGLE_SHEETS_ORDER_RANGE);
+  const statusColumn = String.fromCharCode(startColumn.charCodeAt(0) + STATUS_COLUMN_OFFSET);
+  const rowNumbers = rows
+    .map((row, index) => (row[ORDER_ID_COLUMN_OFFSET] === orderId ? startRow + index : null))
+    .filter(Boolean);
+
+  for (const rowNumber of rowNumbers) {
+    await callValues('update', {
+      range: `${sheetName}!${statusColumn}${rowNumber}`,
+      valueInputOption: 'RAW',
+      requestBody: {
+        values: [[status]],
+      },
+    });
+  }
+
+  return rowNumbers.length;
+};
+
+module.exports = {
+  name: 'googleSheets',
+  readInventory,
+  adjustInventoryStock,
+  appendOrderRows,
+  readOrders,
+  updateOrderStatus,
+};
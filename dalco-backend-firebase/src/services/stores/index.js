@@ -0,0 +1,42 @@
+const logger = require('../../utils/logger');
+
+// Every store implements the same interface:
+//   readInventory() -> [{ sku, name, color, size, stock, price }]
+//   adjustInventoryStock(sku, delta) -> new stock; throws rather than go below zero
+//   appendOrderRows(rows) where each row is one order line item
+//   readOrders() -> rows as stored by appendOrderRows
+//   updateOrderStatus(orderId, status) -> number of rows updated
+// Stores are required lazily so unused backends never touch their credentials.
+const STORES = {
+  sheets: () => require('./googleSheets.store'),
+  firestore: () => require('./firestore.store'),
+  file: () => require('./file.store'),
+};
+
+const DEFAULT_STORE = 'sheets';
+
+let activeStore;
+
+const getDataStoreName = () => (process.env.DATA_STORE || DEFAULT_STORE).trim().toLowerCase();
+
+const getDataStore = () => {
+  if (activeStore) {
+    return activeStore;
+  }
+
+  const name = getDataStoreName();
+  const loadStore = STORES[name];
+
+  if (!loadStore) {
+    throw new Error(`Unknown DATA_STORE "${name}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  activeStore = loadStore();
+  logger.info(`Data store: ${activeStore.name}`);
+  return activeStore;
+};
+
+module.exports = {
+  getDataStore,
+  getDataStoreName,
+};
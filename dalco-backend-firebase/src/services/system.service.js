@@ -1,8 +1,9 @@
 const logger = require('../utils/logger');
 const { getConfigReport } = require('../utils/configCheck');
 const { db } = require('../config/firebase');
-const { readInventory, getDashboardMetrics } = require('./googleSheets.service');
-const { detectIntent } = require('./jamai.service');
+const { readInventory, getDashboardMetrics, getCacheStats } = require('./inventory.service');
+const { detectIntent, getJamaiStats } = require('./jamai.service');
+const { getDataStoreName } = require('./stores');
 
 const testFirestore = async () => {
   try {
@@ -21,23 +22,27 @@ const testJamai = async () => {
       return { healthy: false, error: 'JamAI table IDs missing' };
     }
 
-    const response = await detectIntent('health check message');
-    return { healthy: Boolean(response), sampleIntent: response };
+    // The wrappers never throw, so a fallback answer means JamAI did not respond.
+    const { intent, source, fallbackReason } = await detectIntent('health check message');
+    return source === 'jamai'
+      ? { healthy: true, sampleIntent: intent }
+      : { healthy: false, error: `Answered by the local fallback (${fallbackReason})` };
   } catch (error) {
     logger.error(`JamAI check failed: ${error.message}`);
     return { healthy: false, error: error.message };
   }
 };
 
-const testGoogleSheets = async () => {
+const testDataStore = async () => {
   try {
     const [inventory, metrics] = await Promise.all([
-      readInventory().catch(() => []),
+      readInventory({ fresh: true }).catch(() => []),
       getDashboardMetrics().catch(() => ({})),
     ]);
 
     return {
       healthy: true,
+      store: getDataStoreName(),
       sampleInventoryCount: inventory.length,
       metricsSummary: {
         totalOrders: metrics.totalOrders || 0,
@@ -45,8 +50,8 @@ const testGoogleSheets = async () => {
       },
     };
   } catch (error) {
-    logger.error(`Google Sheets check failed: ${error.message}`);
-    return { healthy: false, error: error.message };
+    logger.error(`Data store check failed: ${error.message}`);
+    return { healthy: false, store: getDataStoreName(), error: error.message };
   }
 };
 
@@ -56,22 +61,28 @@ const getSystemStatus = async ({ deep = false } = {}) => {
   if (!deep) {
     return {
       config: configReport,
+      cache: getCacheStats(),
+      jamai: getJamaiStats(),
       deepChecks: null,
     };
   }
 
-  const [firestore, jamai, sheets] = await Promise.all([
+  const [firestore, jamai, dataStore] = await Promise.all([
     testFirestore(),
     testJamai(),
-    testGoogleSheets(),
+    testDataStore(),
   ]);
 
   return {
     config: configReport,
+    cache: getCacheStats(),
+    jamai: getJamaiStats(),
     deepChecks: {
       firestore,
       jamai,
-      googleSheets: sheets,
+      dataStore,
+      // The key this check had before stores were pluggable; existing monitors read it.
+      ...(dataStore.store === 'sheets' && { googleSheets: dataStore }),
     },
   };
 };
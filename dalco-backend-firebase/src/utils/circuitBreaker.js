@@ -0,0 +1,107 @@
+const logger = require('./logger');
+
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+// Stops calling a failing dependency for a while. After `failureThreshold`
+// consecutive failures the circuit opens and `run` rejects at once with
+// `code: 'CIRCUIT_OPEN'`; after `cooldownMs` one trial call is let through
+// (half-open) and its outcome closes or re-opens the circuit. Errors for which
+// `isFailure(error)` is false (e.g. a bad request) pass through without counting.
+const createCircuitBreaker = ({
+  name,
+  failureThreshold = 5,
+  cooldownMs = 30000,
+  isFailure = () => true,
+}) => {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  const counters = {
+    opened: 0,
+    shortCircuited: 0,
+  };
+
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+    counters.opened += 1;
+    logger.warn(`Circuit ${name} open after ${consecutiveFailures} failures; retrying in ${Math.round(cooldownMs / 1000)}s`);
+  };
+
+  const onSuccess = () => {
+    if (state !== 'closed') {
+      logger.info(`Circuit ${name} closed`);
+    }
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+  };
+
+  const onFailure = () => {
+    consecutiveFailures += 1;
+    if (state === 'half_open' || consecutiveFailures >= failureThreshold) {
+      open();
+    }
+  };
+
+  const reject = () => {
+    counters.shortCircuited += 1;
+    return Promise.reject(Object.assign(new Error(`Circuit ${name} is open`), { code: 'CIRCUIT_OPEN' }));
+  };
+
+  const run = async (task) => {
+    if (state === 'open') {
+      if (Date.now() - openedAt < cooldownMs) {
+        return reject();
+      }
+      state = 'half_open';
+    }
+
+    const trial = state === 'half_open';
+    if (trial) {
+      if (trialInFlight) {
+        return reject();
+      }
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await task();
+      onSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        onFailure();
+      } else if (trial) {
+        // The service answered, so it is up.
+        onSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        trialInFlight = false;
+      }
+    }
+  };
+
+  const stats = () => ({
+    name,
+    state,
+    consecutiveFailures,
+    failureThreshold,
+    cooldownSeconds: cooldownMs / 1000,
+    openedAt: openedAt && new Date(openedAt).toISOString(),
+    ...counters,
+  });
+
+  return {
+    run,
+    stats,
+  };
+};
+
+module.exports = {
+  CIRCUIT_STATES,
+  createCircuitBreaker,
+};
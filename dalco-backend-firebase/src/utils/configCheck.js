@@ -1,3 +1,5 @@
+const { getDataStoreName } = require('../services/stores');
+
 const REQUIRED_GROUPS = {
   firebase: [
     'FIREBASE_SERVICE_ACCOUNT_PATH',
@@ -19,6 +21,22 @@ const REQUIRED_GROUPS = {
     'GOOGLE_SHEETS_INVENTORY_RANGE',
     'GOOGLE_SHEETS_ORDER_RANGE',
   ],
+  whatsapp: [
+    'WHATSAPP_VERIFY_TOKEN',
+    'WHATSAPP_APP_SECRET',
+    'WHATSAPP_ACCESS_TOKEN',
+    'WHATSAPP_PHONE_NUMBER_ID',
+  ],
+  instagram: [
+    'INSTAGRAM_VERIFY_TOKEN',
+    'INSTAGRAM_APP_SECRET',
+    'INSTAGRAM_ACCESS_TOKEN',
+    'INSTAGRAM_ACCOUNT_ID',
+  ],
+  email: [
+    'EMAIL_FROM',
+    'EMAIL_WEBHOOK_TOKEN',
+  ],
 };
 
 const checkEnvGroup = (groupName) => {
@@ -33,7 +51,19 @@ const checkEnvGroup = (groupName) => {
   };
 };
 
-const getConfigReport = () => Object.keys(REQUIRED_GROUPS).map((group) => checkEnvGroup(group));
+// Store-specific groups are only required when that store is selected via DATA_STORE.
+const STORE_GROUPS = {
+  googleSheets: 'sheets',
+};
+
+const isGroupActive = (groupName) => {
+  const store = STORE_GROUPS[groupName];
+  return !store || getDataStoreName() === store;
+};
+
+const getConfigReport = () => Object.keys(REQUIRED_GROUPS)
+  .filter(isGroupActive)
+  .map((group) => checkEnvGroup(group));
 
 module.exports = {
   REQUIRED_GROUPS,
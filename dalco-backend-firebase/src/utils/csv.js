@@ -0,0 +1,72 @@
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCsvValue).join(',');
+
+const toCsv = (columns, records) => [
+  toCsvLine(columns),
+  ...records.map((record) => toCsvLine(columns.map((column) => record[column]))),
+].join('\n');
+
+// Parses RFC 4180 style CSV (quoted fields, escaped quotes, embedded newlines)
+// into objects keyed by the header row.
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter((values) => values.some((value) => value !== ''));
+
+  return records.map((values) => Object.fromEntries(
+    header.map((column, index) => [column, values[index] ?? '']),
+  ));
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvLine,
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,14 @@
+// Reads a numeric setting. Unset, empty, non-numeric and negative values give
+// `fallback`. Zero is accepted (e.g. JAMAI_MAX_RETRIES=0 turns retries off)
+// unless `allowZero` is false, for settings where it has no sensible meaning
+// (a timeout, a poll interval, an attempt budget).
+const numberFromEnv = (name, fallback, { allowZero = true } = {}) => {
+  const raw = process.env[name];
+  const value = raw === undefined || raw.trim() === '' ? NaN : Number(raw);
+  const accepted = value > 0 || (allowZero && value === 0);
+  return Number.isFinite(value) && accepted ? value : fallback;
+};
+
+module.exports = {
+  numberFromEnv,
+};
@@ -0,0 +1,110 @@
+const ExcelJS = require('exceljs');
+const { toCsvLine } = require('./csv');
+const { toIsoString } = require('./firestore');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Text starting with one of these is read as a formula by Excel, Sheets and
+// LibreOffice, which would let a customer's message run in accounting's copy.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Flattens a field for a spreadsheet cell: Timestamps as ISO strings, arrays as
+// "a; b", objects as JSON.
+const flatten = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value.toDate === 'function' || value instanceof Date) {
+    return toIsoString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(flatten).join('; ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+// Formula-like text is prefixed with ' so it shows as text (numbers stay numbers).
+const toCell = (value) => {
+  const cell = flatten(value);
+  return typeof cell === 'string' && FORMULA_PREFIX.test(cell) ? `'${cell}` : cell;
+};
+
+// Waits for the client to catch up before writing more; throws once the
+// client has gone so the caller stops reading the source.
+const waitForDrain = async (stream, needed) => {
+  if (needed && !stream.destroyed) {
+    await new Promise((resolve) => {
+      const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+      };
+      stream.on('drain', done);
+      stream.on('close', done);
+    });
+  }
+  if (stream.destroyed) {
+    throw new Error('Export aborted: client disconnected');
+  }
+};
+
+const createCsvWriter = (stream, columns) => {
+  // BOM so Excel opens UTF-8 (BM/Chinese/Tamil text) correctly.
+  stream.write(`\uFEFF${toCsvLine(columns)}\r\n`);
+
+  return {
+    writeRow: async (record) => {
+      const written = stream.write(`${toCsvLine(columns.map((column) => toCell(record[column])))}\r\n`);
+      await waitForDrain(stream, !written);
+    },
+    end: async () => {
+      stream.end();
+    },
+  };
+};
+
+const createXlsxWriter = (stream, columns, { sheetName }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((column) => ({ header: column, key: column }));
+
+  return {
+    writeRow: async (record) => {
+      worksheet
+        .addRow(Object.fromEntries(columns.map((column) => [column, toCell(record[column])])))
+        .commit();
+      await waitForDrain(stream, stream.writableNeedDrain);
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    },
+  };
+};
+
+// Sets the download headers on `res` and returns `{ writeRow(record), end() }`
+// writing `columns` (in order) as CSV or a single-sheet XLSX workbook.
+const createExportWriter = (res, format, { name, columns }) => {
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Type', format === 'xlsx'
+    ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    : 'text/csv; charset=utf-8');
+
+  return format === 'xlsx'
+    ? createXlsxWriter(res, columns, { sheetName: name })
+    : createCsvWriter(res, columns);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExportWriter,
+};
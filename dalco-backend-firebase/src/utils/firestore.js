@@ -0,0 +1,79 @@
+const { createHttpError } = require('./httpError');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toIsoString = (value) => {
+  if (!value) {
+    return value;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  return value instanceof Date ? value.toISOString() : value;
+};
+
+// Converts a document snapshot to plain JSON, turning Timestamps/Dates into ISO strings.
+const serializeDoc = (doc) => {
+  const convert = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(convert);
+    }
+    if (value && (typeof value.toDate === 'function' || value instanceof Date)) {
+      return toIsoString(value);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, convert(entry)]));
+    }
+    return value;
+  };
+
+  return { id: doc.id, ...convert(doc.data()) };
+};
+
+// Yields the query's documents in pages of `batchSize`, so large collections can
+// be streamed without holding every document in memory. The query must be ordered.
+async function* iterateQuery(query, { batchSize = 500 } = {}) {
+  let last;
+
+  do {
+    const snapshot = await (last ? query.startAfter(last) : query).limit(batchSize).get();
+    yield* snapshot.docs;
+    last = snapshot.docs.length === batchSize ? snapshot.docs[batchSize - 1] : undefined;
+  } while (last);
+}
+
+// A client's `limit`, defaulted and capped.
+const toPageSize = (limit) => Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+// Reads one page of an ordered query over `collection`, starting after the
+// document whose ID is `cursor` (400 when there is none). Returns the page as
+// plain JSON and the ID to pass as the next cursor, or null on the last page.
+const readPage = async (query, { collection, limit, cursor }) => {
+  const pageSize = toPageSize(limit);
+  let paged = query;
+
+  if (cursor) {
+    const cursorDoc = await collection.doc(cursor).get();
+    if (!cursorDoc.exists) {
+      throw createHttpError(400, 'Invalid cursor');
+    }
+    paged = paged.startAfter(cursorDoc);
+  }
+
+  const snapshot = await paged.limit(pageSize + 1).get();
+  const docs = snapshot.docs.slice(0, pageSize);
+
+  return {
+    items: docs.map(serializeDoc),
+    nextCursor: snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null,
+  };
+};
+
+module.exports = {
+  toIsoString,
+  serializeDoc,
+  iterateQuery,
+  toPageSize,
+  readPage,
+};
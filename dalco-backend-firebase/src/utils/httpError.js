@@ -0,0 +1,13 @@
+// Errors carrying `statusCode` are rendered by the global error handler in app.js.
+const createHttpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = {
+  createHttpError,
+};
@@ -0,0 +1,50 @@
+const { createHttpError } = require('./httpError');
+
+// Dates are read and grouped in the shop's local time (Malaysia by default,
+// which has no daylight saving, so a fixed offset is enough).
+const parseUtcOffset = (value = '+08:00') => {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(value.trim());
+  if (!match) {
+    return 8 * 60 * 60 * 1000;
+  }
+  const [, sign, hours, minutes] = match;
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+};
+
+const OFFSET_MS = parseUtcOffset(process.env.ANALYTICS_UTC_OFFSET);
+
+// Date parts of `ms` as seen on a local wall clock.
+const localParts = (ms) => {
+  const local = new Date(ms + OFFSET_MS);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth(),
+    day: local.getUTCDate(),
+    weekday: local.getUTCDay(),
+  };
+};
+
+const localMidnight = (year, month, day) => Date.UTC(year, month, day) - OFFSET_MS;
+
+// Dates ("2024-05-01") are local days and, with `endOfDay`, include the whole
+// day (the result is then an exclusive bound); full timestamps are taken as given.
+const parseBoundary = (value, name, { endOfDay = false } = {}) => {
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return localMidnight(year, month - 1, day + (endOfDay ? 1 : 0));
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw createHttpError(400, `Invalid ${name} date`);
+  }
+  return ms;
+};
+
+module.exports = {
+  localParts,
+  localMidnight,
+  parseBoundary,
+};
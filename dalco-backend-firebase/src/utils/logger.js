@@ -1,16 +1,58 @@
 const { createLogger, format, transports } = require('winston');
+const { getRequestId } = require('./requestContext');
+const { redactText, redactValue } = require('./redact');
+
+// LOG_FORMAT=json writes one JSON object per line (for log collectors);
+// pretty (the default) writes coloured text for a terminal.
+const LOG_FORMATS = ['pretty', 'json'];
+const LOG_FORMAT = LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'pretty';
+
+// Fields winston and this file set; everything else is caller metadata.
+const BASE_FIELDS = ['level', 'message', 'timestamp', 'stack', 'requestId'];
+
+// Tags the entry with the current request's ID and masks personal data and
+// secrets in the message, stack and metadata (see redact.js).
+const prepare = format((info) => {
+  const requestId = info.requestId || getRequestId();
+  if (requestId) {
+    info.requestId = requestId;
+  }
+
+  Object.keys(info).forEach((key) => {
+    if (key === 'message' || key === 'stack') {
+      info[key] = typeof info[key] === 'string' ? redactText(info[key]) : redactValue({ [key]: info[key] })[key];
+    } else if (!BASE_FIELDS.includes(key)) {
+      info[key] = redactValue({ [key]: info[key] })[key];
+    }
+  });
+  return info;
+});
+
+const metadataOf = (info) => Object.fromEntries(Object.entries(info).filter(([key]) => !BASE_FIELDS.includes(key)));
+
+const pretty = format.combine(
+  format.colorize(),
+  format.printf((info) => {
+    const { level, message, timestamp, stack, requestId } = info;
+    const metadata = metadataOf(info);
+    const line = [
+      `[${timestamp}] ${level}:`,
+      requestId && `[${requestId}]`,
+      message,
+      Object.keys(metadata).length ? JSON.stringify(metadata) : '',
+    ].filter(Boolean).join(' ');
+
+    return stack ? `${line}\n${stack}` : line;
+  }),
+);
 
 const logger = createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: format.combine(
     format.timestamp(),
     format.errors({ stack: true }),
-    format.colorize(),
-    format.printf(({ level, message, timestamp, stack }) =>
-      stack
-        ? `[${timestamp}] ${level}: ${message}\n${stack}`
-        : `[${timestamp}] ${level}: ${message}`
-    )
+    prepare(),
+    LOG_FORMAT === 'json' ? format.json() : pretty,
   ),
   transports: [
     new transports.Console({
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Checks Meta's `X-Hub-Signature-256: sha256=<hex>` header (WhatsApp, Instagram)
+// against the raw request body.
+const isValidMetaSignature = (rawBody, signatureHeader, appSecret) => {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false;
+  }
+
+  const [scheme, signature] = signatureHeader.split('=');
+  if (scheme !== 'sha256' || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const signatureBuffer = Buffer.from(signature, 'hex');
+
+  return expectedBuffer.length === signatureBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+module.exports = {
+  isValidMetaSignature,
+};
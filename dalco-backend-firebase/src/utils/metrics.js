@@ -0,0 +1,169 @@
+// Process-wide metrics registry rendered in the Prometheus text format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). Modules create
+// their metrics at load time next to the code they measure; `renderMetrics`
+// serves them on /api/metrics. Keep label values to small, fixed sets (route
+// patterns, intents, table names), never IDs or message text.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; suits HTTP handlers and calls to JamAI Base and Google Sheets.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+};
+
+// Series are keyed by their label values in `labelNames` order, so `{ a, b }`
+// and `{ b, a }` land in the same series. Missing labels become ''.
+const createSeries = (labelNames) => {
+  const series = new Map();
+
+  const pick = (labels = {}) => Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+
+  return {
+    get: (labels, create) => {
+      const picked = pick(labels);
+      const key = JSON.stringify(labelNames.map((name) => picked[name]));
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, value: create() });
+      }
+      return series.get(key);
+    },
+    entries: () => [...series.values()],
+    clear: () => series.clear(),
+  };
+};
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+const header = ({ name, help, type }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = createSeries(labelNames);
+
+  register({
+    name,
+    help,
+    type: 'counter',
+    render: () => series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value.count)}`),
+    reset: series.clear,
+  });
+
+  return {
+    name,
+    inc: (labels, amount = 1) => {
+      series.get(labels, () => ({ count: 0 })).value.count += amount;
+    },
+  };
+};
+
+// `collect`, if given, runs before each render so the gauge can be read from
+// state kept elsewhere (e.g. a circuit breaker).
+const createGauge = ({ name, help, labelNames = [], collect }) => {
+  const series = createSeries(labelNames);
+  const gauge = {
+    name,
+    set: (labels, value) => {
+      series.get(labels, () => ({ current: 0 })).value.current = value;
+    },
+  };
+
+  register({
+    name,
+    help,
+    type: 'gauge',
+    render: () => {
+      if (collect) {
+        collect(gauge);
+      }
+      return series.entries().map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value.current)}`);
+    },
+    reset: series.clear,
+  });
+
+  return gauge;
+};
+
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = createSeries(labelNames);
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  const observe = (labels, seconds) => {
+    const { value } = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+    bounds.forEach((bound, index) => {
+      if (seconds <= bound) {
+        value.counts[index] += 1;
+      }
+    });
+    value.sum += seconds;
+    value.count += 1;
+  };
+
+  register({
+    name,
+    help,
+    type: 'histogram',
+    render: () => series.entries().flatMap(({ labels, value }) => [
+      ...bounds.map((bound, index) => (
+        `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`
+      )),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`,
+      `${name}_count${formatLabels(labels)} ${value.count}`,
+    ]),
+    reset: series.clear,
+  });
+
+  return {
+    name,
+    observe,
+    // Returns `end(extraLabels)`, which records the seconds since the call.
+    startTimer: (labels = {}) => {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+  };
+};
+
+const renderMetrics = () => [...registry.values()]
+  .flatMap((metric) => [...header(metric), ...metric.render()])
+  .join('\n')
+  .concat('\n');
+
+// Clears every series but keeps the metrics registered. For tests.
+const resetMetrics = () => registry.forEach((metric) => metric.reset());
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  resetMetrics,
+};
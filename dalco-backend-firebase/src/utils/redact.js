@@ -0,0 +1,98 @@
+// Masks personal data and credentials before they reach the logs. Values under
+// the keys below are replaced whole; in any other string, tokens, email
+// addresses, phone numbers (and other long digit runs, e.g. Instagram IDs) and
+// the values of secret env vars are masked. Free-text names and addresses can't
+// be spotted, so log them only as metadata under one of these keys.
+
+const REDACTED = '[REDACTED]';
+
+// Compared in lower case.
+const SENSITIVE_KEYS = new Set([
+  'name',
+  'fullname',
+  'customername',
+  'displayname',
+  'address',
+  'deliveryaddress',
+  'phone',
+  'phonenumber',
+  'email',
+  'from',
+  'to',
+  'content',
+  'body',
+  'apikey',
+  'authorization',
+  'token',
+  'idtoken',
+  'password',
+  'secret',
+  'privatekey',
+]);
+
+// Env vars whose values are credentials (JAMAI_API_KEY, WHATSAPP_APP_SECRET, ...).
+const SECRET_ENV_VAR = /(?:_KEY|_SECRET|_TOKEN|_PASSWORD)$/;
+// Shorter values would mask ordinary words.
+const MIN_SECRET_LENGTH = 8;
+
+const MAX_DEPTH = 6;
+
+// Keeps the last four digits so lines about the same customer can still be matched up.
+const maskDigits = (match) => `***${match.replace(/\D/g, '').slice(-4)}`;
+
+const PATTERNS = [
+  [/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[email]'],
+  [/(?<!\d)(?:\+|%2B)?\d{9,20}(?!\d)/g, maskDigits],
+];
+
+// Read on each call, since the env can change after load (e.g. in tests).
+const secretValues = () => {
+  const fromEnv = Object.entries(process.env)
+    .filter(([name, value]) => SECRET_ENV_VAR.test(name) && value)
+    .map(([, value]) => value);
+  const apiKeys = (process.env.API_KEYS || '').split(',').map((entry) => entry.trim().split(':')[1]);
+
+  return [...fromEnv, ...apiKeys].filter((value) => value && value.length >= MIN_SECRET_LENGTH);
+};
+
+const redactText = (text) => {
+  const withoutSecrets = secretValues().reduce((result, secret) => result.split(secret).join(REDACTED), text);
+  return PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), withoutSecrets);
+};
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+// Returns a redacted copy of strings, arrays, plain objects and errors; other
+// values (numbers, dates, ...) are returned as they are.
+const redactValue = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) || isPlainObject(value) ? '[Truncated]' : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, depth + 1));
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactText(value.message), stack: redactText(value.stack || '') };
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEYS.has(key.toLowerCase()) && item !== null && item !== undefined
+        ? REDACTED
+        : redactValue(item, depth + 1),
+    ]));
+  }
+  return value;
+};
+
+module.exports = {
+  REDACTED,
+  SENSITIVE_KEYS,
+  redactText,
+  redactValue,
+};
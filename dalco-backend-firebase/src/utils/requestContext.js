@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request values (the request ID) that any code a request runs can read,
+// including the promises and timers it starts, without passing them down.
+const storage = new AsyncLocalStorage();
+
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getRequestContext = () => storage.getStore();
+
+const getRequestId = () => storage.getStore()?.requestId;
+
+module.exports = {
+  runWithContext,
+  getRequestContext,
+  getRequestId,
+};
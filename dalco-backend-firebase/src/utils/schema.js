@@ -0,0 +1,168 @@
+// Validates values against the JSON Schema subset used by OpenAPI 3.0 (type,
+// nullable, enum, anyOf, string/number/array bounds, properties, required,
+// additionalProperties), so request schemas double as API documentation.
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+};
+
+// `date-time` also accepts a plain date, as every date filter in the API does.
+const FORMATS = {
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+// Query strings and path parameters arrive as strings.
+const coerceValue = (schema, value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (['number', 'integer'].includes(schema.type) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && ['true', 'false'].includes(value)) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const checkString = (schema, value, path, errors) => {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({
+      path,
+      message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`,
+    });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `must match ${schema.pattern}` });
+  }
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    errors.push({ path, message: `must be a valid ${schema.format}` });
+  }
+};
+
+const checkNumber = (schema, value, path, errors) => {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be at most ${schema.maximum}` });
+  }
+};
+
+const checkObject = (schema, value, path, errors, options) => {
+  const properties = schema.properties || {};
+  const result = { ...value };
+
+  (schema.required || [])
+    .filter((key) => value[key] === undefined)
+    .forEach((key) => errors.push({ path: joinPath(path, key), message: 'is required' }));
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    errors.push({ path, message: `must have at least ${schema.minProperties} field(s)` });
+  }
+
+  Object.entries(value)
+    .filter(([, member]) => member !== undefined)
+    .forEach(([key, member]) => {
+      const memberSchema = properties[key]
+        || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+
+      if (!memberSchema) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+        }
+        return;
+      }
+
+      const coerced = options.coerce ? coerceValue(memberSchema, member) : member;
+      result[key] = check(memberSchema, coerced, joinPath(path, key), errors, options);
+    });
+
+  return result;
+};
+
+// Returns the value with coerced members (when `coerce` is set) and pushes
+// `{ path, message }` for every problem found onto `errors`.
+const check = (schema, value, path, errors, options) => {
+  if (value === null) {
+    if (!schema.nullable) {
+      errors.push({ path, message: 'must not be null' });
+    }
+    return value;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => {
+      const optionErrors = [];
+      check(option, value, path, optionErrors, options);
+      return !optionErrors.length;
+    });
+    if (!matches) {
+      errors.push({ path, message: 'does not match any allowed form' });
+    }
+    return value;
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    errors.push({ path, message: `must be ${TYPE_NAMES[schema.type]}` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    checkString(schema, value, path, errors);
+  } else if (typeof value === 'number') {
+    checkNumber(schema, value, path, errors);
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors, options));
+    }
+  } else if (TYPE_CHECKS.object(value)) {
+    return checkObject(schema, value, path, errors, options);
+  }
+
+  return value;
+};
+
+// Validates `value` against `schema`. `coerce` converts numeric and boolean
+// strings first (for query strings and path parameters). Returns `{ value, errors }`.
+const validateValue = (schema, value, { coerce = false } = {}) => {
+  const errors = [];
+  const result = check(schema, value, '', errors, { coerce });
+  return { value: result, errors };
+};
+
+module.exports = {
+  validateValue,
+};
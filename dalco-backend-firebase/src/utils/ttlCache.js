@@ -0,0 +1,110 @@
+const logger = require('./logger');
+
+// In-process cache for expensive reads. Within `ttlMs` a cached value is served
+// as-is; for a further `staleMs` it is still served, but a background refresh is
+// started (stale-while-revalidate). Concurrent loads for a key share one request.
+// Cached values are shared between callers and must be treated as read-only.
+const createTtlCache = ({ name, ttlMs, staleMs = 0 }) => {
+  const entries = new Map();
+  const inflight = new Map();
+  // Bumped on invalidation so loads started before it never repopulate the cache.
+  const generations = new Map();
+  const counters = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    refreshes: 0,
+    refreshErrors: 0,
+    invalidations: 0,
+  };
+
+  const load = (key, loader) => {
+    if (inflight.has(key)) {
+      return inflight.get(key);
+    }
+
+    const generation = generations.get(key) || 0;
+    const request = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        if ((generations.get(key) || 0) === generation) {
+          entries.set(key, { value, loadedAt: Date.now() });
+        }
+        return value;
+      })
+      .finally(() => {
+        if (inflight.get(key) === request) {
+          inflight.delete(key);
+        }
+      });
+
+    inflight.set(key, request);
+    return request;
+  };
+
+  const get = async (key, loader) => {
+    if (ttlMs <= 0) {
+      return loader();
+    }
+
+    const entry = entries.get(key);
+    const age = entry ? Date.now() - entry.loadedAt : Infinity;
+
+    if (age < ttlMs) {
+      counters.hits += 1;
+      return entry.value;
+    }
+
+    if (age < ttlMs + staleMs) {
+      counters.staleHits += 1;
+      if (!inflight.has(key)) {
+        counters.refreshes += 1;
+        load(key, loader).catch((error) => {
+          counters.refreshErrors += 1;
+          logger.warn(`Cache ${name}: background refresh of ${key} failed: ${error.message}`);
+        });
+      }
+      return entry.value;
+    }
+
+    counters.misses += 1;
+    return load(key, loader);
+  };
+
+  const invalidate = (key) => {
+    const keys = key === undefined ? [...new Set([...entries.keys(), ...inflight.keys()])] : [key];
+
+    keys.forEach((entryKey) => {
+      entries.delete(entryKey);
+      inflight.delete(entryKey);
+      generations.set(entryKey, (generations.get(entryKey) || 0) + 1);
+    });
+    counters.invalidations += 1;
+  };
+
+  const stats = () => {
+    const lookups = counters.hits + counters.staleHits + counters.misses;
+
+    return {
+      name,
+      ttlSeconds: ttlMs / 1000,
+      staleSeconds: staleMs / 1000,
+      ...counters,
+      hitRate: lookups ? Number(((counters.hits + counters.staleHits) / lookups).toFixed(3)) : null,
+      entries: [...entries.entries()].map(([key, entry]) => ({
+        key,
+        ageSeconds: Math.round((Date.now() - entry.loadedAt) / 1000),
+      })),
+    };
+  };
+
+  return {
+    get,
+    invalidate,
+    stats,
+  };
+};
+
+module.exports = {
+  createTtlCache,
+};
@@ -0,0 +1,110 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { seedOrders, startTestApp } = require('./support/harness');
+const en = require('../src/locales/en.json');
+
+// Confirmed orders; times are UTC and the shop day is UTC+8. Line items
+// without a `unitPrice` are priced from the Inventory.
+const line = (itemName, quantity) => ({ itemName, quantity });
+const ORDERS = [
+  { orderId: 'ORD-0', confirmedAt: '2024-12-28T02:00:00.000Z', customerName: 'Aisyah', lineItems: [line('Hoodie', 1)] },
+  {
+    orderId: 'ORD-1',
+    confirmedAt: '2025-01-07T02:00:00.000Z',
+    customerName: 'Ben',
+    lineItems: [line('Cotton T-Shirt', 10), line('Hoodie', 2)],
+  },
+  { orderId: 'ORD-2', confirmedAt: '2025-01-14T04:00:00.000Z', customerName: 'Chong', lineItems: [line('Polo Shirt', 3)] },
+  { orderId: 'ORD-3', confirmedAt: '2025-01-14T05:00:00.000Z', customerName: 'Devi', lineItems: [line('Gift Voucher', 1)] },
+  {
+    orderId: 'ORD-4',
+    confirmedAt: '2025-01-15T05:00:00.000Z',
+    customerName: 'Ehsan',
+    status: 'cancelled',
+    lineItems: [line('Hoodie', 5)],
+  },
+];
+
+describe('analytics API', () => {
+  let app;
+
+  const overview = (query) => app.request('GET', `/api/analytics/overview?${query}`, { as: 'viewer' });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await app.reset();
+    await seedOrders(ORDERS);
+  });
+
+  after(() => app.close());
+
+  it('summarises sales per period against the previous period', async () => {
+    const { status, body } = await overview('from=2025-01-06&to=2025-01-19&granularity=week');
+
+    assert.equal(status, 200);
+    const { data } = body;
+    assert.deepEqual(data.totals, { revenue: 281, units: 16, orders: 3, averageOrderValue: 93.67 });
+    assert.deepEqual(data.previous, { revenue: 45, units: 1, orders: 1, averageOrderValue: 45 });
+    assert.equal(data.change.revenue, 524.4);
+    assert.deepEqual(
+      data.series.map(({ period, revenue, units, orders }) => [period, revenue, units, orders]),
+      [['2025-01-06', 215, 12, 1], ['2025-01-13', 66, 4, 2]],
+    );
+    assert.equal(data.topProducts.byRevenue[0].item, 'Cotton T-Shirt');
+    assert.equal(data.topProducts.byUnits[0].unitShare, 62.5);
+    assert.deepEqual(data.unpricedItems, ['Gift Voucher']);
+    assert.equal(data.totalOrders, 3);
+    assert.equal(data.lastOrders.at(-1).orderId, 'ORD-3');
+  });
+
+  it('rejects invalid ranges', async () => {
+    const reversed = await overview('from=2025-02-01&to=2025-01-01');
+    assert.equal(reversed.status, 400);
+    assert.equal(reversed.body.error, '"from" must be before "to"');
+
+    const tooLong = await overview('from=2020-01-01&to=2025-01-01&granularity=day');
+    assert.equal(tooLong.status, 400);
+
+    const badGranularity = await overview('granularity=hour');
+    assert.equal(badGranularity.status, 400);
+    assert.equal(badGranularity.body.details[0].path, 'granularity');
+  });
+
+  it('writes insights locally without the analytics table', async () => {
+    const { status, body } = await app.request('POST', '/api/analytics/insights', {
+      as: 'owner',
+      body: { from: '2025-01-06', to: '2025-01-19', locale: 'en' },
+    });
+
+    assert.equal(status, 200);
+    assert.match(body.insights, new RegExp(en['analytics.totalOrders'].replace('{{totalOrders}}', '3')));
+    assert.match(body.insights, /Cotton T-Shirt accounts for 62\.5%/);
+    assert.equal(body.source, 'fallback');
+  });
+
+  it('sends the metrics to the analytics table', async () => {
+    app.jamai.enable(['analytics']);
+    app.jamai.on('analytics', () => ({ insights: 'Hoodies are trending.' }));
+
+    const { body } = await app.request('POST', '/api/analytics/insights', {
+      as: 'owner',
+      body: { metrics: { totalOrders: 7 }, locale: 'ms' },
+    });
+
+    assert.equal(body.insights, 'Hoodies are trending.');
+    assert.equal(body.source, 'jamai');
+    const [call] = app.jamai.callsTo('analytics');
+    assert.equal(call.tableType, 'generative');
+    assert.deepEqual(call.body.input.data, { totalOrders: 7 });
+    assert.equal(call.body.input.language, 'ms');
+  });
+
+  it('keeps insights to roles that may request them', async () => {
+    const { status } = await app.request('POST', '/api/analytics/insights', { as: 'viewer', body: {} });
+
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { bearer, startTestApp } = require('./support/harness');
+const { createLocalToken } = require('../src/services/auth.service');
+
+describe('authentication', () => {
+  let app;
+
+  const me = (headers) => app.request('GET', '/api/auth/me', { headers });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  after(() => app.close());
+
+  it('accepts API keys with their role', async () => {
+    const { status, body } = await app.request('GET', '/api/auth/me', { as: 'staff' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.user, { type: 'apiKey', id: 'staff-client', roles: ['staff'] });
+  });
+
+  it('rejects unknown API keys', async () => {
+    const { status, body } = await me({ 'X-API-Key': 'not-a-key' });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Invalid API key');
+  });
+
+  it('accepts signed bearer tokens and reads roles from the claims', async () => {
+    const single = await me(bearer({ uid: 'user-1', role: 'viewer' }));
+    assert.deepEqual(single.body.user, { type: 'user', id: 'user-1', roles: ['viewer'] });
+
+    const several = await me(bearer({ uid: 'user-2', roles: ['staff', 'superuser'] }));
+    assert.deepEqual(several.body.user.roles, ['staff']);
+  });
+
+  it('rejects expired, tampered and missing tokens', async () => {
+    const expired = await me(bearer({ uid: 'user-1', role: 'owner' }, { expiresInSeconds: -10 }));
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.error, 'Invalid or expired token');
+
+    const [header, , signature] = createLocalToken({ uid: 'user-1', role: 'viewer' }).split('.');
+    const forged = Buffer.from(JSON.stringify({ uid: 'user-1', role: 'owner' })).toString('base64url');
+    assert.equal((await me({ Authorization: `Bearer ${header}.${forged}.${signature}` })).status, 401);
+
+    const missing = await me({});
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, 'Authentication required');
+  });
+
+  it('verifies a token and returns its roles', async () => {
+    const idToken = createLocalToken({ uid: 'user-3', role: 'staff' });
+    const { status, body } = await app.request('POST', '/api/auth/verify', { body: { idToken } });
+
+    assert.equal(status, 200);
+    assert.equal(body.user.uid, 'user-3');
+    assert.deepEqual(body.roles, ['staff']);
+  });
+
+  it('enforces permissions per role', async () => {
+    const staff = await app.request('POST', '/api/auth/roles', { as: 'staff', body: { uid: 'user-1', role: 'owner' } });
+    assert.equal(staff.status, 403);
+    assert.equal(staff.body.required, 'users:manage');
+
+    const userToken = bearer({ uid: 'user-4', role: 'staff' });
+    assert.equal((await app.request('GET', '/api/leads', { headers: userToken })).status, 200);
+  });
+
+  it('only assigns roles with the Firebase verifier', async () => {
+    const { status, body } = await app.request('POST', '/api/auth/roles', {
+      as: 'owner',
+      body: { uid: 'user-1', role: 'staff' },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Roles can only be assigned with AUTH_VERIFIER=firebase');
+  });
+});
@@ -0,0 +1,314 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  sheets,
+  drainOutbox,
+  readCollection,
+  startTestApp,
+} = require('./support/harness');
+const en = require('../src/locales/en.json');
+const ms = require('../src/locales/ms.json');
+
+const PHONE = '60123456789';
+
+describe('conversation pipeline (POST /api/messages/whatsapp)', () => {
+  let app;
+
+  const send = (message, extra = {}) => app.request('POST', '/api/messages/whatsapp', {
+    as: 'channel',
+    body: {
+      message,
+      phoneNumber: PHONE,
+      displayName: 'Siti Aminah',
+      ...extra,
+    },
+  });
+
+  const stockOf = (sku) => Number(sheets.rows('Inventory').find(([rowSku]) => rowSku === sku)[4]);
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(() => app.reset());
+
+  after(() => app.close());
+
+  describe('without JamAI (local fallbacks)', () => {
+    it('greets general messages and logs both directions', async () => {
+      const { status, body } = await send('Selamat pagi');
+
+      assert.equal(status, 200);
+      assert.equal(body.intent, 'general');
+      assert.equal(body.reply, ms.greeting);
+      assert.equal(body.duplicate, false);
+      assert.deepEqual(body.ai, {
+        source: 'fallback',
+        steps: [{ step: 'intent', source: 'fallback', fallbackReason: 'not_configured' }],
+      });
+
+      const messages = await readCollection('messages');
+      assert.deepEqual(messages.map(({ direction }) => direction).sort(), ['inbound', 'outbound']);
+      assert.ok(messages.every(({ threadId }) => threadId === `whatsapp:${PHONE}`));
+      assert.deepEqual(await readCollection('leads'), []);
+    });
+
+    it('answers FAQs in the language of the message', async () => {
+      const { body } = await send('What is your refund policy?');
+
+      assert.equal(body.intent, 'faq');
+      assert.equal(body.locale, 'en');
+      assert.equal(body.reply, en['faq.notFound'].replace('{{query}}', 'What is your refund policy?'));
+    });
+
+    it('checks stock against the sheet and opens a lead', async () => {
+      const { body } = await send('Do you have stock for 10 blue cotton t-shirt size M?');
+
+      assert.equal(body.intent, 'inventory');
+      assert.equal(body.metadata.availability.available, true);
+      assert.equal(body.metadata.availability.item.sku, 'TS-BLU-M');
+      assert.match(body.reply, /Cotton T-Shirt \(Blue, M\)/);
+
+      const [lead] = await readCollection('leads');
+      assert.equal(lead.status, 'new');
+      assert.equal(lead.lastIntent, 'inventory');
+      assert.equal(lead.threadId, `whatsapp:${PHONE}`);
+
+      const [customer] = await readCollection('customers');
+      assert.equal(customer.id, `+${PHONE}`);
+      assert.equal(customer.name, 'Siti Aminah');
+    });
+
+    it('lists alternatives when the variant is out of stock', async () => {
+      const { body } = await send('Do you have stock for 5 white cotton t-shirt XL?');
+
+      assert.equal(body.intent, 'inventory');
+      assert.equal(body.metadata.availability.available, false);
+      assert.ok(body.metadata.availability.alternatives.length > 0);
+      assert.match(body.reply, new RegExp(en['inventory.alternativesTitle']));
+    });
+
+    it('turns a stock check into a confirmed order written to the sheet', async () => {
+      await send('Do you have stock for 10 blue cotton t-shirt size M?');
+
+      const askAddress = await send('yes please');
+      assert.equal(askAddress.body.intent, 'order');
+      assert.equal(askAddress.body.reply, en['followUp.deliveryAddress']);
+
+      const summary = await send('12 Jalan Ampang, 50450 Kuala Lumpur');
+      assert.equal(summary.body.metadata.awaitingConfirmation, true);
+      assert.match(summary.body.reply, /Cotton T-Shirt \(Blue, M\) x 10/);
+      assert.match(summary.body.reply, /RM125\.00/);
+
+      const [reservation] = await readCollection('stockReservations');
+      assert.equal(reservation.id, 'TS-BLU-M');
+      assert.equal(reservation.holds[PHONE].quantity, 10);
+
+      const confirmed = await send('ya');
+      assert.equal(confirmed.body.metadata.confirmed, true);
+      const { orderId } = confirmed.body.metadata.order;
+      assert.match(confirmed.body.reply, new RegExp(orderId));
+      assert.deepEqual(confirmed.body.ai, { source: 'none', steps: [] });
+
+      // The row is written by the outbox after the reply.
+      await drainOutbox();
+      const orderRows = sheets.rows('Orders').slice(1);
+      assert.equal(orderRows.length, 1);
+      assert.deepEqual(orderRows[0].slice(1), [
+        'Siti Aminah',
+        PHONE,
+        'Cotton T-Shirt',
+        10,
+        '12 Jalan Ampang, 50450 Kuala Lumpur',
+        '',
+        orderId,
+        'confirmed',
+      ]);
+      assert.equal(stockOf('TS-BLU-M'), 190);
+
+      const [reservationAfter] = await readCollection('stockReservations');
+      assert.deepEqual(reservationAfter.holds, {});
+      assert.deepEqual(await readCollection('sessions'), []);
+
+      const [customer] = await readCollection('customers');
+      assert.equal(customer.orderCount, 1);
+      assert.equal(customer.lifetimeValue, 125);
+      assert.deepEqual(customer.addresses, ['12 Jalan Ampang, 50450 Kuala Lumpur']);
+
+      const [lead] = await readCollection('leads');
+      assert.deepEqual(lead.orderIds, [orderId]);
+    });
+
+    it('collects missing order details and cancels on request', async () => {
+      const first = await send('I want to order 5 black cotton t-shirt L and 3 navy polo shirt M');
+      assert.equal(first.body.intent, 'order');
+      assert.deepEqual(first.body.metadata.missingFields, ['deliveryAddress']);
+
+      const summary = await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+      assert.match(summary.body.reply, /Cotton T-Shirt \(Black, L\) x 5/);
+      assert.match(summary.body.reply, /Polo Shirt \(Navy, M\) x 3/);
+      assert.match(summary.body.reply, /RM128\.50/);
+
+      const cancelled = await send('cancel');
+      assert.equal(cancelled.body.metadata.cancelled, true);
+      assert.equal(cancelled.body.reply, en['order.cancelled']);
+
+      const reservations = await readCollection('stockReservations');
+      assert.ok(reservations.every(({ holds }) => Object.keys(holds).length === 0));
+      assert.equal(stockOf('TS-BLK-L'), 40);
+      assert.deepEqual(await readCollection('outbox'), []);
+    });
+
+    it('asks again when the confirmation also asks for a change', async () => {
+      await send('I want to order 2 hoodie grey L');
+      await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+
+      const change = await send('ok tapi tukar saiz M');
+      assert.equal(change.body.metadata.awaitingConfirmation, true);
+      assert.equal(change.body.metadata.confirmed, undefined);
+      assert.match(change.body.reply, new RegExp(en['order.notConfirmed'].slice(0, 20)));
+      assert.deepEqual(await readCollection('orders'), []);
+
+      const confirmed = await send('ya lah!');
+      assert.equal(confirmed.body.metadata.confirmed, true);
+    });
+
+    it('prefills the address of a returning customer', async () => {
+      await send('I want to order 2 hoodie grey L');
+      await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+      await send('yes');
+      await drainOutbox();
+
+      const repeat = await send('I want to order 1 hoodie grey L', { messageId: 'wamid.repeat' });
+      assert.equal(repeat.body.metadata.awaitingConfirmation, true);
+      assert.match(repeat.body.reply, /No 8, Jalan Tun Razak, Kuala Lumpur/);
+    });
+
+    it('rejects orders that cannot be covered at all', async () => {
+      await send('I want to order 5 white cotton t-shirt XL');
+      const { body } = await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+
+      assert.equal(body.metadata.rejectedItems.length, 1);
+      assert.match(body.reply, new RegExp(en['order.allRejected']));
+      assert.deepEqual(await readCollection('sessions'), []);
+    });
+  });
+
+  describe('with JamAI Base', () => {
+    beforeEach(() => app.jamai.enable());
+
+    it('uses the intent and knowledge tables for FAQs', async () => {
+      app.jamai.on('intent', () => ({ intent: 'faq' }));
+      app.jamai.on('faq', ({ query }) => ({ answer: `Answer to: ${query}` }));
+
+      const { body } = await send('Berapa lama penghantaran ke Sabah?');
+
+      assert.equal(body.intent, 'faq');
+      assert.equal(body.reply, 'Answer to: Berapa lama penghantaran ke Sabah?');
+      assert.deepEqual(body.ai, {
+        source: 'jamai',
+        steps: [{ step: 'intent', source: 'jamai' }, { step: 'faq', source: 'jamai' }],
+      });
+
+      const [intentCall] = app.jamai.callsTo('intent');
+      assert.equal(intentCall.tableType, 'action');
+      assert.deepEqual(intentCall.body, { input: { message: 'Berapa lama penghantaran ke Sabah?' } });
+      assert.equal(intentCall.authorization, 'Bearer test-jamai-key');
+
+      const [faqCall] = app.jamai.callsTo('faq');
+      assert.equal(faqCall.tableType, 'knowledge');
+      assert.deepEqual(faqCall.body.options, { language: 'ms' });
+    });
+
+    it('uses the inventory table to read stock questions', async () => {
+      app.jamai.on('intent', () => ({ intent: 'inventory' }));
+      app.jamai.on('inventory', () => ({
+        inventoryRequest: { itemName: 'Polo Shirt', quantity: 70, attributes: { color: 'Navy', size: 'M' } },
+      }));
+
+      const { body } = await send('ada polo navy saiz M 70 helai?');
+
+      assert.equal(body.intent, 'inventory');
+      assert.equal(body.metadata.availability.available, false);
+      assert.equal(body.metadata.availability.item.sku, 'PL-NVY-M');
+      assert.equal(body.metadata.availability.remainingStock, 60);
+    });
+
+    it('uses the order table for order details', async () => {
+      app.jamai.on('intent', () => ({ intent: 'order' }));
+      app.jamai.on('order', ({ input }) => ({
+        order: {
+          customerName: 'Ahmad Bin Ali',
+          phoneNumber: input.phoneNumber,
+          lineItems: [{ itemName: 'Hoodie', quantity: 2, attributes: { color: 'Grey', size: 'L' } }],
+          deliveryAddress: '3 Lorong Maarof, Bangsar',
+          notes: '',
+        },
+      }));
+
+      const { body } = await send('Nak tempah 2 hoodie kelabu L hantar ke Bangsar');
+
+      assert.equal(body.metadata.awaitingConfirmation, true);
+      assert.match(body.reply, /Ahmad Bin Ali/);
+      assert.match(body.reply, /Hoodie \(Grey, L\) x 2/);
+      assert.deepEqual(app.jamai.callsTo('order')[0].body.input, {
+        message: 'Nak tempah 2 hoodie kelabu L hantar ke Bangsar',
+        phoneNumber: PHONE,
+        displayName: 'Siti Aminah',
+      });
+    });
+
+    it('retries and then falls back locally when JamAI Base fails', async () => {
+      app.jamai.on('intent', () => ({ status: 503, body: { detail: 'Service unavailable' } }));
+      app.jamai.on('inventory', () => ({}));
+
+      const { body } = await send('Do you have stock for 2 hoodie grey L?');
+
+      assert.equal(body.intent, 'inventory');
+      assert.equal(body.metadata.availability.item.sku, 'HD-GRY-L');
+      // The first attempt plus two retries.
+      assert.equal(app.jamai.callsTo('intent').length, 3);
+      assert.deepEqual(body.ai, {
+        source: 'fallback',
+        steps: [
+          { step: 'intent', source: 'fallback', fallbackReason: 'error' },
+          { step: 'inventory', source: 'fallback', fallbackReason: 'empty' },
+        ],
+      });
+
+      const outbound = (await readCollection('messages')).find(({ direction }) => direction === 'outbound');
+      assert.equal(outbound.aiSource, 'fallback');
+    });
+  });
+
+  describe('deliveries', () => {
+    it('returns the first reply for a redelivered message', async () => {
+      const first = await send('Do you have stock for 2 hoodie grey L?', { messageId: 'wamid.1' });
+      const again = await send('Do you have stock for 2 hoodie grey L?', { messageId: 'wamid.1' });
+
+      assert.equal(again.body.duplicate, true);
+      assert.equal(again.body.reply, first.body.reply);
+      assert.equal((await readCollection('messages')).length, 2);
+    });
+
+    it('treats a second "ya" without a message ID as a new message', async () => {
+      await send('Do you have stock for 2 hoodie grey L?');
+      const askAddress = await send('ya');
+      assert.equal(askAddress.body.reply, en['followUp.deliveryAddress']);
+      await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+
+      const confirmed = await send('ya');
+      assert.equal(confirmed.body.duplicate, false);
+      assert.equal(confirmed.body.metadata.confirmed, true);
+      assert.equal((await readCollection('orders')).length, 1);
+    });
+
+    it('validates the request body', async () => {
+      const { status, body } = await send('', { phoneNumber: undefined, extra: true });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid request');
+      assert.deepEqual(body.details.map(({ path }) => path).sort(), ['extra', 'message', 'phoneNumber']);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { drainOutbox, startTestApp } = require('./support/harness');
+
+describe('customers API', () => {
+  let app;
+
+  const message = (body) => app.request('POST', '/api/messages/whatsapp', { as: 'channel', body });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(() => app.reset());
+
+  after(() => app.close());
+
+  it('creates one profile per contact and lists the latest first', async () => {
+    await message({ message: 'Selamat pagi', phoneNumber: '60111111111', displayName: 'Aisyah' });
+    await message({ message: 'Good morning', phoneNumber: 'ben@example.com', displayName: 'Ben', channel: 'email' });
+    await message({ message: 'Hi again', phoneNumber: '+60 11-1111 111' });
+
+    const { status, body } = await app.request('GET', '/api/customers', { as: 'viewer' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(({ id }) => id), ['+60111111111', 'email:ben@example.com']);
+    assert.deepEqual(body.data[0].identities, ['whatsapp:+60111111111']);
+    assert.equal(body.data[1].email, 'ben@example.com');
+  });
+
+  it('searches by name, phone and address', async () => {
+    await message({ message: 'I want to order 2 hoodie grey L', phoneNumber: '60122222222', displayName: 'Chong' });
+    await message({ message: '22 Jalan Gasing, Petaling Jaya', phoneNumber: '60122222222' });
+    await message({ message: 'yes', phoneNumber: '60122222222' });
+    await drainOutbox();
+    await message({ message: 'Selamat pagi', phoneNumber: '60133333333', displayName: 'Devi' });
+
+    const search = async (q) => (await app.request('GET', `/api/customers?q=${encodeURIComponent(q)}`, { as: 'viewer' }))
+      .body.data.map(({ name }) => name);
+
+    assert.deepEqual(await search('chong'), ['Chong']);
+    assert.deepEqual(await search('3333'), ['Devi']);
+    assert.deepEqual(await search('gasing'), ['Chong']);
+
+    const { body } = await app.request('GET', '/api/customers/+60122222222', { as: 'viewer' });
+    assert.equal(body.data.orderCount, 1);
+    assert.equal(body.data.lifetimeValue, 90);
+    assert.equal(body.data.orders[0].units, 2);
+  });
+
+  it('pins a preferred language that detection no longer overrides', async () => {
+    await message({ message: 'Do you have any stock please', phoneNumber: '60144444444' });
+
+    const pinned = await app.request('PATCH', '/api/customers/+60144444444', {
+      as: 'staff',
+      body: { preferredLanguage: 'ms' },
+    });
+    assert.equal(pinned.status, 200);
+    assert.equal(pinned.body.data.languagePinned, true);
+    assert.equal(pinned.body.data.languagePinnedBy, 'staff-client');
+
+    const reply = await message({ message: 'Hello, what are your delivery times?', phoneNumber: '60144444444' });
+    assert.equal(reply.body.locale, 'ms');
+
+    const unsupported = await app.request('PATCH', '/api/customers/+60144444444', {
+      as: 'staff',
+      body: { preferredLanguage: 'xx' },
+    });
+    assert.equal(unsupported.status, 400);
+    assert.ok(unsupported.body.details.supported.includes('en'));
+  });
+
+  it('merges a duplicate profile into another', async () => {
+    await message({ message: 'Selamat pagi', phoneNumber: '60155555555', displayName: 'Farah' });
+    await message({ message: 'Good morning', phoneNumber: 'farah@example.com', channel: 'email' });
+
+    const merged = await app.request('POST', '/api/customers/+60155555555/merge', {
+      as: 'staff',
+      body: { sourceId: 'email:farah@example.com' },
+    });
+
+    assert.equal(merged.status, 200);
+    assert.deepEqual(merged.body.data.identities, ['whatsapp:+60155555555', 'email:farah@example.com']);
+    assert.equal(merged.body.data.email, 'farah@example.com');
+    assert.equal(merged.body.data.mergedFrom[0].id, 'email:farah@example.com');
+
+    const source = await app.request('GET', '/api/customers/email:farah@example.com', { as: 'viewer' });
+    assert.equal(source.status, 404);
+
+    // The email identity now resolves to the merged profile.
+    await message({ message: 'Thanks', phoneNumber: 'farah@example.com', channel: 'email' });
+    const { body } = await app.request('GET', '/api/customers', { as: 'viewer' });
+    assert.deepEqual(body.data.map(({ id }) => id), ['+60155555555']);
+
+    const self = await app.request('POST', '/api/customers/+60155555555/merge', {
+      as: 'staff',
+      body: { sourceId: '+60155555555' },
+    });
+    assert.equal(self.status, 400);
+  });
+
+  it('returns 404 for unknown customers', async () => {
+    const { status, body } = await app.request('GET', '/api/customers/+60000000000', { as: 'viewer' });
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Customer not found');
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { seedOrders, startTestApp } = require('./support/harness');
+
+const ORDERS = [
+  {
+    orderId: 'ORD-1',
+    confirmedAt: '2025-01-07T02:00:00.000Z',
+    customerName: 'Ben',
+    phoneNumber: '60122222222',
+    deliveryAddress: '3 Jalan SS2, "Block A", PJ',
+    status: 'shipped',
+    lineItems: [{ itemName: 'Hoodie', quantity: 2 }],
+  },
+  {
+    orderId: 'ORD-2',
+    confirmedAt: '2025-01-20T02:00:00.000Z',
+    customerName: 'Chong',
+    phoneNumber: '60133333333',
+    deliveryAddress: 'Ipoh',
+    notes: 'Gift wrap',
+    lineItems: [{ itemName: 'Polo Shirt', quantity: 3 }],
+  },
+  // Pending orders are not in the order log yet.
+  { orderId: 'ORD-3', confirmedAt: null, status: 'pending', lineItems: [{ itemName: 'Hoodie', quantity: 1 }] },
+];
+
+const parseCsv = (text) => text.trim().split('\r\n');
+
+describe('exports API', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await app.reset();
+    await seedOrders(ORDERS);
+  });
+
+  after(() => app.close());
+
+  it('streams order rows as CSV within the date range', async () => {
+    const { status, headers, body } = await app.request('GET', '/api/exports/orders?to=2025-01-10', { as: 'staff' });
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.match(headers.get('content-disposition'), /attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = parseCsv(body.replace(/^﻿/, ''));
+    assert.equal(lines[0], 'timestamp,orderId,customerName,phone,item,quantity,address,notes,status');
+    assert.deepEqual(lines.slice(1), [
+      '2025-01-07T02:00:00.000Z,ORD-1,Ben,60122222222,Hoodie,2,"3 Jalan SS2, ""Block A"", PJ",,shipped',
+    ]);
+
+    const all = await app.request('GET', '/api/exports/orders', { as: 'staff' });
+    assert.deepEqual(parseCsv(all.body).slice(1).map((csvLine) => csvLine.split(',')[1]), ['ORD-1', 'ORD-2']);
+  });
+
+  it('exports leads as a workbook', async () => {
+    await app.request('POST', '/api/leads', { as: 'staff', body: { customerName: 'Butik Mawar' } });
+
+    const { status, headers, body } = await app.request('GET', '/api/exports/leads?format=xlsx', { as: 'owner' });
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /spreadsheetml\.sheet/);
+    assert.ok(Buffer.isBuffer(body));
+    // XLSX files are zip archives.
+    assert.equal(body.subarray(0, 2).toString(), 'PK');
+  });
+
+  it('exports messages filtered by direction', async () => {
+    await app.request('POST', '/api/messages/whatsapp', {
+      as: 'channel',
+      body: { message: 'Selamat pagi', phoneNumber: '60111111111' },
+    });
+
+    const { body } = await app.request('GET', '/api/exports/messages?direction=inbound', { as: 'staff' });
+
+    const lines = parseCsv(body.replace(/^﻿/, ''));
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /,whatsapp,whatsapp:60111111111,inbound,/);
+  });
+
+  it('keeps customer text that looks like a formula as text', async () => {
+    await app.request('POST', '/api/messages/whatsapp', {
+      as: 'channel',
+      body: { message: '=HYPERLINK("http://evil.example","Invoice")', phoneNumber: '60111111111' },
+    });
+
+    const csv = await app.request('GET', '/api/exports/messages?direction=inbound', { as: 'staff' });
+    assert.match(csv.body, /,"'=HYPERLINK\(""http:\/\/evil\.example"",""Invoice""\)",/);
+
+    const xlsx = await app.request('GET', '/api/exports/messages?direction=inbound&format=xlsx', { as: 'staff' });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(xlsx.body);
+    const sheet = workbook.getWorksheet('messages');
+    const contentColumn = sheet.getRow(1).values.indexOf('content');
+    assert.equal(sheet.getRow(2).getCell(contentColumn).value, '\'=HYPERLINK("http://evil.example","Invoice")');
+  });
+
+  it('filters order rows by status', async () => {
+    const { body } = await app.request('GET', '/api/exports/orders?status=shipped', { as: 'staff' });
+    assert.deepEqual(parseCsv(body).slice(1).map((csvLine) => csvLine.split(',')[1]), ['ORD-1']);
+
+    const unknown = await app.request('GET', '/api/exports/orders?status=new', { as: 'staff' });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.details.map(({ path }) => path), ['status']);
+  });
+
+  it('rejects filters and formats an export does not support', async () => {
+    const filter = await app.request('GET', '/api/exports/orders?channel=whatsapp', { as: 'staff' });
+    assert.equal(filter.status, 400);
+    assert.deepEqual(filter.body.details.supported, ['from', 'to', 'status']);
+    assert.equal(filter.headers.get('content-disposition'), null);
+
+    const format = await app.request('GET', '/api/exports/orders?format=pdf', { as: 'staff' });
+    assert.equal(format.status, 400);
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  db,
+  bearer,
+  readCollection,
+  startTestApp,
+} = require('./support/harness');
+const en = require('../src/locales/en.json');
+
+const THREAD = 'whatsapp:60111111111';
+const STAFF = bearer({ uid: 'staff-aina', role: 'staff' });
+
+describe('staff inbox and handoff', () => {
+  let app;
+  let sent;
+  let failSends;
+  let setChannelSender;
+
+  const send = (message, phoneNumber = '60111111111') => app.request('POST', '/api/messages/whatsapp', {
+    as: 'channel',
+    body: { message, phoneNumber, displayName: 'Aisyah' },
+  });
+
+  const inbox = (method, path = '', body) => app.request(method, `/api/inbox${path}`, { headers: STAFF, body });
+
+  before(async () => {
+    app = await startTestApp();
+    // Loaded after the app so the JamAI client picks up the mock's URL.
+    ({ setChannelSender } = require('../src/services/channels'));
+  });
+
+  beforeEach(async () => {
+    await app.reset();
+    sent = [];
+    failSends = false;
+    setChannelSender('whatsapp', {
+      name: 'whatsapp',
+      sendText: async (to, body, context) => {
+        if (failSends) {
+          throw new Error('Recipient phone number not in allowed list');
+        }
+        sent.push({ to, body, context });
+        return { providerMessageId: `wamid.out.${sent.length}` };
+      },
+    });
+  });
+
+  after(() => app.close());
+
+  it('hands the conversation to staff when the customer asks for a person', async () => {
+    const asked = await send('Can I talk to a real person please?');
+    assert.equal(asked.body.intent, 'handoff');
+    assert.equal(asked.body.reply, en['handoff.connecting']);
+    assert.deepEqual(asked.body.metadata.handoff, { mode: 'human', reason: 'customer_request', assignedTo: null });
+    assert.equal(app.jamai.calls.length, 0);
+
+    const held = await send('Hello? I need 50 hoodies');
+    assert.equal(held.body.intent, 'handoff');
+    assert.equal(held.body.reply, null);
+
+    const messages = await readCollection('messages');
+    assert.equal(messages.filter(({ direction }) => direction === 'inbound').length, 2);
+    assert.equal(messages.filter(({ direction }) => direction === 'outbound').length, 1);
+
+    const { status, body } = await inbox('GET', '?mode=human');
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].threadId, THREAD);
+    assert.equal(body.data[0].reason, 'customer_request');
+    assert.equal(body.data[0].awaitingReply, true);
+    assert.equal(body.data[0].lastMessage.content, 'Hello? I need 50 hoodies');
+  });
+
+  it('hands over when the intent table is unsure', async () => {
+    app.jamai.enable(['intent']);
+    app.jamai.on('intent', ({ input }) => (
+      /hoodie/i.test(input.message) ? { intent: 'general', confidence: 0.9 } : { intent: 'general', confidence: 0.2 }
+    ));
+
+    const sure = await send('Hoodie ada warna lain?');
+    assert.equal(sure.body.intent, 'general');
+
+    const unsure = await send('Boleh tolong saya dengan benda tu semalam');
+    assert.equal(unsure.body.intent, 'handoff');
+    assert.equal(unsure.body.metadata.handoff.reason, 'low_confidence');
+    assert.deepEqual(unsure.body.ai.steps, [{ step: 'intent', source: 'jamai' }]);
+  });
+
+  it('lists threads grouped by customer, newest first', async () => {
+    await send('Selamat pagi', '60111111111');
+    await send('Hi there', '60122222222');
+    await app.request('POST', '/api/messages/whatsapp', {
+      as: 'channel',
+      body: { message: 'Hello from email', phoneNumber: 'siti@example.com', channel: 'email' },
+    });
+
+    const { body } = await inbox('GET');
+    assert.deepEqual(body.data.map(({ threadId }) => threadId), [
+      'email:siti@example.com',
+      'whatsapp:60122222222',
+      'whatsapp:60111111111',
+    ]);
+    assert.equal(body.data[0].mode, 'bot');
+    assert.equal(body.data[0].lastMessage.direction, 'outbound');
+    assert.equal(body.data[0].awaitingReply, false);
+
+    const whatsappOnly = await inbox('GET', '?channel=whatsapp&limit=1');
+    assert.deepEqual(whatsappOnly.body.data.map(({ threadId }) => threadId), ['whatsapp:60122222222']);
+  });
+
+  it('lets staff take over, reply through the channel and hand back to the bot', async () => {
+    await send('Selamat pagi');
+
+    const taken = await inbox('POST', `/${THREAD}/takeover`, { note: 'VIP buyer' });
+    assert.equal(taken.status, 200);
+    assert.equal(taken.body.data.mode, 'human');
+    assert.equal(taken.body.data.assignedTo, 'staff-aina');
+
+    assert.equal((await send('Ada diskaun untuk 100 helai?')).body.reply, null);
+
+    const replied = await inbox('POST', `/${THREAD}/messages`, { message: 'Boleh, 10% untuk 100 helai.' });
+    assert.equal(replied.status, 201);
+    assert.equal(replied.body.providerMessageId, 'wamid.out.1');
+    assert.deepEqual(sent, [{ to: '60111111111', body: 'Boleh, 10% untuk 100 helai.', context: undefined }]);
+
+    const thread = await inbox('GET', `/${THREAD}`);
+    assert.deepEqual(
+      thread.body.data.messages.map(({ direction, intent }) => `${direction}:${intent || '-'}`),
+      ['inbound:-', 'outbound:general', 'inbound:-', 'outbound:manual'],
+    );
+    const manual = thread.body.data.messages[3];
+    assert.equal(manual.sentBy, 'staff-aina');
+    assert.equal(manual.providerMessageId, 'wamid.out.1');
+    assert.equal(thread.body.data.history[0].note, 'VIP buyer');
+
+    const released = await inbox('POST', `/${THREAD}/release`, {});
+    assert.equal(released.body.data.mode, 'bot');
+    assert.equal(released.body.data.assignedTo, null);
+    assert.deepEqual(
+      (await inbox('GET', `/${THREAD}`)).body.data.history.map(({ from, to, reason }) => [from, to, reason]),
+      [['bot', 'human', 'staff'], ['human', 'bot', 'released']],
+    );
+
+    const answered = await send('Terima kasih, selamat tinggal');
+    assert.equal(answered.body.intent, 'general');
+    assert.ok(answered.body.reply);
+  });
+
+  it('takes the conversation over when staff reply to a bot thread', async () => {
+    await send('Selamat pagi');
+    await inbox('POST', `/${THREAD}/messages`, { message: 'Hi, this is Aina from DalCo.' });
+
+    const { body } = await inbox('GET', `/${THREAD}`);
+    assert.equal(body.data.mode, 'human');
+    assert.equal(body.data.reason, 'staff');
+    assert.equal(body.data.awaitingReply, false);
+  });
+
+  it('finds the customer message behind a long run of staff replies', async () => {
+    await send('Selamat pagi');
+    const later = Date.now() + 1000;
+    await Promise.all(Array.from({ length: 60 }, (_, index) => db.collection('messages').add({
+      channel: 'whatsapp',
+      direction: 'outbound',
+      to: '60111111111',
+      threadId: THREAD,
+      content: `Update ${index + 1}`,
+      intent: 'manual',
+      createdAt: new Date(later + index),
+    })));
+
+    const { status } = await inbox('POST', `/${THREAD}/messages`, { message: 'One more update.' });
+    assert.equal(status, 201);
+    assert.equal((await inbox('POST', `/${THREAD}/release`, {})).status, 200);
+  });
+
+  it('reports replies the channel refuses', async () => {
+    await send('Selamat pagi');
+    failSends = true;
+
+    const { status, body } = await inbox('POST', `/${THREAD}/messages`, { message: 'Are you there?' });
+    assert.equal(status, 502);
+    assert.match(body.error, /not in allowed list/);
+
+    const failed = (await readCollection('messages')).find(({ intent }) => intent === 'manual');
+    assert.equal(failed.status, 'failed');
+  });
+
+  it('checks permissions and unknown threads', async () => {
+    assert.equal((await app.request('GET', '/api/inbox', { as: 'viewer' })).status, 403);
+    assert.equal((await app.request('GET', '/api/inbox', { as: 'staff' })).status, 200);
+    assert.equal((await inbox('GET', '/whatsapp:60999999999')).status, 404);
+    assert.equal((await inbox('POST', '/whatsapp:60999999999/takeover', {})).status, 404);
+    assert.equal((await inbox('POST', '/fax:123/messages', { message: 'hello' })).status, 404);
+    assert.equal((await inbox('POST', `/${THREAD}/messages`, { message: '' })).status, 400);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The client reads these when it loads, so they are set before the app starts.
+process.env.JAMAI_MAX_RETRIES = '1';
+process.env.JAMAI_BREAKER_THRESHOLD = '2';
+process.env.JAMAI_BREAKER_COOLDOWN_SECONDS = '0.2';
+
+const { startTestApp } = require('./support/harness');
+
+const unavailable = () => ({ status: 503, body: { detail: 'Service unavailable' } });
+
+describe('JamAI Base client', () => {
+  let app;
+  let detectIntent;
+  let getJamaiStats;
+
+  before(async () => {
+    app = await startTestApp();
+    // Loaded once the app has pointed JAMAI_BASE_URL at the mock.
+    ({ detectIntent, getJamaiStats } = require('../src/services/jamai.service'));
+  });
+
+  beforeEach(async () => {
+    await app.reset();
+    app.jamai.enable(['intent']);
+  });
+
+  after(() => app.close());
+
+  it('retries transient errors', async () => {
+    const start = getJamaiStats().tables.intent;
+    let attempts = 0;
+    app.jamai.on('intent', () => {
+      attempts += 1;
+      return attempts === 1 ? unavailable() : { intent: 'faq' };
+    });
+
+    assert.deepEqual(await detectIntent('When do you deliver?'), { intent: 'faq', source: 'jamai' });
+
+    const stats = getJamaiStats().tables.intent;
+    assert.equal(app.jamai.callsTo('intent').length, 2);
+    assert.equal(stats.retries - start.retries, 1);
+    assert.equal(stats.successes - start.successes, 1);
+  });
+
+  it('does not retry or trip the circuit on client errors', async () => {
+    // No handler, so the mock answers 404 for the table.
+    const result = await detectIntent('When do you deliver?');
+
+    assert.deepEqual(result, { intent: 'general', source: 'fallback', fallbackReason: 'error' });
+    assert.equal(app.jamai.callsTo('intent').length, 1);
+    assert.equal(getJamaiStats().tables.intent.lastError, 'HTTP 404');
+    assert.equal(getJamaiStats().circuit.consecutiveFailures, 0);
+  });
+
+  it('opens the circuit after repeated failures and closes it after a good trial', async () => {
+    app.jamai.on('intent', unavailable);
+
+    await detectIntent('hello');
+    await detectIntent('hello');
+    assert.equal(app.jamai.callsTo('intent').length, 4);
+    assert.equal(getJamaiStats().circuit.state, 'open');
+
+    const shortCircuited = await detectIntent('hello');
+    assert.deepEqual(shortCircuited, { intent: 'general', source: 'fallback', fallbackReason: 'circuit_open' });
+    assert.equal(app.jamai.callsTo('intent').length, 4);
+    assert.ok(getJamaiStats().tables.intent.fallbacks.circuit_open >= 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    app.jamai.on('intent', () => ({ intent: 'general' }));
+
+    assert.equal((await detectIntent('hello')).source, 'jamai');
+    assert.equal(getJamaiStats().circuit.state, 'closed');
+  });
+
+  it('reports table stats and the reply fallback rate in the system status', async () => {
+    app.jamai.enable(['intent', 'faq']);
+    app.jamai.on('intent', () => ({ intent: 'faq' }));
+    app.jamai.on('faq', ({ query }) => ({ answer: `Answer to: ${query}` }));
+
+    const reply = await app.request('POST', '/api/messages/whatsapp', {
+      as: 'channel',
+      body: { message: 'How long is delivery to Penang?', phoneNumber: '60111111111' },
+    });
+    assert.equal(reply.body.ai.source, 'jamai');
+
+    app.jamai.on('faq', () => ({}));
+    const fallback = await app.request('POST', '/api/messages/whatsapp', {
+      as: 'channel',
+      body: { message: 'What is your refund policy?', phoneNumber: '60111111111' },
+    });
+    assert.equal(fallback.body.ai.source, 'fallback');
+
+    const { status, body } = await app.request('GET', '/api/system/status', { as: 'viewer' });
+    assert.equal(status, 200);
+    const { circuit, tables, replies } = body.jamai;
+    assert.equal(circuit.state, 'closed');
+    assert.equal(tables.faq.tableType, 'knowledge');
+    assert.equal(tables.faq.configured, true);
+    assert.equal(tables.faq.fallbacks.empty, 1);
+    assert.equal(tables.order.configured, false);
+    assert.equal(typeof tables.intent.latency.averageMs, 'number');
+    assert.deepEqual([replies.jamai, replies.fallback, replies.none], [1, 1, 0]);
+    assert.equal(replies.fallbackRate, 0.5);
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/harness');
+const {
+  detectLanguage,
+  resolveReplyLocale,
+  translate,
+} = require('../src/services/language.service');
+
+describe('language', () => {
+  it('detects Malay, English, mixed and script-based languages', () => {
+    assert.equal(detectLanguage('Saya nak beli baju biru'), 'ms');
+    assert.equal(detectLanguage('Do you have this in blue please'), 'en');
+    assert.equal(detectLanguage('Can send tomorrow lah'), 'mixed');
+    assert.equal(detectLanguage('Boleh hantar ke address saya tak, I need it by Friday'), 'mixed');
+    assert.equal(detectLanguage('你好'), 'zh');
+    assert.equal(detectLanguage('ok'), 'unknown');
+  });
+
+  it('prefers a requested, then pinned, then detected locale', () => {
+    assert.equal(resolveReplyLocale({ requested: 'en', detected: 'ms' }), 'en');
+    assert.equal(resolveReplyLocale({ detected: 'en', preferred: 'ms', pinned: true }), 'ms');
+    assert.equal(resolveReplyLocale({ detected: 'en', preferred: 'ms' }), 'en');
+    assert.equal(resolveReplyLocale({ detected: 'unknown', preferred: 'en' }), 'en');
+    assert.equal(resolveReplyLocale({ detected: 'zh' }), 'ms');
+  });
+
+  it('fills templates and falls back to the default locale', () => {
+    assert.match(translate('en', 'rateLimit.throttled', { minutes: 2 }), /about 2 minute\(s\)/);
+    assert.equal(translate('zh', 'order.cancelled'), translate('ms', 'order.cancelled'));
+    assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/harness');
+
+describe('leads API', () => {
+  let app;
+
+  const createLead = (body, as = 'staff') => app.request('POST', '/api/leads', { as, body });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(() => app.reset());
+
+  after(() => app.close());
+
+  it('creates a lead with its first status history entry', async () => {
+    const { status, body } = await createLead({ customerName: 'Kedai Runcit Ali', phone: '+60111222333', score: 40 });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.status, 'new');
+    assert.equal(body.data.source, 'manual');
+    assert.equal(body.data.statusHistory.length, 1);
+    assert.equal(body.data.statusHistory[0].by, 'staff-client');
+
+    const fetched = await app.request('GET', `/api/leads/${body.id}`, { as: 'viewer' });
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.data.customerName, 'Kedai Runcit Ali');
+  });
+
+  it('needs a name, phone or email', async () => {
+    const { status, body } = await createLead({ notes: 'walk-in' });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'customerName, phone or email is required');
+  });
+
+  it('moves through the status lifecycle and rejects skipped steps', async () => {
+    const { body: created } = await createLead({ customerName: 'Butik Mawar' });
+    const update = (changes) => app.request('PATCH', `/api/leads/${created.id}`, { as: 'staff', body: changes });
+
+    const skipped = await update({ status: 'won' });
+    assert.equal(skipped.status, 409);
+    assert.deepEqual(skipped.body.details, { allowed: ['contacted', 'lost'] });
+
+    await update({ status: 'contacted', note: 'Called back' });
+    await update({ status: 'quoted', assignedTo: 'staff-7' });
+    const won = await update({ status: 'won' });
+
+    assert.equal(won.status, 200);
+    assert.equal(won.body.data.status, 'won');
+    assert.equal(won.body.data.assignedTo, 'staff-7');
+    assert.deepEqual(
+      won.body.data.statusHistory.map(({ from, to }) => [from, to]),
+      [[null, 'new'], ['new', 'contacted'], ['contacted', 'quoted'], ['quoted', 'won']],
+    );
+    assert.equal(won.body.data.statusHistory[1].note, 'Called back');
+
+    const final = await update({ status: 'lost' });
+    assert.equal(final.status, 409);
+  });
+
+  it('filters and pages through leads, newest first', async () => {
+    for (const name of ['A', 'B', 'C']) {
+      await createLead({ customerName: name, channel: 'whatsapp' });
+    }
+    await createLead({ customerName: 'D', channel: 'email' });
+
+    const first = await app.request('GET', '/api/leads?channel=whatsapp&limit=2', { as: 'viewer' });
+    assert.deepEqual(first.body.data.map(({ customerName }) => customerName), ['C', 'B']);
+    assert.ok(first.body.nextCursor);
+
+    const second = await app.request('GET', `/api/leads?channel=whatsapp&limit=2&cursor=${first.body.nextCursor}`, {
+      as: 'viewer',
+    });
+    assert.deepEqual(second.body.data.map(({ customerName }) => customerName), ['A']);
+    assert.equal(second.body.nextCursor, null);
+
+    const badCursor = await app.request('GET', '/api/leads?cursor=missing', { as: 'viewer' });
+    assert.equal(badCursor.status, 400);
+
+    const badStatus = await app.request('GET', '/api/leads?status=maybe', { as: 'viewer' });
+    assert.equal(badStatus.status, 400);
+    assert.equal(badStatus.body.details[0].path, 'status');
+  });
+
+  it('deletes leads for owners only', async () => {
+    const { body: created } = await createLead({ email: 'buyer@example.com' });
+
+    const forbidden = await app.request('DELETE', `/api/leads/${created.id}`, { as: 'staff' });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.required, 'leads:delete');
+
+    const deleted = await app.request('DELETE', `/api/leads/${created.id}`, { as: 'owner' });
+    assert.equal(deleted.status, 200);
+
+    const missing = await app.request('GET', `/api/leads/${created.id}`, { as: 'owner' });
+    assert.equal(missing.status, 404);
+  });
+
+  it('requires credentials and the write permission', async () => {
+    assert.equal((await app.request('GET', '/api/leads')).status, 401);
+    assert.equal((await createLead({ customerName: 'X' }, 'viewer')).status, 403);
+  });
+});
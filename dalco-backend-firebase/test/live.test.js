@@ -0,0 +1,206 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the live events service loads, so set before the app starts.
+process.env.LIVE_EVENTS_TOTALS_DELAY_MS = '0';
+
+const {
+  authHeaders,
+  db,
+  drainOutbox,
+  startTestApp,
+  waitFor,
+} = require('./support/harness');
+
+describe('live dashboard events', () => {
+  let app;
+  const streams = [];
+
+  // Opens /api/events and collects its events as { id, type, data }.
+  const openStream = async ({ as = 'viewer', headers = {} } = {}) => {
+    const controller = new AbortController();
+    const response = await fetch(`${app.baseUrl}/api/events`, {
+      headers: { ...authHeaders(as), ...headers },
+      signal: controller.signal,
+    });
+    const events = [];
+
+    const reading = (async () => {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      try {
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let end = buffer.indexOf('\n\n');
+          while (end !== -1) {
+            const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+              .filter((line) => line && !line.startsWith(':'))
+              .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            if (fields.event) {
+              events.push({ id: fields.id && Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+            }
+            buffer = buffer.slice(end + 2);
+            end = buffer.indexOf('\n\n');
+          }
+        }
+      } catch (error) {
+        // Aborted by close().
+      }
+    })();
+
+    const stream = {
+      response,
+      events,
+      next: (type, check = () => true) => waitFor(() => events.find((event) => event.type === type && check(event.data))),
+      close: async () => {
+        controller.abort();
+        await reading;
+      },
+    };
+    streams.push(stream);
+    return stream;
+  };
+
+  const send = (message, phoneNumber = '60111111111') => app.request('POST', '/api/messages/whatsapp', {
+    as: 'channel',
+    body: { message, phoneNumber, displayName: 'Aisyah' },
+  });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(() => app.reset());
+
+  after(async () => {
+    await Promise.all(streams.map((stream) => stream.close()));
+    await app.close();
+  });
+
+  it('requires the analytics:read permission', async () => {
+    const anonymous = await fetch(`${app.baseUrl}/api/events`);
+    assert.equal(anonymous.status, 401);
+
+    const channel = await app.request('GET', '/api/events', { as: 'channel' });
+    assert.equal(channel.status, 403);
+    assert.equal(channel.body.required, 'analytics:read');
+  });
+
+  it('opens with today\'s totals', async () => {
+    const stream = await openStream();
+
+    assert.equal(stream.response.status, 200);
+    assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+    assert.match(stream.response.headers.get('cache-control'), /no-transform/);
+
+    const totals = await stream.next('totals');
+    assert.equal(totals.id, undefined);
+    assert.match(totals.data.date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.deepEqual(
+      { ...totals.data, date: undefined },
+      { date: undefined, revenue: 0, units: 0, orders: 0, averageOrderValue: 0 },
+    );
+    await stream.close();
+  });
+
+  it('pushes inbound messages, confirmed orders and the new totals', async () => {
+    const stream = await openStream();
+    await stream.next('totals');
+
+    await send('Hi, is the grey hoodie available?');
+    const message = await stream.next('message', ({ content }) => content === 'Hi, is the grey hoodie available?');
+    assert.equal(message.data.channel, 'whatsapp');
+    assert.equal(message.data.threadId, 'whatsapp:60111111111');
+    assert.ok(message.id > 0);
+
+    await send('I want to order 2 hoodie grey L');
+    await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+    await send('yes');
+
+    const order = await stream.next('order');
+    assert.match(order.data.orderId, /^ORD-/);
+    assert.deepEqual(
+      order.data.rows.map(({ orderId, customerName, item, quantity }) => ({ orderId, customerName, item, quantity })),
+      [{ orderId: order.data.orderId, customerName: 'Aisyah', item: 'Hoodie', quantity: 2 }],
+    );
+
+    await drainOutbox();
+    const totals = await stream.next('totals', ({ orders }) => orders === 1);
+    assert.ok(totals.id > order.id);
+    assert.equal(totals.data.revenue, 90);
+    assert.equal(totals.data.units, 2);
+
+    assert.equal(stream.events.filter(({ type }) => type === 'message').length, 4);
+    await stream.close();
+  });
+
+  it('replays the events missed since Last-Event-ID', async () => {
+    const first = await openStream();
+    await send('First message before the disconnect');
+    const seen = await first.next('message', ({ content }) => content === 'First message before the disconnect');
+    await first.close();
+
+    await send('Second message while offline');
+
+    const second = await openStream({ headers: { 'Last-Event-ID': String(seen.id) } });
+    const replayed = await second.next('message', ({ content }) => content === 'Second message while offline');
+    assert.ok(replayed.id > seen.id);
+    assert.equal(second.events.some(({ id }) => id === seen.id), false);
+    await second.close();
+  });
+
+  it('follows Firestore for messages and orders from other instances', async () => {
+    const { startLiveEventListeners } = require('../src/services/liveEvents.service');
+    const stopListeners = startLiveEventListeners();
+    const stream = await openStream();
+
+    try {
+      const inbound = await db.collection('messages').add({
+        direction: 'inbound',
+        channel: 'instagram',
+        from: '17841400000000000',
+        threadId: 'instagram:17841400000000000',
+        content: 'Logged by another instance',
+        createdAt: new Date(),
+      });
+      await db.collection('messages').add({
+        direction: 'outbound',
+        channel: 'instagram',
+        content: 'A reply is not pushed',
+        createdAt: new Date(),
+      });
+      const message = await stream.next('message', ({ id }) => id === inbound.id);
+      assert.equal(message.data.channel, 'instagram');
+
+      const entry = db.collection('outbox').doc();
+      await entry.set({
+        type: 'appendOrder',
+        status: 'pending',
+        payload: {
+          orderId: 'ORD-REMOTE1',
+          customerName: 'Ben',
+          phoneNumber: '60122222222',
+          lineItems: [{ itemName: 'Polo Shirt', quantity: 1 }],
+          confirmedAt: new Date().toISOString(),
+        },
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+      const order = await stream.next('order', ({ orderId }) => orderId === 'ORD-REMOTE1');
+      assert.equal(order.data.rows[0].item, 'Polo Shirt');
+
+      const pushedTotals = () => stream.events.filter(({ type, id }) => type === 'totals' && id).length;
+      await waitFor(() => pushedTotals() === 1);
+
+      // Handled here as well: the pipeline and the listener report it once.
+      await send('Sent while the listeners run');
+      await waitFor(() => stream.events.some(({ data }) => data.content === 'Sent while the listeners run'));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(stream.events.filter(({ data }) => data.content === 'Sent while the listeners run').length, 1);
+      assert.equal(stream.events.some(({ data }) => data.content === 'A reply is not pushed'), false);
+    } finally {
+      stopListeners();
+      await stream.close();
+    }
+  });
+});
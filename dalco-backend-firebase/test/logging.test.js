@@ -0,0 +1,113 @@
+const { Writable } = require('stream');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { transports } = require('winston');
+
+// The format is picked when the logger loads, so it is set before the app starts.
+process.env.LOG_FORMAT = 'json';
+
+const { startTestApp } = require('./support/harness');
+const logger = require('../src/utils/logger');
+const { redactText, redactValue } = require('../src/utils/redact');
+
+describe('logging', () => {
+  let app;
+  let lines = [];
+  const originalTransports = [...logger.transports];
+
+  const capture = new transports.Stream({
+    stream: new Writable({
+      write(chunk, encoding, callback) {
+        lines.push(JSON.parse(chunk.toString()));
+        callback();
+      },
+    }),
+  });
+
+  before(async () => {
+    app = await startTestApp();
+    logger.clear().add(capture);
+    logger.silent = false;
+  });
+
+  beforeEach(async () => {
+    await app.reset();
+    lines = [];
+  });
+
+  after(() => {
+    logger.silent = true;
+    logger.clear();
+    originalTransports.forEach((transport) => logger.add(transport));
+    return app.close();
+  });
+
+  it('gives every response a request ID, keeping a valid one from the caller', async () => {
+    const generated = await app.request('GET', '/api/health');
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const kept = await app.request('GET', '/api/health', { headers: { 'X-Request-Id': 'edge-7f3a' } });
+    assert.equal(kept.headers.get('x-request-id'), 'edge-7f3a');
+
+    const replaced = await app.request('GET', '/api/health', { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('tags service and access log lines with the request ID and redacts them', async () => {
+    const { status } = await app.request('POST', '/api/blocklist', {
+      as: 'staff',
+      headers: { 'X-Request-Id': 'req-block-1' },
+      body: { type: 'sender', value: '60123456789', reason: 'spam' },
+    });
+    assert.equal(status, 201);
+
+    const blocked = lines.find(({ message }) => message.startsWith('Blocked sender'));
+    assert.equal(blocked.requestId, 'req-block-1');
+    assert.equal(blocked.message, 'Blocked sender ***6789 (spam)');
+
+    const access = lines.find(({ message }) => message.includes('POST /api/blocklist'));
+    assert.equal(access.requestId, 'req-block-1');
+    assert.equal(access.level, 'info');
+
+    const raw = JSON.stringify(lines);
+    assert.doesNotMatch(raw, /60123456789/);
+    assert.doesNotMatch(raw, /staff-test-key/);
+  });
+
+  it('keeps concurrent requests apart', async () => {
+    await Promise.all(['req-a', 'req-b', 'req-c'].map((requestId) => app.request('GET', '/api/leads', {
+      as: 'staff',
+      headers: { 'X-Request-Id': requestId },
+    })));
+
+    ['req-a', 'req-b', 'req-c'].forEach((requestId) => {
+      const access = lines.filter((line) => line.requestId === requestId);
+      assert.equal(access.length, 1);
+      assert.match(access[0].message, /GET \/api\/leads/);
+    });
+  });
+
+  it('masks personal data and secrets in text and metadata', () => {
+    assert.equal(
+      redactText('Reply to +60123456789 and ben@example.com with Bearer eyJhbGciOi.eyJ1aWQiOi.c2lnbmF0dXJl'),
+      'Reply to ***6789 and [email] with Bearer [REDACTED]',
+    );
+    assert.equal(redactText('GET /api/customers/%2B60198765432'), 'GET /api/customers/***5432');
+    assert.equal(redactText('key owner-test-key rejected'), 'key [REDACTED] rejected');
+    assert.equal(redactText('Order ORD-LX2A9K on 2026-01-07, 12 units'), 'Order ORD-LX2A9K on 2026-01-07, 12 units');
+
+    assert.deepEqual(redactValue({
+      orderId: 'ORD-1',
+      customerName: 'Siti Aminah',
+      lineItems: [{ quantity: 2, deliveryAddress: '12 Jalan Ampang' }],
+      note: 'call 0123456789',
+      phone: null,
+    }), {
+      orderId: 'ORD-1',
+      customerName: '[REDACTED]',
+      lineItems: [{ quantity: 2, deliveryAddress: '[REDACTED]' }],
+      note: 'call ***6789',
+      phone: null,
+    });
+  });
+});
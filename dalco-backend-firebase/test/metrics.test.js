@@ -0,0 +1,104 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { sheets, startTestApp } = require('./support/harness');
+
+// The value of one series in a Prometheus text exposition, or undefined.
+const sample = (text, name, labels = {}) => {
+  const pairs = Object.entries(labels).map(([label, value]) => `${label}="${value}"`);
+  const series = pairs.length ? `${name}{${pairs.join(',')}}` : name;
+  const line = text.split('\n').find((entry) => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+describe('Prometheus metrics', () => {
+  let app;
+  let resetMetrics;
+
+  const scrape = async () => {
+    const { status, headers, body } = await app.request('GET', '/api/metrics', { as: 'monitor' });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return body;
+  };
+
+  const send = (message) => app.request('POST', '/api/messages/whatsapp', {
+    as: 'channel',
+    body: { message, phoneNumber: '60111111111', displayName: 'Aisyah' },
+  });
+
+  before(async () => {
+    app = await startTestApp();
+    ({ resetMetrics } = require('../src/utils/metrics'));
+  });
+
+  beforeEach(async () => {
+    await app.reset();
+    resetMetrics();
+  });
+
+  after(() => app.close());
+
+  it('requires the metrics:read permission', async () => {
+    assert.equal((await app.request('GET', '/api/metrics')).status, 401);
+
+    const viewer = await app.request('GET', '/api/metrics', { as: 'viewer' });
+    assert.equal(viewer.status, 403);
+    assert.equal(viewer.body.required, 'metrics:read');
+
+    assert.equal((await app.request('GET', '/api/metrics', { as: 'owner' })).status, 200);
+  });
+
+  it('counts HTTP requests by route pattern and status', async () => {
+    await app.request('GET', '/api/leads', { as: 'staff' });
+    await app.request('GET', '/api/leads/lead-1', { as: 'staff' });
+    await app.request('GET', '/api/leads/lead-2', { as: 'staff' });
+    await app.request('GET', '/api/nothing-here');
+
+    const text = await scrape();
+    assert.match(text, /# TYPE dalco_http_requests_total counter/);
+    assert.equal(sample(text, 'dalco_http_requests_total', { method: 'GET', route: '/api/leads', status: 200 }), 1);
+    assert.equal(sample(text, 'dalco_http_requests_total', { method: 'GET', route: '/api/leads/:id', status: 404 }), 2);
+    assert.equal(sample(text, 'dalco_http_requests_total', { method: 'GET', route: 'unmatched', status: 404 }), 1);
+    assert.equal(sample(text, 'dalco_http_request_duration_seconds_count', { method: 'GET', route: '/api/leads/:id' }), 2);
+    assert.equal(
+      sample(text, 'dalco_http_request_duration_seconds_bucket', { method: 'GET', route: '/api/leads/:id', le: '+Inf' }),
+      2,
+    );
+  });
+
+  it('counts messages, orders, replies and calls to the integrations', async () => {
+    app.jamai.enable(['intent']);
+    app.jamai.on('intent', ({ input }) => ({ intent: /order/.test(input.message) ? 'order' : 'general' }));
+
+    await send('Selamat pagi');
+    await send('I want to order 2 hoodie grey L');
+    await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+    await send('yes');
+
+    const text = await scrape();
+    assert.equal(sample(text, 'dalco_messages_processed_total', { channel: 'whatsapp', intent: 'general' }), 1);
+    assert.equal(sample(text, 'dalco_messages_processed_total', { channel: 'whatsapp', intent: 'order' }), 3);
+    assert.equal(sample(text, 'dalco_orders_created_total', { channel: 'whatsapp' }), 1);
+    assert.equal(sample(text, 'dalco_jamai_requests_total', { table: 'intent', outcome: 'success' }), 2);
+    assert.equal(sample(text, 'dalco_jamai_request_duration_seconds_count', { table: 'intent' }), 2);
+    assert.equal(sample(text, 'dalco_jamai_fallbacks_total', { table: 'order', reason: 'not_configured' }), 1);
+    assert.equal(sample(text, 'dalco_replies_total', { source: 'fallback' }), 1);
+    assert.equal(sample(text, 'dalco_jamai_circuit_state', { state: 'closed' }), 1);
+    assert.equal(sample(text, 'dalco_jamai_circuit_state', { state: 'open' }), 0);
+    assert.ok(sample(text, 'dalco_sheets_requests_total', { method: 'get', sheet: 'Inventory', outcome: 'success' }) > 0);
+  });
+
+  it('counts failed Sheets calls and message log writes', async () => {
+    const store = require('../src/services/stores/googleSheets.store');
+    const { updateMessage } = require('../src/services/conversation.service');
+
+    sheets.failNext(1);
+    await assert.rejects(store.readOrders());
+    await updateMessage('no-such-message', { status: 'read' });
+
+    const text = await scrape();
+    assert.equal(sample(text, 'dalco_sheets_requests_total', { method: 'get', sheet: 'Orders', outcome: 'error' }), 1);
+    assert.equal(sample(text, 'dalco_sheets_request_duration_seconds_count', { method: 'get', sheet: 'Orders' }), 1);
+    assert.equal(sample(text, 'dalco_firestore_write_failures_total', { operation: 'update_message' }), 1);
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Short backoff so failed outbox entries are retried within a test.
+process.env.OUTBOX_BACKOFF_BASE_SECONDS = '0.001';
+
+const {
+  sheets,
+  drainOutbox,
+  readCollection,
+  startTestApp,
+} = require('./support/harness');
+
+const PHONE = '60123456789';
+
+describe('orders API', () => {
+  let app;
+
+  const send = (message) => app.request('POST', '/api/messages/whatsapp', {
+    as: 'channel',
+    body: { message, phoneNumber: PHONE, displayName: 'Siti Aminah' },
+  });
+
+  const orders = (method, path = '', body, as = 'staff') => app.request(method, `/api/orders${path}`, { as, body });
+
+  const stockOf = (sku) => Number(sheets.rows('Inventory').find(([rowSku]) => rowSku === sku)[4]);
+  const orderRows = () => sheets.rows('Orders').slice(1);
+
+  const createHoodieOrder = () => orders('POST', '', {
+    customerName: 'Butik Mawar',
+    phoneNumber: '60177777777',
+    deliveryAddress: '5 Jalan Bunga, Melaka',
+    lineItems: [{ sku: 'HD-GRY-L', quantity: 4 }],
+  });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(() => app.reset());
+
+  after(() => app.close());
+
+  it('stores orders confirmed in a conversation with their number and messages', async () => {
+    await send('I want to order 2 hoodie grey L');
+    await send('No 8, Jalan Tun Razak, Kuala Lumpur');
+    const confirmed = await send('yes');
+
+    const { orderId, orderNumber } = confirmed.body.metadata.order;
+    assert.equal(orderId, 'ORD-00001');
+    assert.equal(orderNumber, 1);
+    assert.match(confirmed.body.reply, /ORD-00001/);
+
+    const { body } = await orders('GET', `/${orderId}`);
+    assert.equal(body.data.status, 'confirmed');
+    assert.equal(body.data.source, 'conversation');
+    assert.equal(body.data.threadId, `whatsapp:${PHONE}`);
+    assert.deepEqual(body.data.totals, { units: 2, amount: 90 });
+    assert.equal(body.data.stockCommitted, true);
+
+    const inbound = (await readCollection('messages')).filter(({ direction }) => direction === 'inbound');
+    assert.deepEqual([...body.data.sourceMessageIds].sort(), inbound.map(({ id }) => id).sort());
+
+    await drainOutbox();
+    assert.deepEqual(orderRows().map((row) => [row[3], row[7], row[8]]), [['Hoodie', orderId, 'confirmed']]);
+
+    const list = await orders('GET', '?status=confirmed', undefined, 'viewer');
+    assert.deepEqual(list.body.data.map(({ id }) => id), [orderId]);
+  });
+
+  it('takes a manual order through its lifecycle and mirrors it to the sheet', async () => {
+    const created = await createHoodieOrder();
+    assert.equal(created.status, 201);
+    assert.equal(created.body.id, 'ORD-00001');
+    assert.equal(created.body.data.status, 'pending');
+    assert.deepEqual(created.body.data.lineItems, [{
+      itemName: 'Hoodie',
+      sku: 'HD-GRY-L',
+      attributes: { color: 'Grey', size: 'L' },
+      quantity: 4,
+      unitPrice: 45,
+    }]);
+
+    const edited = await orders('PATCH', '/ORD-00001', { notes: 'Gift wrap' });
+    assert.equal(edited.body.data.notes, 'Gift wrap');
+
+    // Pending orders hold no stock and are not in the order log.
+    await drainOutbox();
+    assert.equal(stockOf('HD-GRY-L'), 25);
+    assert.deepEqual(orderRows(), []);
+
+    const confirmed = await orders('POST', '/ORD-00001/status', { status: 'confirmed', note: 'Paid by transfer' });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.data.stockCommitted, true);
+    assert.equal(stockOf('HD-GRY-L'), 21);
+
+    await orders('POST', '/ORD-00001/status', { status: 'packed' });
+    await orders('POST', '/ORD-00001/status', { status: 'shipped' });
+    const late = await orders('POST', '/ORD-00001/status', { status: 'cancelled' });
+    assert.equal(late.status, 409);
+    assert.deepEqual(late.body.details.allowed, ['delivered']);
+
+    await drainOutbox();
+    assert.deepEqual(orderRows().map((row) => [row[6], row[7], row[8]]), [['Gift wrap', 'ORD-00001', 'shipped']]);
+
+    const { body } = await orders('GET', '/ORD-00001');
+    assert.deepEqual(
+      body.data.statusHistory.map(({ from, to }) => [from, to]),
+      [[null, 'pending'], ['pending', 'confirmed'], ['confirmed', 'packed'], ['packed', 'shipped']],
+    );
+    assert.equal(body.data.statusHistory[1].note, 'Paid by transfer');
+    assert.equal(body.data.statusHistory[1].by, 'staff-client');
+  });
+
+  it('puts the stock back and leaves cancelled orders out of the sales figures', async () => {
+    await orders('POST', '', {
+      customerName: 'Butik Mawar',
+      phoneNumber: '60177777777',
+      channel: 'whatsapp',
+      lineItems: [{ sku: 'HD-GRY-L', quantity: 4 }],
+    });
+    const confirmed = await orders('POST', '/ORD-00001/status', { status: 'confirmed' });
+    await drainOutbox();
+    assert.equal((await app.request('GET', '/api/analytics/overview', { as: 'viewer' })).body.data.totals.orders, 1);
+    const [customer] = await readCollection('customers');
+    assert.equal(customer.orderCount, 1);
+    assert.equal(customer.lifetimeValue, confirmed.body.data.totals.amount);
+
+    // The first tries of the sheet update and the restock fail, so the stock is not back yet.
+    sheets.failNext(2);
+    const cancelled = await orders('POST', '/ORD-00001/status', { status: 'cancelled', note: 'Customer changed their mind' });
+    assert.equal(cancelled.status, 200);
+    assert.equal((await orders('DELETE', '/ORD-00001', undefined, 'owner')).status, 409);
+
+    // The stock goes back through the outbox, so a failed store write is retried.
+    await drainOutbox();
+    assert.equal(stockOf('HD-GRY-L'), 25);
+    assert.equal((await orders('GET', '/ORD-00001')).body.data.stockCommitted, false);
+    assert.equal(orderRows()[0][8], 'cancelled');
+    const { totals } = (await app.request('GET', '/api/analytics/overview', { as: 'viewer' })).body.data;
+    assert.equal(totals.orders, 0);
+    assert.equal(totals.revenue, 0);
+
+    const [profile] = await readCollection('customers');
+    assert.equal(profile.orderCount, 0);
+    assert.equal(profile.lifetimeValue, 0);
+    assert.equal(profile.orders[0].cancelled, true);
+    assert.equal((await orders('DELETE', '/ORD-00001', undefined, 'owner')).status, 200);
+  });
+
+  it('numbers orders in sequence and refuses what the lifecycle does not allow', async () => {
+    await createHoodieOrder();
+    const second = await orders('POST', '', {
+      customerName: 'Ben',
+      lineItems: [{ itemName: 'Polo Shirt', attributes: { color: 'Navy', size: 'M' }, quantity: 100 }],
+    });
+    assert.equal(second.body.id, 'ORD-00002');
+    assert.deepEqual(second.body.data.totals, { units: 100, amount: 2200 });
+
+    const shortage = await orders('POST', '/ORD-00002/status', { status: 'confirmed' });
+    assert.equal(shortage.status, 409);
+    assert.deepEqual(shortage.body.details.shortages, [{ sku: 'PL-NVY-M', requested: 100, available: 60 }]);
+    assert.equal(stockOf('PL-NVY-M'), 60);
+
+    const unknown = await orders('POST', '', { customerName: 'Ben', lineItems: [{ itemName: 'Spaceship', quantity: 1 }] });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(unknown.body.details.items, ['Spaceship']);
+
+    await orders('POST', '/ORD-00001/status', { status: 'confirmed' });
+    assert.equal((await orders('PATCH', '/ORD-00001', { notes: 'Too late' })).status, 409);
+    assert.equal((await orders('DELETE', '/ORD-00001', undefined, 'owner')).status, 409);
+    assert.equal((await orders('POST', '/ORD-00001/status', { status: 'pending' })).status, 409);
+    assert.equal((await orders('POST', '/ORD-00001/status', { status: 'lost' })).status, 400);
+
+    assert.equal((await orders('DELETE', '/ORD-00002', undefined, 'staff')).status, 403);
+    assert.equal((await orders('DELETE', '/ORD-00002', undefined, 'owner')).status, 200);
+    assert.equal((await orders('GET', '/ORD-00002')).status, 404);
+    assert.equal((await orders('POST', '', { customerName: 'Ben', lineItems: [] }, 'viewer')).status, 403);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Short backoff and attempt budget so retries and dead letters happen within a test.
+process.env.OUTBOX_BACKOFF_BASE_SECONDS = '0.001';
+process.env.OUTBOX_MAX_ATTEMPTS = '3';
+
+const {
+  db,
+  sheets,
+  drainOutbox,
+  startTestApp,
+} = require('./support/harness');
+
+const ORDER = {
+  orderId: 'ORD-TEST1',
+  customerName: 'Siti Aminah',
+  phoneNumber: '60123456789',
+  deliveryAddress: '12 Jalan Ampang, Kuala Lumpur',
+  lineItems: [{ itemName: 'Hoodie', quantity: 2 }],
+  confirmedAt: '2025-01-07T02:00:00.000Z',
+};
+
+describe('outbox', () => {
+  let app;
+  let outbox;
+
+  const orderRows = () => sheets.rows('Orders').slice(1);
+  const stockOf = (sku) => Number(sheets.rows('Inventory').find(([rowSku]) => rowSku === sku)[4]);
+
+  before(async () => {
+    app = await startTestApp();
+    outbox = require('../src/services/outbox.service');
+  });
+
+  beforeEach(() => app.reset());
+
+  after(() => app.close());
+
+  it('retries a failed Sheets write until it lands', async () => {
+    sheets.failNext(1);
+    await outbox.enqueueOrderWrite(ORDER);
+    await drainOutbox();
+
+    const { body } = await app.request('GET', '/api/outbox/order-ORD-TEST1', { as: 'staff' });
+    assert.equal(body.data.status, 'done');
+    assert.equal(body.data.attempts, 2);
+    assert.equal(body.data.lastError, null);
+    assert.equal(orderRows().length, 1);
+  });
+
+  it('enqueues each order once', async () => {
+    await outbox.enqueueOrderWrite(ORDER);
+    await outbox.enqueueOrderWrite(ORDER);
+    await drainOutbox();
+
+    assert.equal(orderRows().length, 1);
+  });
+
+  it('moves an entry to dead letters and replays it', async () => {
+    sheets.failNext(3);
+    await outbox.enqueueOrderWrite(ORDER);
+    await drainOutbox();
+
+    const dead = await app.request('GET', '/api/outbox?status=dead', { as: 'staff' });
+    assert.equal(dead.body.data.length, 1);
+    assert.equal(dead.body.data[0].attempts, 3);
+    assert.equal(dead.body.data[0].lastError, 'The service is currently unavailable.');
+    assert.deepEqual(orderRows(), []);
+
+    const staffReplay = await app.request('POST', '/api/outbox/replay', { as: 'staff' });
+    assert.equal(staffReplay.status, 403);
+
+    const replay = await app.request('POST', '/api/outbox/replay', { as: 'owner' });
+    assert.deepEqual(replay.body.replayed, ['order-ORD-TEST1']);
+    await drainOutbox();
+
+    const { body } = await app.request('GET', '/api/outbox/order-ORD-TEST1', { as: 'staff' });
+    assert.equal(body.data.status, 'done');
+    assert.equal(body.data.replayedBy, 'owner-client');
+    assert.equal(orderRows().length, 1);
+
+    const again = await app.request('POST', '/api/outbox/order-ORD-TEST1/replay', { as: 'owner' });
+    assert.equal(again.status, 409);
+  });
+
+  it('returns the stock of a cancelled order once', async () => {
+    const orders = (path, body) => app.request('POST', `/api/orders${path}`, { as: 'staff', body });
+    await orders('', { customerName: 'Ben', lineItems: [{ sku: 'HD-GRY-L', quantity: 4 }] });
+    await orders('/ORD-00001/status', { status: 'confirmed' });
+    await drainOutbox();
+    assert.equal(stockOf('HD-GRY-L'), 21);
+
+    // The first restock attempt fails and is retried from the start.
+    sheets.failNext(1);
+    await orders('/ORD-00001/status', { status: 'cancelled' });
+    await drainOutbox();
+    assert.equal(stockOf('HD-GRY-L'), 25);
+
+    // A repeat after the stock moved (say the process died before the order
+    // was updated) finishes the order without returning the stock again.
+    await db.collection('orders').doc('ORD-00001').update({ stockCommitted: true });
+    await outbox.enqueue('restockOrder', { orderId: 'ORD-00001' }, { id: 'order-ORD-00001-restock-again' });
+    await drainOutbox();
+
+    const { body } = await app.request('GET', '/api/outbox/order-ORD-00001-restock-again', { as: 'staff' });
+    assert.deepEqual(body.data.result, { orderId: 'ORD-00001', restocked: false });
+    assert.equal(stockOf('HD-GRY-L'), 25);
+    assert.equal((await db.collection('orders').doc('ORD-00001').get()).data().stockCommitted, false);
+  });
+
+  it('returns 404 for unknown entries', async () => {
+    const { status } = await app.request('GET', '/api/outbox/order-missing', { as: 'staff' });
+
+    assert.equal(status, 404);
+  });
+});
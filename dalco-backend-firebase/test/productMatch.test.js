@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SEED_INVENTORY } = require('./support/harness');
+const {
+  parseProductQuery,
+  matchProduct,
+  refineProductQuery,
+} = require('../src/services/productMatch.service');
+
+describe('product matching', () => {
+  it('parses Malay and English product phrases', () => {
+    assert.deepEqual(parseProductQuery('baju-T biru M'), {
+      nameTokens: ['tshirt'],
+      nameText: 'baju t',
+      color: 'blue',
+      size: 'M',
+    });
+  });
+
+  it('tolerates typos and translated colours', () => {
+    const { available, item } = matchProduct(SEED_INVENTORY, {
+      itemName: 'hodie',
+      attributes: { color: 'kelabu', size: 'L' },
+      quantity: 2,
+    });
+
+    assert.equal(available, true);
+    assert.equal(item.sku, 'HD-GRY-L');
+  });
+
+  it('offers in-stock variants when the match is out of stock', () => {
+    const { available, item, alternatives } = matchProduct(SEED_INVENTORY, {
+      itemName: 'tshirt',
+      attributes: { color: 'white', size: 'XL' },
+      quantity: 5,
+    });
+
+    assert.equal(available, false);
+    assert.equal(item.sku, 'TS-WHT-XL');
+    assert.ok(alternatives.length > 0);
+    assert.ok(alternatives.every(({ name, stock }) => name === 'Cotton T-Shirt' && stock >= 5));
+  });
+
+  it('applies a colour or size follow-up to the previous query', () => {
+    const previous = { itemName: 'Cotton T-Shirt', attributes: { color: 'blue', size: 'M' }, quantity: 3 };
+
+    assert.deepEqual(refineProductQuery(previous, 'hitam L'), {
+      itemName: 'Cotton T-Shirt',
+      attributes: { color: 'black', size: 'L' },
+      quantity: 3,
+    });
+    assert.equal(refineProductQuery(previous, 'ok thanks'), null);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Limits are read when the service loads, so they are set before the app starts.
+process.env.RATE_LIMIT_SENDER = '2/60';
+process.env.RATE_LIMIT_INSIGHTS = '1/3600';
+process.env.TRUST_PROXY = '1';
+
+const { readCollection, startTestApp } = require('./support/harness');
+const en = require('../src/locales/en.json');
+
+describe('rate limits and blocklist', () => {
+  let app;
+  let sender = 0;
+
+  // Counters live in memory for the whole file, so each test uses new senders.
+  const nextPhone = () => {
+    sender += 1;
+    return `6019000000${sender}`;
+  };
+
+  // Distinct texts, since identical ones from a sender are treated as redeliveries.
+  let count = 0;
+  const message = (phoneNumber) => {
+    count += 1;
+    return app.request('POST', '/api/messages/whatsapp', {
+      as: 'channel',
+      body: { message: `Hello, what are your delivery times? (${count})`, phoneNumber },
+    });
+  };
+
+  const block = (body) => app.request('POST', '/api/blocklist', { as: 'staff', body });
+
+  const unblock = (id) => app.request('DELETE', `/api/blocklist/${encodeURIComponent(id)}`, { as: 'staff' });
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(() => app.reset());
+
+  after(() => app.close());
+
+  it('throttles a sender with one notice per window', async () => {
+    const phone = nextPhone();
+    await message(phone);
+    await message(phone);
+
+    const notice = await message(phone);
+    assert.equal(notice.body.intent, 'throttled');
+    assert.equal(notice.body.reply, en['rateLimit.throttled'].replace('{{minutes}}', '1'));
+    assert.equal(notice.body.metadata.rateLimited, 'throttled');
+
+    const silent = await message(phone);
+    assert.equal(silent.body.reply, null);
+
+    const other = await message(nextPhone());
+    assert.equal(other.body.intent, 'faq');
+  });
+
+  it('drops messages from blocked senders until unblocked', async () => {
+    const phone = nextPhone();
+    const { status, body } = await block({ type: 'sender', value: phone, reason: 'spam' });
+    assert.equal(status, 201);
+    assert.equal(body.data.id, `sender:${phone}`);
+    assert.equal(body.data.createdBy, 'staff-client');
+
+    const dropped = await message(phone);
+    assert.equal(dropped.body.intent, 'blocked');
+    assert.equal(dropped.body.reply, null);
+    assert.deepEqual(await readCollection('messages'), []);
+
+    const list = await app.request('GET', '/api/blocklist', { as: 'staff' });
+    assert.deepEqual(list.body.data.map(({ id, active }) => [id, active]), [[`sender:${phone}`, true]]);
+
+    assert.equal((await unblock(`sender:${phone}`)).status, 200);
+    assert.equal((await message(phone)).body.intent, 'faq');
+    assert.equal((await unblock(`sender:${phone}`)).status, 404);
+  });
+
+  it('ignores expired blocks', async () => {
+    const phone = nextPhone();
+    await block({ type: 'sender', value: phone, expiresAt: '2020-01-01T00:00:00.000Z' });
+
+    assert.equal((await message(phone)).body.intent, 'faq');
+    await unblock(`sender:${phone}`);
+  });
+
+  it('blocks API callers by IP', async () => {
+    const fromIp = { 'X-Forwarded-For': '203.0.113.9' };
+    await block({ type: 'ip', value: '203.0.113.9' });
+
+    const blocked = await app.request('GET', '/api/leads', { as: 'staff', headers: fromIp });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.error, 'Access blocked');
+
+    const health = await app.request('GET', '/api/health', { headers: fromIp });
+    assert.equal(health.status, 200);
+
+    await unblock('ip:203.0.113.9');
+    assert.equal((await app.request('GET', '/api/leads', { as: 'staff', headers: fromIp })).status, 200);
+  });
+
+  it('limits insight runs per client', async () => {
+    const first = await app.request('POST', '/api/analytics/insights', { as: 'staff', body: {} });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '1');
+    assert.equal(first.headers.get('ratelimit-remaining'), '0');
+
+    const second = await app.request('POST', '/api/analytics/insights', { as: 'staff', body: {} });
+    assert.equal(second.status, 429);
+    // Windows are fixed (aligned to the clock), so up to an hour remains.
+    const retryAfter = Number(second.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 3600);
+    assert.equal(second.body.error, 'Too many requests');
+
+    // Other clients have their own budget.
+    assert.equal((await app.request('POST', '/api/analytics/insights', { as: 'owner', body: {} })).status, 200);
+  });
+
+  it('validates blocklist entries', async () => {
+    const { status, body } = await block({ type: 'phone', value: '60123' });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].path, 'type');
+  });
+});
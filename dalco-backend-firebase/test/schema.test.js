@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateValue } = require('../src/utils/schema');
+
+const schema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 5 },
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    active: { type: 'boolean' },
+    status: { type: 'string', enum: ['new', 'won'] },
+    from: { type: 'string', format: 'date-time' },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    note: { type: 'string', nullable: true },
+  },
+  required: ['name'],
+  additionalProperties: false,
+};
+
+describe('schema validation', () => {
+  it('accepts valid values unchanged', () => {
+    const value = { name: 'Ali', limit: 10, tags: ['a'], note: null };
+
+    assert.deepEqual(validateValue(schema, value), { value, errors: [] });
+  });
+
+  it('reports every problem with its path', () => {
+    const { errors } = validateValue(schema, {
+      name: '',
+      limit: 0,
+      status: 'lost',
+      from: 'yesterday',
+      tags: ['a', 2, 'c'],
+      extra: true,
+    });
+
+    assert.deepEqual(errors, [
+      { path: 'name', message: 'must not be empty' },
+      { path: 'limit', message: 'must be at least 1' },
+      { path: 'status', message: 'must be one of: new, won' },
+      { path: 'from', message: 'must be a valid date-time' },
+      { path: 'tags', message: 'must have at most 2 items' },
+      { path: 'tags[1]', message: 'must be a string' },
+      { path: 'extra', message: 'is not allowed' },
+    ]);
+  });
+
+  it('coerces query string values when asked', () => {
+    const { value, errors } = validateValue(schema, { name: 'Ali', limit: '20', active: 'true' }, { coerce: true });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: 'Ali', limit: 20, active: true });
+
+    assert.deepEqual(validateValue(schema, { name: 'Ali', limit: '20' }).errors, [
+      { path: 'limit', message: 'must be an integer' },
+    ]);
+  });
+
+  it('requires fields and rejects null unless nullable', () => {
+    assert.deepEqual(validateValue(schema, { limit: null }).errors, [
+      { path: 'name', message: 'is required' },
+      { path: 'limit', message: 'must not be null' },
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The file store resolves its paths when it loads.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dalco-stores-'));
+process.env.FILE_STORE_INVENTORY_PATH = path.join(tmpDir, 'inventory.csv');
+process.env.FILE_STORE_ORDERS_PATH = path.join(tmpDir, 'orders.json');
+
+const {
+  SEED_INVENTORY,
+  db,
+  sheets,
+  resetFirestore,
+  seedSpreadsheet,
+} = require('./support/harness');
+
+const ROW = {
+  timestamp: '2025-01-07T02:00:00.000Z',
+  customerName: 'Siti Aminah',
+  phone: '60123456789',
+  item: 'Hoodie',
+  quantity: 2,
+  address: '12 Jalan Ampang, Kuala Lumpur',
+  notes: '',
+  orderId: 'ORD-1',
+};
+
+// Every data store implements the interface in src/services/stores/index.js;
+// `reset` puts each backend back to the seed inventory and no orders.
+const STORES = {
+  sheets: {
+    load: () => require('../src/services/stores/googleSheets.store'),
+    reset: async () => sheets.reset(seedSpreadsheet()),
+  },
+  firestore: {
+    load: () => require('../src/services/stores/firestore.store'),
+    reset: async () => {
+      await resetFirestore();
+      const batch = db.batch();
+      SEED_INVENTORY.forEach((item) => batch.set(db.collection('inventory').doc(item.sku), item));
+      await batch.commit();
+    },
+  },
+  file: {
+    load: () => require('../src/services/stores/file.store'),
+    reset: async () => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      fs.mkdirSync(tmpDir);
+    },
+  },
+};
+
+Object.entries(STORES).forEach(([name, { load, reset }]) => {
+  describe(`${name} data store`, () => {
+    const store = load();
+
+    beforeEach(reset);
+
+    it('reads the inventory', async () => {
+      // Stores may add their own fields (e.g. the sheet row number).
+      const pick = ({ sku, name: itemName, color, size, stock, price }) => ({
+        sku, name: itemName, color, size, stock, price,
+      });
+      const bySku = (a, b) => a.sku.localeCompare(b.sku);
+
+      assert.deepEqual((await store.readInventory()).map(pick).sort(bySku), [...SEED_INVENTORY].sort(bySku));
+    });
+
+    it('adjusts stock and refuses to go below zero', async () => {
+      assert.equal(await store.adjustInventoryStock('HD-GRY-L', -5), 20);
+      await assert.rejects(store.adjustInventoryStock('HD-GRY-L', -50), /cannot take 50/);
+      assert.equal(await store.adjustInventoryStock('HD-GRY-L', 3), 23);
+
+      const hoodie = (await store.readInventory()).find(({ sku }) => sku === 'HD-GRY-L');
+      assert.equal(hoodie.stock, 23);
+
+      await assert.rejects(store.adjustInventoryStock('NOPE', 1), /SKU NOPE not found/);
+    });
+
+    it('appends and reads order rows', async () => {
+      await store.appendOrderRows([ROW, { ...ROW, item: 'Polo Shirt', quantity: 1 }]);
+
+      // Rows sharing a timestamp have no set order in Firestore.
+      const orders = (await store.readOrders()).sort((a, b) => a.item.localeCompare(b.item));
+      assert.deepEqual(
+        orders.map(({ item, quantity, orderId }) => [item, quantity, orderId]),
+        [['Hoodie', 2, 'ORD-1'], ['Polo Shirt', 1, 'ORD-1']],
+      );
+      assert.equal(orders[0].customerName, 'Siti Aminah');
+    });
+
+    it('updates the status of every row of an order', async () => {
+      await store.appendOrderRows([
+        { ...ROW, status: 'confirmed' },
+        { ...ROW, item: 'Polo Shirt', status: 'confirmed' },
+        { ...ROW, orderId: 'ORD-2', status: 'confirmed' },
+      ]);
+
+      assert.equal(await store.updateOrderStatus('ORD-1', 'shipped'), 2);
+      assert.equal(await store.updateOrderStatus('ORD-404', 'shipped'), 0);
+
+      const statuses = (await store.readOrders()).map(({ orderId, status }) => `${orderId}:${status}`).sort();
+      assert.deepEqual(statuses, ['ORD-1:shipped', 'ORD-1:shipped', 'ORD-2:confirmed']);
+    });
+  });
+});
+
+describe('sheets order rows', () => {
+  const store = require('../src/services/stores/googleSheets.store');
+
+  beforeEach(() => sheets.reset(seedSpreadsheet()));
+
+  it('writes customer text as plain values, never formulas', async () => {
+    await store.appendOrderRows([{ ...ROW, notes: '=HYPERLINK("http://evil.example","Invoice")', status: 'confirmed' }]);
+    await store.updateOrderStatus('ORD-1', 'shipped');
+
+    const writes = sheets.calls.filter(({ method }) => method === 'append' || method === 'update');
+    assert.deepEqual(writes.map(({ valueInputOption }) => valueInputOption), ['RAW', 'RAW']);
+    assert.equal((await store.readOrders())[0].notes, '=HYPERLINK("http://evil.example","Invoice")');
+  });
+});
+
+describe('rate limit stores', () => {
+  ['memory', 'firestore'].forEach((name) => {
+    it(`${name} counts hits per key and window`, async () => {
+      await resetFirestore();
+      const store = require(`../src/services/rateLimitStores/${name}.store`);
+
+      const first = await store.increment(`test:${name}`, 60000);
+      const second = await store.increment(`test:${name}`, 60000);
+      const other = await store.increment(`other:${name}`, 60000);
+
+      assert.equal(first.count, 1);
+      assert.equal(second.count, 2);
+      assert.equal(other.count, 1);
+      assert.equal(first.resetAt % 60000, 0);
+      assert.ok(first.resetAt > Date.now());
+    });
+  });
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
@@ -0,0 +1,608 @@
+const crypto = require('crypto');
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+
+// In-memory stand-in for the parts of the Firestore Admin API the app uses:
+// documents, queries (where/orderBy/limit/startAfter), transactions, batches
+// and the serverTimestamp/arrayUnion/arrayRemove/increment/delete transforms.
+// Values come back the way Firestore returns them (Dates as Timestamps), and
+// transactions run one at a time, so read-modify-write code sees no races.
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const autoId = () => Array.from(crypto.randomBytes(20), (byte) => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+
+const notFound = (path) => Object.assign(new Error(`5 NOT_FOUND: No document to update: ${path}`), { code: 5 });
+
+const isTransform = (value) => value instanceof FieldValue;
+
+const isPlainObject = (value) => Boolean(value)
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !(value instanceof Timestamp)
+  && !isTransform(value);
+
+// Dates become Timestamps and undefined fields are dropped (the app sets
+// ignoreUndefinedProperties).
+const toStored = (value) => {
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toStored);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, toStored(entry)]));
+  }
+  return value;
+};
+
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+// ---------------------------------------------------------------- ordering
+
+// Firestore orders values of different types by type first.
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Timestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 6;
+  return 7;
+};
+
+const compareValues = (a, b) => {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference) {
+    return rankDifference;
+  }
+  if (a instanceof Timestamp) {
+    return a.toMillis() - b.toMillis();
+  }
+  if (typeof a === 'number' || typeof a === 'boolean') {
+    return Number(a) - Number(b);
+  }
+  if (typeof a === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+      const difference = compareValues(a[i], b[i]);
+      if (difference) {
+        return difference;
+      }
+    }
+    return a.length - b.length;
+  }
+  return 0;
+};
+
+const valuesEqual = (a, b) => {
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => valuesEqual(a[key], b[key]));
+  }
+  return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+};
+
+// ------------------------------------------------------------ field paths
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce(
+  (value, key) => (isPlainObject(value) ? value[key] : undefined),
+  data,
+);
+
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    return target[key];
+  }, data);
+
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+};
+
+let lastCommitMicros = 0;
+
+// Server timestamps have microsecond precision and increase with every write,
+// so documents written one after another never tie on them.
+const commitTime = () => {
+  lastCommitMicros = Math.max(Date.now() * 1000, lastCommitMicros + 1);
+  return new Timestamp(Math.floor(lastCommitMicros / 1e6), (lastCommitMicros % 1e6) * 1000);
+};
+
+// Resolves a field transform against the field's current value; `now` is the
+// commit time. Returns undefined for FieldValue.delete().
+const applyTransform = (transform, current, now) => {
+  switch (transform.methodName) {
+    case 'FieldValue.serverTimestamp':
+      return now;
+    case 'FieldValue.arrayUnion': {
+      const existing = Array.isArray(current) ? [...current] : [];
+      transform.elements.map(toStored).forEach((element) => {
+        if (!existing.some((entry) => valuesEqual(entry, element))) {
+          existing.push(element);
+        }
+      });
+      return existing;
+    }
+    case 'FieldValue.arrayRemove': {
+      const removed = transform.elements.map(toStored);
+      return (Array.isArray(current) ? current : [])
+        .filter((entry) => !removed.some((element) => valuesEqual(entry, element)));
+    }
+    case 'FieldValue.increment':
+      return (typeof current === 'number' ? current : 0) + transform.operand;
+    case 'FieldValue.delete':
+      return undefined;
+    default:
+      throw new Error(`Fake Firestore does not support ${transform.methodName}`);
+  }
+};
+
+// Writes `data` into `target`, merging nested maps when `merge` is set.
+const writeFields = (target, data, { merge, now, prefix = '' }) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+
+    const fieldPath = `${prefix}${key}`;
+    if (isTransform(value)) {
+      setField(target, fieldPath, applyTransform(value, getField(target, fieldPath), now));
+    } else if (merge && isPlainObject(value)) {
+      if (!isPlainObject(getField(target, fieldPath))) {
+        setField(target, fieldPath, {});
+      }
+      writeFields(target, value, { merge, now, prefix: `${fieldPath}.` });
+    } else {
+      setField(target, fieldPath, toStored(value));
+    }
+  });
+};
+
+// ---------------------------------------------------------------- snapshots
+
+class DocumentSnapshot {
+  constructor(ref, data, { createTime, updateTime } = {}) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.createTime = createTime;
+    this.updateTime = updateTime;
+    this.readTime = Timestamp.now();
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(query, docs, changes) {
+    this.query = query;
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+    this.readTime = Timestamp.now();
+    this._changes = changes;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+
+  // Outside a listener every document counts as added, as in Firestore.
+  docChanges() {
+    return this._changes || this.docs.map((doc, newIndex) => ({ type: 'added', doc, oldIndex: -1, newIndex }));
+  }
+}
+
+// ---------------------------------------------------------------- references
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this.firestore, `${this.path}/${collectionPath}`);
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+
+  async create(data) {
+    await this.firestore._commit([{ type: 'create', ref: this, data }]);
+    return { writeTime: Timestamp.now() };
+  }
+
+  async set(data, options = {}) {
+    await this.firestore._commit([{ type: 'set', ref: this, data, options }]);
+    return { writeTime: Timestamp.now() };
+  }
+
+  async update(data) {
+    await this.firestore._commit([{ type: 'update', ref: this, data }]);
+    return { writeTime: Timestamp.now() };
+  }
+
+  async delete() {
+    await this.firestore._commit([{ type: 'delete', ref: this }]);
+    return { writeTime: Timestamp.now() };
+  }
+}
+
+const FILTERS = {
+  '==': (value, operand) => value !== undefined && valuesEqual(value, operand),
+  '!=': (value, operand) => value !== undefined && value !== null && !valuesEqual(value, operand),
+  '<': (value, operand) => typeRank(value) === typeRank(operand) && compareValues(value, operand) < 0,
+  '<=': (value, operand) => typeRank(value) === typeRank(operand) && compareValues(value, operand) <= 0,
+  '>': (value, operand) => typeRank(value) === typeRank(operand) && compareValues(value, operand) > 0,
+  '>=': (value, operand) => typeRank(value) === typeRank(operand) && compareValues(value, operand) >= 0,
+  in: (value, operand) => value !== undefined && operand.some((entry) => valuesEqual(value, entry)),
+  'not-in': (value, operand) => value !== undefined && value !== null
+    && !operand.some((entry) => valuesEqual(value, entry)),
+  'array-contains': (value, operand) => Array.isArray(value) && value.some((entry) => valuesEqual(entry, operand)),
+  'array-contains-any': (value, operand) => Array.isArray(value)
+    && value.some((entry) => operand.some((candidate) => valuesEqual(entry, candidate))),
+};
+
+class Query {
+  constructor(firestore, collectionPath, options = {}) {
+    this.firestore = firestore;
+    this._collectionPath = collectionPath;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._startAfter = options.startAfter;
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this._collectionPath, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      ...changes,
+    });
+  }
+
+  where(fieldPath, op, value) {
+    if (!FILTERS[op]) {
+      throw new Error(`Fake Firestore does not support the "${op}" filter`);
+    }
+    return this._with({ filters: [...this._filters, { fieldPath, op, value: toStored(value) }] });
+  }
+
+  orderBy(fieldPath, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { fieldPath, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  // Takes a document snapshot, or one value per orderBy() field.
+  startAfter(...cursor) {
+    const [first] = cursor;
+    const values = first instanceof DocumentSnapshot
+      ? [...this._orders.map(({ fieldPath }) => first.get(fieldPath)), first.id]
+      : cursor.map(toStored);
+    return this._with({ startAfter: values });
+  }
+
+  _compare(a, b) {
+    for (const { fieldPath, direction } of this._orders) {
+      const difference = compareValues(getField(a.data, fieldPath), getField(b.data, fieldPath));
+      if (difference) {
+        return direction === 'desc' ? -difference : difference;
+      }
+    }
+    // Firestore breaks ties by document ID, in the direction of the last ordering.
+    const descending = this._orders[this._orders.length - 1]?.direction === 'desc';
+    const difference = a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    return descending ? -difference : difference;
+  }
+
+  _isAfterCursor(entry) {
+    const values = this._startAfter;
+
+    for (let i = 0; i < this._orders.length && i < values.length; i += 1) {
+      const { fieldPath, direction } = this._orders[i];
+      const difference = compareValues(getField(entry.data, fieldPath), values[i]);
+      if (difference) {
+        return direction === 'desc' ? difference < 0 : difference > 0;
+      }
+    }
+
+    if (values.length > this._orders.length) {
+      const cursorId = values[this._orders.length];
+      const descending = this._orders[this._orders.length - 1]?.direction === 'desc';
+      return descending ? entry.id < cursorId : entry.id > cursorId;
+    }
+    return false;
+  }
+
+  _run() {
+    let entries = this.firestore._documentsIn(this._collectionPath)
+      .filter(({ data }) => this._filters.every(({ fieldPath, op, value }) => (
+        FILTERS[op](getField(data, fieldPath), value)
+      )))
+      // Documents without an orderBy() field are left out, as in Firestore.
+      .filter(({ data }) => this._orders.every(({ fieldPath }) => getField(data, fieldPath) !== undefined))
+      .sort((a, b) => this._compare(a, b));
+
+    if (this._startAfter) {
+      entries = entries.filter((entry) => this._isAfterCursor(entry));
+    }
+    if (this._limit !== undefined) {
+      entries = entries.slice(0, this._limit);
+    }
+
+    return new QuerySnapshot(this, entries.map(({ path }) => (
+      this.firestore._snapshot(new DocumentReference(this.firestore, path))
+    )));
+  }
+
+  async get() {
+    return this._run();
+  }
+
+  // Delivers the current results, then a snapshot after every commit that
+  // changes them. Both arrive asynchronously, as from Firestore.
+  onSnapshot(onNext, onError) {
+    return this.firestore._listen(this, onNext, onError);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(documentPath = autoId()) {
+    return new DocumentReference(this.firestore, `${this.path}/${documentPath}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return this.firestore._documentsIn(this.path).map(({ path }) => new DocumentReference(this.firestore, path));
+  }
+}
+
+// ------------------------------------------------------------ writes
+
+class WriteBatch {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this._writes = [];
+  }
+
+  create(ref, data) {
+    this._writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    await this.firestore._commit(this._writes);
+    return this._writes.map(() => ({ writeTime: Timestamp.now() }));
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    if (this._writes.length) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => this.get(ref)));
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this._documents = new Map();
+    this._transactionQueue = Promise.resolve();
+    this._listeners = new Set();
+  }
+
+  settings() {}
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(documentPath) {
+    return new DocumentReference(this, documentPath);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Runs transactions one after another, so the reads inside one can never go
+  // stale before its writes are applied.
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      await this._commit(transaction._writes);
+      return result;
+    });
+
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  _snapshot(ref) {
+    const stored = this._documents.get(ref.path);
+    return new DocumentSnapshot(ref, stored?.data, stored);
+  }
+
+  _documentsIn(collectionPath) {
+    const depth = collectionPath.split('/').length + 1;
+
+    return [...this._documents.entries()]
+      .filter(([path]) => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+      .map(([path, { data }]) => ({ path, id: path.split('/').pop(), data }));
+  }
+
+  _listen(query, onNext, onError) {
+    const listener = { query, onNext, onError, previous: null };
+    this._listeners.add(listener);
+    setImmediate(() => this._notify(listener));
+    return () => this._listeners.delete(listener);
+  }
+
+  _notify(listener) {
+    if (!this._listeners.has(listener)) {
+      return;
+    }
+
+    try {
+      const { docs } = listener.query._run();
+      const previous = listener.previous || new Map();
+      const current = new Map(docs.map((doc, index) => [doc.ref.path, { doc, index }]));
+
+      const changes = [
+        ...[...previous].filter(([path]) => !current.has(path))
+          .map(([, { doc, index }]) => ({ type: 'removed', doc, oldIndex: index, newIndex: -1 })),
+        ...docs.flatMap((doc, newIndex) => {
+          const before = previous.get(doc.ref.path);
+          if (!before) {
+            return [{ type: 'added', doc, oldIndex: -1, newIndex }];
+          }
+          return before.doc.updateTime.isEqual(doc.updateTime)
+            ? []
+            : [{ type: 'modified', doc, oldIndex: before.index, newIndex }];
+        }),
+      ];
+
+      const first = !listener.previous;
+      listener.previous = current;
+      if (first || changes.length) {
+        listener.onNext(new QuerySnapshot(listener.query, docs, changes));
+      }
+    } catch (error) {
+      if (listener.onError) {
+        listener.onError(error);
+      }
+    }
+  }
+
+  // Checks every write first, so a failing batch changes nothing.
+  async _commit(writes) {
+    writes.forEach(({ type, ref }) => {
+      if (type === 'update' && !this._documents.has(ref.path)) {
+        throw notFound(ref.path);
+      }
+      if (type === 'create' && this._documents.has(ref.path)) {
+        throw Object.assign(new Error(`6 ALREADY_EXISTS: Document already exists: ${ref.path}`), { code: 6 });
+      }
+    });
+
+    const now = commitTime();
+
+    writes.forEach(({ type, ref, data, options = {} }) => {
+      const existing = this._documents.get(ref.path);
+
+      if (type === 'delete') {
+        this._documents.delete(ref.path);
+        return;
+      }
+
+      const next = type === 'update' || options.merge ? clone(existing?.data || {}) : {};
+
+      if (type === 'update') {
+        Object.entries(data).forEach(([fieldPath, value]) => {
+          const current = getField(next, fieldPath);
+          setField(next, fieldPath, isTransform(value) ? applyTransform(value, current, now) : toStored(value));
+        });
+      } else {
+        writeFields(next, data, { merge: Boolean(options.merge), now });
+      }
+
+      this._documents.set(ref.path, {
+        data: next,
+        createTime: existing?.createTime || now,
+        updateTime: now,
+      });
+    });
+
+    this._listeners.forEach((listener) => setImmediate(() => this._notify(listener)));
+  }
+
+  // Drops every document (between tests). Listeners stay attached.
+  reset() {
+    this._documents.clear();
+    this._listeners.forEach((listener) => {
+      listener.previous = new Map();
+    });
+  }
+}
+
+const createFakeFirestore = () => new FakeFirestore();
+
+module.exports = {
+  createFakeFirestore,
+};
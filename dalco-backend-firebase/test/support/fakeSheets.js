@@ -0,0 +1,148 @@
+const { google } = require('googleapis');
+
+// In-memory spreadsheet behind `google.sheets()`, covering the values.get,
+// values.update and values.append calls the Sheets store makes. Cells are kept
+// as written and read back as strings, like the API's formatted values.
+
+const columnIndex = (letters) => [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// "Inventory!A2:F" -> { sheetName, startRow: 1, startColumn: 0, endRow: undefined, endColumn: 5 } (0-based).
+const parseA1 = (range) => {
+  const [sheetName, cells = 'A1:ZZ'] = range.split('!');
+  const [start, end = start] = cells.split(':');
+  const [, startLetters, startRow] = start.match(/^([A-Z]+)(\d*)$/);
+  const [, endLetters, endRow] = end.match(/^([A-Z]+)(\d*)$/);
+
+  return {
+    sheetName,
+    startRow: startRow ? Number(startRow) - 1 : 0,
+    startColumn: columnIndex(startLetters),
+    endRow: endRow ? Number(endRow) - 1 : undefined,
+    endColumn: columnIndex(endLetters),
+  };
+};
+
+const isBlankRow = (row = []) => row.every((cell) => cell === undefined || cell === null || cell === '');
+
+const createFakeSpreadsheet = (initialSheets = {}) => {
+  let sheets = {};
+  const calls = [];
+  const failures = [];
+
+  const reset = (seed = initialSheets) => {
+    sheets = Object.fromEntries(Object.entries(seed).map(([name, rows]) => [name, rows.map((row) => [...row])]));
+    calls.length = 0;
+    failures.length = 0;
+  };
+
+  const getSheet = (sheetName) => {
+    if (!sheets[sheetName]) {
+      throw Object.assign(new Error(`Unable to parse range: ${sheetName}`), { code: 400 });
+    }
+    return sheets[sheetName];
+  };
+
+  // Every call is recorded; a queued failure is thrown instead of running it.
+  const track = (method, params, run) => {
+    calls.push({ method, ...params });
+    const failure = failures.shift();
+    if (failure) {
+      return Promise.reject(failure);
+    }
+    return Promise.resolve().then(run);
+  };
+
+  const lastDataRow = (rows) => {
+    let last = rows.length - 1;
+    while (last >= 0 && isBlankRow(rows[last])) {
+      last -= 1;
+    }
+    return last;
+  };
+
+  const writeRows = (rows, rowIndex, columnIndexStart, values) => {
+    values.forEach((valueRow, offset) => {
+      const row = rows[rowIndex + offset] || [];
+      valueRow.forEach((value, column) => {
+        row[columnIndexStart + column] = value;
+      });
+      rows[rowIndex + offset] = row;
+    });
+  };
+
+  const values = {
+    get: (params) => track('get', params, () => {
+      const { sheetName, startRow, startColumn, endRow, endColumn } = parseA1(params.range);
+      const rows = getSheet(sheetName);
+      const last = Math.min(lastDataRow(rows), endRow ?? Infinity);
+      const selected = rows
+        .slice(startRow, last + 1)
+        .map((row = []) => row.slice(startColumn, endColumn + 1).map((cell) => (cell === undefined || cell === null ? '' : String(cell))))
+        .map((row) => {
+          while (row.length && row[row.length - 1] === '') {
+            row.pop();
+          }
+          return row;
+        });
+
+      return {
+        data: {
+          range: params.range,
+          majorDimension: 'ROWS',
+          ...(selected.length && { values: selected }),
+        },
+      };
+    }),
+
+    update: (params) => track('update', params, () => {
+      const { sheetName, startRow, startColumn } = parseA1(params.range);
+      writeRows(getSheet(sheetName), startRow, startColumn, params.requestBody.values);
+      return { data: { updatedRange: params.range, updatedRows: params.requestBody.values.length } };
+    }),
+
+    // Appends below the last row with data in the sheet.
+    append: (params) => track('append', params, () => {
+      const { sheetName, startRow, startColumn } = parseA1(params.range);
+      const rows = getSheet(sheetName);
+      const rowIndex = Math.max(startRow, lastDataRow(rows) + 1);
+      writeRows(rows, rowIndex, startColumn, params.requestBody.values);
+      return { data: { updates: { updatedRows: params.requestBody.values.length } } };
+    }),
+  };
+
+  reset();
+
+  return {
+    client: { spreadsheets: { values } },
+    calls,
+    reset,
+    // Every row of a sheet, header included.
+    rows: (sheetName) => getSheet(sheetName).map((row) => [...row]),
+    // Makes the next `count` API calls fail with `error` (e.g. an outage).
+    failNext: (count = 1, error = Object.assign(new Error('The service is currently unavailable.'), { code: 503 })) => {
+      failures.push(...Array.from({ length: count }, () => error));
+    },
+  };
+};
+
+class FakeJWT {
+  constructor(email, keyFile, key, scopes) {
+    Object.assign(this, { email, key, scopes });
+  }
+
+  async authorize() {
+    return { access_token: 'fake-access-token', token_type: 'Bearer' };
+  }
+}
+
+// Points googleapis at the fake spreadsheet. The Sheets store creates its
+// client lazily, so this only has to run before the first store call.
+const installFakeSheets = (spreadsheet) => {
+  google.auth.JWT = FakeJWT;
+  google.sheets = () => spreadsheet.client;
+};
+
+module.exports = {
+  createFakeSpreadsheet,
+  installFakeSheets,
+};
@@ -0,0 +1,255 @@
+const path = require('path');
+const Module = require('module');
+const { createLocalToken } = require('../../src/services/auth.service');
+const { createFakeFirestore } = require('./fakeFirestore');
+const { createFakeSpreadsheet, installFakeSheets } = require('./fakeSheets');
+const { startMockJamai } = require('./mockJamai');
+
+// Shared set-up for the suites. Requiring this file configures the process for
+// tests; `startTestApp()` then loads the app against local stand-ins:
+//   - Firestore: the in-memory fake, or the emulator when FIRESTORE_EMULATOR_HOST is set
+//   - Google Sheets: an in-memory spreadsheet seeded from data/seed/inventory.json
+//   - JamAI Base: a local HTTP server (tables off until `jamai.enable()`)
+// Each test file runs in its own process, so env set before `startTestApp()`
+// (e.g. rate limits) applies to that file only.
+
+const SRC_DIR = path.join(__dirname, '../../src');
+const SEED_INVENTORY = require('../../data/seed/inventory.json');
+
+const API_KEYS = {
+  owner: 'owner-test-key',
+  staff: 'staff-test-key',
+  viewer: 'viewer-test-key',
+  channel: 'channel-test-key',
+  monitor: 'monitor-test-key',
+};
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  AUTH_VERIFIER: 'local',
+  LOCAL_AUTH_SECRET: 'test-secret',
+  API_KEYS: Object.entries(API_KEYS).map(([role, key]) => `${role}-client:${key}:${role}`).join(','),
+  DATA_STORE: 'sheets',
+  GOOGLE_SERVICE_ACCOUNT_EMAIL: 'dalco-test@example.iam.gserviceaccount.com',
+  GOOGLE_PRIVATE_KEY: 'test-private-key',
+  GOOGLE_SHEETS_SPREADSHEET_ID: 'test-spreadsheet',
+  JAMAI_API_KEY: 'test-jamai-key',
+  JAMAI_RETRY_BASE_MS: '1',
+  INVENTORY_CACHE_TTL_SECONDS: '0',
+  ORDERS_CACHE_TTL_SECONDS: '0',
+  OUTBOX_POLL_SECONDS: '0',
+  RATE_LIMIT_STORE: 'memory',
+  RATE_LIMIT_SENDER: 'off',
+  RATE_LIMIT_IP: 'off',
+  RATE_LIMIT_CLIENT: 'off',
+  RATE_LIMIT_INSIGHTS: 'off',
+  WHATSAPP_SENDER: 'log',
+  INSTAGRAM_SENDER: 'log',
+  EMAIL_SENDER: 'log',
+};
+
+Object.entries(TEST_ENV).forEach(([name, value]) => {
+  if (process.env[name] === undefined) {
+    process.env[name] = value;
+  }
+});
+// Set per test through `jamai.enable()`.
+Object.keys(process.env).filter((name) => /^JAMAI_.*_TABLE_ID$/.test(name)).forEach((name) => {
+  delete process.env[name];
+});
+
+// Quiet unless LOG_LEVEL is set for debugging.
+require('../../src/utils/logger').silent = !process.env.LOG_LEVEL;
+
+// ---------------------------------------------------------------- Firestore
+
+const useEmulator = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+let fakeDb;
+
+if (useEmulator) {
+  // config/firebase.js falls back to default credentials, which the emulator accepts.
+  process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-dalco';
+  delete process.env.FIREBASE_SERVICE_ACCOUNT_PATH;
+  delete process.env.FIREBASE_PROJECT_ID;
+} else {
+  // Registered in the module cache in place of config/firebase.js, so the app
+  // never initialises firebase-admin.
+  fakeDb = createFakeFirestore();
+  const configPath = require.resolve(path.join(SRC_DIR, 'config/firebase'));
+  const stub = new Module(configPath, module);
+  stub.filename = configPath;
+  stub.loaded = true;
+  stub.exports = {
+    admin: null,
+    db: fakeDb,
+    auth: null,
+    storage: null,
+    firebaseApp: null,
+  };
+  require.cache[configPath] = stub;
+}
+
+const { db } = require('../../src/config/firebase');
+
+const resetFirestore = async () => {
+  if (!useEmulator) {
+    fakeDb.reset();
+    return;
+  }
+
+  const url = `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${process.env.GCLOUD_PROJECT}/databases/(default)/documents`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`Emulator reset failed: ${response.status}`);
+  }
+};
+
+// ---------------------------------------------------------------- Sheets
+
+const INVENTORY_HEADER = ['SKU', 'Name', 'Colour', 'Size', 'Stock', 'Price'];
+const ORDERS_HEADER = ['Timestamp', 'Customer', 'Phone', 'Item', 'Quantity', 'Address', 'Notes', 'Order ID', 'Status'];
+
+const inventoryRows = (inventory) => inventory.map(({ sku, name, color, size, stock, price }) => (
+  [sku, name, color, size, stock, price]
+));
+
+// `inventory` replaces the seed catalogue; `orders` are Orders rows in sheet column order.
+const seedSpreadsheet = ({ inventory = SEED_INVENTORY, orders = [] } = {}) => ({
+  Inventory: [INVENTORY_HEADER, ...inventoryRows(inventory)],
+  Orders: [ORDERS_HEADER, ...orders],
+});
+
+const sheets = createFakeSpreadsheet(seedSpreadsheet());
+installFakeSheets(sheets);
+
+// ---------------------------------------------------------------- helpers
+
+const authHeaders = (role) => ({ 'X-API-Key': API_KEYS[role] });
+
+const bearer = (claims, options) => ({ Authorization: `Bearer ${createLocalToken(claims, options)}` });
+
+// Stores confirmed orders in `orders` the way the order service does, keyed by
+// `orderId`; `confirmedAt` takes an ISO string (null for a pending order).
+const seedOrders = async (orders) => {
+  await Promise.all(orders.map((order) => db.collection('orders').doc(order.orderId).set({
+    status: 'confirmed',
+    notes: '',
+    stockCommitted: true,
+    ...order,
+    confirmedAt: order.confirmedAt ? new Date(order.confirmedAt) : null,
+    createdAt: order.confirmedAt ? new Date(order.confirmedAt) : new Date(),
+  })));
+};
+
+// Reads a collection as plain JSON (Timestamps as ISO strings), in ID order.
+const readCollection = async (name) => {
+  const { serializeDoc } = require('../../src/utils/firestore');
+  const snapshot = await db.collection(name).get();
+  return snapshot.docs.map(serializeDoc).sort((a, b) => (a.id < b.id ? -1 : 1));
+};
+
+// Polls until `check` returns a truthy value (work the app finishes after responding).
+const waitFor = async (check, { timeoutMs = 2000, intervalMs = 10 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+};
+
+// Runs the outbox until no entry is waiting. The app also starts a run after
+// each enqueue, so a run may already be in progress.
+const drainOutbox = () => waitFor(async () => {
+  const { processOutbox } = require('../../src/services/outbox.service');
+  if ((await processOutbox()).skipped) {
+    return false;
+  }
+  const entries = await readCollection('outbox');
+  return entries.every(({ status }) => status === 'done' || status === 'dead');
+});
+
+const parseBody = async (response) => {
+  const type = response.headers.get('content-type') || '';
+  if (type.includes('application/json')) {
+    return response.json();
+  }
+  if (type.startsWith('text/')) {
+    return response.text();
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Starts the app on a free port with a running JamAI mock. Returns a `request`
+// helper: request('POST', '/api/leads', { as: 'staff', body }).
+const startTestApp = async () => {
+  const jamai = await startMockJamai();
+  process.env.JAMAI_BASE_URL = jamai.url;
+
+  const { createApp } = require('../../src/app');
+  const server = createApp().listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, urlPath, {
+    as,
+    body,
+    headers = {},
+    raw,
+  } = {}) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(as && authHeaders(as)),
+        ...(body !== undefined && raw === undefined && { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      body: raw ?? (body === undefined ? undefined : JSON.stringify(body)),
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: await parseBody(response),
+    };
+  };
+
+  return {
+    baseUrl,
+    request,
+    jamai,
+    // Clears Firestore, re-seeds the spreadsheet and turns JamAI off.
+    reset: async (spreadsheet) => {
+      await resetFirestore();
+      sheets.reset(seedSpreadsheet(spreadsheet));
+      jamai.reset();
+      jamai.disable();
+    },
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await jamai.close();
+    },
+  };
+};
+
+module.exports = {
+  API_KEYS,
+  SEED_INVENTORY,
+  db,
+  sheets,
+  authHeaders,
+  bearer,
+  drainOutbox,
+  readCollection,
+  resetFirestore,
+  seedOrders,
+  seedSpreadsheet,
+  startTestApp,
+  waitFor,
+};
@@ -0,0 +1,99 @@
+const http = require('http');
+
+// Local JamAI Base API: answers `POST /v1/tables/{type}/{id}/invoke` from
+// per-table handlers and records every call. `enable()` points the app's
+// table-ID env vars at it; without them jamai.service uses its fallbacks.
+
+const TABLES = {
+  intent: { env: 'JAMAI_INTENT_ACTION_TABLE_ID', type: 'action', id: 'test-intent' },
+  faq: { env: 'JAMAI_FAQ_KNOWLEDGE_TABLE_ID', type: 'knowledge', id: 'test-faq' },
+  inventory: { env: 'JAMAI_INVENTORY_ACTION_TABLE_ID', type: 'action', id: 'test-inventory' },
+  order: { env: 'JAMAI_ORDER_ACTION_TABLE_ID', type: 'action', id: 'test-order' },
+  analytics: { env: 'JAMAI_ANALYTICS_GENERATIVE_TABLE_ID', type: 'generative', id: 'test-analytics' },
+};
+
+const INVOKE_PATH = /^\/v1\/tables\/(action|knowledge|generative)\/([^/]+)\/invoke$/;
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : null);
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const startMockJamai = async () => {
+  const calls = [];
+  const handlers = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const match = req.method === 'POST' && req.url.match(INVOKE_PATH);
+    if (!match) {
+      return send(res, 404, { detail: 'Not found' });
+    }
+
+    const [, tableType, tableId] = match;
+    const call = {
+      tableType,
+      tableId,
+      authorization: req.headers.authorization,
+      body: await readJson(req).catch(() => null),
+    };
+    calls.push(call);
+
+    const table = Object.keys(TABLES).find((name) => TABLES[name].id === tableId);
+    const handler = handlers.get(table);
+    if (!handler) {
+      return send(res, 404, { detail: `Table "${tableId}" not found` });
+    }
+
+    try {
+      const result = await handler(call.body, call);
+      return result?.status ? send(res, result.status, result.body ?? {}) : send(res, 200, result ?? {});
+    } catch (error) {
+      return send(res, 500, { detail: error.message });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/v1`,
+    calls,
+    // Sets the table-ID env vars for `tables` (default: all of them).
+    enable: (tables = Object.keys(TABLES)) => tables.forEach((name) => {
+      process.env[TABLES[name].env] = TABLES[name].id;
+    }),
+    disable: () => Object.values(TABLES).forEach(({ env }) => delete process.env[env]),
+    // `handler(body, call)` returns the response body, or `{ status, body }`.
+    on: (table, handler) => {
+      handlers.set(table, handler);
+    },
+    // Calls made to one table.
+    callsTo: (table) => calls.filter(({ tableId }) => tableId === TABLES[table].id),
+    reset: () => {
+      calls.length = 0;
+      handlers.clear();
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  JAMAI_TABLES: TABLES,
+  startMockJamai,
+};
@@ -0,0 +1,70 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/harness');
+
+describe('system endpoints', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(() => app.reset());
+
+  after(() => app.close());
+
+  it('reports health without credentials', async () => {
+    const { status, body } = await app.request('GET', '/api/health');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.services.firestore, 'connected');
+  });
+
+  it('reports configuration to viewers and deep checks to owners', async () => {
+    const shallow = await app.request('GET', '/api/system/status', { as: 'viewer' });
+    assert.equal(shallow.status, 200);
+    assert.equal(shallow.body.deepChecks, null);
+    assert.ok(shallow.body.config);
+    assert.equal(shallow.body.jamai.circuit.state, 'closed');
+    assert.equal(shallow.body.jamai.tables.intent.configured, false);
+
+    const forbidden = await app.request('GET', '/api/system/status?deep=true', { as: 'viewer' });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.required, 'system:deep');
+
+    app.jamai.enable(['intent']);
+    app.jamai.on('intent', () => ({ intent: 'general' }));
+
+    const deep = await app.request('GET', '/api/system/status?deep=true', { as: 'owner' });
+    const { firestore, jamai, dataStore } = deep.body.deepChecks;
+    assert.equal(firestore.healthy, true);
+    assert.deepEqual(jamai, { healthy: true, sampleIntent: 'general' });
+    assert.equal(dataStore.store, 'sheets');
+    assert.equal(dataStore.sampleInventoryCount, 8);
+    assert.deepEqual(deep.body.deepChecks.googleSheets, dataStore);
+  });
+
+  it('reports JamAI as unhealthy without table IDs', async () => {
+    const { body } = await app.request('GET', '/api/system/status?deep=true', { as: 'owner' });
+
+    assert.deepEqual(body.deepChecks.jamai, { healthy: false, error: 'JamAI table IDs missing' });
+  });
+
+  it('serves the OpenAPI document for every mounted route', async () => {
+    const { status, body } = await app.request('GET', '/api/docs.json');
+
+    assert.equal(status, 200);
+    assert.match(body.openapi, /^3\./);
+    ['/leads', '/customers/{id}/merge', '/outbox/{id}/replay', '/exports/orders'].forEach((route) => {
+      assert.ok(body.paths[`/api${route}`], `missing /api${route}`);
+    });
+  });
+
+  it('answers unknown routes with 404', async () => {
+    const { status, body } = await app.request('GET', '/api/nothing-here');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { success: false, error: 'Route not found', path: '/api/nothing-here', method: 'GET' });
+  });
+});
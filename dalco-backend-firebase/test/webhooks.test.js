@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.WHATSAPP_VERIFY_TOKEN = 'wa-verify';
+process.env.WHATSAPP_APP_SECRET = 'wa-secret';
+process.env.INSTAGRAM_APP_SECRET = 'ig-secret';
+process.env.EMAIL_WEBHOOK_TOKEN = 'email-token';
+
+const {
+  sheets,
+  readCollection,
+  startTestApp,
+  waitFor,
+} = require('./support/harness');
+const { setChannelSender, startChannelPollers } = require('../src/services/channels');
+const { parseRawEmail } = require('../src/services/channels/email.channel');
+
+// Stands in for a channel's outbound API and records what was sent.
+const createRecordingSender = (name) => {
+  const sent = [];
+  return {
+    sent,
+    sender: {
+      name,
+      sendText: async (to, body, context) => {
+        sent.push({ to, body, context });
+        return { providerMessageId: `${name}.out.${sent.length}` };
+      },
+    },
+  };
+};
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const whatsappPayload = ({ messages = [], statuses = [] }) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: 'waba-1',
+    changes: [{
+      field: 'messages',
+      value: {
+        metadata: { phone_number_id: 'pn-1' },
+        contacts: [{ wa_id: '60123456789', profile: { name: 'Siti Aminah' } }],
+        messages,
+        statuses,
+      },
+    }],
+  }],
+});
+
+describe('channel webhooks', () => {
+  let app;
+  let whatsapp;
+  let instagram;
+  let email;
+
+  const postSigned = (path, payload, secret) => {
+    const raw = JSON.stringify(payload);
+    return app.request('POST', path, {
+      raw,
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': sign(raw, secret) },
+    });
+  };
+
+  before(async () => {
+    app = await startTestApp();
+  });
+
+  beforeEach(async () => {
+    await app.reset();
+    whatsapp = createRecordingSender('whatsapp');
+    instagram = createRecordingSender('instagram');
+    email = createRecordingSender('email');
+    setChannelSender('whatsapp', whatsapp.sender);
+    setChannelSender('instagram', instagram.sender);
+    setChannelSender('email', email.sender);
+  });
+
+  after(() => app.close());
+
+  it('answers the Meta verification challenge', async () => {
+    const ok = await app.request('GET', '/api/webhooks/whatsapp?hub.mode=subscribe&hub.verify_token=wa-verify&hub.challenge=1158201444');
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body, '1158201444');
+
+    const wrong = await app.request('GET', '/api/webhooks/whatsapp?hub.mode=subscribe&hub.verify_token=nope&hub.challenge=1');
+    assert.equal(wrong.status, 403);
+  });
+
+  it('replies to a signed WhatsApp message and records delivery receipts', async () => {
+    const { status } = await postSigned('/api/webhooks/whatsapp', whatsappPayload({
+      messages: [{
+        from: '60123456789',
+        id: 'wamid.in.1',
+        timestamp: '1736215200',
+        type: 'text',
+        text: { body: 'Do you have stock for 2 hoodie grey L?' },
+      }],
+    }), 'wa-secret');
+    assert.equal(status, 200);
+
+    await waitFor(() => whatsapp.sent.length === 1);
+    const [reply] = whatsapp.sent;
+    assert.equal(reply.to, '60123456789');
+    assert.match(reply.body, /Hoodie \(Grey, L\)/);
+    assert.deepEqual(reply.context, { phoneNumberId: 'pn-1' });
+
+    const outbound = await waitFor(async () => (await readCollection('messages'))
+      .find(({ direction, providerMessageId }) => direction === 'outbound' && providerMessageId));
+    assert.equal(outbound.providerMessageId, 'whatsapp.out.1');
+
+    await postSigned('/api/webhooks/whatsapp', whatsappPayload({
+      statuses: [{ id: 'whatsapp.out.1', status: 'read', recipient_id: '60123456789', timestamp: '1736215300' }],
+    }), 'wa-secret');
+
+    await waitFor(async () => (await readCollection('messages'))
+      .some(({ id, status: messageStatus }) => id === outbound.id && messageStatus === 'read'));
+  });
+
+  it('rejects deliveries with a bad signature', async () => {
+    const raw = JSON.stringify(whatsappPayload({}));
+    const { status, body } = await app.request('POST', '/api/webhooks/whatsapp', {
+      raw,
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': sign(raw, 'wrong-secret') },
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'Invalid webhook signature');
+  });
+
+  it('replies to Instagram direct messages and skips echoes', async () => {
+    await postSigned('/api/webhooks/instagram', {
+      object: 'instagram',
+      entry: [{
+        id: 'ig-account',
+        messaging: [
+          { sender: { id: 'ig-user-1' }, recipient: { id: 'ig-account' }, timestamp: 1736215200000, message: { mid: 'm.1', text: 'Selamat pagi' } },
+          { sender: { id: 'ig-account' }, recipient: { id: 'ig-user-1' }, message: { mid: 'm.2', text: 'echo', is_echo: true } },
+        ],
+      }],
+    }, 'ig-secret');
+
+    await waitFor(() => instagram.sent.length === 1);
+    assert.equal(instagram.sent[0].to, 'ig-user-1');
+    assert.deepEqual(instagram.sent[0].context, { accountId: 'ig-account' });
+  });
+
+  it('accepts email deliveries with the shared token', async () => {
+    const denied = await app.request('POST', '/api/webhooks/email', { body: { from: 'a@example.com', text: 'Hi' } });
+    assert.equal(denied.status, 401);
+    const wrong = await app.request('POST', '/api/webhooks/email?token=email-tokex', { body: { from: 'a@example.com', text: 'Hi' } });
+    assert.equal(wrong.status, 401);
+
+    const { status } = await app.request('POST', '/api/webhooks/email', {
+      headers: { 'X-Webhook-Token': 'email-token' },
+      body: {
+        from: 'Ben Tan <ben@example.com>',
+        subject: 'Hoodie stock',
+        text: 'Do you have stock for 2 hoodie grey L?',
+        messageId: '<abc@example.com>',
+      },
+    });
+    assert.equal(status, 200);
+
+    await waitFor(() => email.sent.length === 1);
+    assert.equal(email.sent[0].to, 'ben@example.com');
+    assert.equal(email.sent[0].context.subject, 'Hoodie stock');
+  });
+
+  it('moves mailbox files whose message failed into failed/', async () => {
+    const inbox = await fs.mkdtemp(path.join(os.tmpdir(), 'dalco-mailbox-'));
+    const drop = (fileName, text) => fs.writeFile(path.join(inbox, fileName), JSON.stringify({
+      from: 'ben@example.com',
+      subject: 'Stock',
+      text,
+      messageId: `<${fileName}@example.com>`,
+    }));
+    process.env.EMAIL_INBOX_DIR = inbox;
+    const [poller] = startChannelPollers();
+    delete process.env.EMAIL_INBOX_DIR;
+
+    try {
+      await drop('1.json', 'Do you have stock for 2 hoodie grey L?');
+      sheets.failNext(1);
+      await poller.poll();
+      await drop('2.json', 'Do you have stock for 2 hoodie grey L?');
+      await poller.poll();
+
+      assert.deepEqual(await fs.readdir(path.join(inbox, 'failed')), ['1.json']);
+      assert.deepEqual(await fs.readdir(path.join(inbox, 'processed')), ['2.json']);
+    } finally {
+      poller.stop();
+      await fs.rm(inbox, { recursive: true, force: true });
+    }
+  });
+
+  it('decodes quoted-printable mail in its charset', () => {
+    const mail = (charset, body) => parseRawEmail([
+      'From: Ben Tan <ben@example.com>',
+      `Content-Type: text/plain; charset="${charset}"`,
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      body,
+    ].join('\r\n'));
+
+    assert.equal(mail('utf-8', '=E2=80=9CCaf=C3=A9=E2=80=9D ada stok? =F0=9F=91=8D=\r\n tq').text, '\u201cCaf\u00e9\u201d ada stok? \u{1F44D} tq');
+    assert.equal(mail('iso-8859-1', 'Caf=E9').text, 'Caf\u00e9');
+  });
+});